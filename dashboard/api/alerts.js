@@ -1,24 +1,34 @@
-const axios = require('axios');
-const { evaluateThreshold } = require('../lib/utils/calculations');
+const storage = require('../lib/utils/storage');
+const alertService = require('../lib/services/alertService');
+const emailService = require('../lib/services/emailService');
+const webhookService = require('../lib/services/webhookService');
 const thresholds = require('../config/thresholds.json');
+const { requireRole, authenticate, hasRole } = require('../lib/utils/auth');
+const { ALERT_STATUSES, LIFECYCLE_ACTIONS, alertStatus } = require('../lib/utils/alertLifecycle');
 
-// Note: In serverless environment, this state won't persist between invocations
-let alertLog = [];
-let alertConfig = {
-  enabled: true,
-  webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
-  emailEnabled: false,
-  thresholdOverrides: {},
-};
+const CHANNELS = ['webhook', 'email'];
 
 /**
  * /api/alerts
  * GET - Returns recent alerts (default)
- * GET ?action=config - Returns alert configuration
- * POST ?action=check - Manually trigger alert check
- * POST ?action=test - Send test alert
- * PUT ?action=config - Update alert configuration
+ *   (?status=open,acknowledged,snoozed,resolved &assignee=name|none &zone= &indicator= &since= &limit=)
+ * GET ?action=config - Returns alert configuration (webhook URLs and email addresses in full for admin only)
+ * GET ?action=state - Current and last alerted zone per indicator, rule state and data staleness
+ * GET ?action=webhook-queue - Webhook deliveries waiting to be retried
+ * POST ?action=check - Check indicator values for zone transitions and alert rules
+ *   (without an indicators body, checks the dashboard's current values and stale data)
+ * POST ?action=test - Send a test alert through the configured channels
+ *   (&channel=email|webhook for one; &destination=id for one webhook;
+ *   &to=address,... overrides email recipients)
+ * POST ?action=acknowledge|snooze|resolve|reopen|assign - Change alert status
+ *   (body: { id | ids, note, until (snooze), assignee (assign; null unassigns) })
+ * PUT ?action=config - Update alert configuration (including alert rules)
  * DELETE - Clear alert log
+ * DELETE ?action=state - Forget zone state (the next check starts from NORMAL)
+ * DELETE ?action=webhook-queue - Drop queued webhook retries
+ *
+ * Checks, test alerts and status changes need the editor role; configuration changes,
+ * clearing the log and resetting state need admin (see lib/utils/auth.js).
  */
 module.exports = async function handler(req, res) {
   const { action } = req.query;
@@ -26,21 +36,37 @@ module.exports = async function handler(req, res) {
   try {
     // DELETE handler
     if (req.method === 'DELETE') {
+      if (!requireRole(req, res, 'admin')) return;
+      if (action === 'state') {
+        await alertService.resetState();
+        return res.json({ success: true, message: 'Alert state reset' });
+      }
+      if (action === 'webhook-queue') {
+        await webhookService.clearQueue();
+        return res.json({ success: true, message: 'Webhook queue cleared' });
+      }
       return await handleDelete(req, res);
     }
 
     // PUT handler for config
     if (req.method === 'PUT' && action === 'config') {
+      if (!requireRole(req, res, 'admin')) return;
       return await handleConfigUpdate(req, res);
     }
 
     // POST handlers
     if (req.method === 'POST') {
       if (action === 'check') {
+        if (!requireRole(req, res, 'editor')) return;
         return await handleCheck(req, res);
       }
       if (action === 'test') {
-        return await handleTest(res);
+        if (!requireRole(req, res, 'editor')) return;
+        return await handleTest(req, res);
+      }
+      if (LIFECYCLE_ACTIONS.includes(action)) {
+        if (!requireRole(req, res, 'editor')) return;
+        return await handleLifecycle(req, res, action);
       }
       return res.status(400).json({ success: false, error: `Unknown POST action: ${action}` });
     }
@@ -51,7 +77,21 @@ module.exports = async function handler(req, res) {
     }
 
     if (action === 'config') {
-      return await handleConfigGet(res);
+      return await handleConfigGet(req, res);
+    }
+
+    if (action === 'state') {
+      const [state, rules, stale] = await Promise.all([
+        alertService.getState(),
+        alertService.getRuleState(),
+        alertService.getStaleState(),
+      ]);
+      return res.json({ success: true, state, rules, stale });
+    }
+
+    if (action === 'webhook-queue') {
+      const queue = await webhookService.getQueue();
+      return res.json({ success: true, queue, count: queue.length });
     }
 
     // Default: list alerts
@@ -62,195 +102,197 @@ module.exports = async function handler(req, res) {
   }
 };
 
+function maskDelivery(alert, revealAddresses) {
+  const email = alert.delivery?.email;
+  if (!email?.to || revealAddresses) return {};
+  return { delivery: { ...alert.delivery, email: { ...email, to: emailService.describeAddresses(email.to) } } };
+}
+
+function webhookConfigured(alertConfig) {
+  return webhookService.getDestinations(alertConfig).some(d => d.enabled);
+}
+
 async function handleList(req, res) {
-  const { limit = 50, since } = req.query;
+  const { limit = 50, since, status, assignee, zone, indicator } = req.query;
+  const [alertLog, alertConfig] = await Promise.all([alertService.getAlertLog(), alertService.getConfig()]);
 
-  let alerts = [...alertLog];
+  const statuses = status ? status.split(',').map(s => s.trim()) : null;
+  const unknown = (statuses || []).filter(s => !ALERT_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `Unknown status: ${unknown.join(', ')}. Valid statuses: ${ALERT_STATUSES.join(', ')}` });
+  }
+
+  // Report the current status, so a snooze that has run out shows as open;
+  // email recipients are masked as in the config for non-admin callers
+  const now = new Date();
+  const revealAddresses = hasRole(authenticate(req).role, 'admin');
+  let alerts = alertLog.map(a => ({ ...a, status: alertStatus(a, now), ...maskDelivery(a, revealAddresses) }));
+  const statusCounts = Object.fromEntries(ALERT_STATUSES.map(s => [s, alerts.filter(a => a.status === s).length]));
 
   if (since) {
     const sinceDate = new Date(since);
     alerts = alerts.filter(a => new Date(a.timestamp) > sinceDate);
   }
+  if (statuses) {
+    alerts = alerts.filter(a => statuses.includes(a.status));
+  }
+  if (assignee) {
+    alerts = alerts.filter(a => (assignee === 'none' ? !a.assignee : a.assignee === assignee));
+  }
+  if (zone) {
+    alerts = alerts.filter(a => a.zone === zone);
+  }
+  if (indicator) {
+    alerts = alerts.filter(a => a.indicator === indicator);
+  }
 
+  const matchingCount = alerts.length;
   alerts = alerts.slice(0, parseInt(limit));
 
   res.json({
     success: true,
     alerts,
     totalCount: alertLog.length,
+    matchingCount,
+    statusCounts,
     config: {
       enabled: alertConfig.enabled,
-      webhookConfigured: !!alertConfig.webhookUrl,
+      webhookConfigured: webhookConfigured(alertConfig),
       emailEnabled: alertConfig.emailEnabled,
+      emailConfigured: emailService.isConfigured(),
     },
-    note: 'Alert log is ephemeral in serverless environment',
+    storage: storage.describe().backend,
   });
 }
 
-async function handleConfigGet(res) {
+async function handleConfigGet(req, res) {
+  const alertConfig = await alertService.getConfig();
+  const isAdmin = hasRole(authenticate(req).role, 'admin');
+
   res.json({
     success: true,
     config: {
       enabled: alertConfig.enabled,
-      webhookConfigured: !!alertConfig.webhookUrl,
+      webhookConfigured: webhookConfigured(alertConfig),
+      webhooks: webhookService.describeDestinations(alertConfig, { revealUrls: isAdmin }),
       emailEnabled: alertConfig.emailEnabled,
+      emailRecipients: emailService.describeRecipients(alertConfig.emailRecipients, { revealAddresses: isAdmin }),
       thresholdOverrides: alertConfig.thresholdOverrides,
+      cooldownMinutes: alertConfig.cooldownMinutes,
+      cooldowns: alertConfig.cooldowns,
+      rules: alertConfig.rules,
     },
+    smtp: emailService.describe({ revealAddresses: isAdmin }),
+    ruleInputs: alertService.getRuleInputs(),
     defaultThresholds: thresholds,
-    note: 'Config is ephemeral in serverless environment',
+    storage: storage.describe().backend,
   });
 }
 
 async function handleConfigUpdate(req, res) {
-  const { enabled, webhookUrl, emailEnabled, thresholdOverrides } = req.body;
-
-  if (enabled !== undefined) alertConfig.enabled = enabled;
-  if (webhookUrl !== undefined) alertConfig.webhookUrl = webhookUrl;
-  if (emailEnabled !== undefined) alertConfig.emailEnabled = emailEnabled;
-  if (thresholdOverrides) {
-    alertConfig.thresholdOverrides = {
-      ...alertConfig.thresholdOverrides,
-      ...thresholdOverrides,
-    };
+  try {
+    const alertConfig = await alertService.updateConfig(req.body || {});
+    res.json({
+      success: true,
+      config: { ...alertConfig, webhooks: webhookService.describeDestinations({ webhooks: alertConfig.webhooks }, { revealUrls: true }) },
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CONFIG' || error.code === 'INVALID_RULE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
   }
-
-  res.json({
-    success: true,
-    config: alertConfig,
-    note: 'Config is ephemeral in serverless environment',
-  });
 }
 
 async function handleCheck(req, res) {
-  const { indicators } = req.body;
+  const { indicators } = req.body || {};
 
-  if (!indicators) {
+  if (indicators !== undefined && (!indicators || typeof indicators !== 'object' || Array.isArray(indicators))) {
     return res.status(400).json({
       success: false,
-      error: 'indicators object is required',
+      error: 'indicators must be an object of indicator values',
     });
   }
 
-  const newAlerts = checkAlerts(indicators);
-
-  if (newAlerts.length > 0) {
-    alertLog = [...newAlerts, ...alertLog].slice(0, 1000);
-
-    if (alertConfig.enabled && alertConfig.webhookUrl) {
-      await sendWebhookNotification(newAlerts);
-    }
-  }
+  const { alerts, held, rules, stale, alertLog } = indicators ?
+    await alertService.check(indicators) :
+    await alertService.checkDashboard();
 
   res.json({
     success: true,
-    newAlerts,
+    newAlerts: alerts,
+    held,
+    rules,
+    stale,
     totalAlertCount: alertLog.length,
   });
 }
 
-async function handleTest(res) {
-  const testAlert = {
-    id: `test-${Date.now()}`,
-    type: 'TEST',
-    indicator: 'test',
-    message: 'This is a test alert notification',
-    timestamp: new Date().toISOString(),
-    zone: 'WARNING',
-  };
-
-  let notificationSent = false;
-
-  if (alertConfig.webhookUrl) {
-    await sendWebhookNotification([testAlert]);
-    notificationSent = true;
+async function handleTest(req, res) {
+  const { channel, to, destination } = req.query;
+  if (channel && !CHANNELS.includes(channel)) {
+    return res.status(400).json({ success: false, error: `Unknown channel: ${channel}. Valid channels: ${CHANNELS.join(', ')}` });
   }
 
+  const alertConfig = await alertService.getConfig();
+  if (destination && !webhookService.getDestinations(alertConfig).some(d => d.id === destination)) {
+    return res.status(400).json({ success: false, error: `Unknown webhook destination: ${destination}` });
+  }
+  const testAlert = alertService.buildTestAlert();
+
+  await alertService.notify([testAlert], alertConfig, {
+    channels: destination ? ['webhook'] : channel ? [channel] : CHANNELS,
+    destination,
+    to: to ? to.split(',').map(address => address.trim()).filter(Boolean) : undefined,
+    test: true,
+  });
+
   res.json({
     success: true,
     testAlert,
-    notificationSent,
-    webhookConfigured: !!alertConfig.webhookUrl,
+    notificationSent: [testAlert.delivery.email, ...Object.values(testAlert.delivery.webhooks || {})]
+      .some(d => d?.status === 'sent'),
+    webhookConfigured: webhookConfigured(alertConfig),
+    emailConfigured: emailService.isConfigured(),
   });
 }
 
-async function handleDelete(req, res) {
-  const { before } = req.query;
+async function handleLifecycle(req, res, action) {
+  const body = req.body || {};
+  const ids = body.ids || (body.id ? [body.id] : []);
 
-  if (before) {
-    const beforeDate = new Date(before);
-    alertLog = alertLog.filter(a => new Date(a.timestamp) >= beforeDate);
-  } else {
-    alertLog = [];
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ success: false, error: 'id or ids (alert ids) is required' });
   }
-
-  res.json({
-    success: true,
-    message: 'Alerts cleared',
-    remainingCount: alertLog.length,
-  });
-}
-
-function checkAlerts(currentIndicators) {
-  const alerts = [];
-
-  const indicatorConfigs = [
-    { key: 'japaneseHedgingSpread', config: thresholds.japaneseHedgingSpread },
-    { key: 'crossCurrencyBasis', config: thresholds.crossCurrencyBasis },
-    { key: 'auctionTail', config: thresholds.auctionTail },
-    { key: 'goldTreasuryRoC', config: thresholds.goldTreasuryRoC },
-    { key: 'interestExpenseRatio', config: thresholds.interestExpenseRatio },
-  ];
-
-  for (const { key, config } of indicatorConfigs) {
-    const current = currentIndicators[key];
-    if (current === undefined || current === null) continue;
-
-    const effectiveConfig = {
-      ...config,
-      ...(alertConfig.thresholdOverrides[key] || {}),
-    };
-
-    const currentZone = evaluateThreshold(current, effectiveConfig);
-
-    if (currentZone.zone === 'CRITICAL') {
-      alerts.push({
-        id: `${key}-critical-${Date.now()}`,
-        type: 'CRITICAL_LEVEL',
-        indicator: key,
-        indicatorName: effectiveConfig.name || key,
-        zone: 'CRITICAL',
-        value: current,
-        timestamp: new Date().toISOString(),
-        message: `${effectiveConfig.name || key} is at CRITICAL level: ${formatValue(current, effectiveConfig)}`,
-      });
-    }
+  if (action === 'assign' && body.assignee === undefined) {
+    return res.status(400).json({ success: false, error: 'assignee is required (null to unassign)' });
   }
 
-  return alerts;
-}
-
-function formatValue(value, config) {
-  if (value === null || value === undefined) return 'N/A';
-  const displayValue = config.displayMultiplier ? value * config.displayMultiplier : value;
-  const unit = config.unit || '';
-  return `${displayValue.toFixed(2)}${unit}`;
-}
-
-async function sendWebhookNotification(alerts) {
-  if (!alertConfig.webhookUrl) return;
-
   try {
-    await axios.post(alertConfig.webhookUrl, {
-      type: 'hegemony_dashboard_alert',
-      alerts,
-      timestamp: new Date().toISOString(),
-      source: 'Hegemony Monitoring Dashboard',
-    }, {
-      timeout: 5000,
+    const alerts = await alertService.updateAlerts(ids, action, {
+      actor: req.auth,
+      note: body.note,
+      until: body.until,
+      assignee: body.assignee,
     });
-
-    console.log(`Sent ${alerts.length} alert(s) to webhook`);
+    res.json({ success: true, alerts });
   } catch (error) {
-    console.error('Failed to send webhook notification:', error.message);
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.code === 'INVALID_ACTION') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
   }
 }
+
+async function handleDelete(req, res) {
+  const alertLog = await alertService.clearAlertLog(req.query.before);
+
+  res.json({
+    success: true,
+    message: 'Alerts cleared',
+    remainingCount: alertLog.length,
+  });
+}
@@ -0,0 +1,95 @@
+const auditService = require('../lib/services/auditService');
+const { requireRole, getAuditContext } = require('../lib/utils/auth');
+
+/**
+ * /api/audit
+ * GET - Audit log of manual data and calibration changes, newest first
+ *   (?operation=&actor=&key=&since=&until=&limit=)
+ * GET ?id=xxx - One audit entry
+ * POST ?action=revert&id=xxx - Revert a change (body: { reason, force })
+ *
+ * Reverting needs the role the original change needed (see lib/utils/auth.js).
+ */
+module.exports = async function handler(req, res) {
+  const { action, id } = req.query;
+
+  try {
+    if (req.method === 'POST') {
+      if (action === 'revert') {
+        return await handleRevert(req, res, id);
+      }
+      return res.status(400).json({ success: false, error: `Unknown POST action: ${action}` });
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (id) {
+      const entry = await auditService.getEntry(id);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: `Audit entry not found: ${id}` });
+      }
+      return res.json({ success: true, entry });
+    }
+
+    return await handleList(req, res);
+  } catch (error) {
+    console.error(`Error in audit (action=${action}):`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+async function handleList(req, res) {
+  const { operation, actor, key, since, until, limit = 100 } = req.query;
+  const dateFormat = /^\d{4}-\d{2}-\d{2}/;
+
+  if ((since && !dateFormat.test(since)) || (until && !dateFormat.test(until))) {
+    return res.status(400).json({ success: false, error: 'since and until must be ISO dates (YYYY-MM-DD...)' });
+  }
+
+  const entries = await auditService.getEntries({
+    operation,
+    actor,
+    key,
+    since,
+    until,
+    limit: parseInt(limit) || 100,
+  });
+
+  res.json({ success: true, entries, count: entries.length });
+}
+
+async function handleRevert(req, res, id) {
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'id parameter required' });
+  }
+
+  const entry = await auditService.getEntry(id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: `Audit entry not found: ${id}` });
+  }
+  if (!requireRole(req, res, auditService.getRequiredRole(entry.operation))) return;
+
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+  }
+
+  try {
+    const revert = await auditService.revert(id, { ...getAuditContext(req, body), force: body?.force === true });
+    res.json({ success: true, revert });
+  } catch (error) {
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+}
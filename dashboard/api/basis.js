@@ -1,23 +1,38 @@
 const basisSwapService = require('../lib/services/basisSwapService');
 const cipBasisService = require('../lib/services/cipBasisService');
+const jgbService = require('../lib/services/jgbService');
+const { requireRole, getAuditContext } = require('../lib/utils/auth');
+
+// Least role allowed for each POST action (see lib/utils/auth.js)
+const ACTION_ROLES = {
+  'update-rates': 'editor',
+  'manual-entry': 'editor',
+  'clear-override': 'editor',
+  'update-calibration': 'admin',
+  'import-jgb': 'editor',
+};
 
 /**
  * /api/basis
  * GET - Get basis swap metrics
+ * GET ?type=jgb-curve&date=YYYY-MM-DD - Stored JGB yield curve (latest on or before date) and import status
  * POST ?action=update-rates - Update foreign policy rates (ECB, BOJ)
  * POST ?action=manual-entry - Set manual basis swap data
  * POST ?action=clear-override - Clear manual override
  * POST ?action=update-calibration - Update CIP calibration parameters
+ * POST ?action=import-jgb - Import an MOF JGB yield CSV (body: { csv } or { url })
  */
 module.exports = async function handler(req, res) {
-  const { action, type } = req.query;
+  const { action, type, date } = req.query;
 
   try {
     if (req.method === 'GET') {
-      return await handleGet(res, type);
+      return await handleGet(res, type, date);
     }
 
     if (req.method === 'POST') {
+      if (ACTION_ROLES[action] && !requireRole(req, res, ACTION_ROLES[action])) return;
+
       switch (action) {
         case 'update-rates':
           return await handleUpdateRates(req, res);
@@ -27,10 +42,12 @@ module.exports = async function handler(req, res) {
           return await handleClearOverride(req, res);
         case 'update-calibration':
           return await handleUpdateCalibration(req, res);
+        case 'import-jgb':
+          return await handleImportJGB(req, res);
         default:
           return res.status(400).json({
             success: false,
-            error: `Unknown action: ${action}. Valid actions: update-rates, manual-entry, clear-override, update-calibration`,
+            error: `Unknown action: ${action}. Valid actions: update-rates, manual-entry, clear-override, update-calibration, import-jgb`,
           });
       }
     }
@@ -45,7 +62,7 @@ module.exports = async function handler(req, res) {
 /**
  * Handle GET requests for basis swap data
  */
-async function handleGet(res, type) {
+async function handleGet(res, type, date) {
   switch (type) {
     case 'eurusd':
       const eurBasis = await basisSwapService.getEURUSDBasisSwap();
@@ -64,17 +81,24 @@ async function handleGet(res, type) {
       return res.json({ success: true, data: hedgingCost });
 
     case 'policy-rates':
-      const rates = cipBasisService.getPolicyRates();
+      const rates = await cipBasisService.getPolicyRates();
       return res.json({ success: true, data: rates });
 
     case 'calibration':
-      const calibration = cipBasisService.getCalibration();
+      const calibration = await cipBasisService.getCalibration();
       return res.json({ success: true, data: calibration });
 
+    case 'jgb-curve':
+      const [curve, status] = await Promise.all([
+        jgbService.getCurve(date),
+        jgbService.getStatus(),
+      ]);
+      return res.json({ success: true, data: { curve, status } });
+
     case 'all':
     default:
       const allMetrics = await basisSwapService.getAllBasisMetrics();
-      const policyRates = cipBasisService.getPolicyRates();
+      const policyRates = await cipBasisService.getPolicyRates();
       return res.json({
         success: true,
         data: {
@@ -117,7 +141,7 @@ async function handleUpdateRates(req, res) {
     });
   }
 
-  const result = cipBasisService.updatePolicyRates({ ecb, boj });
+  const result = await cipBasisService.updatePolicyRates({ ecb, boj }, getAuditContext(req, body));
 
   res.json({
     success: true,
@@ -148,7 +172,7 @@ async function handleManualEntry(req, res) {
     value,
     date,
     term,
-  });
+  }, getAuditContext(req, body));
 
   res.json(result);
 }
@@ -174,7 +198,7 @@ async function handleClearOverride(req, res) {
     pair,
     term,
     clearOverride: true,
-  });
+  }, getAuditContext(req, body));
 
   res.json(result);
 }
@@ -196,11 +220,11 @@ async function handleUpdateCalibration(req, res) {
     });
   }
 
-  const result = cipBasisService.updateCalibration(currency, {
+  const result = await cipBasisService.updateCalibration(currency, {
     baseOffset,
     rateSensitivity,
     structuralPremium,
-  });
+  }, getAuditContext(req, body));
 
   if (!result.success) {
     return res.status(400).json(result);
@@ -212,3 +236,49 @@ async function handleUpdateCalibration(req, res) {
     ...result,
   });
 }
+
+/**
+ * Handle POST /api/basis?action=import-jgb
+ * Import a Japan Ministry of Finance JGB yield CSV
+ * Body: { csv: '<file contents>' } or { url: 'https://www.mof.go.jp/...' }
+ */
+async function handleImportJGB(req, res) {
+  const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  const { csv, url } = body || {};
+
+  if (!csv && !url) {
+    return res.status(400).json({
+      success: false,
+      error: 'csv or url is required',
+      example: { url: jgbService.source.currentUrl },
+    });
+  }
+
+  if (url) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'url is not a valid URL' });
+    }
+    if (host !== new URL(jgbService.source.currentUrl).hostname) {
+      return res.status(400).json({ success: false, error: `url must be on ${new URL(jgbService.source.currentUrl).hostname}` });
+    }
+  }
+
+  let result;
+  try {
+    result = csv ? await jgbService.importCSV(csv) : await jgbService.importFromURL(url);
+  } catch (error) {
+    if (error.code === 'INVALID_CSV') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: `Imported ${result.rows} JGB curve rows (${result.firstDate} to ${result.lastDate})`,
+    import: result,
+  });
+}
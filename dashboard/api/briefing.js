@@ -0,0 +1,74 @@
+const briefingService = require('../lib/services/briefingService');
+const { requireRole } = require('../lib/utils/auth');
+
+const FORMATS = ['html', 'pdf', 'json'];
+
+/**
+ * /api/briefing
+ * GET - Latest stored weekly briefing (&date=YYYY-MM-DD for an earlier one)
+ * GET ?action=list - Dates of stored briefings
+ * POST ?action=generate - Build and store today's briefing (editor)
+ *
+ * &format=html (default), pdf or json. Briefings are generated on Mondays
+ * by the weeklyBriefing schedule, or on demand with npm run briefing.
+ */
+module.exports = async function handler(req, res) {
+  const { action, date, format = 'html' } = req.query;
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `Unknown format: ${format}. Valid formats: ${FORMATS.join(', ')}` });
+  }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      if (action !== 'generate') {
+        return res.status(400).json({ success: false, error: `Unknown POST action: ${action}` });
+      }
+      if (!requireRole(req, res, 'editor')) return;
+
+      const briefing = await briefingService.generate();
+      return sendBriefing(res, briefing, format);
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (action === 'list') {
+      return res.json({ success: true, data: await briefingService.listBriefings() });
+    }
+    if (action) {
+      return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    }
+
+    const briefing = await briefingService.getBriefing(date);
+    if (!briefing) {
+      return res.status(404).json({
+        success: false,
+        error: date ? `No briefing for ${date}` : 'No briefing has been generated yet',
+      });
+    }
+    return sendBriefing(res, briefing, format);
+  } catch (error) {
+    console.error('Error in briefing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+function sendBriefing(res, briefing, format) {
+  if (format === 'json') {
+    return res.json({ success: true, data: briefing });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="briefing-${briefing.date}.pdf"`);
+    return res.status(200).send(briefingService.renderPDF(briefing));
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(200).send(briefingService.renderHTML(briefing));
+}
@@ -0,0 +1,47 @@
+const schedulerService = require('../lib/services/schedulerService');
+const { authorizeCronRequest } = require('../lib/utils/cronAuth');
+
+const RETRY_JOB = 'alertDelivery';
+
+/**
+ * /api/cron
+ * GET - Run refresh jobs due this hour (Vercel Cron entry point)
+ * GET ?job=xxx - Run a single job from config/refreshSchedule.json
+ *
+ * Vercel Cron calls this hourly (see vercel.json). Schedules are evaluated
+ * in the time zone configured in refreshSchedule.json. Every call also runs
+ * alertDelivery, so webhook retries go out as often as this is called.
+ * Callers need CRON_SECRET or, with API authentication configured, the
+ * editor role.
+ */
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!authorizeCronRequest(req, res)) return;
+
+  const { job } = req.query;
+
+  try {
+    const results = job
+      ? [await schedulerService.runJob(job, { trigger: 'cron' })]
+      : await schedulerService.runDueJobs();
+
+    if (!results.some(r => r.job === RETRY_JOB)) {
+      results.push(await schedulerService.runJob(RETRY_JOB, { trigger: 'cron' }));
+    }
+
+    res.json({
+      success: results.every(r => r.status !== 'failure'),
+      ran: results,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error in cron:', error);
+    res.status(error.message.startsWith('Unknown job') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,50 @@
+const exportService = require('../lib/services/exportService');
+
+// Error codes from exportService and indicatorService that mean a bad request
+const INVALID_REQUEST_CODES = ['INVALID_DATASET', 'INVALID_INDICATOR', 'INVALID_WINDOW'];
+
+/**
+ * /api/export
+ * GET - Available datasets and formats
+ * GET ?dataset=indicators - Current core and secondary indicators
+ * GET ?dataset=history&indicator=xxx - History series (indicators as for /api/indicators?type=history, &window=n)
+ * GET ?dataset=auctions - 20Y/30Y auction results and tails (&months=n, default 6)
+ * GET ?dataset=fiscal - Monthly Treasury Statement interest expense and receipts
+ * GET ?dataset=basis - EUR/USD and JPY/USD 5Y basis swap series
+ * GET ?dataset=holdings - Foreign Treasury holdings by country (&country=Japan)
+ *
+ * &format=csv (default) or xlsx. Files are sent as attachments with the
+ * dataset's source, as-of date and column units (CSV '#' lines, or an XLSX
+ * Metadata sheet); &metadata=false leaves them out.
+ */
+module.exports = async function handler(req, res) {
+  const { dataset, format = 'csv', metadata } = req.query;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!dataset) {
+    return res.json({ success: true, ...exportService.describe() });
+  }
+
+  if (!exportService.isFormat(format)) {
+    return res.status(400).json({ success: false, error: `Unknown format: ${format}. Valid formats: ${exportService.describe().formats.join(', ')}` });
+  }
+
+  try {
+    const table = await exportService.getDataset(dataset, req.query);
+    const file = exportService.render(table, format, { metadata: metadata !== 'false' });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).send(file.body);
+  } catch (error) {
+    if (INVALID_REQUEST_CODES.includes(error.code)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error(`Error in export (dataset=${dataset}):`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -6,6 +6,7 @@ module.exports = async function handler(req, res) {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    environment: 'vercel-serverless',
+    // Vercel sets VERCEL=1; otherwise this is the self-hosted server (server.js)
+    environment: process.env.VERCEL ? 'vercel-serverless' : 'self-hosted',
   });
 };
@@ -1,5 +1,6 @@
 const ticService = require('../lib/services/ticService');
 const goldService = require('../lib/services/goldService');
+const { requireRole, getAuditContext } = require('../lib/utils/auth');
 
 /**
  * /api/holdings
@@ -13,6 +14,8 @@ const goldService = require('../lib/services/goldService');
  * GET ?type=historical-foreign - Historical foreign holdings
  * POST ?type=foreign-manual - Add manual TIC data
  * POST ?type=gold-central-banks-manual - Add manual central bank gold data
+ *
+ * POST requests need the editor role (see lib/utils/auth.js).
  */
 module.exports = async function handler(req, res) {
   const { type = 'foreign' } = req.query;
@@ -20,6 +23,7 @@ module.exports = async function handler(req, res) {
   try {
     // POST handlers
     if (req.method === 'POST') {
+      if (!requireRole(req, res, 'editor')) return;
       if (type === 'foreign-manual') {
         return await handleForeignManual(req, res);
       }
@@ -117,7 +121,7 @@ async function handleForeignManual(req, res) {
     });
   }
 
-  const result = await ticService.setManualTicData({ country, date, holdings });
+  const result = await ticService.setManualTicData({ country, date, holdings }, getAuditContext(req));
   res.json(result);
 }
 
@@ -135,6 +139,6 @@ async function handleGoldCentralBanksManual(req, res) {
     period,
     totalTonnes,
     topPurchasers: topPurchasers || [],
-  });
+  }, getAuditContext(req));
   res.json(result);
 }
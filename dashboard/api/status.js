@@ -1,15 +1,71 @@
 const fredService = require('../lib/services/fredService');
 const cache = require('../lib/utils/cache');
+const storage = require('../lib/utils/storage');
+const httpClient = require('../lib/utils/httpClient');
+const fixtures = require('../lib/utils/fixtures');
+const schedulerService = require('../lib/services/schedulerService');
+const { authenticate, isAuthConfigured, requireRole } = require('../lib/utils/auth');
 
 /**
  * /api/status
  * GET - Data source status check
  * GET ?action=cache-stats - Cache statistics
  * POST ?action=cache-flush - Flush cache
+ * GET ?action=jobs - Refresh job schedule and last run status
+ * POST ?action=run-job&job=xxx - Run a refresh job now (editor role)
+ * GET ?action=whoami - Caller's identity and role
+ * GET ?action=upstream - Upstream rate limit and circuit breaker state
+ * POST ?action=upstream-reset&provider=xxx - Close a provider's circuit breaker (all if no provider)
+ *
+ * Flushing the cache and resetting breakers need the admin role (see lib/utils/auth.js).
  */
 module.exports = async function handler(req, res) {
   const { action } = req.query;
 
+  // Refresh job status
+  if (action === 'jobs' && req.method === 'GET') {
+    return res.json({
+      success: true,
+      scheduler: await schedulerService.getStatus(),
+    });
+  }
+
+  // Caller identity, so clients can tell which actions are available
+  if (action === 'whoami' && req.method === 'GET') {
+    return res.json({ success: true, authEnabled: isAuthConfigured(), caller: authenticate(req) });
+  }
+
+  // Run a refresh job on demand
+  if (action === 'run-job' && req.method === 'POST') {
+    if (!requireRole(req, res, 'editor')) return;
+    const { job } = req.query;
+    if (!job) {
+      return res.status(400).json({ success: false, error: 'job parameter required' });
+    }
+    try {
+      const result = await schedulerService.runJob(job, { trigger: 'manual' });
+      return res.json({ success: result.status !== 'failure', result });
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+  }
+
+  // Upstream rate limits and circuit breakers
+  if (action === 'upstream' && req.method === 'GET') {
+    return res.json({ success: true, upstream: httpClient.getStatus() });
+  }
+
+  // Close circuit breakers after an upstream outage is resolved
+  if (action === 'upstream-reset' && req.method === 'POST') {
+    if (!requireRole(req, res, 'admin')) return;
+    try {
+      httpClient.reset(req.query.provider);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    return res.json({ success: true, upstream: httpClient.getStatus() });
+  }
+
   // Cache stats
   if (action === 'cache-stats' && req.method === 'GET') {
     return res.json({
@@ -21,6 +77,7 @@ module.exports = async function handler(req, res) {
 
   // Cache flush
   if (action === 'cache-flush' && req.method === 'POST') {
+    if (!requireRole(req, res, 'admin')) return;
     cache.flush();
     return res.json({
       success: true,
@@ -45,12 +102,37 @@ module.exports = async function handler(req, res) {
       await fredService.getLatestValue('DGS10');
       status.fred = { status: 'ok', lastCheck: new Date().toISOString() };
     } catch (e) {
-      status.fred = { status: 'error', error: e.message, lastCheck: new Date().toISOString() };
+      status.fred = {
+        status: e.code === 'CIRCUIT_OPEN' ? 'circuit-open' : 'error',
+        error: e.message,
+        lastCheck: new Date().toISOString(),
+      };
+    }
+
+    // Check persistent storage
+    let storageStatus;
+    try {
+      const storedKeys = await storage.keys();
+      storageStatus = { status: 'ok', ...storage.describe(), storedKeys: storedKeys.length };
+    } catch (e) {
+      storageStatus = { status: 'error', ...storage.describe(), error: e.message };
     }
 
+    const scheduler = await schedulerService.getStatus();
+    const failingJobs = scheduler.jobs
+      .filter(j => j.lastStatus === 'failure')
+      .map(j => ({ name: j.name, lastFailureAt: j.lastFailureAt, lastError: j.lastError }));
+
     res.json({
       success: true,
       status,
+      storage: storageStatus,
+      upstream: httpClient.getStatus(),
+      fixtures: fixtures.describe(),
+      jobs: {
+        inProcess: scheduler.inProcess,
+        failing: failingJobs,
+      },
       apiKeyConfigured: !!process.env.FRED_API_KEY,
     });
   } catch (error) {
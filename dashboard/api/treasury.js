@@ -1,5 +1,6 @@
 const treasuryService = require('../lib/services/treasuryService');
 const fredService = require('../lib/services/fredService');
+const { requireRole, getAuditContext } = require('../lib/utils/auth');
 
 /**
  * /api/treasury
@@ -8,7 +9,9 @@ const fredService = require('../lib/services/fredService');
  * GET ?type=fiscal - Fiscal data (interest expense, receipts, debt)
  * GET ?type=yields - Treasury yield data
  * GET ?type=historical-interest - Historical interest expense ratio
- * POST ?type=when-issued - Update auction with when-issued yield
+ * GET ?type=cds - Manually entered 5Y US sovereign CDS quotes
+ * POST ?type=when-issued - Update auction with when-issued yield (editor role)
+ * POST ?type=cds - Enter sovereign CDS quotes, { date, value } or { data: [...] } in bps (editor role)
  */
 module.exports = async function handler(req, res) {
   const { type = 'auctions' } = req.query;
@@ -16,9 +19,15 @@ module.exports = async function handler(req, res) {
   try {
     // POST handler for when-issued
     if (req.method === 'POST' && type === 'when-issued') {
+      if (!requireRole(req, res, 'editor')) return;
       return await handleWhenIssued(req, res);
     }
 
+    if (req.method === 'POST' && type === 'cds') {
+      if (!requireRole(req, res, 'editor')) return;
+      return await handleCdsEntry(req, res);
+    }
+
     if (req.method !== 'GET') {
       return res.status(405).json({ success: false, error: 'Method not allowed' });
     }
@@ -34,6 +43,8 @@ module.exports = async function handler(req, res) {
         return await handleYields(res);
       case 'historical-interest':
         return await handleHistoricalInterest(req, res);
+      case 'cds':
+        return await handleCds(res);
       default:
         return res.status(400).json({ success: false, error: `Unknown type: ${type}` });
     }
@@ -140,6 +151,33 @@ async function handleWhenIssued(req, res) {
     });
   }
 
-  const updated = await treasuryService.updateAuctionWithWhenIssued(cusip, whenIssuedYield);
+  const updated = await treasuryService.updateAuctionWithWhenIssued(cusip, whenIssuedYield, getAuditContext(req));
   res.json({ success: true, auction: updated });
 }
+
+async function handleCds(res) {
+  const cds = await treasuryService.getSovereignCDS();
+  res.json({ success: true, ...cds });
+}
+
+async function handleCdsEntry(req, res) {
+  const { date, value, data } = req.body || {};
+  const quotes = data || (date !== undefined || value !== undefined ? [{ date, value }] : null);
+
+  if (!quotes) {
+    return res.status(400).json({
+      success: false,
+      error: 'date and value (bps), or data: [{ date, value }], are required',
+    });
+  }
+
+  try {
+    const result = await treasuryService.setManualCDSData(quotes, getAuditContext(req));
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'INVALID_DATA') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+}
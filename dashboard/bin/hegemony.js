@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * hegemony - Command-line client for the dashboard
+ *
+ * Prints indicators, the stage assessment, history series, foreign holdings
+ * and auction tails. Data comes from the same handlers as the API: in-process
+ * by default (the service modules, no server needed), or from a running API
+ * with --api.
+ *
+ * Usage: hegemony <command> [options]
+ *   indicators [--secondary]           Core indicators with zones (and secondary indicators)
+ *   stage                              Stage assessment with every trigger
+ *   history <indicator> [--window n]   History series (see /api/indicators?type=history)
+ *   holdings [japan|china|total]       Foreign holdings summary, or one holder's history
+ *   tails                              Recent 20Y/30Y auctions and tails
+ *
+ *   --format table|json|csv   Output format (default table)
+ *   --limit n                 Rows to print (default 30 in tables, all otherwise; 0 for all)
+ *   --api [url]               Query a running API (default API_URL or http://localhost:4000/api)
+ *
+ * Run with npx hegemony (or npm link for a global command).
+ */
+
+const path = require('path');
+
+const FORMATS = ['table', 'json', 'csv'];
+const DEFAULT_API_URL = 'http://localhost:4000/api';
+const DEFAULT_TABLE_LIMIT = 30;
+
+const HISTORY_INDICATORS = [
+  'japaneseHedgingSpread', 'goldTreasuryRatio', 'interestExpenseRatio', 'vix', 'hySpread',
+  'dollarIndex', 'dollarEquityCorrelation', 'goldPrice', 'us10y', 'fedBalanceSheet', 'cdsSpread',
+];
+
+const HOLDINGS_TYPES = {
+  japan: 'foreign-japan',
+  china: 'foreign-china',
+  total: 'foreign-total',
+};
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const flag = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  // --api takes an optional URL
+  const apiIndex = args.indexOf('--api');
+  const apiValue = apiIndex !== -1 && args[apiIndex + 1] && !args[apiIndex + 1].startsWith('--') ?
+    args[apiIndex + 1] : null;
+
+  const valueFlags = ['format', 'limit', 'window'];
+  const positional = args.filter((arg, i) =>
+    !arg.startsWith('--') &&
+    !valueFlags.some(name => args[i - 1] === `--${name}`) &&
+    !(apiValue && i === apiIndex + 1));
+
+  return {
+    command: positional[0],
+    target: positional[1],
+    format: flag('format') || 'table',
+    limit: flag('limit') !== undefined ? parseInt(flag('limit'), 10) : undefined,
+    window: flag('window'),
+    secondary: args.includes('--secondary'),
+    api: apiIndex !== -1 ? (apiValue || process.env.API_URL || DEFAULT_API_URL).replace(/\/$/, '') : null,
+    help: args.includes('--help') || args.includes('-h'),
+  };
+}
+
+/**
+ * GET an API resource, from a running API or in-process
+ * @returns {Promise<object>} Response body
+ */
+async function request(options, name, query) {
+  let status;
+  let body;
+
+  if (options.api) {
+    const axios = require('axios');
+    const response = await axios.get(`${options.api}/${name}`, {
+      params: query,
+      headers: process.env.API_KEY ? { Authorization: `Bearer ${process.env.API_KEY}` } : {},
+      validateStatus: () => true,
+      timeout: 120000,
+    });
+    ({ status, data: body } = response);
+  } else {
+    const { invokeHandler } = require('../lib/utils/invokeHandler');
+    ({ status, body } = await invokeHandler(name, { query }));
+  }
+
+  if (status >= 400 || body?.success === false) {
+    throw new Error(body?.error || `${name} returned HTTP ${status}`);
+  }
+  return body;
+}
+
+function sourceLabel(provenance) {
+  if (!provenance) return null;
+  return provenance.staleness?.stale ? `${provenance.source} (stale)` : provenance.source;
+}
+
+/**
+ * Commands: each returns { summary, columns, rows } for the formatters
+ */
+const COMMANDS = {
+  async indicators(options) {
+    const { indicators, secondary } = await request(options, 'indicators', { type: 'current' });
+
+    const rows = Object.entries(indicators).map(([key, indicator]) => ({
+      indicator: key,
+      name: indicator.config?.name || key,
+      value: indicator.value,
+      unit: indicator.config?.unit || null,
+      zone: indicator.threshold?.zone || 'UNKNOWN',
+      date: indicator.date || null,
+      source: sourceLabel(indicator.provenance),
+    }));
+
+    if (options.secondary) {
+      Object.entries(secondary).forEach(([key, indicator]) => {
+        rows.push({
+          indicator: key,
+          name: key,
+          value: indicator.value,
+          unit: null,
+          zone: indicator.threshold?.zone || indicator.threshold?.level || null,
+          date: indicator.date || null,
+          source: sourceLabel(indicator.provenance),
+        });
+      });
+    }
+
+    return { summary: null, columns: ['indicator', 'name', 'value', 'unit', 'zone', 'date', 'source'], rows };
+  },
+
+  async stage(options) {
+    const { assessment } = await request(options, 'indicators', { type: 'stage' });
+
+    const rows = [];
+    Object.entries(assessment.evaluation || {}).forEach(([stage, evaluation]) => {
+      evaluation.triggers.forEach(trigger => {
+        rows.push({
+          stage,
+          trigger: trigger.key,
+          label: trigger.label,
+          value: trigger.value,
+          threshold: trigger.threshold ?? (trigger.range ? trigger.range.join('..') : null),
+          met: trigger.met,
+          missing: trigger.missing,
+          days: trigger.duration > 1 ? `${trigger.consecutiveDays}/${trigger.duration}` : null,
+        });
+      });
+    });
+
+    return {
+      summary: {
+        stage: assessment.stage,
+        stageName: assessment.stageName,
+        confidence: assessment.confidence,
+        triggers: assessment.triggers.join('; ') || 'none',
+      },
+      columns: ['stage', 'trigger', 'label', 'value', 'threshold', 'met', 'missing', 'days'],
+      rows,
+    };
+  },
+
+  async history(options) {
+    if (!HISTORY_INDICATORS.includes(options.target)) {
+      throw new Error(`history needs an indicator: ${HISTORY_INDICATORS.join(', ')}`);
+    }
+
+    const query = { type: 'history', indicator: options.target, ...(options.window ? { window: options.window } : {}) };
+    const { data, provenance } = await request(options, 'indicators', query);
+    const rows = seriesRows(data);
+
+    return {
+      summary: { indicator: options.target, source: sourceLabel(provenance), asOf: provenance?.asOf || null },
+      columns: columnsOf(rows),
+      rows,
+    };
+  },
+
+  async holdings(options) {
+    if (options.target && !HOLDINGS_TYPES[options.target]) {
+      throw new Error(`holdings takes ${Object.keys(HOLDINGS_TYPES).join(', ')} or nothing for the summary`);
+    }
+
+    if (options.target) {
+      const holder = await request(options, 'holdings', { type: HOLDINGS_TYPES[options.target] });
+      const rows = (holder.historicalData || []).map(d => ({ date: d.date, holdings: d.holdings }));
+      return {
+        summary: {
+          holder: options.target,
+          current: holder.currentHoldings ?? holder.combinedHoldings ?? holder.totalForeignHoldings ?? null,
+          date: holder.currentDate || null,
+          sixMonthChange: holder.sixMonthChange ?? null,
+        },
+        columns: ['date', 'holdings'],
+        rows,
+      };
+    }
+
+    const { totalForeign, japan, china, dataLagNote } = await request(options, 'holdings', { type: 'foreign' });
+    const rows = [
+      { holder: 'Total foreign', holdings: totalForeign?.totalForeignHoldings, date: totalForeign?.currentDate, sixMonthChange: totalForeign?.sixMonthChange },
+      { holder: 'Japan', holdings: japan?.currentHoldings, date: japan?.currentDate, sixMonthChange: japan?.sixMonthChange },
+      { holder: 'China (incl. Belgium)', holdings: china?.combinedHoldings, date: china?.currentDate, sixMonthChange: china?.sixMonthChange },
+    ];
+
+    return { summary: { units: 'millions USD', note: dataLagNote }, columns: ['holder', 'holdings', 'date', 'sixMonthChange'], rows };
+  },
+
+  async tails(options) {
+    const { metrics } = await request(options, 'treasury', { type: 'auctions' });
+
+    const rows = (metrics?.auctions || []).map(a => ({
+      auctionDate: a.auctionDate,
+      term: a.securityTerm,
+      cusip: a.cusip,
+      highYield: a.highYield,
+      whenIssuedYield: a.whenIssuedYield ?? null,
+      tail: a.tail,
+    }));
+
+    return {
+      summary: {
+        averageTail: metrics?.averageTail ?? null,
+        last20YTail: metrics?.last20YTail ?? null,
+        last30YTail: metrics?.last30YTail ?? null,
+        note: metrics?.dataNote,
+      },
+      columns: ['auctionDate', 'term', 'cusip', 'highYield', 'whenIssuedYield', 'tail'],
+      rows,
+    };
+  },
+};
+
+/**
+ * Rows from a history response, newest first: an array of observations, or
+ * an object of dated series (e.g. MTS interest expense and receipts) joined by date
+ */
+function seriesRows(data) {
+  if (Array.isArray(data)) {
+    return data
+      .map(point => Object.fromEntries(
+        Object.entries(point).filter(([, value]) => value === null || typeof value !== 'object')
+      ))
+      .sort((a, b) => (a.date < b.date ? 1 : -1));
+  }
+
+  const byDate = {};
+  Object.entries(data || {})
+    .filter(([, series]) => Array.isArray(series))
+    .forEach(([name, series]) => {
+      series.forEach(point => {
+        if (!byDate[point.date]) byDate[point.date] = { date: point.date };
+        byDate[point.date][name] = point.value;
+      });
+    });
+  return Object.values(byDate).sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+function columnsOf(rows) {
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return columns;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * Render rows as an aligned text table
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line),
+  ].join('\n');
+}
+
+/**
+ * Format a command result
+ * @param {object} result - { summary, columns, rows }
+ * @param {object} options - { format, limit }
+ * @returns {string}
+ */
+function render({ summary, columns, rows }, { format, limit }) {
+  const max = limit ?? (format === 'table' ? DEFAULT_TABLE_LIMIT : 0);
+  const shown = max > 0 ? rows.slice(0, max) : rows;
+
+  if (format === 'json') {
+    return JSON.stringify(summary ? { ...summary, rows: shown } : shown, null, 2);
+  }
+  if (format === 'csv') {
+    const { toCSV } = require('../lib/utils/csv');
+    return toCSV(shown, columns).trimEnd();
+  }
+
+  const lines = [];
+  if (summary) {
+    Object.entries(summary).forEach(([key, value]) => lines.push(`${key}: ${formatCell(value)}`));
+    lines.push('');
+  }
+  lines.push(shown.length > 0 ? formatTable(shown, columns) : '(no rows)');
+  if (shown.length < rows.length) {
+    lines.push(`... ${rows.length - shown.length} more rows (--limit 0 for all)`);
+  }
+  return lines.join('\n');
+}
+
+function usage() {
+  const header = require('fs').readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+  return header.split('\n').map(line => line.replace(/^ \* ?/, '')).join('\n').trim();
+}
+
+async function main(options = parseArgs(process.argv)) {
+  if (options.help || !options.command) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+  if (!COMMANDS[options.command]) {
+    throw new Error(`Unknown command: ${options.command}. Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  // Service logging goes to stderr while the command runs so stdout stays parseable
+  const { log } = console;
+  if (!options.api) console.log = console.error;
+
+  let result;
+  try {
+    result = await COMMANDS[options.command](options);
+  } finally {
+    console.log = log;
+  }
+  process.stdout.write(`${render(result, options)}\n`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  main().catch((error) => {
+    console.error(`hegemony: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseArgs, render, COMMANDS };
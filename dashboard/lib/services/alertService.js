@@ -0,0 +1,709 @@
+const storage = require('../utils/storage');
+const { evaluateThreshold, evaluateSecondaryThreshold } = require('../utils/calculations');
+const { assessStaleness } = require('../utils/provenance');
+const { validateRules, getRuleInputs, evaluateRuleCondition, describeCondition } = require('../utils/alertRules');
+const { alertStatus, alertSource, applyAction, findSuppressingAlert } = require('../utils/alertLifecycle');
+const indicatorService = require('./indicatorService');
+const snapshotService = require('./snapshotService');
+const treasuryService = require('./treasuryService');
+const emailService = require('./emailService');
+const webhookService = require('./webhookService');
+const thresholds = require('../../config/thresholds.json');
+const refreshSchedule = require('../../config/refreshSchedule.json');
+
+const ALERT_LOG_KEY = 'alerts:log';
+const ALERT_CONFIG_KEY = 'alerts:config';
+const ALERT_STATE_KEY = 'alerts:state';
+const RULE_STATE_KEY = 'alerts:ruleState';
+const STALE_STATE_KEY = 'alerts:staleState';
+const MAX_ALERT_LOG_SIZE = 1000;
+
+const CORE_INDICATORS = ['japaneseHedgingSpread', 'crossCurrencyBasis', 'auctionTail', 'goldTreasuryRoC', 'interestExpenseRatio'];
+
+// Secondary indicators alert on their single warning / danger / critical levels
+const SECONDARY_INDICATORS = Object.keys(thresholds.secondaryIndicators);
+
+const ALERT_INDICATORS = [...CORE_INDICATORS, ...SECONDARY_INDICATORS];
+
+// Series on the dashboard without thresholds of their own, for stale data alerts
+const SERIES_NAMES = { sofr: 'SOFR', dollarIndex: 'Dollar Index' };
+
+const ZONE_RANK = { NORMAL: 0, WARNING: 1, DANGER: 2, CRITICAL: 3 };
+
+/**
+ * Pull a { date, value } series, newest first, from an indicator history
+ */
+async function historySeries(indicator, field = 'value', scale = 1) {
+  const { data } = await indicatorService.getIndicatorHistory(indicator);
+  return (Array.isArray(data) ? data : [])
+    .filter(d => typeof d[field] === 'number' && Number.isFinite(d[field]))
+    .map(d => ({ date: d.date, value: d[field] * scale }))
+    .sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/**
+ * Inputs alert rules can refer to, in the units of the indicators and
+ * thresholds, with where their history comes from. Indicators without a
+ * history series of their own use the daily snapshots.
+ */
+const RULE_INPUTS = {
+  japaneseHedgingSpread: { unit: 'bps', history: () => historySeries('japaneseHedgingSpread', 'spread') },
+  crossCurrencyBasis: { unit: 'bps', history: () => snapshotService.getSeries('crossCurrencyBasis') },
+  auctionTail: { unit: 'bps, 20Y/30Y average', history: () => snapshotService.getSeries('auctionTail') },
+  auctionTails: {
+    unit: 'bps, one observation per 20Y/30Y auction',
+    history: async () => (await treasuryService.getAuctionTailMetrics()).auctions
+      .filter(a => a.tail !== null && a.tail !== undefined)
+      .map(a => ({ date: a.auctionDate, value: a.tail }))
+      .sort((a, b) => (a.date < b.date ? 1 : -1)),
+  },
+  goldTreasuryRoC: { unit: 'fraction', history: () => snapshotService.getSeries('goldTreasuryRoC') },
+  goldTreasuryRatio: { unit: 'ratio', history: () => historySeries('goldTreasuryRatio', 'ratio') },
+  interestExpenseRatio: { unit: 'fraction', history: () => snapshotService.getSeries('interestExpenseRatio') },
+  vix: { unit: 'index', history: () => historySeries('vix') },
+  // FRED reports the spread in percent; thresholds use bps
+  hySpread: { unit: 'bps', history: () => historySeries('hySpread', 'value', 100) },
+  dollarIndex: { unit: 'index', history: () => historySeries('dollarIndex') },
+  dollarEquityCorrelation: { unit: 'correlation', history: () => snapshotService.getSeries('dollarEquityCorrelation') },
+};
+
+// Alert log, config and zone state are kept in persistent storage (lib/utils/storage.js)
+const defaultAlertConfig = {
+  enabled: true,
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  // [{ id, url, format: generic|slack|teams|discord, zones, secret, enabled }]; see webhookService
+  webhooks: [],
+  emailEnabled: false,
+  // { WARNING: [address], DANGER: [...], CRITICAL: [...] }; null sends everything to ALERT_EMAIL_TO
+  emailRecipients: null,
+  thresholdOverrides: {},
+  cooldownMinutes: 240,
+  cooldowns: {},
+  rules: [],
+};
+
+/**
+ * Zone of an indicator value under its thresholds and any override
+ * @returns {object} { zone, config }
+ */
+function evaluateIndicator(key, value, alertConfig) {
+  const override = alertConfig.thresholdOverrides[key] || {};
+  if (CORE_INDICATORS.includes(key)) {
+    const config = { ...thresholds[key], ...override };
+    return { zone: evaluateThreshold(value, config).zone, config };
+  }
+  const config = { ...thresholds.secondaryIndicators[key], ...override };
+  return { zone: evaluateSecondaryThreshold(value, config).zone, config };
+}
+
+function indicatorName(key) {
+  return thresholds[key]?.name || thresholds.secondaryIndicators[key]?.name || SERIES_NAMES[key] || key;
+}
+
+function formatValue(value, config) {
+  if (value === null || value === undefined) return 'N/A';
+  const displayValue = config.displayMultiplier ? value * config.displayMultiplier : value;
+  const unit = config.unit || '';
+  return `${displayValue.toFixed(2)}${unit}`;
+}
+
+/**
+ * Alert Service
+ * Turns core and secondary indicator readings into zone-transition alerts,
+ * and dashboard data that stops updating into stale data alerts. The zone each
+ * indicator was last alerted in is persisted, so an alert fires only when
+ * an indicator moves to a different zone - worse or better - and a return
+ * to NORMAL is reported as RECOVERED. After an alert, further moves of the
+ * same indicator are held back for its cooldown unless they escalate past
+ * the alerted zone; once the cooldown ends the net change is alerted, so
+ * an indicator flapping across a boundary produces a single alert.
+ */
+class AlertService {
+  /**
+   * Get the alert log, newest first
+   * @returns {Promise<Array<object>>}
+   */
+  async getAlertLog() {
+    return storage.get(ALERT_LOG_KEY, []);
+  }
+
+  /**
+   * Add alerts to the front of the log
+   * @param {Array<object>} alerts - New alerts
+   * @param {object} options - { resolve: { source: note } resolves the logged alerts of each source, now }
+   * @returns {Promise<Array<object>>} Updated log
+   */
+  async appendAlerts(alerts, options = {}) {
+    const { resolve = {}, now = new Date() } = options;
+    let alertLog;
+    await storage.update(ALERT_LOG_KEY, (existing) => {
+      const updated = existing.map(alert => {
+        const note = resolve[alertSource(alert)];
+        return note && alertStatus(alert, now) !== 'resolved' ? applyAction(alert, 'resolve', { note }, now) : alert;
+      });
+      alertLog = [...alerts, ...updated].slice(0, MAX_ALERT_LOG_SIZE);
+      return alertLog;
+    }, []);
+    return alertLog;
+  }
+
+  /**
+   * Acknowledge, snooze, resolve, reopen or assign logged alerts
+   * All of the alerts are changed, or none when one is missing or can't
+   * take the action (see lib/utils/alertLifecycle.js).
+   * @param {string[]} ids - Alert ids
+   * @param {string} action - Lifecycle action
+   * @param {object} options - { actor, note, until, assignee, now }
+   * @returns {Promise<Array<object>>} Updated alerts
+   */
+  async updateAlerts(ids, action, options = {}) {
+    const now = options.now || new Date();
+    let updated;
+
+    await storage.update(ALERT_LOG_KEY, (alertLog) => {
+      const missing = ids.filter(id => !alertLog.some(alert => alert.id === id));
+      if (missing.length > 0) {
+        throw Object.assign(new Error(`Alert not found: ${missing.join(', ')}`), { code: 'NOT_FOUND' });
+      }
+      const changes = new Map(alertLog
+        .filter(alert => ids.includes(alert.id))
+        .map(alert => [alert.id, applyAction(alert, action, options, now)]));
+      updated = [...changes.values()];
+      return alertLog.map(alert => changes.get(alert.id) || alert);
+    }, []);
+
+    return updated;
+  }
+
+  /**
+   * Clear the alert log
+   * @param {string} before - Keep alerts at or after this time; clears everything when omitted
+   * @returns {Promise<Array<object>>} Remaining alerts
+   */
+  async clearAlertLog(before) {
+    const alertLog = before ?
+      (await this.getAlertLog()).filter(a => new Date(a.timestamp) >= new Date(before)) : [];
+    await storage.set(ALERT_LOG_KEY, alertLog);
+    return alertLog;
+  }
+
+  /**
+   * Get alert configuration merged over the defaults
+   * @returns {Promise<object>}
+   */
+  async getConfig() {
+    const stored = await storage.get(ALERT_CONFIG_KEY, {});
+    return { ...defaultAlertConfig, ...stored };
+  }
+
+  /**
+   * Update alert configuration; threshold overrides and cooldowns are merged per indicator
+   * @param {object} changes - Fields to change
+   * @returns {Promise<object>} Updated configuration
+   */
+  async updateConfig(changes) {
+    const { enabled, webhookUrl, webhooks, emailEnabled, emailRecipients, thresholdOverrides, cooldownMinutes, cooldowns, rules } = changes;
+
+    if (cooldownMinutes !== undefined && !(Number.isFinite(cooldownMinutes) && cooldownMinutes >= 0)) {
+      throw Object.assign(new Error('cooldownMinutes must be a number of minutes (0 or more)'), { code: 'INVALID_CONFIG' });
+    }
+    const invalidCooldown = Object.entries(cooldowns || {}).find(([key, minutes]) =>
+      !ALERT_INDICATORS.includes(key) || !(Number.isFinite(minutes) && minutes >= 0)
+    );
+    if (invalidCooldown) {
+      throw Object.assign(
+        new Error(`Invalid cooldown for ${invalidCooldown[0]}: indicators are ${ALERT_INDICATORS.join(', ')} and minutes must be 0 or more`),
+        { code: 'INVALID_CONFIG' }
+      );
+    }
+
+    const validRules = rules !== undefined ? validateRules(rules, Object.keys(RULE_INPUTS)) : undefined;
+    const validRecipients = emailRecipients ? emailService.validateRecipients(emailRecipients) : emailRecipients;
+
+    const alertConfig = await this.getConfig();
+    const validWebhooks = webhooks !== undefined ? webhookService.validateDestinations(webhooks, alertConfig.webhooks) : undefined;
+
+    if (enabled !== undefined) alertConfig.enabled = enabled;
+    if (webhookUrl !== undefined) alertConfig.webhookUrl = webhookUrl;
+    if (validWebhooks) alertConfig.webhooks = validWebhooks;
+    if (emailEnabled !== undefined) alertConfig.emailEnabled = emailEnabled;
+    if (validRecipients !== undefined) alertConfig.emailRecipients = validRecipients;
+    if (cooldownMinutes !== undefined) alertConfig.cooldownMinutes = cooldownMinutes;
+    if (thresholdOverrides) {
+      alertConfig.thresholdOverrides = {
+        ...alertConfig.thresholdOverrides,
+        ...thresholdOverrides,
+      };
+    }
+    if (cooldowns) {
+      alertConfig.cooldowns = { ...alertConfig.cooldowns, ...cooldowns };
+    }
+    if (validRules) {
+      alertConfig.rules = validRules;
+    }
+
+    await storage.set(ALERT_CONFIG_KEY, alertConfig);
+    return alertConfig;
+  }
+
+  /**
+   * Get the persisted zone state per indicator
+   * @returns {Promise<object>} { indicator: { zone, value, since, checkedAt, alertedZone, alertedAt } }
+   */
+  async getState() {
+    return storage.get(ALERT_STATE_KEY, {});
+  }
+
+  /**
+   * Get the persisted staleness of each dashboard series
+   * @returns {Promise<object>} { indicator: { stale, asOf, dataType, since, checkedAt, alertedAt } }
+   */
+  async getStaleState() {
+    return storage.get(STALE_STATE_KEY, {});
+  }
+
+  /**
+   * Get the persisted state of each alert rule
+   * @returns {Promise<object>} { ruleId: { met, since, checkedAt, alerted, alertedAt } }
+   */
+  async getRuleState() {
+    return storage.get(RULE_STATE_KEY, {});
+  }
+
+  /**
+   * Forget the persisted zone, rule and staleness state, so the next check starts from NORMAL
+   */
+  async resetState() {
+    await Promise.all([storage.del(ALERT_STATE_KEY), storage.del(RULE_STATE_KEY), storage.del(STALE_STATE_KEY)]);
+  }
+
+  /**
+   * Inputs available to alert rules
+   * @returns {object} { input: unit }
+   */
+  getRuleInputs() {
+    return Object.fromEntries(Object.entries(RULE_INPUTS).map(([name, { unit }]) => [name, unit]));
+  }
+
+  /**
+   * Cooldown for an indicator in milliseconds
+   */
+  cooldownFor(key, alertConfig) {
+    const minutes = alertConfig.cooldowns?.[key] ?? alertConfig.cooldownMinutes;
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Check indicator values against their zones and the alert rules, and record transitions
+   * An indicator seen for the first time is compared against NORMAL.
+   * Missing values are skipped and leave the indicator's state unchanged.
+   * New alerts from an indicator or rule with an acknowledged or snoozed
+   * alert are logged with suppressedBy and not notified.
+   * Zone, rule and stale state are saved only once the alerts are logged,
+   * so a check that fails part way raises the same alerts next time.
+   * @param {object} values - { indicatorKey: value }, core or secondary
+   * @param {object} options - { now: check time, notify: send notifications (default true),
+   *   provenance: { indicatorKey: provenance } to check for stale data }
+   * @returns {Promise<object>} { alerts, held: [{ indicator | rule, zone, until }], rules, stale, alertLog }
+   */
+  async check(values, options = {}) {
+    const now = options.now || new Date();
+    const timestamp = now.toISOString();
+    const alertConfig = await this.getConfig();
+    const alerts = [];
+    const held = [];
+
+    const state = await this.getState();
+    const zoneState = {};
+    ALERT_INDICATORS.forEach(key => {
+      const value = values[key];
+      if (value === undefined || value === null) return;
+
+      const { zone, config } = evaluateIndicator(key, value, alertConfig);
+      if (ZONE_RANK[zone] === undefined) return;
+
+      const previous = state[key] || { zone: 'NORMAL', alertedZone: 'NORMAL', alertedAt: null, since: timestamp };
+      const entry = {
+        ...previous,
+        zone,
+        value,
+        since: zone === previous.zone ? previous.since : timestamp,
+        checkedAt: timestamp,
+      };
+      zoneState[key] = entry;
+
+      if (zone === previous.alertedZone) return;
+
+      const cooldownEnds = previous.alertedAt ?
+        new Date(previous.alertedAt).getTime() + this.cooldownFor(key, alertConfig) : 0;
+      const escalation = ZONE_RANK[zone] > ZONE_RANK[previous.alertedZone];
+
+      if (now.getTime() < cooldownEnds && !escalation) {
+        held.push({ indicator: key, zone, alertedZone: previous.alertedZone, until: new Date(cooldownEnds).toISOString() });
+        return;
+      }
+
+      alerts.push(this.buildAlert(key, config, previous.alertedZone, zone, value, timestamp));
+      entry.alertedZone = zone;
+      entry.alertedAt = timestamp;
+    });
+
+    const ruleCheck = await this.checkRules(values, alertConfig, now);
+    alerts.push(...ruleCheck.alerts);
+    held.push(...ruleCheck.held);
+
+    const staleCheck = options.provenance ?
+      await this.checkStaleness(options.provenance, now) :
+      { alerts: [], stale: [], refreshed: [], state: {} };
+    alerts.push(...staleCheck.alerts);
+
+    // Acknowledged and snoozed alerts hold back notification of later ones from the same source
+    const existingLog = await this.getAlertLog();
+    alerts.forEach(alert => {
+      const suppressing = findSuppressingAlert(alert, existingLog, now);
+      if (suppressing) alert.suppressedBy = { id: suppressing.id, status: alertStatus(suppressing, now) };
+    });
+    const notifiable = alerts.filter(alert => !alert.suppressedBy);
+
+    if (notifiable.length > 0 && options.notify !== false && alertConfig.enabled) {
+      await this.notify(notifiable, alertConfig);
+    }
+
+    // A recovery or a cleared rule resolves the alerts it raised
+    const resolve = {
+      ...Object.fromEntries(alerts.filter(a => a.type === 'RECOVERED').map(a => [a.indicator, 'Recovered to NORMAL'])),
+      ...Object.fromEntries(ruleCheck.cleared.map(id => [`rule:${id}`, 'Rule condition cleared'])),
+      ...Object.fromEntries(staleCheck.refreshed.map(key => [`stale:${key}`, 'Data updated'])),
+    };
+    const alertLog = alerts.length > 0 || Object.keys(resolve).length > 0 ?
+      await this.appendAlerts(alerts, { resolve, now }) :
+      existingLog;
+
+    await Promise.all([
+      this.saveState(ALERT_STATE_KEY, zoneState),
+      this.saveState(RULE_STATE_KEY, ruleCheck.state),
+      this.saveState(STALE_STATE_KEY, staleCheck.state),
+    ]);
+
+    return { alerts, held, rules: ruleCheck.results, stale: staleCheck.stale, alertLog };
+  }
+
+  /**
+   * Merge updated entries into a state key
+   * @param {string} key - ALERT_STATE_KEY, RULE_STATE_KEY or STALE_STATE_KEY
+   * @param {object} changes - Entries by indicator or rule id
+   */
+  async saveState(key, changes) {
+    if (Object.keys(changes).length === 0) return;
+    await storage.update(key, state => ({ ...state, ...changes }), {});
+  }
+
+  /**
+   * Check the dashboard's current core and secondary values, and each
+   * series' latest date for stale data
+   * @param {object} options - Options for check()
+   * @returns {Promise<object>} Result of check()
+   */
+  async checkDashboard(options = {}) {
+    const { indicators, secondary } = await indicatorService.getFullAssessment();
+    const entries = Object.entries({ ...indicators, ...secondary });
+
+    const values = Object.fromEntries(entries
+      .filter(([key, indicator]) => ALERT_INDICATORS.includes(key) && typeof indicator?.value === 'number')
+      .map(([key, indicator]) => [key, indicator.value]));
+    const provenance = Object.fromEntries(entries
+      .filter(([, indicator]) => indicator?.provenance)
+      .map(([key, indicator]) => [key, indicator.provenance]));
+
+    return this.check(values, { ...options, provenance });
+  }
+
+  /**
+   * Raise a DATA_STALE alert when a series' latest date falls behind the
+   * release cadence of its data type (staleness.byDataType[dataType].maxAsOfAgeDays
+   * in config/refreshSchedule.json), once per stale episode
+   * @param {object} provenance - { indicatorKey: provenance } with asOf and dataType
+   * @param {Date} now - Check time
+   * @returns {Promise<object>} { alerts, stale: [{ indicator, asOf, ageDays, limitDays }],
+   *   refreshed: indicators no longer stale, state: updated entries for check() to save }
+   */
+  async checkStaleness(provenance, now) {
+    const timestamp = now.toISOString();
+    const alerts = [];
+    const stale = [];
+    const refreshed = [];
+
+    const previousState = await this.getStaleState();
+    const state = {};
+    Object.entries(provenance).forEach(([key, record]) => {
+      if (!record?.asOf) return;
+
+      const staleness = assessStaleness(record, now);
+      const limitDays = refreshSchedule.staleness.byDataType[record.dataType]?.maxAsOfAgeDays ?? null;
+      const previous = previousState[key] || { stale: false, alertedAt: null };
+
+      if (previous.stale && !staleness.stale) refreshed.push(key);
+      state[key] = {
+        stale: staleness.stale,
+        asOf: record.asOf,
+        dataType: record.dataType,
+        since: staleness.stale === previous.stale ? previous.since || timestamp : timestamp,
+        checkedAt: timestamp,
+        alertedAt: staleness.stale ? previous.alertedAt : null,
+      };
+      if (!staleness.stale) return;
+
+      stale.push({ indicator: key, asOf: record.asOf, ageDays: staleness.asOfAgeDays, limitDays });
+      if (previous.stale && previous.alertedAt) return;
+
+      alerts.push(this.buildStaleAlert(key, record, staleness.asOfAgeDays, limitDays, timestamp));
+      state[key].alertedAt = timestamp;
+    });
+
+    return { alerts, stale, refreshed, state };
+  }
+
+  /**
+   * Build a stale data alert
+   * @returns {object} Alert with type DATA_STALE
+   */
+  buildStaleAlert(key, record, ageDays, limitDays, timestamp) {
+    const name = indicatorName(key);
+    const asOf = String(record.asOf).slice(0, 10);
+
+    return {
+      id: `stale-${key}-${Date.parse(timestamp)}`,
+      type: 'DATA_STALE',
+      indicator: key,
+      indicatorName: name,
+      zone: 'WARNING',
+      asOf,
+      dataType: record.dataType,
+      ageDays,
+      limitDays,
+      provider: record.provider || null,
+      timestamp,
+      status: 'open',
+      message: `${name} data is stale: latest observation ${asOf} is ${ageDays} days old (expected within ${limitDays} days for ${record.dataType})`,
+    };
+  }
+
+  /**
+   * Load the series for rule inputs, newest first
+   * A value passed in for an input replaces its latest observation when
+   * dated the same day, and is added in front otherwise. Inputs whose
+   * history fails to load get just the passed-in value, if any.
+   * @param {string[]} inputs - Input names
+   * @param {object} values - Current values ({ input: value })
+   * @param {Date} now - Check time
+   * @returns {Promise<object>} { series: { input: [{ date, value }] }, errors: { input: message } }
+   */
+  async loadRuleSeries(inputs, values, now) {
+    const today = now.toISOString().slice(0, 10);
+    const series = {};
+    const errors = {};
+
+    await Promise.all(inputs.map(async (input) => {
+      let points = [];
+      try {
+        points = await RULE_INPUTS[input].history();
+      } catch (error) {
+        errors[input] = error.message;
+      }
+
+      const current = values[input];
+      if (typeof current === 'number' && Number.isFinite(current)) {
+        points = [{ date: today, value: current }, ...points.filter(p => p.date < today)];
+      }
+      series[input] = points;
+    }));
+
+    return { series, errors };
+  }
+
+  /**
+   * Evaluate the enabled alert rules
+   * A rule alerts when its condition becomes met, once per episode: it can
+   * alert again after the condition has cleared and is met again. An
+   * episode starting within the rule's cooldown is alerted when the
+   * cooldown ends, if the condition still holds.
+   * @param {object} values - Current values ({ input: value })
+   * @param {object} alertConfig - Alert configuration
+   * @param {Date} now - Check time
+   * @returns {Promise<object>} { alerts, held, results: [{ id, met, missing, conditions }],
+   *   cleared: rule ids no longer met, state: updated entries for check() to save }
+   */
+  async checkRules(values, alertConfig, now) {
+    const rules = (alertConfig.rules || []).filter(rule => rule.enabled !== false);
+    if (rules.length === 0) {
+      return { alerts: [], held: [], results: [], cleared: [], state: {} };
+    }
+
+    const timestamp = now.toISOString();
+    const inputs = [...new Set(rules.flatMap(rule => getRuleInputs(rule.condition)))];
+    const { series, errors } = await this.loadRuleSeries(inputs, values, now);
+    const alerts = [];
+    const held = [];
+    const results = [];
+    const cleared = [];
+
+    const previousState = await this.getRuleState();
+    const state = {};
+    rules.forEach(rule => {
+      const result = evaluateRuleCondition(rule.condition, series);
+      const previous = previousState[rule.id] || { met: false, alerted: false, alertedAt: null };
+      const ruleErrors = getRuleInputs(rule.condition).filter(input => errors[input]);
+      results.push({
+        id: rule.id,
+        met: result.met,
+        missing: result.missing,
+        ...(ruleErrors.length > 0 ? { errors: Object.fromEntries(ruleErrors.map(input => [input, errors[input]])) } : {}),
+        detail: describeCondition(rule.condition, result),
+      });
+
+      // A rule whose inputs are unavailable keeps its state
+      if (result.missing && !result.met) return;
+      if (previous.met && !result.met) cleared.push(rule.id);
+
+      state[rule.id] = {
+        ...previous,
+        met: result.met,
+        since: result.met === previous.met ? previous.since : timestamp,
+        checkedAt: timestamp,
+        alerted: result.met && previous.met && previous.alerted,
+      };
+      if (!result.met || state[rule.id].alerted) return;
+
+      const minutes = rule.cooldownMinutes ?? alertConfig.cooldownMinutes;
+      const cooldownEnds = previous.alertedAt ? new Date(previous.alertedAt).getTime() + minutes * 60 * 1000 : 0;
+      if (now.getTime() < cooldownEnds) {
+        held.push({ rule: rule.id, zone: rule.zone, until: new Date(cooldownEnds).toISOString() });
+        return;
+      }
+
+      alerts.push(this.buildRuleAlert(rule, result, timestamp));
+      state[rule.id].alerted = true;
+      state[rule.id].alertedAt = timestamp;
+    });
+
+    return { alerts, held, results, cleared, state };
+  }
+
+  /**
+   * Build an alert for a rule whose condition became met
+   * @returns {object} Alert with type RULE
+   */
+  buildRuleAlert(rule, result, timestamp) {
+    const inputs = getRuleInputs(rule.condition);
+
+    return {
+      id: `rule-${rule.id}-${Date.parse(timestamp)}`,
+      type: 'RULE',
+      rule: rule.id,
+      indicator: inputs.length === 1 ? inputs[0] : inputs.join('+'),
+      indicatorName: rule.name,
+      zone: rule.zone,
+      value: result.value,
+      timestamp,
+      status: 'open',
+      message: `${rule.name}: ${describeCondition(rule.condition, result)}`,
+    };
+  }
+
+  /**
+   * Build a zone-transition alert
+   * A recovery needs no follow-up, so it is logged already resolved by the system.
+   * @returns {object} Alert with type ZONE_TRANSITION or RECOVERED
+   */
+  buildAlert(key, config, previousZone, newZone, value, timestamp) {
+    const name = config.name || key;
+    const direction = ZONE_RANK[newZone] > ZONE_RANK[previousZone] ? 'worsening' : 'improving';
+    const recovered = newZone === 'NORMAL';
+
+    const alert = {
+      id: `${key}-${previousZone.toLowerCase()}-${newZone.toLowerCase()}-${Date.parse(timestamp)}`,
+      type: recovered ? 'RECOVERED' : 'ZONE_TRANSITION',
+      indicator: key,
+      indicatorName: name,
+      zone: newZone,
+      previousZone,
+      newZone,
+      direction,
+      value,
+      timestamp,
+      status: 'open',
+      message: recovered ?
+        `${name} recovered to NORMAL from ${previousZone}: ${formatValue(value, config)}` :
+        `${name} ${direction === 'worsening' ? 'worsened' : 'improved'} from ${previousZone} to ${newZone}: ${formatValue(value, config)}`,
+    };
+    return recovered ? applyAction(alert, 'resolve', { note: 'Recovery notice, nothing to follow up' }, new Date(timestamp)) : alert;
+  }
+
+  /**
+   * Build a test alert (not added to the log)
+   * @returns {object}
+   */
+  buildTestAlert() {
+    return {
+      id: `test-${Date.now()}`,
+      type: 'TEST',
+      indicator: 'test',
+      message: 'This is a test alert notification',
+      timestamp: new Date().toISOString(),
+      zone: 'WARNING',
+    };
+  }
+
+  /**
+   * Send alerts through every enabled channel and record the outcome on
+   * each alert under delivery.webhooks (per destination) / delivery.email
+   * @param {Array<object>} alerts - Alerts (updated in place)
+   * @param {object} alertConfig - Alert configuration
+   * @param {object} options - { channels: limit to these channels, to: email recipients override, destination: webhook id, test }
+   * @returns {Promise<Array<object>>} The alerts
+   */
+  async notify(alerts, alertConfig, options = {}) {
+    const wants = channel => !options.channels || options.channels.includes(channel);
+    const [webhooks, email] = await Promise.all([
+      wants('webhook') ? webhookService.send(alerts, alertConfig, { destination: options.destination, test: options.test }) : null,
+      wants('email') && (alertConfig.emailEnabled || options.test) ?
+        emailService.send(alerts, { recipients: alertConfig.emailRecipients, to: options.to, test: options.test }) : null,
+    ]);
+
+    alerts.forEach(alert => {
+      const sent = webhooks?.[alert.id] || {};
+      alert.delivery = {
+        ...alert.delivery,
+        ...(Object.keys(sent).length > 0 ? { webhooks: { ...alert.delivery?.webhooks, ...sent } } : {}),
+        ...(email ? { email: email[alert.id] } : {}),
+      };
+    });
+    return alerts;
+  }
+
+  /**
+   * Retry queued webhook deliveries that are due and record the outcomes
+   * on the alerts in the log
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>} [{ destination, alertIds, record }]
+   */
+  async retryWebhooks(now = new Date()) {
+    const outcomes = await webhookService.processQueue(await this.getConfig(), now);
+    if (outcomes.length === 0) return outcomes;
+
+    await storage.update(ALERT_LOG_KEY, (alertLog) => {
+      outcomes.forEach(({ destination, alertIds, record }) => {
+        alertLog.filter(alert => alertIds.includes(alert.id)).forEach(alert => {
+          alert.delivery = {
+            ...alert.delivery,
+            webhooks: { ...alert.delivery?.webhooks, [destination]: record },
+          };
+        });
+      });
+      return alertLog;
+    }, []);
+    return outcomes;
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const storage = require('../utils/storage');
+
+// Entries are appended to one storage key per month (audit:log:YYYY-MM)
+const AUDIT_KEY_PREFIX = 'audit:log:';
+
+const SYSTEM_ACTOR = { id: 'system', role: null, method: 'internal' };
+
+/**
+ * Audited operations: the least role allowed to revert one (the role needed
+ * to make the change) and how to refresh in-memory state and caches after
+ * its storage key has been restored. Services are required lazily because
+ * they depend on this service to record their changes.
+ */
+const OPERATIONS = {
+  'basis.manualEntry': {
+    role: 'editor',
+    refresh: (entry) => require('./basisSwapService').clearBasisCaches(entry.input.pair),
+  },
+  'basis.clearOverride': {
+    role: 'editor',
+    refresh: (entry) => require('./basisSwapService').clearBasisCaches(entry.input.pair),
+  },
+  'basis.manualJGB': {
+    role: 'editor',
+    refresh: () => require('./jgbService').clearCaches(),
+  },
+  'tic.manualEntry': {
+    role: 'editor',
+    refresh: () => require('./ticService').clearManualCaches(),
+  },
+  'gold.centralBankEntry': {
+    role: 'editor',
+    refresh: () => require('./goldService').clearCentralBankCaches(),
+  },
+  'treasury.whenIssued': {
+    role: 'editor',
+    refresh: () => require('./treasuryService').clearWhenIssuedCaches(),
+  },
+  'treasury.manualCDS': {
+    role: 'editor',
+    // Read straight from storage, nothing cached
+    refresh: () => {},
+  },
+  'cip.policyRates': {
+    role: 'editor',
+    refresh: () => require('./cipBasisService').reloadSettings(),
+  },
+  'cip.calibration': {
+    role: 'admin',
+    refresh: () => require('./cipBasisService').reloadSettings(),
+  },
+};
+
+/**
+ * Error with a code the API maps to a status (NOT_FOUND, CONFLICT)
+ */
+function auditError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Audit Service
+ * Append-only log of manual data and calibration changes: who made each
+ * change, when, why, and the stored value before and after. Any change can
+ * be reverted, which restores the earlier value and is itself logged.
+ */
+class AuditService {
+  /**
+   * Run a mutation of one storage key and log it
+   * The key is read before and after, so the entry records exactly what was
+   * stored. Mutations that leave the stored value unchanged are not logged.
+   * @param {object} change - { operation, key, input, actor, reason }
+   * @param {Function} mutate - async () => result, writes the key
+   * @returns {Promise<any>} The mutation's result
+   */
+  async recordChange({ operation, key, input = null, actor, reason }, mutate) {
+    if (!OPERATIONS[operation]) {
+      throw new Error(`Unknown audit operation: ${operation}`);
+    }
+
+    const before = await storage.get(key);
+    const result = await mutate();
+    const after = await storage.get(key);
+
+    if (!sameValue(before, after)) {
+      await this.append({ operation, key, input, actor, reason, before, after });
+    }
+
+    return result;
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {object} fields - { operation, key, input, actor, reason, before, after, revertOf }
+   * @returns {Promise<object>} Stored entry
+   */
+  async append(fields) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: `${timestamp}-${crypto.randomBytes(3).toString('hex')}`,
+      timestamp,
+      operation: fields.operation,
+      key: fields.key,
+      actor: fields.actor ? { id: fields.actor.id, role: fields.actor.role ?? null, method: fields.actor.method ?? null } : SYSTEM_ACTOR,
+      reason: fields.reason || null,
+      input: fields.input ?? null,
+      before: fields.before ?? null,
+      after: fields.after ?? null,
+      revertOf: fields.revertOf || null,
+    };
+
+    await storage.update(`${AUDIT_KEY_PREFIX}${timestamp.slice(0, 7)}`, (entries) => [...entries, entry], []);
+    return entry;
+  }
+
+  /**
+   * Query the log, newest first
+   * Each entry carries revertedBy (the id of the entry that reverted it, or null).
+   * @param {object} filters - { operation, actor, key, since, until, limit }
+   * @returns {Promise<Array<object>>}
+   */
+  async getEntries(filters = {}) {
+    const { operation, actor, key, since, until, limit = 100 } = filters;
+
+    const months = (await storage.keys(AUDIT_KEY_PREFIX))
+      .filter(k => !since || k.slice(AUDIT_KEY_PREFIX.length) >= since.slice(0, 7))
+      .filter(k => !until || k.slice(AUDIT_KEY_PREFIX.length) <= until.slice(0, 7));
+    const entries = (await Promise.all(months.map(k => storage.get(k, [])))).flat();
+
+    const revertedBy = {};
+    entries.forEach(e => {
+      if (e.revertOf) revertedBy[e.revertOf] = e.id;
+    });
+
+    return entries
+      .filter(e => !operation || e.operation === operation)
+      .filter(e => !actor || e.actor?.id === actor)
+      .filter(e => !key || e.key === key)
+      .filter(e => !since || e.timestamp >= since)
+      .filter(e => !until || e.timestamp.slice(0, until.length) <= until)
+      .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))
+      .slice(0, limit)
+      .map(e => ({ ...e, revertedBy: revertedBy[e.id] || null }));
+  }
+
+  /**
+   * Get one entry by id
+   * @param {string} id - Entry id
+   * @returns {Promise<object|null>} Entry with revertedBy
+   */
+  async getEntry(id) {
+    const entries = await storage.get(`${AUDIT_KEY_PREFIX}${String(id).slice(0, 7)}`, []);
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    const later = await this.getEntries({ since: entry.timestamp, limit: Infinity });
+    const revert = later.find(e => e.revertOf === id);
+    return { ...entry, revertedBy: revert?.id || null };
+  }
+
+  /**
+   * Least role allowed to revert an entry's operation
+   * @param {string} operation - Operation name
+   * @returns {string}
+   */
+  getRequiredRole(operation) {
+    return OPERATIONS[operation]?.role || 'admin';
+  }
+
+  /**
+   * Revert a change by restoring the value stored before it
+   * Refused with CONFLICT if the entry was already reverted or the key has
+   * changed since, unless force is set.
+   * @param {string} id - Entry id
+   * @param {object} options - { actor, reason, force }
+   * @returns {Promise<object>} The revert entry
+   */
+  async revert(id, options = {}) {
+    const entry = await this.getEntry(id);
+    if (!entry) {
+      throw auditError(`Audit entry not found: ${id}`, 'NOT_FOUND');
+    }
+    if (entry.revertedBy) {
+      throw auditError(`Change ${id} was already reverted by ${entry.revertedBy}`, 'CONFLICT');
+    }
+
+    const current = await storage.get(entry.key);
+    if (!options.force && !sameValue(current, entry.after)) {
+      throw auditError(`${entry.key} has changed since ${id}; revert later changes first or use force`, 'CONFLICT');
+    }
+
+    if (entry.before === null) {
+      await storage.del(entry.key);
+    } else {
+      await storage.set(entry.key, entry.before);
+    }
+    await OPERATIONS[entry.operation].refresh(entry);
+
+    return this.append({
+      operation: entry.operation,
+      key: entry.key,
+      input: entry.input,
+      actor: options.actor,
+      reason: options.reason,
+      before: current,
+      after: entry.before,
+      revertOf: id,
+    });
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,583 @@
+const fredService = require('./fredService');
+const treasuryService = require('./treasuryService');
+const goldService = require('./goldService');
+const storage = require('../utils/storage');
+const {
+  calculateAverageAuctionTail,
+  calculateGoldTreasuryRatio,
+  calculateRatioRateOfChange,
+  calculateRollingCorrelation,
+  evaluateThreshold,
+  evaluateSecondaryThreshold,
+  assessCurrentStage,
+} = require('../utils/calculations');
+const { getMaxDuration } = require('../utils/stageRules');
+const { calculateBaselineChange, aggregateLatest } = require('../utils/baselines');
+const thresholds = require('../../config/thresholds.json');
+const crisisConfig = require('../../config/crisisPeriods.json');
+const stageInputConfig = require('../../config/stageInputs.json');
+const dataSources = require('../../config/dataSources.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a value may be carried forward before it is treated as missing
+const MAX_AGE_DAYS = {
+  daily: 10,
+  weekly: 14,
+  monthly: 75,
+};
+
+/**
+ * Carry-forward limit for a FRED series, from its frequency in dataSources.json
+ */
+function maxAgeFor(seriesId) {
+  const frequency = dataSources.fred.series[seriesId]?.frequency;
+  return MAX_AGE_DAYS[frequency] ?? MAX_AGE_DAYS.daily;
+}
+
+// MTS for a month is published around the 8th business day of the next month;
+// rows are only visible to the replay once this many days past record_date
+const MTS_PUBLICATION_LAG_DAYS = 15;
+
+// Indicators scored individually: stage input key -> thresholds.json entry
+const SCORED_INDICATORS = {
+  hedgingSpread: 'japaneseHedgingSpread',
+  basisSwap: 'crossCurrencyBasis',
+  auctionTail: 'auctionTail',
+  goldTreasuryRoC: 'goldTreasuryRoC',
+  interestRatio: 'interestExpenseRatio',
+  vix: 'secondaryIndicators.vix',
+  hySpread: 'secondaryIndicators.hySpread',
+  dollarEquityCorrelation: 'secondaryIndicators.dollarEquityCorrelation',
+};
+
+/**
+ * Build zone evaluators for the scored indicators from a thresholds config
+ */
+function buildIndicatorEvaluators(config) {
+  return Object.fromEntries(Object.entries(SCORED_INDICATORS).map(([key, configKey]) => {
+    if (configKey.startsWith('secondaryIndicators.')) {
+      const secondary = config.secondaryIndicators[configKey.split('.')[1]];
+      return [key, { name: secondary.name, evaluate: v => evaluateSecondaryThreshold(v, secondary) }];
+    }
+    const core = config[configKey];
+    return [key, { name: core.name, evaluate: v => evaluateThreshold(v, core) }];
+  }));
+}
+
+function toDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  return formatDate(new Date(toDate(dateStr).getTime() + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / DAY_MS);
+}
+
+/**
+ * Sort observations oldest first and drop missing values
+ */
+function toAscending(data, valueKey = 'value') {
+  return (data || [])
+    .filter(d => d.date && d[valueKey] !== null && d[valueKey] !== undefined && !Number.isNaN(d[valueKey]))
+    .map(d => ({ date: d.date, value: d[valueKey] }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Index of the latest observation at or before date (binary search on an ascending series)
+ */
+function indexAsOf(series, date) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].date <= date) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Latest observation at or before date, or null if none or older than maxAgeDays
+ */
+function pointAsOf(series, date, maxAgeDays) {
+  if (!series || series.length === 0) return null;
+
+  const found = indexAsOf(series, date);
+  if (found === -1) return null;
+  const point = series[found];
+  if (maxAgeDays !== undefined && daysBetween(point.date, date) > maxAgeDays) return null;
+  return point;
+}
+
+function valueAsOf(series, date, maxAgeDays) {
+  return pointAsOf(series, date, maxAgeDays)?.value ?? null;
+}
+
+/**
+ * Backtest Service
+ * Replays the stage assessment day by day over historical data and scores
+ * it against the crisis catalogue in config/crisisPeriods.json.
+ */
+class BacktestService {
+  /**
+   * Get the crisis catalogue
+   * @returns {Array}
+   */
+  getCrisisPeriods() {
+    return crisisConfig.periods;
+  }
+
+  /**
+   * Load every historical series the replay needs
+   * Sources that fail are left empty and reported in `errors`, so a backtest
+   * still runs on whatever history is reachable.
+   * @param {string} startDate - First replay date (YYYY-MM-DD)
+   * @returns {Promise<object>}
+   */
+  async loadHistory(startDate) {
+    // Reach back far enough that every lookback baseline exists on the first replay day
+    const lookbackMonths = Object.values(stageInputConfig.inputs)
+      .reduce((max, config) => Math.max(max, config.baseline?.months || 0), 12);
+    const fetchStart = addDays(startDate, -(lookbackMonths * 31 + 35));
+
+    const correlationConfig = thresholds.secondaryIndicators.dollarEquityCorrelation;
+    const seriesIds = new Set([
+      'VIXCLS',
+      'BAMLH0A0HYM2',
+      'GOLDPMGBD228NLBM',
+      correlationConfig.dollarSeries,
+      correlationConfig.equitySeries,
+    ]);
+    Object.values(stageInputConfig.inputs).forEach(config => {
+      if (config.series) [].concat(config.series).forEach(id => seriesIds.add(id));
+    });
+
+    const sources = {
+      tlt: () => goldService.getHistoricalTLTPrice(),
+      auctions: () => treasuryService.getLongDatedAuctionHistory(fetchStart),
+      mts: () => treasuryService.getMonthlyStatementHistory(fetchStart),
+      whenIssued: () => storage.get('treasury:whenIssued', {}),
+    };
+    seriesIds.forEach(id => {
+      sources[id] = () => fredService.getHistoricalData(id, fetchStart);
+    });
+
+    const names = Object.keys(sources);
+    const results = await Promise.allSettled(names.map(name => sources[name]()));
+
+    const raw = {};
+    const errors = {};
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        raw[names[i]] = result.value;
+      } else {
+        errors[names[i]] = result.reason?.message || String(result.reason);
+      }
+    });
+
+    const whenIssued = raw.whenIssued || {};
+    const auctions = (raw.auctions || [])
+      .filter(a => a.cusip && whenIssued[a.cusip] && a.highYield !== null && a.highYield !== undefined)
+      .map(a => ({
+        date: a.auctionDate,
+        highYield: a.highYield,
+        whenIssuedYield: whenIssued[a.cusip].whenIssuedYield,
+      }))
+      .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+    const withPublicationLag = rows => toAscending(rows, 'monthly').map(d => ({
+      ...d,
+      date: addDays(d.date, MTS_PUBLICATION_LAG_DAYS),
+    }));
+
+    // Shift lagged releases (e.g. CPI) so a value only appears once it was published
+    const publicationLag = {};
+    Object.values(stageInputConfig.inputs).forEach(config => {
+      if (!config.series || !config.publicationLagDays) return;
+      [].concat(config.series).forEach(id => {
+        publicationLag[id] = Math.max(publicationLag[id] || 0, config.publicationLagDays);
+      });
+    });
+
+    const series = {};
+    seriesIds.forEach(id => {
+      const lag = publicationLag[id] || 0;
+      series[id] = toAscending(raw[id]).map(d => (lag ? { ...d, date: addDays(d.date, lag) } : d));
+    });
+
+    // Computed once here: each day's value only uses returns up to that day
+    const dollarEquityCorrelation = calculateRollingCorrelation(
+      series[correlationConfig.dollarSeries],
+      series[correlationConfig.equitySeries],
+      correlationConfig.window
+    ).reverse();
+
+    return {
+      series,
+      dollarEquityCorrelation,
+      tlt: toAscending(raw.tlt),
+      auctions,
+      interestExpense: withPublicationLag(raw.mts?.interestExpense),
+      receipts: withPublicationLag(raw.mts?.receipts),
+      errors,
+    };
+  }
+
+  /**
+   * Build the stage assessment inputs as they would have looked on a date
+   * Units match the stageAssessment rules in thresholds.json (fractions, USD).
+   * Change inputs follow config/stageInputs.json; 'crisisStart' baselines use
+   * their lookback months since no live crisis anchor applies historically.
+   * @param {object} history - Result of loadHistory()
+   * @param {string} date - As-of date (YYYY-MM-DD)
+   * @returns {object}
+   */
+  buildStageInputsAsOf(history, date) {
+    const yearAgo = addDays(date, -365);
+    const daily = MAX_AGE_DAYS.daily;
+    const seriesAsOf = (id, asOf) => valueAsOf(history.series[id], asOf, maxAgeFor(id));
+
+    const stageInputs = {};
+    Object.entries(stageInputConfig.inputs).forEach(([key, config]) => {
+      if (!config.series) {
+        stageInputs[key] = null;
+        return;
+      }
+
+      const ids = [].concat(config.series);
+      const maxAge = Math.max(...ids.map(maxAgeFor));
+      const lookup = (series, asOf) => pointAsOf(series, asOf, maxAge);
+
+      if (config.aggregate) {
+        stageInputs[key] = aggregateLatest(ids.map(id => history.series[id]), config, { asOfDate: date, lookup });
+      } else {
+        stageInputs[key] = calculateBaselineChange(history.series[ids[0]], config, { asOfDate: date, lookup })?.value ?? null;
+      }
+    });
+
+    const hyValue = seriesAsOf('BAMLH0A0HYM2', date);
+
+    const ratioAsOf = (asOf) => {
+      const gold = seriesAsOf('GOLDPMGBD228NLBM', asOf);
+      const tlt = valueAsOf(history.tlt, asOf, daily);
+      return gold !== null && tlt !== null ? calculateGoldTreasuryRatio(gold, tlt) : null;
+    };
+    const currentRatio = ratioAsOf(date);
+    const yearAgoRatio = ratioAsOf(yearAgo);
+    const goldTreasuryRoC = currentRatio !== null && yearAgoRatio !== null ?
+      calculateRatioRateOfChange(currentRatio, yearAgoRatio) : null;
+
+    return {
+      hedgingSpread: null,
+      basisSwap: null,
+      auctionTail: this.auctionTailAsOf(history.auctions, date),
+      goldTreasuryRoC,
+      interestRatio: this.interestRatioAsOf(history, date),
+      vix: seriesAsOf('VIXCLS', date),
+      hySpread: hyValue !== null ? hyValue * 100 : null,
+      dollarChange: stageInputs.dollarChange ?? null,
+      dollarEquityCorrelation: valueAsOf(history.dollarEquityCorrelation, date, daily),
+      fedBalanceSheetChange: stageInputs.fedBalanceSheetChange ?? null,
+      inflationBreakeven: stageInputs.inflationBreakeven ?? null,
+      goldChange: stageInputs.goldChange ?? null,
+      foreignHoldingsChange: stageInputs.foreignHoldingsChange ?? null,
+      cpiAnnualized: stageInputs.cpiAnnualized ?? null,
+    };
+  }
+
+  /**
+   * Average tail of 20Y/30Y auctions in the 3 months to date
+   * Only auctions with recorded when-issued yields contribute.
+   */
+  auctionTailAsOf(auctions, date) {
+    const from = addDays(date, -92);
+    const recent = auctions.filter(a => a.date > from && a.date <= date);
+    if (recent.length === 0) return null;
+    return calculateAverageAuctionTail(recent);
+  }
+
+  /**
+   * TTM interest expense ratio from MTS rows published by date
+   */
+  interestRatioAsOf(history, date) {
+    // Newest-first rows visible on date, as computeInterestExpenseRatio expects
+    const published = rows => {
+      const last = indexAsOf(rows, date);
+      if (last === -1 || daysBetween(rows[last].date, date) > MAX_AGE_DAYS.monthly) return [];
+      return rows.slice(Math.max(0, last - 11), last + 1)
+        .reverse()
+        .map(d => ({ date: d.date, monthly: d.value }));
+    };
+
+    const interest = published(history.interestExpense);
+    const receipts = published(history.receipts);
+    if (interest.length < 12 || receipts.length < 12) return null;
+
+    return treasuryService.computeInterestExpenseRatio(interest, receipts).ratio;
+  }
+
+  /**
+   * Replay the stage assessment on every business day in a range
+   * @param {object} history - Result of loadHistory()
+   * @param {object} options - { startDate, endDate, thresholds }
+   * @returns {Array} Timeline of { date, stage, stageName, confidence, triggers, inputs }
+   */
+  replay(history, options = {}) {
+    const { startDate, endDate = formatDate(new Date()), thresholds: config = thresholds } = options;
+    const days = [];
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const weekday = toDate(date).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+
+      days.push({ date, inputs: this.buildStageInputsAsOf(history, date) });
+    }
+
+    return this.reassess(days, config);
+  }
+
+  /**
+   * Run the stage assessment over a timeline of inputs
+   * Inputs are reused, so alternative configs can be scored without rebuilding them.
+   * Earlier days are passed as history for duration triggers.
+   * @param {Array} timeline - Days of { date, inputs } (e.g. a previous replay())
+   * @param {object} config - Thresholds config
+   * @returns {Array} New timeline
+   */
+  reassess(timeline, config = thresholds) {
+    const depth = getMaxDuration(config.stageAssessment) - 1;
+
+    return timeline.map((day, i) => {
+      const history = depth > 0 ?
+        timeline.slice(Math.max(0, i - depth), i).reverse().map(d => d.inputs) : [];
+      const assessment = assessCurrentStage(day.inputs, config, { history });
+
+      return {
+        date: day.date,
+        stage: assessment.stage,
+        stageName: assessment.stageName,
+        confidence: assessment.confidence,
+        triggers: assessment.triggers,
+        inputs: day.inputs,
+      };
+    });
+  }
+
+  /**
+   * Score a replayed timeline against the crisis catalogue
+   * @param {Array} timeline - Result of replay()
+   * @param {object} options - { crisisPeriods, leadWindowDays, aftermathDays, signalStage, thresholds }
+   * @returns {object} { summary, crises, falsePositives, indicators }
+   */
+  analyze(timeline, options = {}) {
+    const {
+      crisisPeriods = this.getCrisisPeriods(),
+      leadWindowDays = 180,
+      aftermathDays = 90,
+      signalStage = 1,
+      thresholds: config = thresholds,
+    } = options;
+
+    const firstDate = timeline[0]?.date;
+    const lastDate = timeline[timeline.length - 1]?.date;
+
+    const windows = crisisPeriods.map(period => ({
+      period,
+      from: addDays(period.startDate, -leadWindowDays),
+      to: period.endDate,
+      excludeTo: addDays(period.endDate, aftermathDays),
+    }));
+
+    const inWindow = (date) => windows.find(w => date >= w.from && date <= w.to) || null;
+    const isExcluded = (date) => windows.some(w => date >= w.from && date <= w.excludeTo);
+
+    // Lead time and peak stage per crisis
+    const crises = windows.map(({ period, from, to }) => {
+      const days = timeline.filter(d => d.date >= from && d.date <= to);
+      if (days.length === 0 || period.endDate < firstDate || period.startDate > lastDate) {
+        return { name: period.name, startDate: period.startDate, endDate: period.endDate, inRange: false };
+      }
+
+      const firstSignal = days.find(d => d.stage >= signalStage) || null;
+      const during = days.filter(d => d.date >= period.startDate);
+      const maxStage = during.reduce((max, d) => Math.max(max, d.stage), 0);
+
+      return {
+        name: period.name,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        inRange: true,
+        expectedMinStage: period.expectedMinStage,
+        maxStage,
+        passed: maxStage >= period.expectedMinStage,
+        detected: firstSignal !== null,
+        firstSignalDate: firstSignal?.date || null,
+        // Positive = warning before startDate, negative = signal came after onset
+        leadTimeDays: firstSignal ? daysBetween(firstSignal.date, period.startDate) : null,
+        signalDays: days.filter(d => d.stage >= signalStage).length,
+      };
+    });
+
+    // False-positive episodes: consecutive signal days outside every crisis window
+    const falsePositives = [];
+    let episode = null;
+    timeline.forEach(day => {
+      const falseSignal = day.stage >= signalStage && !isExcluded(day.date);
+      if (falseSignal) {
+        if (!episode) {
+          episode = { startDate: day.date, endDate: day.date, days: 0, maxStage: 0, triggers: new Set() };
+        }
+        episode.endDate = day.date;
+        episode.days++;
+        episode.maxStage = Math.max(episode.maxStage, day.stage);
+        (day.triggers || []).forEach(t => episode.triggers.add(t));
+      } else if (episode) {
+        falsePositives.push({ ...episode, triggers: [...episode.triggers] });
+        episode = null;
+      }
+    });
+    if (episode) falsePositives.push({ ...episode, triggers: [...episode.triggers] });
+
+    const indicators = this.scoreIndicators(timeline, windows, {
+      inWindow,
+      isExcluded,
+      evaluators: buildIndicatorEvaluators(config),
+    });
+
+    const evaluated = crises.filter(c => c.inRange);
+    const detected = evaluated.filter(c => c.detected);
+    const leadTimes = detected.map(c => c.leadTimeDays);
+    const quietDays = timeline.filter(d => !isExcluded(d.date)).length;
+    const falsePositiveDays = falsePositives.reduce((sum, e) => sum + e.days, 0);
+
+    const summary = {
+      startDate: firstDate,
+      endDate: lastDate,
+      tradingDays: timeline.length,
+      signalStage,
+      leadWindowDays,
+      crisesEvaluated: evaluated.length,
+      crisesDetected: detected.length,
+      crisesPassed: evaluated.filter(c => c.passed).length,
+      averageLeadTimeDays: leadTimes.length > 0 ?
+        leadTimes.reduce((sum, v) => sum + v, 0) / leadTimes.length : null,
+      falsePositiveEpisodes: falsePositives.length,
+      falsePositiveDays,
+      falsePositiveRate: quietDays > 0 ? falsePositiveDays / quietDays : null,
+    };
+
+    return { summary, crises, falsePositives, indicators };
+  }
+
+  /**
+   * Per-indicator hit rates: an indicator "fires" when it is at WARNING or worse
+   */
+  scoreIndicators(timeline, windows, { inWindow, isExcluded, evaluators }) {
+    const results = {};
+
+    Object.entries(evaluators).forEach(([key, { name, evaluate }]) => {
+      let dataDays = 0;
+      let quietDays = 0;
+      let falseAlarmDays = 0;
+      let crisisDays = 0;
+      let crisisHitDays = 0;
+      const fired = new Map();
+
+      timeline.forEach(day => {
+        const value = day.inputs[key];
+        if (value === null || value === undefined) return;
+        dataDays++;
+
+        const zone = evaluate(value).zone;
+        const firing = zone !== 'NORMAL' && zone !== 'UNKNOWN';
+        const window = inWindow(day.date);
+
+        if (window) {
+          crisisDays++;
+          if (firing) {
+            crisisHitDays++;
+            if (!fired.has(window.period.name)) fired.set(window.period.name, day.date);
+          }
+        } else if (!isExcluded(day.date)) {
+          quietDays++;
+          if (firing) falseAlarmDays++;
+        }
+      });
+
+      const crisesWithData = windows.filter(w =>
+        timeline.some(d => d.date >= w.from && d.date <= w.to &&
+          d.inputs[key] !== null && d.inputs[key] !== undefined)
+      );
+
+      results[key] = {
+        name,
+        coverage: timeline.length > 0 ? dataDays / timeline.length : 0,
+        crisesWithData: crisesWithData.length,
+        crisesFlagged: fired.size,
+        hitRate: crisesWithData.length > 0 ? fired.size / crisesWithData.length : null,
+        crisisDayHitRate: crisisDays > 0 ? crisisHitDays / crisisDays : null,
+        falseAlarmRate: quietDays > 0 ? falseAlarmDays / quietDays : null,
+        leadTimes: Object.fromEntries(crisesWithData.map(w => [
+          w.period.name,
+          fired.has(w.period.name) ? daysBetween(fired.get(w.period.name), w.period.startDate) : null,
+        ])),
+      };
+    });
+
+    return results;
+  }
+
+  /**
+   * Load history, replay and score in one call
+   * @param {object} options - { startDate, endDate, crisisPeriods, leadWindowDays, aftermathDays, signalStage }
+   * @returns {Promise<object>} Full report including the daily timeline
+   */
+  async run(options = {}) {
+    const startDate = options.startDate || '2007-01-01';
+    const endDate = options.endDate || formatDate(new Date());
+
+    const history = await this.loadHistory(startDate);
+    const timeline = this.replay(history, { startDate, endDate });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      ...this.analyze(timeline, options),
+      dataErrors: history.errors,
+      unavailableInputs: Object.keys(timeline[0]?.inputs || {})
+        .filter(key => timeline.every(d => d.inputs[key] === null)),
+      timeline,
+    };
+  }
+
+  /**
+   * Flatten a timeline for CSV export
+   * @param {Array} timeline - Result of replay()
+   * @returns {Array<object>}
+   */
+  flattenTimeline(timeline) {
+    return timeline.map(day => ({
+      date: day.date,
+      stage: day.stage,
+      stageName: day.stageName,
+      confidence: day.confidence,
+      ...day.inputs,
+      triggers: (day.triggers || []).join('; '),
+    }));
+  }
+}
+
+module.exports = new BacktestService();
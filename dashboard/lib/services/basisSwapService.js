@@ -1,8 +1,11 @@
-const axios = require('axios');
 const cache = require('../utils/cache');
+const storage = require('../utils/storage');
 const fredService = require('./fredService');
 const cipBasisService = require('./cipBasisService');
+const jgbService = require('./jgbService');
+const auditService = require('./auditService');
 const { calculateJapaneseHedgingSpread, estimateFxHedgeCost } = require('../utils/calculations');
+const { createProvenance, combineProvenance, markCached } = require('../utils/provenance');
 
 /**
  * Basis Swap and FX Hedging Service
@@ -22,61 +25,12 @@ class BasisSwapService {
 
   /**
    * Get JGB (Japanese Government Bond) 10-year yield
-   * @returns {Promise<Array>}
+   * Served from imported MOF data and manual entries (see jgbService);
+   * each observation carries its provenance.
+   * @returns {Promise<Array>} Newest first, last two years
    */
   async getJGB10YearYield() {
-    const cacheKey = 'basis_jgb_10y';
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    try {
-      // Try to fetch from Yahoo Finance first
-      const response = await axios.get('https://query1.finance.yahoo.com/v8/finance/chart/^TNX', {
-        params: {
-          interval: '1d',
-          range: '2y',
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        },
-      });
-
-      // Note: ^TNX is US 10Y, we need Japan data
-      // This is a placeholder - actual JGB data may require different source
-
-      // Try fetching Japan 10Y bond via symbol (may vary by data provider)
-      const japanResponse = await axios.get('https://query1.finance.yahoo.com/v8/finance/chart/%5EJNTR', {
-        params: {
-          interval: '1d',
-          range: '2y',
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        },
-      }).catch(() => null);
-
-      if (japanResponse?.data?.chart?.result?.[0]) {
-        const result = japanResponse.data.chart.result[0];
-        const timestamps = result.timestamp || [];
-        const closes = result.indicators?.quote?.[0]?.close || [];
-
-        const data = timestamps.map((ts, i) => ({
-          date: new Date(ts * 1000).toISOString().split('T')[0],
-          value: closes[i],
-        })).filter(d => d.value !== null);
-
-        cache.set(cacheKey, data, 'basisSwap');
-        return data;
-      }
-
-      // Return proxy data structure
-      return this.getFallbackJGBData();
-    } catch (error) {
-      console.error('Error fetching JGB yield:', error.message);
-      return this.getFallbackJGBData();
-    }
+    return jgbService.getYieldSeries('10Y', { startDate: fredService.getDateYearsAgo(2) });
   }
 
   /**
@@ -112,7 +66,7 @@ class BasisSwapService {
     const cacheKey = 'basis_japan_hedging_spread';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
@@ -154,7 +108,14 @@ class BasisSwapService {
         currentDate: us10yData[0]?.date,
         us10y,
         jgb10y,
+        jgb10yDate: jgb10yData[0].date,
         fxHedgeCost,
+        // The spread is only as good as its weakest input (the hedge cost is always a proxy)
+        provenance: combineProvenance({
+          us10y: createProvenance({ provider: 'fred', asOf: us10yData[0]?.date }),
+          jgb10y: jgb10yData[0].provenance,
+          fxHedgeCost: hedgingCostData.provenance,
+        }),
         fxHedgeCostComponents: hedgingCostData.components,
         methodology: hedgingCostData.methodology,
         methodologyNote: hedgingCostData.methodologyNote,
@@ -208,8 +169,10 @@ class BasisSwapService {
    */
   calculateHistoricalSpreadsWithCIP(us10yData, jgb10yData, historicalCosts) {
     const jgbByDate = {};
+    const jgbSourceByDate = {};
     jgb10yData.forEach(d => {
       jgbByDate[d.date] = d.value;
+      jgbSourceByDate[d.date] = d.provenance?.source || null;
     });
 
     const hedgeCostByDate = {};
@@ -226,6 +189,7 @@ class BasisSwapService {
           date: d.date,
           us10y: d.value,
           jgb10y: jgbByDate[d.date],
+          jgb10ySource: jgbSourceByDate[d.date],
           fxHedgeCost: hedgeCost,
           spread: calculateJapaneseHedgingSpread(d.value, jgbByDate[d.date], hedgeCost),
         };
@@ -240,11 +204,11 @@ class BasisSwapService {
    */
   async getEURUSDBasisSwap() {
     const cacheKey = 'basis_eurusd_5y';
-    const cached = cache.get(cacheKey);
 
     // Check for manual override first
-    if (cached && cached.manualOverride) {
-      return cached;
+    const manual = await storage.get('basis:manual:eurusd_5y');
+    if (manual && manual.manualOverride) {
+      return this.withManualProvenance(manual);
     }
 
     try {
@@ -261,6 +225,7 @@ class BasisSwapService {
         inputs: proxyData.inputs,
         accuracy: proxyData.accuracy,
         dataNote: 'Calculated via CIP deviation proxy. For actual data, use Bloomberg EUBSC5 Curncy and enter manually.',
+        provenance: proxyData.provenance,
         lastUpdated: proxyData.lastUpdated,
       };
 
@@ -274,6 +239,7 @@ class BasisSwapService {
         term: '5Y',
         historicalData: [],
         dataNote: 'EUR/USD 5Y basis swap - proxy calculation failed',
+        provenance: createProvenance({ source: 'fallback', provider: 'cip-proxy', note: 'Proxy calculation failed' }),
         lastUpdated: new Date().toISOString(),
       };
     }
@@ -286,11 +252,11 @@ class BasisSwapService {
    */
   async getJPYUSDBasisSwap() {
     const cacheKey = 'basis_jpyusd_5y';
-    const cached = cache.get(cacheKey);
 
     // Check for manual override first
-    if (cached && cached.manualOverride) {
-      return cached;
+    const manual = await storage.get('basis:manual:jpyusd_5y');
+    if (manual && manual.manualOverride) {
+      return this.withManualProvenance(manual);
     }
 
     try {
@@ -307,6 +273,7 @@ class BasisSwapService {
         inputs: proxyData.inputs,
         accuracy: proxyData.accuracy,
         dataNote: 'Calculated via CIP deviation proxy with JPY structural premium. For actual data, use Bloomberg JYBSC5 Curncy and enter manually.',
+        provenance: proxyData.provenance,
         lastUpdated: proxyData.lastUpdated,
       };
 
@@ -319,34 +286,60 @@ class BasisSwapService {
         term: '5Y',
         historicalData: [],
         dataNote: 'JPY/USD 5Y basis swap - proxy calculation failed',
+        provenance: createProvenance({ source: 'fallback', provider: 'cip-proxy', note: 'Proxy calculation failed' }),
         lastUpdated: new Date().toISOString(),
       };
     }
   }
 
+  /**
+   * Attach provenance to a stored manual basis swap override
+   * @param {object} manual - Stored override
+   * @returns {object}
+   */
+  withManualProvenance(manual) {
+    return {
+      ...manual,
+      provenance: createProvenance({
+        source: 'manual',
+        provider: 'manual',
+        asOf: manual.currentDate,
+        fetchedAt: manual.lastUpdated,
+      }),
+    };
+  }
+
   /**
    * Set manual basis swap data
    * Manual entries override CIP proxy calculations
    * @param {object} data - Basis swap data
+   * @param {object} audit - { actor, reason } recorded in the audit log
    * @returns {object}
    */
-  async setManualBasisSwapData(data) {
+  async setManualBasisSwapData(data, audit = {}) {
     const { pair, term, value, date, clearOverride } = data;
 
     if (!pair) {
       throw new Error('pair is required');
     }
 
-    const cacheKey = `basis_${pair.toLowerCase()}_${term || '5y'}`;
+    const normalizedTerm = (term || '5Y').toUpperCase();
+    const storageKey = `basis:manual:${pair.toLowerCase()}_${normalizedTerm.toLowerCase()}`;
 
     // Allow clearing manual override to return to proxy data
     if (clearOverride) {
-      cache.del(cacheKey);
+      await auditService.recordChange({
+        operation: 'basis.clearOverride',
+        key: storageKey,
+        input: { pair, term: normalizedTerm },
+        ...audit,
+      }, () => storage.del(storageKey));
+      this.clearBasisCaches(pair);
       return {
         success: true,
         message: `Manual override cleared for ${pair}. Will use CIP proxy data.`,
         pair,
-        term: term || '5Y',
+        term: normalizedTerm,
       };
     }
 
@@ -354,55 +347,127 @@ class BasisSwapService {
       throw new Error('value and date are required (or set clearOverride: true)');
     }
 
-    const existing = cache.get(cacheKey) || {
+    await this.setManualBasisSwapSeries({ pair, term: normalizedTerm, data: [{ date, value }] }, audit);
+
+    return {
+      success: true,
+      pair,
+      term: normalizedTerm,
+      value,
+      date,
+      note: 'Manual override set. CIP proxy will be bypassed until the override is cleared.',
+    };
+  }
+
+  /**
+   * Store several dated quotes for one pair and term as one change
+   * Quotes are merged by date with stored manual quotes; the latest dated
+   * quote becomes the current value.
+   * @param {object} series - { pair, term, data: [{ date, value }] }
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} { success, pair, term, quotesAdded, current, currentDate }
+   */
+  async setManualBasisSwapSeries({ pair, term, data }, audit = {}) {
+    if (!pair || !Array.isArray(data) || data.length === 0) {
+      throw new Error('pair and a non-empty data array of {date, value} are required');
+    }
+
+    const normalizedTerm = (term || '5Y').toUpperCase();
+    const storageKey = `basis:manual:${pair.toLowerCase()}_${normalizedTerm.toLowerCase()}`;
+
+    const existing = await storage.get(storageKey, {
       current: null,
-      term: term || '5Y',
+      term: normalizedTerm,
       historicalData: [],
-    };
+    });
+
+    const dates = new Set(data.map(d => d.date));
+    existing.historicalData = existing.historicalData.filter(d => !dates.has(d.date));
+    data.forEach(({ date, value }) => existing.historicalData.push({ date, value }));
+    existing.historicalData.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    existing.current = value;
-    existing.currentDate = date;
+    // Latest dated entry is the current value, even when backfilling older dates
+    existing.current = existing.historicalData[0].value;
+    existing.currentDate = existing.historicalData[0].date;
     existing.manualOverride = true;  // Flag to indicate manual entry takes precedence
     existing.methodology = 'manual';
     existing.methodologyNote = 'Manually entered value (e.g., from Bloomberg)';
-    existing.historicalData.push({ date, value });
-    existing.historicalData.sort((a, b) => new Date(b.date) - new Date(a.date));
     existing.lastUpdated = new Date().toISOString();
 
-    cache.set(cacheKey, existing, 'basisSwap');
+    await auditService.recordChange({
+      operation: 'basis.manualEntry',
+      key: storageKey,
+      input: data.length === 1 ?
+        { pair, term: normalizedTerm, ...data[0] } :
+        { pair, term: normalizedTerm, data },
+      ...audit,
+    }, () => storage.set(storageKey, existing));
+    this.clearBasisCaches(pair);
 
     return {
       success: true,
       pair,
-      term: term || '5Y',
-      value,
-      date,
-      note: 'Manual override set. CIP proxy will be bypassed until cache expires or override is cleared.',
+      term: normalizedTerm,
+      quotesAdded: data.length,
+      current: existing.current,
+      currentDate: existing.currentDate,
     };
   }
 
   /**
    * Set manual JGB yield data
+   * Entries are merged by date with previously stored manual yields
    * @param {Array} data - Array of {date, value} objects
+   * @param {object} audit - { actor, reason } recorded in the audit log
    * @returns {object}
    */
-  async setManualJGBData(data) {
+  async setManualJGBData(data, audit = {}) {
     if (!Array.isArray(data)) {
       throw new Error('data must be an array of {date, value} objects');
     }
 
-    const cacheKey = 'basis_jgb_10y';
-    const sortedData = [...data].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const storageKey = 'basis:manual:jgb_10y';
+    const existing = await storage.get(storageKey, []);
 
-    cache.set(cacheKey, sortedData, 'basisSwap');
+    const enteredAt = new Date().toISOString();
+    const byDate = {};
+    existing.forEach(d => {
+      byDate[d.date] = d;
+    });
+    data.forEach(d => {
+      byDate[d.date] = { date: d.date, value: d.value, enteredAt };
+    });
+
+    const sortedData = Object.values(byDate).sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    await auditService.recordChange({
+      operation: 'basis.manualJGB',
+      key: storageKey,
+      input: data,
+      ...audit,
+    }, () => storage.set(storageKey, sortedData));
+    jgbService.clearCaches();
 
     return {
       success: true,
       entriesAdded: data.length,
+      totalEntries: sortedData.length,
       mostRecent: sortedData[0],
     };
   }
 
+  /**
+   * Clear caches derived from a basis swap pair
+   * @param {string} pair - Currency pair (e.g., 'eurusd')
+   */
+  clearBasisCaches(pair) {
+    cache.del(`basis_${pair.toLowerCase()}_5y`);
+    cache.del('basis_all_metrics');
+    if (pair.toLowerCase() === 'jpyusd') {
+      cache.del('basis_japan_hedging_spread');
+    }
+  }
+
   /**
    * Get all basis swap metrics for dashboard
    * @returns {Promise<object>}
@@ -436,20 +501,6 @@ class BasisSwapService {
     }
   }
 
-  /**
-   * Fallback JGB data
-   * @returns {Array}
-   */
-  getFallbackJGBData() {
-    return [
-      {
-        date: new Date().toISOString().split('T')[0],
-        value: 0.9, // Approximate current JGB 10Y yield
-        note: 'Proxy value - actual data requires BOJ source or manual entry',
-      },
-    ];
-  }
-
   /**
    * Fallback spread data
    * @returns {object}
@@ -466,7 +517,8 @@ class BasisSwapService {
       methodologyNote: 'Spread calculation requires US 10Y and JGB 10Y data',
       sixMonthChange: null,
       historicalSpreads: [],
-      note: 'Spread calculation requires US 10Y and JGB 10Y data',
+      provenance: createProvenance({ source: 'fallback', note: 'US 10Y or JGB 10Y data unavailable' }),
+      note: 'Spread calculation requires US 10Y and JGB 10Y data. Import MOF JGB yields with npm run import-jgb or POST /api/basis?action=import-jgb.',
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -0,0 +1,564 @@
+const storage = require('../utils/storage');
+const indicatorService = require('./indicatorService');
+const snapshotService = require('./snapshotService');
+const alertService = require('./alertService');
+const { getZoneColor } = require('../utils/calculations');
+const { createDocument } = require('../utils/pdf');
+const thresholds = require('../../config/thresholds.json');
+
+const BRIEFING_PREFIX = 'briefings:';
+
+const CORE_INDICATORS = ['japaneseHedgingSpread', 'crossCurrencyBasis', 'auctionTail', 'goldTreasuryRoC', 'interestExpenseRatio'];
+
+const ZONE_RANK = { UNKNOWN: -1, NORMAL: 0, WARNING: 1, DANGER: 2, CRITICAL: 3 };
+
+const NOTABLE_ALERT_LIMIT = 10;
+
+const CHART_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { vix, hySpread } = thresholds.secondaryIndicators;
+
+/**
+ * Key charts: an indicator history series (see indicatorService.getIndicatorHistory),
+ * the field plotted and reference lines in the series' units
+ */
+const CHARTS = [
+  {
+    indicator: 'japaneseHedgingSpread',
+    title: 'Japanese Hedging Spread',
+    field: 'spread',
+    unit: 'bps',
+    lines: [{ value: 0, label: 'Zero' }],
+  },
+  {
+    indicator: 'goldTreasuryRatio',
+    title: 'Gold/TLT Ratio',
+    field: 'ratio',
+    unit: '',
+    lines: [],
+  },
+  {
+    indicator: 'vix',
+    title: 'VIX',
+    field: 'value',
+    unit: '',
+    lines: [{ value: vix.warning, label: 'Warning' }, { value: vix.danger, label: 'Danger' }],
+  },
+  {
+    indicator: 'hySpread',
+    title: 'High Yield Spread',
+    field: 'value',
+    unit: '%',
+    // Thresholds are in bps, the FRED series in percent
+    lines: [{ value: hySpread.warning / 100, label: 'Warning' }, { value: hySpread.danger / 100, label: 'Danger' }],
+  },
+];
+
+function shiftDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Format an indicator value in its display units
+ */
+function formatValue(value, config = {}) {
+  if (value === null || value === undefined) return 'N/A';
+  if (config.displayMultiplier) return `${(value * config.displayMultiplier).toFixed(1)}%`;
+  if (config.unit === 'bps') return `${value.toFixed(1)} bps`;
+  return `${value.toFixed(2)}${config.unit ? ` ${config.unit}` : ''}`;
+}
+
+/**
+ * Format a week-over-week change in display units (percentage points for ratios)
+ */
+function formatChange(change, config = {}) {
+  if (change === null || change === undefined) return 'N/A';
+  const sign = change > 0 ? '+' : '';
+  if (config.displayMultiplier) return `${sign}${(change * config.displayMultiplier).toFixed(1)} pts`;
+  if (config.unit === 'bps') return `${sign}${change.toFixed(1)} bps`;
+  return `${sign}${change.toFixed(2)}`;
+}
+
+function formatNumber(value) {
+  if (Math.abs(value) >= 1000) return value.toFixed(0);
+  if (Math.abs(value) >= 10) return value.toFixed(1);
+  return value.toFixed(2);
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Scale a chart's points and reference lines into a plot area
+ * @param {object} chart - Briefing chart ({ points, lines })
+ * @param {object} area - { x, y, width, height } with y growing downwards
+ * @returns {object} { points: [[x, y]], lines: [{ y, label }], ticks: [{ y, label }], labels: { start, end } }
+ */
+function layoutChart(chart, area) {
+  const values = [...chart.points.map(p => p.value), ...chart.lines.map(l => l.value)];
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const pad = (max - min) * 0.05;
+  min -= pad;
+  max += pad;
+
+  const times = chart.points.map(p => new Date(p.date).getTime());
+  const start = Math.min(...times);
+  const span = Math.max(Math.max(...times) - start, 1);
+
+  const scaleX = time => area.x + ((time - start) / span) * area.width;
+  const scaleY = value => area.y + area.height - ((value - min) / (max - min)) * area.height;
+
+  return {
+    points: chart.points.map((p, i) => [scaleX(times[i]), scaleY(p.value)]),
+    lines: chart.lines.map(l => ({ y: scaleY(l.value), label: l.label })),
+    ticks: [max - pad, (min + max) / 2, min + pad].map(value => ({ y: scaleY(value), label: formatNumber(value) })),
+    labels: { start: chart.points[0].date, end: chart.points[chart.points.length - 1].date },
+  };
+}
+
+/**
+ * Briefing Service
+ * Builds the weekly team briefing - stage assessment, core indicators with
+ * week-over-week changes, notable alerts and key charts - from the same
+ * services as /api/indicators, stores it, and renders it as a
+ * self-contained HTML page or a PDF.
+ */
+class BriefingService {
+  /**
+   * Build a briefing from current data
+   * Week-ago values come from the indicator snapshot recorded on or before
+   * seven days back, or else the briefing stored then.
+   * @param {object} options - { now: reference time }
+   * @returns {Promise<object>} Briefing
+   */
+  async buildBriefing(options = {}) {
+    const now = options.now || new Date();
+    const date = now.toISOString().slice(0, 10);
+    const weekAgo = shiftDays(date, -7);
+
+    const [state, previous, alertLog, charts] = await Promise.all([
+      indicatorService.getFullAssessment(),
+      this.getPreviousWeek(weekAgo),
+      alertService.getAlertLog(),
+      this.loadCharts(date),
+    ]);
+
+    const indicators = CORE_INDICATORS.map(key => {
+      const indicator = state.indicators[key] || {};
+      const config = indicator.config || thresholds[key] || {};
+      const zone = indicator.threshold?.zone || 'UNKNOWN';
+      const prior = previous?.indicators?.[key] || null;
+      const change = prior && prior.value !== null && indicator.value !== null && indicator.value !== undefined ?
+        indicator.value - prior.value : null;
+
+      return {
+        key,
+        name: config.name || key,
+        value: indicator.value ?? null,
+        display: formatValue(indicator.value, config),
+        zone,
+        color: indicator.threshold?.color || getZoneColor(zone),
+        asOf: indicator.date || indicator.provenance?.asOf || null,
+        source: indicator.provenance?.source || null,
+        degraded: !!indicator.provenance?.degraded,
+        previous: prior ? { value: prior.value, zone: prior.zone, display: formatValue(prior.value, config) } : null,
+        change,
+        changeDisplay: formatChange(change, config),
+        zoneChange: prior && ZONE_RANK[zone] !== ZONE_RANK[prior.zone] && zone !== 'UNKNOWN' && prior.zone !== 'UNKNOWN' ?
+          (ZONE_RANK[zone] > ZONE_RANK[prior.zone] ? 'worse' : 'better') : null,
+      };
+    });
+
+    const alerts = alertLog
+      .filter(a => a.type !== 'TEST' && a.timestamp >= `${weekAgo}T00:00:00`)
+      .sort((a, b) => (ZONE_RANK[b.zone] ?? -1) - (ZONE_RANK[a.zone] ?? -1) || (a.timestamp < b.timestamp ? 1 : -1));
+
+    const { assessment } = state;
+
+    return {
+      date,
+      weekAgo,
+      generatedAt: now.toISOString(),
+      stage: {
+        stage: assessment.stage,
+        stageName: assessment.stageName,
+        confidence: assessment.confidence,
+        triggers: assessment.triggers,
+        previous: previous?.stage ? { stage: previous.stage.stage, stageName: previous.stage.stageName } : null,
+      },
+      indicators,
+      comparedTo: previous ? { date: previous.date, from: previous.from } : null,
+      alerts: {
+        total: alerts.length,
+        notable: alerts.slice(0, NOTABLE_ALERT_LIMIT).map(a => ({
+          timestamp: a.timestamp,
+          indicator: a.indicatorName || a.indicator,
+          zone: a.zone || null,
+          message: a.message,
+        })),
+      },
+      charts,
+      dataQuality: indicators
+        .filter(i => i.degraded)
+        .map(i => `${i.name}: ${i.source || 'unknown source'}${i.asOf ? `, as of ${i.asOf}` : ''}`),
+    };
+  }
+
+  /**
+   * Indicator values and stage from about a week ago
+   * @param {string} weekAgo - Date seven days back (YYYY-MM-DD)
+   * @returns {Promise<object|null>} { date, from, indicators: { key: { value, zone } }, stage }
+   */
+  async getPreviousWeek(weekAgo) {
+    const snapshot = await snapshotService.getSnapshotAsOf(weekAgo);
+    if (snapshot) {
+      return { date: snapshot.date, from: 'snapshot', indicators: snapshot.indicators, stage: snapshot.stage };
+    }
+
+    const [briefing] = await this.listBriefings({ end: weekAgo, limit: 1 });
+    if (briefing) {
+      const stored = await this.getBriefing(briefing);
+      return {
+        date: stored.date,
+        from: 'briefing',
+        indicators: Object.fromEntries(stored.indicators.map(i => [i.key, { value: i.value, zone: i.zone }])),
+        stage: stored.stage,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * History series for the key charts, oldest first, over the last year
+   * A series that fails to load is returned with no points and the error.
+   * @param {string} date - Briefing date (YYYY-MM-DD)
+   * @returns {Promise<Array<object>>} [{ indicator, title, unit, lines, points, latest, error }]
+   */
+  async loadCharts(date) {
+    const since = shiftDays(date, -CHART_DAYS);
+
+    return Promise.all(CHARTS.map(async ({ indicator, title, field, unit, lines }) => {
+      try {
+        const { data } = await indicatorService.getIndicatorHistory(indicator);
+        const points = (Array.isArray(data) ? data : [])
+          .filter(d => d.date >= since && typeof d[field] === 'number' && Number.isFinite(d[field]))
+          .map(d => ({ date: d.date, value: d[field] }))
+          .sort((a, b) => (a.date < b.date ? -1 : 1));
+        return { indicator, title, unit, lines, points, latest: points[points.length - 1] || null };
+      } catch (error) {
+        return { indicator, title, unit, lines, points: [], latest: null, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Build today's briefing and store it
+   * @param {object} options - As for buildBriefing()
+   * @returns {Promise<object>} Briefing
+   */
+  async generate(options = {}) {
+    const briefing = await this.buildBriefing(options);
+    await storage.set(`${BRIEFING_PREFIX}${briefing.date}`, briefing);
+    return briefing;
+  }
+
+  /**
+   * Get a stored briefing
+   * @param {string} date - Briefing date (YYYY-MM-DD); the latest when omitted
+   * @returns {Promise<object|null>}
+   */
+  async getBriefing(date) {
+    const target = date || (await this.listBriefings({ limit: 1 }))[0];
+    return target ? storage.get(`${BRIEFING_PREFIX}${target}`) : null;
+  }
+
+  /**
+   * Dates of stored briefings, newest first
+   * @param {object} options - { end (YYYY-MM-DD), limit }
+   * @returns {Promise<Array<string>>}
+   */
+  async listBriefings(options = {}) {
+    const dates = (await storage.keys(BRIEFING_PREFIX))
+      .map(key => key.slice(BRIEFING_PREFIX.length))
+      .filter(date => !options.end || date <= options.end)
+      .sort((a, b) => b.localeCompare(a));
+    return options.limit ? dates.slice(0, options.limit) : dates;
+  }
+
+  /**
+   * Render a briefing as a self-contained HTML page (inline CSS and SVG)
+   * @param {object} briefing - Result of buildBriefing()
+   * @returns {string}
+   */
+  renderHTML(briefing) {
+    const { stage, indicators, alerts, charts, dataQuality } = briefing;
+
+    const stageChange = stage.previous && stage.previous.stage !== stage.stage ?
+      `<p class="change">Changed from ${escapeHtml(stage.previous.stageName)} a week ago</p>` :
+      stage.previous ? '<p class="change">Unchanged from a week ago</p>' : '';
+
+    const indicatorRows = indicators.map(i => `
+        <tr>
+          <td>${escapeHtml(i.name)}</td>
+          <td class="num">${escapeHtml(i.display)}</td>
+          <td><span class="zone" style="background:${i.color}">${i.zone}</span>${i.zoneChange ? ` <span class="zone-change ${i.zoneChange}">${i.zoneChange === 'worse' ? '&#9650;' : '&#9660;'} from ${escapeHtml(i.previous.zone)}</span>` : ''}</td>
+          <td class="num">${escapeHtml(i.previous ? i.previous.display : 'N/A')}</td>
+          <td class="num">${escapeHtml(i.changeDisplay)}</td>
+          <td>${escapeHtml(i.asOf || 'N/A')}${i.degraded ? ` <span class="degraded">${escapeHtml(i.source)}</span>` : ''}</td>
+        </tr>`).join('');
+
+    const alertItems = alerts.notable.length > 0 ?
+      `<ul class="alerts">${alerts.notable.map(a => `
+        <li><span class="zone" style="background:${getZoneColor(a.zone || 'unknown')}">${escapeHtml(a.zone || 'INFO')}</span>
+          ${escapeHtml(a.timestamp.slice(0, 10))} &middot; ${escapeHtml(a.message)}</li>`).join('')}
+      </ul>${alerts.total > alerts.notable.length ? `<p class="muted">${alerts.total - alerts.notable.length} more alerts this week</p>` : ''}` :
+      '<p class="muted">No alerts this week.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Weekly Briefing ${escapeHtml(briefing.date)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111827; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.125rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  .muted, .meta { color: #6b7280; font-size: 0.875rem; }
+  .stage { border-left: 4px solid #3b82f6; padding: 0.5rem 1rem; background: #f9fafb; }
+  .stage-name { font-size: 1.25rem; font-weight: 600; }
+  .change { margin: 0.25rem 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  th { color: #6b7280; font-weight: 600; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .zone { display: inline-block; color: #fff; border-radius: 4px; padding: 0 0.375rem; font-size: 0.75rem; font-weight: 600; }
+  .zone-change { font-size: 0.75rem; }
+  .zone-change.worse { color: #ef4444; }
+  .zone-change.better { color: #10b981; }
+  .degraded { color: #b45309; font-size: 0.75rem; }
+  .alerts { padding-left: 0; list-style: none; font-size: 0.875rem; }
+  .alerts li { margin-bottom: 0.375rem; }
+  .charts { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
+  .chart h3 { font-size: 0.875rem; margin: 0 0 0.25rem; }
+  svg { width: 100%; height: auto; }
+</style>
+</head>
+<body>
+  <h1>Weekly Briefing</h1>
+  <p class="meta">Week of ${escapeHtml(briefing.weekAgo)} to ${escapeHtml(briefing.date)} &middot; generated ${escapeHtml(briefing.generatedAt)}${briefing.comparedTo ? ` &middot; compared with the ${escapeHtml(briefing.comparedTo.from)} of ${escapeHtml(briefing.comparedTo.date)}` : ' &middot; no data from a week ago to compare'}</p>
+
+  <h2>Stage Assessment</h2>
+  <div class="stage">
+    <div class="stage-name">${escapeHtml(stage.stageName)}</div>
+    <div class="muted">Confidence ${escapeHtml(stage.confidence)}%</div>
+    ${stageChange}
+    ${stage.triggers.length > 0 ? `<ul>${stage.triggers.map(t => `<li>${escapeHtml(t)}</li>`).join('')}</ul>` : '<p class="muted">No triggers met.</p>'}
+  </div>
+
+  <h2>Core Indicators</h2>
+  <table>
+    <thead><tr><th>Indicator</th><th class="num">Value</th><th>Zone</th><th class="num">Week ago</th><th class="num">Change</th><th>As of</th></tr></thead>
+    <tbody>${indicatorRows}
+    </tbody>
+  </table>
+
+  <h2>Notable Alerts</h2>
+  ${alertItems}
+
+  <h2>Key Charts</h2>
+  <div class="charts">
+    ${charts.map(chart => `<div class="chart"><h3>${escapeHtml(chart.title)}${chart.latest ? ` <span class="muted">${escapeHtml(formatNumber(chart.latest.value))}${escapeHtml(chart.unit ? ` ${chart.unit}` : '')}</span>` : ''}</h3>${this.renderChartSVG(chart)}</div>`).join('\n    ')}
+  </div>
+${dataQuality.length > 0 ? `
+  <h2>Data Quality</h2>
+  <ul class="muted">${dataQuality.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>
+` : ''}</body>
+</html>
+`;
+  }
+
+  /**
+   * Render one chart as inline SVG
+   * @param {object} chart - Briefing chart
+   * @returns {string}
+   */
+  renderChartSVG(chart) {
+    const width = 440;
+    const height = 200;
+
+    if (chart.points.length < 2) {
+      return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"><text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-size="12" fill="#6b7280">${escapeHtml(chart.error ? 'Data unavailable' : 'Not enough data')}</text></svg>`;
+    }
+
+    const layout = layoutChart(chart, { x: 44, y: 8, width: width - 52, height: height - 32 });
+    const path = layout.points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" font-family="Helvetica, Arial, sans-serif" font-size="10" fill="#6b7280">
+      ${layout.ticks.map(t => `<line x1="44" x2="${width - 8}" y1="${t.y.toFixed(1)}" y2="${t.y.toFixed(1)}" stroke="#e5e7eb"/><text x="40" y="${(t.y + 3).toFixed(1)}" text-anchor="end">${escapeHtml(t.label)}</text>`).join('')}
+      ${layout.lines.map(l => `<line x1="44" x2="${width - 8}" y1="${l.y.toFixed(1)}" y2="${l.y.toFixed(1)}" stroke="#ef4444" stroke-dasharray="4 3"/><text x="${width - 10}" y="${(l.y - 3).toFixed(1)}" text-anchor="end" fill="#ef4444">${escapeHtml(l.label)}</text>`).join('')}
+      <path d="${path}" fill="none" stroke="#3b82f6" stroke-width="1.5"/>
+      <text x="44" y="${height - 6}">${escapeHtml(layout.labels.start)}</text>
+      <text x="${width - 8}" y="${height - 6}" text-anchor="end">${escapeHtml(layout.labels.end)}</text>
+    </svg>`;
+  }
+
+  /**
+   * Render a briefing as a PDF (US letter)
+   * @param {object} briefing - Result of buildBriefing()
+   * @returns {Buffer}
+   */
+  renderPDF(briefing) {
+    const { stage, indicators, alerts, charts, dataQuality } = briefing;
+    const doc = createDocument({ title: `Weekly Briefing ${briefing.date}` }).addPage();
+    const margin = 48;
+    const right = doc.width - margin;
+    const muted = '#6b7280';
+    let y = margin + 12;
+
+    const heading = (text) => {
+      y += 22;
+      doc.text(margin, y, text, { size: 13, bold: true });
+      doc.line(margin, y + 5, right, y + 5, { color: '#e5e7eb' });
+      y += 20;
+    };
+    const truncate = (text, width, size) => {
+      let result = String(text);
+      while (result.length > 1 && doc.textWidth(result, size) > width) result = result.slice(0, -2) + '…';
+      return result;
+    };
+
+    doc.text(margin, y, 'Weekly Briefing', { size: 20, bold: true });
+    y += 16;
+    doc.text(margin, y, `Week of ${briefing.weekAgo} to ${briefing.date} - generated ${briefing.generatedAt}`, { size: 9, color: muted });
+
+    heading('Stage Assessment');
+    doc.rect(margin, y - 12, 3, 40 + stage.triggers.length * 13, { fill: '#3b82f6' });
+    doc.text(margin + 12, y, stage.stageName, { size: 14, bold: true });
+    y += 15;
+    const stageChange = stage.previous ?
+      (stage.previous.stage !== stage.stage ? ` - changed from ${stage.previous.stageName} a week ago` : ' - unchanged from a week ago') : '';
+    doc.text(margin + 12, y, `Confidence ${stage.confidence}%${stageChange}`, { size: 9, color: muted });
+    y += 4;
+    (stage.triggers.length > 0 ? stage.triggers : ['No triggers met']).forEach(trigger => {
+      y += 13;
+      doc.text(margin + 12, y, `• ${truncate(trigger, right - margin - 24, 10)}`, { size: 10 });
+    });
+
+    heading('Core Indicators');
+    const columns = [
+      { label: 'Indicator', x: margin },
+      { label: 'Value', x: margin + 250, align: 'right' },
+      { label: 'Zone', x: margin + 262 },
+      { label: 'Week ago', x: margin + 395, align: 'right' },
+      { label: 'Change', x: margin + 460, align: 'right' },
+      { label: 'As of', x: margin + 470 },
+    ];
+    columns.forEach(c => doc.text(c.x, y, c.label, { size: 8, bold: true, color: muted, align: c.align }));
+    y += 6;
+    indicators.forEach(i => {
+      y += 16;
+      doc.text(margin, y, truncate(i.name, 190, 9), { size: 9 });
+      doc.text(columns[1].x, y, i.display, { size: 9, align: 'right' });
+      const zoneWidth = doc.textWidth(i.zone, 7, true) + 8;
+      doc.rect(columns[2].x, y - 8, zoneWidth, 11, { fill: i.color });
+      doc.text(columns[2].x + 4, y, i.zone, { size: 7, bold: true, color: '#ffffff' });
+      if (i.zoneChange) {
+        doc.text(columns[2].x + zoneWidth + 4, y, `${i.zoneChange === 'worse' ? '^' : 'v'} ${i.previous.zone}`, {
+          size: 7, color: i.zoneChange === 'worse' ? '#ef4444' : '#10b981',
+        });
+      }
+      doc.text(columns[3].x, y, i.previous ? i.previous.display : 'N/A', { size: 9, align: 'right' });
+      doc.text(columns[4].x, y, i.changeDisplay, { size: 9, align: 'right' });
+      doc.text(columns[5].x, y, i.asOf || 'N/A', { size: 8, color: i.degraded ? '#b45309' : '#111827' });
+      doc.line(margin, y + 5, right, y + 5, { color: '#f3f4f6', width: 0.5 });
+    });
+    if (!briefing.comparedTo) {
+      y += 14;
+      doc.text(margin, y, 'No snapshot or briefing from a week ago to compare.', { size: 8, color: muted });
+    }
+
+    heading('Notable Alerts');
+    if (alerts.notable.length === 0) {
+      doc.text(margin, y, 'No alerts this week.', { size: 9, color: muted });
+    }
+    alerts.notable.forEach((a, index) => {
+      if (index > 0) y += 14;
+      doc.text(margin, y, a.timestamp.slice(0, 10), { size: 8, color: muted });
+      doc.text(margin + 60, y, a.zone || 'INFO', { size: 8, bold: true, color: getZoneColor(a.zone || 'unknown') });
+      doc.text(margin + 120, y, truncate(a.message, right - margin - 120, 9), { size: 9 });
+    });
+    if (alerts.total > alerts.notable.length) {
+      y += 14;
+      doc.text(margin, y, `${alerts.total - alerts.notable.length} more alerts this week`, { size: 8, color: muted });
+    }
+
+    if (dataQuality.length > 0) {
+      heading('Data Quality');
+      dataQuality.forEach((note, index) => {
+        if (index > 0) y += 12;
+        doc.text(margin, y, truncate(note, right - margin, 8), { size: 8, color: muted });
+      });
+    }
+
+    // Charts on a page of their own, two by two
+    doc.addPage();
+    doc.text(margin, margin + 12, 'Key Charts', { size: 13, bold: true });
+    const chartWidth = (right - margin - 24) / 2;
+    const chartHeight = 210;
+    charts.forEach((chart, index) => {
+      const left = margin + (index % 2) * (chartWidth + 24);
+      const top = margin + 36 + Math.floor(index / 2) * (chartHeight + 40);
+      this.drawChartPDF(doc, chart, { x: left, y: top, width: chartWidth, height: chartHeight });
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Draw one chart into a PDF document
+   * @param {object} doc - Document from lib/utils/pdf.js
+   * @param {object} chart - Briefing chart
+   * @param {object} box - { x, y, width, height }
+   */
+  drawChartPDF(doc, chart, box) {
+    const muted = '#6b7280';
+    const latest = chart.latest ? `  ${formatNumber(chart.latest.value)}${chart.unit ? ` ${chart.unit}` : ''}` : '';
+    doc.text(box.x, box.y, `${chart.title}${latest}`, { size: 10, bold: true });
+
+    if (chart.points.length < 2) {
+      doc.text(box.x + box.width / 2, box.y + box.height / 2, chart.error ? 'Data unavailable' : 'Not enough data', {
+        size: 9, color: muted, align: 'center',
+      });
+      return;
+    }
+
+    const area = { x: box.x + 36, y: box.y + 12, width: box.width - 40, height: box.height - 36 };
+    const layout = layoutChart(chart, area);
+
+    layout.ticks.forEach(t => {
+      doc.line(area.x, t.y, area.x + area.width, t.y, { color: '#e5e7eb', width: 0.5 });
+      doc.text(area.x - 4, t.y + 3, t.label, { size: 7, color: muted, align: 'right' });
+    });
+    layout.lines.forEach(l => {
+      doc.line(area.x, l.y, area.x + area.width, l.y, { color: '#ef4444', width: 0.75, dash: [3, 2] });
+      doc.text(area.x + area.width, l.y - 3, l.label, { size: 7, color: '#ef4444', align: 'right' });
+    });
+    doc.polyline(layout.points, { color: '#3b82f6', width: 1.25 });
+    doc.text(area.x, area.y + area.height + 12, layout.labels.start, { size: 7, color: muted });
+    doc.text(area.x + area.width, area.y + area.height + 12, layout.labels.end, { size: 7, color: muted, align: 'right' });
+  }
+}
+
+module.exports = new BriefingService();
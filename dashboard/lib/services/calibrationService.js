@@ -0,0 +1,308 @@
+const backtestService = require('./backtestService');
+const thresholds = require('../../config/thresholds.json');
+const searchSpace = require('../../config/thresholdSearchSpace.json');
+
+const CORE_ZONES = ['normal', 'warning', 'danger', 'critical'];
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((node, key) => (node === undefined ? undefined : node[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], obj);
+  if (!parent || !(last in parent)) {
+    throw new Error(`Unknown thresholds path: ${path}`);
+  }
+  parent[last] = value;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Calibration Service
+ * Searches stage trigger levels, minTriggers and zone boundaries against the
+ * crisis catalogue and proposes a thresholds config that trades lead time
+ * against false alarms. The search space lives in config/thresholdSearchSpace.json.
+ */
+class CalibrationService {
+  /**
+   * Check that every zone range in a config is still well ordered
+   * @param {object} config - Thresholds config
+   * @returns {boolean}
+   */
+  isValidConfig(config) {
+    const coreOk = Object.values(config).every(entry => {
+      if (!entry || !entry.normal) return true;
+      return CORE_ZONES.every(zone => {
+        const range = entry[zone];
+        return !range || range.min === undefined || range.max === undefined || range.min < range.max;
+      });
+    });
+
+    const secondaryOk = Object.values(config.secondaryIndicators || {}).every(entry =>
+      entry.warning < entry.danger && entry.danger < entry.critical
+    );
+
+    return coreOk && secondaryOk;
+  }
+
+  /**
+   * Score a stage assessment run: credit for each crisis detected (more for
+   * earlier warning), minus penalties for false-positive episodes and days
+   * @param {object} analysis - Result of backtestService.analyze()
+   * @param {object} scoring - Scoring weights
+   * @returns {number}
+   */
+  scoreStageRun(analysis, scoring) {
+    const required = analysis.crises.filter(c => c.inRange && c.expectedMinStage >= scoring.signalStage);
+
+    const credit = required.reduce((sum, crisis) => {
+      if (!crisis.detected) return sum;
+      const lead = clamp(crisis.leadTimeDays, 0, scoring.leadWindowDays) / scoring.leadWindowDays;
+      return sum + 1 + scoring.leadTimeBonus * lead;
+    }, 0);
+
+    const { falsePositiveEpisodes, falsePositiveRate } = analysis.summary;
+    return credit -
+      scoring.falsePositiveEpisodeWeight * falsePositiveEpisodes -
+      scoring.falsePositiveRateWeight * (falsePositiveRate || 0);
+  }
+
+  /**
+   * Score a single indicator's zones: share of crises flagged (with lead bonus)
+   * minus its false-alarm rate on quiet days
+   * @param {object} indicatorResult - Entry from analyze().indicators
+   * @param {object} scoring - Scoring weights
+   * @returns {number|null} Null when the indicator has no history in any crisis
+   */
+  scoreIndicator(indicatorResult, scoring) {
+    if (!indicatorResult || indicatorResult.crisesWithData === 0) return null;
+
+    const leads = Object.values(indicatorResult.leadTimes);
+    const credit = leads.reduce((sum, lead) => {
+      if (lead === null) return sum;
+      return sum + 1 + scoring.leadTimeBonus * clamp(lead, 0, scoring.leadWindowDays) / scoring.leadWindowDays;
+    }, 0) / leads.length;
+
+    return credit - scoring.indicatorFalseAlarmWeight * (indicatorResult.falseAlarmRate || 0);
+  }
+
+  /**
+   * Coordinate descent over stage parameters
+   * Each pass tries every candidate for each parameter with the others held
+   * fixed and keeps the best; ties keep the current value.
+   */
+  searchStageParameters(timeline, config, analyzeOptions, scoring, parameters, maxPasses) {
+    const evaluate = (candidate) => {
+      const rescored = backtestService.reassess(timeline, candidate);
+      return this.scoreStageRun(backtestService.analyze(rescored, { ...analyzeOptions, thresholds: candidate }), scoring);
+    };
+
+    let best = clone(config);
+    let bestScore = evaluate(best);
+    let evaluations = 1;
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      let improved = false;
+
+      parameters.forEach(parameter => {
+        parameter.candidates.forEach(value => {
+          if (getPath(best, parameter.paths[0]) === value) return;
+
+          const candidate = clone(best);
+          parameter.paths.forEach(path => setPath(candidate, path, value));
+          if (!this.isValidConfig(candidate)) return;
+
+          const score = evaluate(candidate);
+          evaluations++;
+          if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+            improved = true;
+          }
+        });
+      });
+
+      if (!improved) break;
+    }
+
+    return { config: best, score: bestScore, evaluations };
+  }
+
+  /**
+   * Pick the best boundary for each indicator's WARNING zone independently
+   */
+  searchZoneParameters(timeline, config, analyzeOptions, scoring, parameters) {
+    const result = clone(config);
+    const scores = {};
+
+    parameters.forEach(parameter => {
+      const scoreWith = (candidate) => {
+        const analysis = backtestService.analyze(timeline, { ...analyzeOptions, thresholds: candidate });
+        return this.scoreIndicator(analysis.indicators[parameter.indicator], scoring);
+      };
+
+      const currentScore = scoreWith(result);
+      scores[parameter.indicator] = { before: currentScore, after: currentScore };
+      if (currentScore === null) return;
+
+      let bestValue = getPath(result, parameter.paths[0]);
+      let bestScore = currentScore;
+
+      parameter.candidates.forEach(value => {
+        const candidate = clone(result);
+        parameter.paths.forEach(path => setPath(candidate, path, value));
+        if (!this.isValidConfig(candidate)) return;
+
+        const score = scoreWith(candidate);
+        if (score > bestScore) {
+          bestScore = score;
+          bestValue = value;
+        }
+      });
+
+      parameter.paths.forEach(path => setPath(result, path, bestValue));
+      scores[parameter.indicator].after = bestScore;
+    });
+
+    return { config: result, scores };
+  }
+
+  /**
+   * List leaf values that differ between two configs
+   * @param {object} before - Current config
+   * @param {object} after - Proposed config
+   * @returns {Array<{path: string, from: any, to: any}>}
+   */
+  diffConfigs(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const a = before?.[key];
+      const b = after?.[key];
+      if (a && b && typeof a === 'object' && typeof b === 'object') {
+        changes.push(...this.diffConfigs(a, b, path));
+      } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({ path, from: a, to: b });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Unified-style line diff of two configs serialized the same way
+   * @param {object} before - Current config
+   * @param {object} after - Proposed config
+   * @param {object} labels - { from, to } file labels
+   * @returns {string}
+   */
+  formatDiff(before, after, labels = { from: 'config/thresholds.json', to: 'proposed' }) {
+    const a = JSON.stringify(before, null, 2).split('\n');
+    const b = JSON.stringify(after, null, 2).split('\n');
+    const lines = [`--- ${labels.from}`, `+++ ${labels.to}`];
+
+    // Leaf-value changes keep both serializations line-aligned
+    const context = 2;
+    const changed = a.map((line, i) => (line !== b[i] ? i : -1)).filter(i => i !== -1);
+
+    // Group changed lines whose context windows overlap into hunks
+    const hunks = [];
+    changed.forEach(i => {
+      const last = hunks[hunks.length - 1];
+      if (last && i - last.end <= context * 2) {
+        last.end = i;
+      } else {
+        hunks.push({ start: i, end: i });
+      }
+    });
+
+    hunks.forEach(hunk => {
+      const start = Math.max(0, hunk.start - context);
+      const end = Math.min(a.length - 1, hunk.end + context);
+      const length = end - start + 1;
+
+      lines.push(`@@ -${start + 1},${length} +${start + 1},${length} @@`);
+      for (let k = start; k <= end; k++) {
+        if (a[k] === b[k]) {
+          lines.push(` ${a[k]}`);
+        } else {
+          lines.push(`-${a[k]}`);
+          lines.push(`+${b[k]}`);
+        }
+      }
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Run the full calibration
+   * @param {object} options - { startDate, endDate, history, crisisPeriods, maxPasses, space }
+   * @returns {Promise<object>} { baseline, proposed, changes, diff, config }
+   */
+  async calibrate(options = {}) {
+    const startDate = options.startDate || '2007-01-01';
+    const endDate = options.endDate || new Date().toISOString().split('T')[0];
+    const space = options.space || searchSpace;
+    const scoring = { ...space.scoring, ...options.scoring };
+    const current = clone(options.thresholds || thresholds);
+
+    const history = options.history || await backtestService.loadHistory(startDate);
+    const timeline = backtestService.replay(history, { startDate, endDate, thresholds: current });
+
+    const analyzeOptions = {
+      crisisPeriods: options.crisisPeriods || backtestService.getCrisisPeriods(),
+      leadWindowDays: scoring.leadWindowDays,
+      aftermathDays: scoring.aftermathDays,
+      signalStage: scoring.signalStage,
+    };
+
+    const baselineAnalysis = backtestService.analyze(timeline, { ...analyzeOptions, thresholds: current });
+    const baselineScore = this.scoreStageRun(baselineAnalysis, scoring);
+
+    const stageSearch = this.searchStageParameters(
+      timeline, current, analyzeOptions, scoring, space.stageParameters, options.maxPasses || 3
+    );
+    const zoneSearch = this.searchZoneParameters(
+      timeline, stageSearch.config, analyzeOptions, scoring, space.zoneParameters
+    );
+
+    const proposed = zoneSearch.config;
+    const proposedTimeline = backtestService.reassess(timeline, proposed);
+    const proposedAnalysis = backtestService.analyze(proposedTimeline, { ...analyzeOptions, thresholds: proposed });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      scoring,
+      dataErrors: history.errors,
+      evaluations: stageSearch.evaluations,
+      baseline: {
+        score: baselineScore,
+        summary: baselineAnalysis.summary,
+        crises: baselineAnalysis.crises,
+      },
+      proposed: {
+        score: this.scoreStageRun(proposedAnalysis, scoring),
+        summary: proposedAnalysis.summary,
+        crises: proposedAnalysis.crises,
+      },
+      indicatorScores: zoneSearch.scores,
+      changes: this.diffConfigs(current, proposed),
+      diff: this.formatDiff(current, proposed),
+      config: proposed,
+    };
+  }
+}
+
+module.exports = new CalibrationService();
@@ -1,5 +1,40 @@
 const cache = require('../utils/cache');
+const storage = require('../utils/storage');
 const fredService = require('./fredService');
+const { createProvenance } = require('../utils/provenance');
+const auditService = require('./auditService');
+
+// Configurable foreign central bank policy rates
+// These can be updated via updatePolicyRates()
+const DEFAULT_POLICY_RATES = {
+  ecb: 3.00,  // ECB deposit facility rate (as of early 2024)
+  boj: 0.25,  // BOJ policy rate (as of March 2024)
+};
+
+// Calibration factors based on historical relationship observations
+// EUR/USD 5Y basis typically runs -10 to -30 bps in normal conditions
+// JPY/USD 5Y basis typically runs -40 to -80 bps due to structural demand
+const DEFAULT_CALIBRATION = {
+  eur: {
+    baseOffset: -15,      // Base EUR/USD basis level in bps
+    rateSensitivity: 8,   // Basis sensitivity to rate differential
+  },
+  jpy: {
+    baseOffset: -25,      // Base JPY/USD basis level in bps
+    rateSensitivity: 12,  // Higher sensitivity for JPY
+    structuralPremium: -15, // Extra premium from life insurer hedging demand
+  },
+};
+
+// Caches derived from policy rates or calibration
+const DERIVED_CACHES = [
+  'cip_eurusd_5y_proxy',
+  'cip_jpyusd_5y_proxy',
+  'cip_hedging_cost',
+  'basis_japan_hedging_spread',
+  'basis_eurusd_5y',
+  'basis_all_metrics',
+];
 
 /**
  * CIP (Covered Interest Parity) Basis Proxy Service
@@ -13,29 +48,61 @@ const fredService = require('./fredService');
  */
 class CIPBasisService {
   constructor() {
-    // Configurable foreign central bank policy rates
-    // These can be updated via updatePolicyRates()
-    this.policyRates = {
-      ecb: 3.00,  // ECB deposit facility rate (as of early 2024)
-      boj: 0.25,  // BOJ policy rate (as of March 2024)
-    };
+    this.resetSettings();
+  }
 
-    // Calibration factors based on historical relationship observations
-    // EUR/USD 5Y basis typically runs -10 to -30 bps in normal conditions
-    // JPY/USD 5Y basis typically runs -40 to -80 bps due to structural demand
+  /**
+   * Restore the default policy rates and calibration, before stored overrides
+   */
+  resetSettings() {
+    this.policyRates = { ...DEFAULT_POLICY_RATES };
     this.calibration = {
-      eur: {
-        baseOffset: -15,      // Base EUR/USD basis level in bps
-        rateSensitivity: 8,   // Basis sensitivity to rate differential
-      },
-      jpy: {
-        baseOffset: -25,      // Base JPY/USD basis level in bps
-        rateSensitivity: 12,  // Higher sensitivity for JPY
-        structuralPremium: -15, // Extra premium from life insurer hedging demand
-      },
+      eur: { ...DEFAULT_CALIBRATION.eur },
+      jpy: { ...DEFAULT_CALIBRATION.jpy },
     };
   }
 
+  /**
+   * Re-read stored overrides after they were changed outside this service
+   * (e.g. an audit revert) and clear the caches derived from them
+   * @returns {Promise<string[]>} Cleared cache keys
+   */
+  async reloadSettings() {
+    await this.loadSettings();
+    return this.clearDerivedCaches();
+  }
+
+  /**
+   * Clear caches derived from policy rates or calibration
+   * @returns {string[]} Cleared cache keys
+   */
+  clearDerivedCaches() {
+    return DERIVED_CACHES.filter(key => {
+      if (!cache.has(key)) return false;
+      cache.del(key);
+      return true;
+    });
+  }
+
+  /**
+   * Load persisted policy rate and calibration overrides over the defaults
+   * Read on every call, so a change made by another process (or a revert)
+   * is seen by the next request.
+   * @returns {Promise<void>}
+   */
+  async loadSettings() {
+    const [storedRates, storedCalibration] = await Promise.all([
+      storage.get('cip:policyRates'),
+      storage.get('cip:calibration'),
+    ]);
+
+    this.policyRates = { ...DEFAULT_POLICY_RATES, ...(storedRates || {}) };
+    this.calibration = Object.fromEntries(Object.entries(DEFAULT_CALIBRATION).map(([curr, defaults]) => [
+      curr,
+      { ...defaults, ...(storedCalibration?.[curr] || {}) },
+    ]));
+  }
+
   /**
    * Calculate CIP basis from rate differential
    *
@@ -111,6 +178,8 @@ class CIPBasisService {
     }
 
     try {
+      await this.loadSettings();
+
       // Fetch Fed Funds rate from FRED
       const fedFundsData = await fredService.getFedFundsRate();
 
@@ -154,6 +223,7 @@ class CIPBasisService {
           calibration: this.calibration.eur,
         },
         accuracy: 'Directionally correct, typically within 10-15 bps of actual',
+        provenance: createProvenance({ source: 'proxy', provider: 'cip-proxy', asOf: currentDate }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -182,6 +252,8 @@ class CIPBasisService {
     }
 
     try {
+      await this.loadSettings();
+
       const fedFundsData = await fredService.getFedFundsRate();
 
       if (!fedFundsData || fedFundsData.length === 0) {
@@ -224,6 +296,7 @@ class CIPBasisService {
           calibration: this.calibration.jpy,
         },
         accuracy: 'Directionally correct, typically within 10-15 bps of actual',
+        provenance: createProvenance({ source: 'proxy', provider: 'cip-proxy', asOf: currentDate }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -255,6 +328,8 @@ class CIPBasisService {
     }
 
     try {
+      await this.loadSettings();
+
       const [fedFundsData, jpyBasis] = await Promise.all([
         fredService.getFedFundsRate(),
         this.getJPYUSD5YBasisProxy(),
@@ -306,6 +381,7 @@ class CIPBasisService {
         methodology: 'CIP deviation proxy',
         methodologyNote: 'Total hedge cost = Rate differential - Basis adjustment. Basis proxy calculated from rate differentials with JPY-specific calibration.',
         accuracy: 'Directionally correct, typically within 15-20 bps of actual hedge cost',
+        provenance: createProvenance({ source: 'proxy', provider: 'cip-proxy', asOf: currentDate }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -321,43 +397,32 @@ class CIPBasisService {
    * Update foreign central bank policy rates
    *
    * Allows manual update of ECB and BOJ policy rates.
-   * Clears dependent caches when rates are updated.
+   * Persists the new rates and clears dependent caches.
    *
    * @param {object} rates - Object with ecb and/or boj rates
-   * @returns {object} Updated rates and cleared caches
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} Updated rates and cleared caches
    */
-  updatePolicyRates(rates = {}) {
-    const updated = [];
-    const cleared = [];
-
-    if (typeof rates.ecb === 'number') {
-      this.policyRates.ecb = rates.ecb;
-      updated.push({ rate: 'ecb', value: rates.ecb });
-    }
-
-    if (typeof rates.boj === 'number') {
-      this.policyRates.boj = rates.boj;
-      updated.push({ rate: 'boj', value: rates.boj });
-    }
-
-    // Clear dependent caches
+  async updatePolicyRates(rates = {}, audit = {}) {
+    const changes = {};
+    ['ecb', 'boj'].forEach(rate => {
+      if (typeof rates[rate] === 'number') changes[rate] = rates[rate];
+    });
+    const updated = Object.entries(changes).map(([rate, value]) => ({ rate, value }));
+    let cleared = [];
+
+    // Persist only the rates given, so a concurrent change to the other one survives
     if (updated.length > 0) {
-      const cachesToClear = [
-        'cip_eurusd_5y_proxy',
-        'cip_jpyusd_5y_proxy',
-        'cip_hedging_cost',
-        'basis_japan_hedging_spread',
-        'basis_eurusd_5y',
-        'basis_all_metrics',
-      ];
-
-      cachesToClear.forEach(key => {
-        if (cache.has(key)) {
-          cache.del(key);
-          cleared.push(key);
-        }
-      });
+      await auditService.recordChange({
+        operation: 'cip.policyRates',
+        key: 'cip:policyRates',
+        input: rates,
+        ...audit,
+      }, () => storage.update('cip:policyRates', stored => ({ ...stored, ...changes }), {}));
+
+      cleared = this.clearDerivedCaches();
     }
+    await this.loadSettings();
 
     return {
       success: true,
@@ -370,9 +435,10 @@ class CIPBasisService {
 
   /**
    * Get current policy rates
-   * @returns {object} Current policy rates
+   * @returns {Promise<object>} Current policy rates
    */
-  getPolicyRates() {
+  async getPolicyRates() {
+    await this.loadSettings();
     return {
       ...this.policyRates,
       lastUpdated: new Date().toISOString(),
@@ -381,9 +447,10 @@ class CIPBasisService {
 
   /**
    * Get calibration parameters
-   * @returns {object} Calibration settings
+   * @returns {Promise<object>} Calibration settings
    */
-  getCalibration() {
+  async getCalibration() {
+    await this.loadSettings();
     return { ...this.calibration };
   }
 
@@ -391,23 +458,33 @@ class CIPBasisService {
    * Update calibration parameters
    * @param {string} currency - 'eur' or 'jpy'
    * @param {object} params - Calibration parameters
-   * @returns {object} Updated calibration
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} Updated calibration
    */
-  updateCalibration(currency, params = {}) {
+  async updateCalibration(currency, params = {}, audit = {}) {
     const curr = currency.toLowerCase();
-    if (!this.calibration[curr]) {
+    if (!DEFAULT_CALIBRATION[curr]) {
       return { success: false, error: `Unknown currency: ${currency}` };
     }
 
-    if (typeof params.baseOffset === 'number') {
-      this.calibration[curr].baseOffset = params.baseOffset;
-    }
-    if (typeof params.rateSensitivity === 'number') {
-      this.calibration[curr].rateSensitivity = params.rateSensitivity;
-    }
-    if (curr === 'jpy' && typeof params.structuralPremium === 'number') {
-      this.calibration[curr].structuralPremium = params.structuralPremium;
-    }
+    const fields = curr === 'jpy' ?
+      ['baseOffset', 'rateSensitivity', 'structuralPremium'] :
+      ['baseOffset', 'rateSensitivity'];
+    const changes = Object.fromEntries(fields
+      .filter(field => typeof params[field] === 'number')
+      .map(field => [field, params[field]]));
+
+    // Merge into the stored fields so concurrent changes to others survive
+    await auditService.recordChange({
+      operation: 'cip.calibration',
+      key: 'cip:calibration',
+      input: { currency: curr, ...params },
+      ...audit,
+    }, () => storage.update('cip:calibration', stored => ({
+      ...stored,
+      [curr]: { ...(stored[curr] || {}), ...changes },
+    }), {}));
+    await this.loadSettings();
 
     // Clear caches
     cache.del(`cip_${curr}usd_5y_proxy`);
@@ -432,6 +509,7 @@ class CIPBasisService {
       historicalData: [],
       methodology: 'fallback',
       methodologyNote: 'Fallback value - FRED data unavailable',
+      provenance: createProvenance({ source: 'fallback', provider: 'cip-proxy', note: 'FRED data unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -447,6 +525,7 @@ class CIPBasisService {
       historicalData: [],
       methodology: 'fallback',
       methodologyNote: 'Fallback value - FRED data unavailable',
+      provenance: createProvenance({ source: 'fallback', provider: 'cip-proxy', note: 'FRED data unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -474,6 +553,7 @@ class CIPBasisService {
       historicalCosts: [],
       methodology: 'fallback',
       methodologyNote: 'Fallback values - actual data unavailable',
+      provenance: createProvenance({ source: 'fallback', provider: 'cip-proxy', note: 'FRED data unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -0,0 +1,264 @@
+const nodemailer = require('nodemailer');
+const { getZoneColor } = require('../utils/calculations');
+const { SEVERITIES: ZONES, routingZone, sortAlerts } = require('../utils/alertFormats');
+
+const EMAIL_ADDRESS = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function splitAddresses(value) {
+  return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+/**
+ * Address with the mailbox elided, keeping the domain
+ */
+function maskAddress(address) {
+  return `…@${String(address).split('@').pop()}`;
+}
+
+/**
+ * Email Service
+ * Sends alert notifications over SMTP with nodemailer. The SMTP server and
+ * sender come from the environment (ALERT_EMAIL_*); recipients per severity
+ * are part of the alert config. Works against any SMTP server, including a
+ * local sink such as MailHog or smtp4dev for testing (no auth, no TLS).
+ */
+class EmailService {
+  constructor() {
+    this.transport = null;
+    this.transportKey = null;
+  }
+
+  /**
+   * SMTP settings from the environment
+   * @returns {object} { host, port, secure, user, pass, from, to }
+   */
+  getSettings() {
+    const port = parseInt(process.env.ALERT_EMAIL_SMTP_PORT, 10) || 587;
+    const user = process.env.ALERT_EMAIL_USER || null;
+
+    return {
+      host: process.env.ALERT_EMAIL_SMTP_HOST || null,
+      port,
+      // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+      secure: process.env.ALERT_EMAIL_SMTP_SECURE ? process.env.ALERT_EMAIL_SMTP_SECURE === 'true' : port === 465,
+      user,
+      pass: process.env.ALERT_EMAIL_PASS || null,
+      from: process.env.ALERT_EMAIL_FROM || user || 'hegemony-dashboard@localhost',
+      to: splitAddresses(process.env.ALERT_EMAIL_TO),
+    };
+  }
+
+  /**
+   * Whether an SMTP host is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.getSettings().host;
+  }
+
+  /**
+   * SMTP settings safe to report (no password)
+   * Addresses are shown only with revealAddresses; otherwise just their domains.
+   * @param {object} options - { revealAddresses: full addresses (admin callers) }
+   * @returns {object}
+   */
+  describe(options = {}) {
+    const { host, port, secure, user, from, to } = this.getSettings();
+    return {
+      configured: !!host,
+      host,
+      port,
+      secure,
+      auth: !!user,
+      from: this.describeAddresses([from], options)[0],
+      defaultRecipients: this.describeAddresses(to, options),
+    };
+  }
+
+  /**
+   * Addresses safe to report, masked as for describe()
+   * @param {string[]} addresses - Email addresses
+   * @param {object} options - { revealAddresses }
+   * @returns {string[]}
+   */
+  describeAddresses(addresses, options = {}) {
+    return options.revealAddresses ? addresses : addresses.map(maskAddress);
+  }
+
+  /**
+   * Recipients per severity safe to report, masked as for describe()
+   * @param {object|null} recipients - emailRecipients from the alert config
+   * @param {object} options - { revealAddresses }
+   * @returns {object|null}
+   */
+  describeRecipients(recipients, options = {}) {
+    if (!recipients) return recipients;
+    return Object.fromEntries(Object.entries(recipients).map(([zone, addresses]) => [zone, this.describeAddresses(addresses, options)]));
+  }
+
+  /**
+   * Validate recipients per severity, throwing an error with code INVALID_CONFIG
+   * @param {object} recipients - { WARNING: [address], DANGER: [...], CRITICAL: [...] }
+   * @returns {object} Recipients with every zone present
+   */
+  validateRecipients(recipients) {
+    if (!recipients || typeof recipients !== 'object' || Array.isArray(recipients)) {
+      throw Object.assign(new Error(`emailRecipients must be an object keyed by ${ZONES.join(', ')}`), { code: 'INVALID_CONFIG' });
+    }
+    Object.entries(recipients).forEach(([zone, addresses]) => {
+      if (!ZONES.includes(zone)) {
+        throw Object.assign(new Error(`Unknown severity in emailRecipients: ${zone}. Valid: ${ZONES.join(', ')}`), { code: 'INVALID_CONFIG' });
+      }
+      const bad = Array.isArray(addresses) ? addresses.find(a => typeof a !== 'string' || !EMAIL_ADDRESS.test(a)) : addresses;
+      if (!Array.isArray(addresses) || bad !== undefined) {
+        throw Object.assign(new Error(`Invalid email address for ${zone}: ${bad}`), { code: 'INVALID_CONFIG' });
+      }
+    });
+    return Object.fromEntries(ZONES.map(zone => [zone, recipients[zone] || []]));
+  }
+
+  /**
+   * Recipients for an alert
+   * Without configured recipients every alert goes to ALERT_EMAIL_TO.
+   * @param {object} alert - Alert
+   * @param {object|null} recipients - emailRecipients from the alert config
+   * @returns {string[]}
+   */
+  recipientsFor(alert, recipients) {
+    if (!recipients) return this.getSettings().to;
+    return recipients[routingZone(alert)] || [];
+  }
+
+  getTransport() {
+    const { host, port, secure, user, pass } = this.getSettings();
+    const key = JSON.stringify([host, port, secure, user, pass]);
+
+    if (!this.transport || this.transportKey !== key) {
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000,
+      });
+      this.transportKey = key;
+    }
+    return this.transport;
+  }
+
+  /**
+   * Render alerts as an email
+   * @param {Array<object>} alerts - Alerts, any order
+   * @param {object} options - { test: mark as a test message }
+   * @returns {object} { subject, text, html }
+   */
+  render(alerts, options = {}) {
+    const sorted = sortAlerts(alerts);
+    const top = sorted[0];
+    const prefix = options.test ? '[TEST] ' : '';
+    const dashboardUrl = process.env.DASHBOARD_URL || null;
+
+    const subject = sorted.length === 1 ?
+      `${prefix}[${top.zone}] ${top.message}` :
+      `${prefix}[${routingZone(top)}] ${sorted.length} dashboard alerts: ${top.indicatorName || top.indicator} and others`;
+
+    const text = [
+      options.test ? 'This is a test message from the Hegemony Monitoring Dashboard.' : null,
+      ...sorted.map(a => [
+        `${a.zone}${a.previousZone ? ` (from ${a.previousZone})` : ''} - ${a.indicatorName || a.indicator}`,
+        `  ${a.message}`,
+        `  ${a.timestamp}`,
+      ].join('\n')),
+      dashboardUrl ? `Dashboard: ${dashboardUrl}` : null,
+      '-- \nHegemony Monitoring Dashboard alerts. Recipients per severity are set in the alert config.',
+    ].filter(Boolean).join('\n\n');
+
+    const rows = sorted.map(a => `
+      <tr>
+        <td style="padding:8px;border-bottom:1px solid #e5e7eb;vertical-align:top">
+          <span style="display:inline-block;padding:2px 6px;border-radius:4px;color:#fff;font-size:12px;font-weight:600;background:${getZoneColor(a.zone || 'unknown')}">${escapeHtml(a.zone)}</span>
+          ${a.previousZone ? `<div style="color:#6b7280;font-size:12px;margin-top:4px">from ${escapeHtml(a.previousZone)}</div>` : ''}
+        </td>
+        <td style="padding:8px;border-bottom:1px solid #e5e7eb">
+          <div style="font-weight:600">${escapeHtml(a.indicatorName || a.indicator)}</div>
+          <div>${escapeHtml(a.message)}</div>
+          <div style="color:#6b7280;font-size:12px">${escapeHtml(a.timestamp)}</div>
+        </td>
+      </tr>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;color:#111827;margin:0;padding:16px">
+  ${options.test ? '<p style="background:#fef3c7;padding:8px;border-radius:4px">This is a test message from the Hegemony Monitoring Dashboard.</p>' : ''}
+  <table style="border-collapse:collapse;width:100%;max-width:640px;font-size:14px">${rows}
+  </table>
+  ${dashboardUrl ? `<p><a href="${escapeHtml(dashboardUrl)}">Open the dashboard</a></p>` : ''}
+  <p style="color:#6b7280;font-size:12px">Hegemony Monitoring Dashboard alerts. Recipients per severity are set in the alert config.</p>
+</body>
+</html>
+`;
+
+    return { subject, text, html };
+  }
+
+  /**
+   * Email alerts, one message per distinct recipient list
+   * Never throws; failures are reported in the delivery records.
+   * @param {Array<object>} alerts - Alerts to send
+   * @param {object} options - { recipients: emailRecipients config, to: override recipients, test }
+   * @returns {Promise<object>} { alertId: { status: 'sent'|'failed'|'skipped', to, messageId, error, at } }
+   */
+  async send(alerts, options = {}) {
+    const at = new Date().toISOString();
+    const delivery = {};
+
+    if (!this.isConfigured()) {
+      alerts.forEach(a => { delivery[a.id] = { status: 'skipped', error: 'SMTP not configured', at }; });
+      return delivery;
+    }
+
+    const groups = new Map();
+    alerts.forEach(alert => {
+      const to = [...new Set(options.to || this.recipientsFor(alert, options.recipients))].sort();
+      if (to.length === 0) {
+        delivery[alert.id] = { status: 'skipped', error: `No recipients for ${routingZone(alert)}`, at };
+        return;
+      }
+      const key = to.join(',');
+      if (!groups.has(key)) groups.set(key, { to, alerts: [] });
+      groups.get(key).alerts.push(alert);
+    });
+
+    const { from } = this.getSettings();
+    await Promise.all([...groups.values()].map(async (group) => {
+      let record;
+      try {
+        const info = await this.getTransport().sendMail({
+          from,
+          to: group.to,
+          ...this.render(group.alerts, { test: options.test }),
+        });
+        record = { status: 'sent', to: group.to, messageId: info.messageId, at };
+        console.log(`Emailed ${group.alerts.length} alert(s) to ${group.to.join(', ')}`);
+      } catch (error) {
+        record = { status: 'failed', to: group.to, error: error.message, at };
+        console.error('Failed to send alert email:', error.message);
+      }
+      group.alerts.forEach(a => { delivery[a.id] = record; });
+    }));
+
+    return delivery;
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,400 @@
+const indicatorService = require('./indicatorService');
+const treasuryService = require('./treasuryService');
+const ticService = require('./ticService');
+const basisSwapService = require('./basisSwapService');
+const { resolveProvenance, combineProvenance } = require('../utils/provenance');
+const { toCSV } = require('../utils/csv');
+const { toXLSX } = require('../utils/xlsx');
+
+const MTS_COLUMNS = ['date', 'fiscalYear', 'fiscalMonth', 'interestExpenseFytd', 'interestExpenseMonthly', 'receiptsFytd', 'receiptsMonthly'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Units of history series fields, per indicator (see indicatorService.getIndicatorHistory)
+const HISTORY_UNITS = {
+  japaneseHedgingSpread: { us10y: '%', jgb10y: '%', fxHedgeCost: '%', spread: 'bps' },
+  goldTreasuryRatio: { goldPrice: 'USD/oz', tltPrice: 'USD', ratio: 'gold/TLT' },
+  interestExpenseRatio: { interestExpenseFytd: 'USD', interestExpenseMonthly: 'USD', receiptsFytd: 'USD', receiptsMonthly: 'USD' },
+  vix: { value: 'index' },
+  hySpread: { value: '%' },
+  dollarIndex: { value: 'index' },
+  dollarEquityCorrelation: { value: 'correlation' },
+  goldPrice: { value: 'USD/oz' },
+  us10y: { value: '%' },
+  fedBalanceSheet: { value: 'millions USD' },
+};
+
+/**
+ * Column metadata for a list of keys
+ */
+function columnsFor(keys, units = {}, descriptions = {}) {
+  return keys.map(key => ({ key, header: key, unit: units[key] || null, description: descriptions[key] || null }));
+}
+
+/**
+ * Keys present in any row, in first-seen order
+ */
+function keysOf(rows) {
+  const keys = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!keys.includes(key)) keys.push(key);
+  }));
+  return keys;
+}
+
+/**
+ * Combined provenance of several inputs, naming each provider once
+ */
+function combinedProvenance(components) {
+  const providers = [...new Set(Object.values(components).filter(Boolean).flatMap(p => (p.provider || '').split('+')).filter(Boolean))];
+  return resolveProvenance(combineProvenance(components, { provider: providers.join('+') || undefined }));
+}
+
+/**
+ * Keep only scalar fields of a row (nested objects are left out of exports)
+ */
+function scalarFields(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value === null || typeof value !== 'object'));
+}
+
+/**
+ * Join Monthly Treasury Statement interest expense and receipts by month
+ */
+function monthlyStatementRows(mtsData) {
+  const byDate = {};
+  const add = (series, prefix) => (series || []).forEach(d => {
+    if (!byDate[d.date]) {
+      byDate[d.date] = { date: d.date, fiscalYear: d.fiscalYear, fiscalMonth: d.fiscalMonth };
+    }
+    byDate[d.date][`${prefix}Fytd`] = d.value;
+    byDate[d.date][`${prefix}Monthly`] = d.monthly;
+  });
+  add(mtsData.interestExpense, 'interestExpense');
+  add(mtsData.receipts, 'receipts');
+  return Object.values(byDate).sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/**
+ * Export Service
+ * Flattens indicator, history, auction, fiscal, basis and holdings data into
+ * tables with column metadata, and writes them as CSV or XLSX for
+ * /api/export.
+ */
+class ExportService {
+  constructor() {
+    /**
+     * Datasets: title, accepted parameters and a loader returning
+     * { rows, columns, provenance, note } (and name/title when they depend on the parameters)
+     */
+    this.datasets = {
+      indicators: {
+        title: 'Current core and secondary indicators',
+        params: [],
+        load: () => this.loadIndicators(),
+      },
+      history: {
+        title: 'Indicator history',
+        params: ['indicator', 'window'],
+        load: (params) => this.loadHistory(params),
+      },
+      auctions: {
+        title: '20Y/30Y Treasury auction results and tails',
+        params: ['months'],
+        load: (params) => this.loadAuctions(params),
+      },
+      fiscal: {
+        title: 'Monthly Treasury Statement interest expense and receipts',
+        params: [],
+        load: () => this.loadFiscal(),
+      },
+      basis: {
+        title: 'Cross-currency basis swaps (5Y)',
+        params: [],
+        load: () => this.loadBasis(),
+      },
+      holdings: {
+        title: 'Foreign Treasury holdings by country (TIC)',
+        params: ['country'],
+        load: (params) => this.loadHoldings(params),
+      },
+    };
+  }
+
+  /**
+   * List datasets and formats, for GET /api/export
+   * @returns {object} { datasets: [{ name, title, params }], formats }
+   */
+  describe() {
+    return {
+      datasets: Object.entries(this.datasets).map(([name, { title, params }]) => ({ name, title, params })),
+      formats: Object.keys(FORMATS),
+    };
+  }
+
+  /**
+   * Check an export format name
+   * @param {string} format - Format name
+   * @returns {boolean}
+   */
+  isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * Build a dataset table
+   * @param {string} name - Dataset name
+   * @param {object} params - Dataset parameters (e.g. { indicator } for history)
+   * @returns {Promise<object>} { name, title, columns, rows, metadata }
+   */
+  async getDataset(name, params = {}) {
+    const dataset = this.datasets[name];
+    if (!dataset) {
+      const error = new Error(`Unknown dataset: ${name}. Valid datasets: ${Object.keys(this.datasets).join(', ')}`);
+      error.code = 'INVALID_DATASET';
+      throw error;
+    }
+
+    const loaded = await dataset.load(params);
+    const { rows, columns, provenance, note } = loaded;
+
+    return {
+      name: loaded.name || name,
+      title: loaded.title || dataset.title,
+      columns,
+      rows,
+      metadata: {
+        source: provenance?.source || null,
+        provider: provenance?.provider || null,
+        asOf: provenance?.asOf || null,
+        stale: provenance?.staleness?.stale ?? null,
+        note: note || provenance?.note || null,
+        generatedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Write a dataset as CSV or XLSX
+   * CSV starts with '#' comment lines holding the metadata (omitted with
+   * metadata false; read with pandas.read_csv(..., comment='#')). XLSX puts
+   * the data on the first sheet and the metadata on a second one.
+   * @param {object} dataset - Result of getDataset()
+   * @param {string} format - 'csv' | 'xlsx'
+   * @param {object} options - { metadata } include metadata (default true)
+   * @returns {object} { body, contentType, filename }
+   */
+  render(dataset, format, { metadata = true } = {}) {
+    if (!this.isFormat(format)) {
+      const error = new Error(`Unknown format: ${format}. Valid formats: ${Object.keys(FORMATS).join(', ')}`);
+      error.code = 'INVALID_FORMAT';
+      throw error;
+    }
+
+    const { contentType, extension } = FORMATS[format];
+    const date = dataset.metadata.generatedAt.slice(0, 10);
+    const filename = `${dataset.name}-${date}.${extension}`;
+
+    if (format === 'xlsx') {
+      const sheets = [{ name: dataset.name, columns: dataset.columns, rows: dataset.rows }];
+      if (metadata) {
+        sheets.push({ name: 'Metadata', columns: ['field', 'value', 'unit', 'description'], rows: this.metadataRows(dataset) });
+      }
+      return { body: toXLSX(sheets), contentType, filename };
+    }
+
+    const csv = toCSV(dataset.rows, dataset.columns);
+    const preamble = metadata ?
+      this.metadataRows(dataset)
+        .map(({ field, value, unit, description }) => ({
+          field,
+          text: [value, unit && `(${unit})`, description].filter(v => v !== null && v !== undefined && v !== '').join(' '),
+        }))
+        .filter(({ text }) => text !== '')
+        .map(({ field, text }) => `# ${field}: ${text}\n`)
+        .join('') :
+      '';
+    return { body: preamble + csv, contentType, filename };
+  }
+
+  /**
+   * Metadata as field/value rows: dataset fields, then one row per column
+   */
+  metadataRows({ title, metadata, columns }) {
+    return [
+      { field: 'dataset', value: title },
+      ...Object.entries(metadata).map(([field, value]) => ({ field, value })),
+      ...columns.map(({ key, unit, description }) => ({ field: `column ${key}`, value: null, unit, description })),
+    ];
+  }
+
+  /**
+   * Core and secondary indicators, one row each with its own provenance
+   */
+  async loadIndicators() {
+    const { indicators, secondary } = await indicatorService.getCurrentIndicators();
+    const toRow = (group, key, indicator, config = indicator.config || {}) => ({
+      group,
+      indicator: key,
+      name: config.name || key,
+      value: indicator.value,
+      unit: config.unit || null,
+      zone: indicator.threshold?.zone || indicator.threshold?.level || null,
+      date: indicator.date || null,
+      source: indicator.provenance?.source || null,
+      provider: indicator.provenance?.provider || null,
+      asOf: indicator.provenance?.asOf || null,
+      stale: indicator.provenance?.staleness?.stale ?? null,
+    });
+
+    const rows = [
+      ...Object.entries(indicators).map(([key, indicator]) => toRow('core', key, indicator)),
+      ...Object.entries(secondary).map(([key, indicator]) => toRow('secondary', key, indicator)),
+    ];
+
+    return {
+      rows,
+      columns: columnsFor(['group', 'indicator', 'name', 'value', 'unit', 'zone', 'date', 'source', 'provider', 'asOf', 'stale'], {}, {
+        value: 'In the unit of the unit column (ratios such as 0.18 are fractions)',
+        zone: 'Threshold zone from config/thresholds.json',
+        asOf: 'Date the value describes',
+        stale: 'Older than its refresh schedule allows',
+      }),
+      provenance: combinedProvenance(
+        Object.fromEntries(Object.entries(indicators).map(([key, indicator]) => [key, indicator.provenance]))
+      ),
+      note: 'Each row carries its own source and as-of date',
+    };
+  }
+
+  /**
+   * One indicator's history series, newest first
+   * @param {object} params - { indicator, window }
+   */
+  async loadHistory({ indicator, window }) {
+    if (!indicator) {
+      const error = new Error('indicator parameter required');
+      error.code = 'INVALID_INDICATOR';
+      throw error;
+    }
+
+    const { data, provenance } = await indicatorService.getIndicatorHistory(indicator, { window });
+    const rows = Array.isArray(data) ?
+      data.map(scalarFields).sort((a, b) => (a.date < b.date ? 1 : -1)) :
+      monthlyStatementRows(data);
+    const keys = Array.isArray(data) ? keysOf(rows) : MTS_COLUMNS;
+
+    return {
+      rows,
+      columns: columnsFor(keys.length > 0 ? keys : ['date', 'value'], HISTORY_UNITS[indicator]),
+      provenance,
+      name: `history-${indicator}`,
+      title: `${indicator} history`,
+    };
+  }
+
+  /**
+   * Recent 20Y/30Y auctions with entered when-issued yields and tails
+   * @param {object} params - { months } of auctions (default 6)
+   */
+  async loadAuctions({ months = 6 }) {
+    const [auctions, tailMetrics] = await Promise.all([
+      treasuryService.getLongDatedAuctions(parseInt(months, 10) || 6),
+      treasuryService.getAuctionTailMetrics(),
+    ]);
+    const tails = Object.fromEntries(tailMetrics.auctions.filter(a => a.cusip).map(a => [a.cusip, a]));
+
+    const rows = auctions.map(a => ({
+      auctionDate: a.auctionDate,
+      issueDate: a.issueDate,
+      securityTerm: a.securityTerm,
+      cusip: a.cusip,
+      highYield: a.highYield,
+      whenIssuedYield: tails[a.cusip]?.whenIssuedYield ?? null,
+      tail: tails[a.cusip]?.tail ?? null,
+      bidToCover: a.bidToCover,
+      allottedAmount: a.allottedAmount,
+    }));
+
+    return {
+      rows,
+      columns: columnsFor([
+        'auctionDate', 'issueDate', 'securityTerm', 'cusip', 'highYield', 'whenIssuedYield', 'tail', 'bidToCover', 'allottedAmount',
+      ], { highYield: '%', whenIssuedYield: '%', tail: 'bps', bidToCover: 'x', allottedAmount: 'USD' }, {
+        whenIssuedYield: 'Manually entered when-issued yield',
+        tail: 'High yield minus when-issued yield',
+      }),
+      provenance: resolveProvenance(tailMetrics.provenance, { dataType: 'auctionData' }),
+      note: tailMetrics.dataNote,
+    };
+  }
+
+  /**
+   * Monthly Treasury Statement interest expense and receipts, joined by month
+   */
+  async loadFiscal() {
+    const mtsData = await treasuryService.getMonthlyStatementData();
+    const rows = monthlyStatementRows(mtsData);
+
+    return {
+      rows,
+      columns: columnsFor(MTS_COLUMNS, HISTORY_UNITS.interestExpenseRatio, {
+        interestExpenseFytd: 'Interest expense, fiscal year to date',
+        receiptsFytd: 'Receipts, fiscal year to date',
+      }),
+      provenance: resolveProvenance(mtsData.provenance, { dataType: 'fiscalData' }),
+    };
+  }
+
+  /**
+   * EUR/USD and JPY/USD basis series (proxy or manual)
+   */
+  async loadBasis() {
+    const [eurusd, jpyusd] = await Promise.all([
+      basisSwapService.getEURUSDBasisSwap(),
+      basisSwapService.getJPYUSDBasisSwap(),
+    ]);
+
+    const rows = [['EURUSD', eurusd], ['JPYUSD', jpyusd]].flatMap(([pair, basis]) =>
+      (basis.historicalData || []).map(d => ({
+        pair,
+        term: basis.term || '5Y',
+        date: d.date,
+        value: d.value,
+        source: resolveProvenance(basis.provenance).source,
+      }))
+    ).sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : a.pair < b.pair ? -1 : 1));
+
+    return {
+      rows,
+      columns: columnsFor(['pair', 'term', 'date', 'value', 'source'], { value: 'bps' }, { source: 'proxy (CIP estimate) or manual entry' }),
+      provenance: combinedProvenance({ eurusd: eurusd.provenance, jpyusd: jpyusd.provenance }),
+      note: eurusd.dataNote,
+    };
+  }
+
+  /**
+   * TIC holdings by country and month
+   * @param {object} params - { country } to export one country only
+   */
+  async loadHoldings({ country }) {
+    const holders = await ticService.getMajorForeignHolders();
+
+    const rows = Object.entries(holders.byCountry || {})
+      .filter(([name]) => !country || name.toLowerCase() === String(country).toLowerCase())
+      .flatMap(([name, data]) => data.map(d => ({ country: name, date: d.date, holdings: d.holdings })))
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : a.country < b.country ? -1 : 1));
+
+    return {
+      rows,
+      columns: columnsFor(['country', 'date', 'holdings'], { holdings: 'millions USD' }),
+      provenance: resolveProvenance(holders.provenance, { dataType: 'ticData' }),
+      name: country ? `holdings-${String(country).toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : undefined,
+      note: 'TIC data is released with approximately 6-8 week lag',
+    };
+  }
+}
+
+module.exports = new ExportService();
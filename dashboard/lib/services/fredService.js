@@ -1,5 +1,6 @@
-const axios = require('axios');
 const cache = require('../utils/cache');
+const { createProvenance, markCached } = require('../utils/provenance');
+const httpClient = require('../utils/httpClient');
 
 const FRED_BASE_URL = 'https://api.stlouisfed.org/fred/series/observations';
 
@@ -35,7 +36,7 @@ class FredService {
         ...options,
       };
 
-      const response = await axios.get(this.baseUrl, { params });
+      const response = await httpClient.get('fred', this.baseUrl, { params });
 
       if (response.data && response.data.observations) {
         const data = response.data.observations.map(obs => ({
@@ -162,6 +163,18 @@ class FredService {
     });
   }
 
+  /**
+   * Get S&P 500 Index (equity leg of the dollar-equity correlation)
+   * @param {number} limit - Number of observations to fetch
+   * @returns {Promise<Array>}
+   */
+  async getEquityIndex(limit = 730) {
+    return this.fetchSeries('SP500', {
+      limit,
+      observation_start: this.getDateYearsAgo(2),
+    });
+  }
+
   /**
    * Get High Yield Spread (ICE BofA)
    * @param {number} limit - Number of observations to fetch
@@ -198,6 +211,18 @@ class FredService {
     });
   }
 
+  /**
+   * Get 3-Month Treasury Bill secondary market rate (Treasury leg of the SOFR-Treasury spread)
+   * @param {number} limit - Number of observations to fetch
+   * @returns {Promise<Array>}
+   */
+  async getTreasuryBill3M(limit = 730) {
+    return this.fetchSeries('DTB3', {
+      limit,
+      observation_start: this.getDateYearsAgo(2),
+    });
+  }
+
   /**
    * Get Federal Funds Effective Rate
    * @param {number} limit - Number of observations to fetch
@@ -255,22 +280,27 @@ class FredService {
     const cacheKey = 'fred_market_stress';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
-      const [vix, hySpread, sofr, dollarIndex] = await Promise.all([
+      const [vix, hySpread, sofr, treasuryBill, dollarIndex, equityIndex] = await Promise.all([
         this.getVIX(),
         this.getHighYieldSpread(),
         this.getSOFR(),
+        this.getTreasuryBill3M(),
         this.getDollarIndex(),
+        this.getEquityIndex(),
       ]);
 
       const result = {
         vix,
         hySpread,
         sofr,
+        treasuryBill,
         dollarIndex,
+        equityIndex,
+        provenance: createProvenance({ provider: 'fred', asOf: vix[0]?.date || null }),
         lastUpdated: new Date().toISOString(),
       };
 
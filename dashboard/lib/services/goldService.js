@@ -1,7 +1,10 @@
-const axios = require('axios');
 const cache = require('../utils/cache');
+const { createProvenance, markCached } = require('../utils/provenance');
+const auditService = require('./auditService');
+const storage = require('../utils/storage');
 const fredService = require('./fredService');
 const { calculateGoldTreasuryRatio, calculateRatioRateOfChange } = require('../utils/calculations');
+const httpClient = require('../utils/httpClient');
 
 /**
  * Gold Data Service
@@ -32,7 +35,7 @@ class GoldService {
     }
 
     try {
-      const response = await axios.get(`${this.yahooFinanceUrl}/TLT`, {
+      const response = await httpClient.get('yahoo', `${this.yahooFinanceUrl}/TLT`, {
         params: {
           interval: '1d',
           range: '2y',
@@ -75,7 +78,7 @@ class GoldService {
     }
 
     try {
-      const response = await axios.get(`${this.yahooFinanceUrl}/GLD`, {
+      const response = await httpClient.get('yahoo', `${this.yahooFinanceUrl}/GLD`, {
         params: {
           interval: '1d',
           range: '2y',
@@ -106,6 +109,41 @@ class GoldService {
     }
   }
 
+  /**
+   * Get full TLT price history (since 2002 inception) for backtesting
+   * @returns {Promise<Array>} Daily closes, newest first
+   */
+  async getHistoricalTLTPrice() {
+    const cacheKey = 'gold_tlt_price_history';
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const response = await httpClient.get('yahoo', `${this.yahooFinanceUrl}/TLT`, {
+      params: {
+        interval: '1d',
+        range: 'max',
+      },
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      },
+    });
+
+    const result = response.data?.chart?.result?.[0];
+    const timestamps = result?.timestamp || [];
+    const closes = result?.indicators?.quote?.[0]?.close || [];
+
+    const data = timestamps.map((ts, i) => ({
+      date: new Date(ts * 1000).toISOString().split('T')[0],
+      value: closes[i],
+    })).filter(d => d.value !== null && d.value !== undefined)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    cache.set(cacheKey, data, 86400); // 24 hour cache for historical data
+    return data;
+  }
+
   /**
    * Calculate Gold/Treasury ratio and its rate of change
    * @returns {Promise<object>}
@@ -114,7 +152,7 @@ class GoldService {
     const cacheKey = 'gold_treasury_ratio';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
@@ -129,8 +167,9 @@ class GoldService {
         goldByDate[d.date] = d.value;
       });
 
+      // getFallbackTLTData rows carry no price, so a TLT outage falls through to getFallbackRatioData
       const ratioData = tltData
-        .filter(d => goldByDate[d.date])
+        .filter(d => goldByDate[d.date] && d.value)
         .map(d => ({
           date: d.date,
           goldPrice: goldByDate[d.date],
@@ -179,6 +218,7 @@ class GoldService {
         rateOfChange6Month: roc6Month,
         rateOfChange6MonthPercent: roc6Month ? roc6Month * 100 : null,
         historicalRatios: ratioData.slice(0, 500), // Last 2 years
+        provenance: createProvenance({ provider: 'fred+yahoo', asOf: current.date }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -203,66 +243,94 @@ class GoldService {
     }
 
     // World Gold Council data typically requires manual entry
-    // This provides a structure for the data
-    const result = {
-      rolling12MonthTonnes: null,
-      topPurchasers: [],
-      historicalData: [],
+    const historicalData = await storage.get('gold:centralBank:quarters', []);
+    const result = this.summarizeCentralBankData(historicalData);
+
+    cache.set(cacheKey, result, 'centralBankGold');
+    return result;
+  }
+
+  /**
+   * Build central bank summary from quarterly entries
+   * @param {Array} historicalData - Quarterly entries sorted by period descending
+   * @returns {object}
+   */
+  summarizeCentralBankData(historicalData) {
+    // Rolling 12-month total from the last 4 quarters
+    const recent = historicalData.slice(0, 4);
+
+    return {
+      rolling12MonthTonnes: historicalData.length > 0 ?
+        recent.reduce((sum, q) => sum + (q.totalTonnes || 0), 0) : null,
+      // Top purchasers from most recent quarter
+      topPurchasers: historicalData[0]?.topPurchasers || [],
+      historicalData,
       source: 'World Gold Council',
       dataNote: 'Quarterly data - requires manual update',
       lastUpdated: new Date().toISOString(),
     };
-
-    cache.set(cacheKey, result, 'centralBankGold');
-    return result;
   }
 
   /**
    * Set manual central bank gold data
+   * Re-entering an existing period replaces it
    * @param {object} data - Gold purchase data
+   * @param {object} audit - { actor, reason } recorded in the audit log
    * @returns {object}
    */
-  async setManualCentralBankData(data) {
-    const {
-      period,
-      totalTonnes,
-      topPurchasers,
-    } = data;
-
-    const existing = await this.getCentralBankGoldPurchases();
-
-    if (!existing.historicalData) {
-      existing.historicalData = [];
-    }
-
-    existing.historicalData.push({
-      period,
-      totalTonnes,
-      topPurchasers,
-      addedAt: new Date().toISOString(),
-    });
+  async setManualCentralBankData(data, audit = {}) {
+    const { period, totalTonnes, topPurchasers } = data;
+    return this.setManualCentralBankQuarters([{ period, totalTonnes, topPurchasers }], audit);
+  }
 
-    // Sort by period descending
-    existing.historicalData.sort((a, b) => b.period.localeCompare(a.period));
+  /**
+   * Store several quarters of central bank gold data as one change
+   * @param {Array<object>} quarters - { period, totalTonnes, topPurchasers } entries
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} { success, data } with the updated summary
+   */
+  async setManualCentralBankQuarters(quarters, audit = {}) {
+    const addedAt = new Date().toISOString();
+    const periods = new Set(quarters.map(q => q.period));
+
+    const historicalData = await auditService.recordChange({
+      operation: 'gold.centralBankEntry',
+      key: 'gold:centralBank:quarters',
+      input: quarters.length === 1 ? quarters[0] : quarters,
+      ...audit,
+    }, () => storage.update('gold:centralBank:quarters', (existing) => {
+      const updated = existing.filter(q => !periods.has(q.period));
+      quarters.forEach(({ period, totalTonnes, topPurchasers }) => {
+        updated.push({
+          period,
+          totalTonnes,
+          topPurchasers,
+          addedAt,
+        });
+      });
 
-    // Update rolling 12-month calculation
-    const recent = existing.historicalData.slice(0, 4); // Last 4 quarters
-    existing.rolling12MonthTonnes = recent.reduce((sum, q) => sum + (q.totalTonnes || 0), 0);
+      // Sort by period descending
+      return updated.sort((a, b) => b.period.localeCompare(a.period));
+    }, []));
 
-    // Get top purchasers from most recent quarter
-    if (existing.historicalData[0]?.topPurchasers) {
-      existing.topPurchasers = existing.historicalData[0].topPurchasers;
-    }
+    const result = this.summarizeCentralBankData(historicalData);
 
-    existing.lastUpdated = new Date().toISOString();
-
-    cache.set('gold_central_bank_purchases', existing, 'centralBankGold');
+    cache.set('gold_central_bank_purchases', result, 'centralBankGold');
+    cache.del('gold_all_metrics');
 
     return {
       success: true,
-      data: existing,
+      data: result,
     };
   }
+  /**
+   * Drop central bank gold summaries so they are rebuilt from storage
+   */
+  clearCentralBankCaches() {
+    cache.del('gold_central_bank_purchases');
+    cache.del('gold_all_metrics');
+  }
+
 
   /**
    * Get gold price historical data for charts
@@ -334,6 +402,7 @@ class GoldService {
       rateOfChange6MonthPercent: null,
       historicalRatios: [],
       note: 'Gold/Treasury ratio data unavailable',
+      provenance: createProvenance({ source: 'fallback', provider: 'fred+yahoo', note: 'Gold or TLT prices unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
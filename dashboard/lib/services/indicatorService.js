@@ -0,0 +1,487 @@
+const fredService = require('./fredService');
+const treasuryService = require('./treasuryService');
+const goldService = require('./goldService');
+const basisSwapService = require('./basisSwapService');
+const ticService = require('./ticService');
+const {
+  evaluateThreshold,
+  evaluateSecondaryThreshold,
+  assessCurrentStage,
+  calculateRollingCorrelation,
+} = require('../utils/calculations');
+const { getMaxDuration } = require('../utils/stageRules');
+const { createProvenance, resolveProvenance } = require('../utils/provenance');
+const {
+  baselineWindowStart,
+  calculateBaselineChange,
+  aggregateLatest,
+} = require('../utils/baselines');
+const thresholds = require('../../config/thresholds.json');
+const stageInputConfig = require('../../config/stageInputs.json');
+
+
+/**
+ * Indicator Service
+ * Assembles the five core indicators, secondary indicators and stage
+ * assessment from the individual data services. Shared by the API,
+ * the snapshot recorder and scripts so they all compute the same verdict.
+ */
+class IndicatorService {
+  /**
+   * Fetch all service data the indicators are derived from
+   * @returns {Promise<object>}
+   */
+  async fetchInputs() {
+    const [
+      hedgingSpread,
+      eurBasis,
+      auctionMetrics,
+      goldRatio,
+      interestRatio,
+      marketStress,
+      sovereignCds,
+      stageInputs,
+    ] = await Promise.all([
+      basisSwapService.getJapaneseHedgingSpread(),
+      basisSwapService.getEURUSDBasisSwap(),
+      treasuryService.getAuctionTailMetrics(),
+      goldService.getGoldTreasuryRatio(),
+      treasuryService.getInterestExpenseRatio(),
+      fredService.getMarketStressIndicators(),
+      treasuryService.getSovereignCDS(),
+      this.fetchStageInputs(),
+    ]);
+
+    return { hedgingSpread, eurBasis, auctionMetrics, goldRatio, interestRatio, marketStress, sovereignCds, stageInputs };
+  }
+
+  /**
+   * Compute the change-based stage inputs configured in config/stageInputs.json
+   * An input whose data cannot be fetched is left null rather than failing the assessment.
+   * @returns {Promise<object>} { values, details } keyed by stage input name
+   */
+  async fetchStageInputs() {
+    const entries = await Promise.all(
+      Object.entries(stageInputConfig.inputs).map(async ([key, config]) => {
+        try {
+          return [key, await this.computeStageInput(config)];
+        } catch (error) {
+          console.error(`Error computing stage input ${key}:`, error.message);
+          return [key, null];
+        }
+      })
+    );
+
+    const values = {};
+    const details = {};
+    entries.forEach(([key, detail]) => {
+      values[key] = detail?.value ?? null;
+      details[key] = detail;
+    });
+
+    return { values, details, crisisStart: stageInputConfig.crisisStart };
+  }
+
+  /**
+   * Load the observations one stage input is computed from
+   * @param {object} config - Entry from stageInputs.json
+   * @returns {Promise<object>} { seriesList, provenance } with one observation array per series
+   */
+  async loadStageInputSeries(config) {
+    if (config.source === 'tic') {
+      const total = await ticService.getTotalForeignHoldings();
+      return {
+        seriesList: [(total.historicalData || []).map(d => ({ date: d.date, value: d.holdings }))],
+        provenance: total.provenance,
+      };
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const startDate = baselineWindowStart(config, today, stageInputConfig.crisisStart);
+
+    const seriesIds = Array.isArray(config.series) ? config.series : [config.series];
+    const seriesList = await Promise.all(seriesIds.map(id => fredService.getHistoricalData(id, startDate)));
+    const latestDate = seriesList.map(series => series[0]?.date).filter(Boolean).sort().pop() || null;
+
+    return {
+      seriesList,
+      provenance: createProvenance({ provider: 'fred', asOf: latestDate, dataType: config.dataType }),
+    };
+  }
+
+  /**
+   * Compute one stage input with its baseline detail
+   * @param {object} config - Entry from stageInputs.json
+   * @returns {Promise<object|null>} { value, current, baseline, baselineDate, provenance }
+   *   or { value, series, provenance }
+   */
+  async computeStageInput(config) {
+    const { seriesList, provenance } = await this.loadStageInputSeries(config);
+
+    const detail = config.aggregate ?
+      { value: aggregateLatest(seriesList, config), series: config.series } :
+      calculateBaselineChange(seriesList[0], config, { crisisStart: stageInputConfig.crisisStart });
+
+    return detail && { ...detail, provenance: resolveProvenance(provenance) };
+  }
+
+  /**
+   * Compute the rolling dollar-equity correlation from market stress data
+   * @param {object} marketStress - Result of fredService.getMarketStressIndicators()
+   * @param {number} window - Daily returns per correlation (defaults to the thresholds.json window)
+   * @returns {object} { value, date, window, history } with history newest first
+   */
+  buildDollarEquityCorrelation(marketStress, window) {
+    const config = thresholds.secondaryIndicators.dollarEquityCorrelation;
+    const size = window || config.window;
+    const history = calculateRollingCorrelation(marketStress.dollarIndex, marketStress.equityIndex, size);
+
+    return {
+      value: history[0]?.value ?? null,
+      date: history[0]?.date ?? null,
+      window: size,
+      history,
+      provenance: this.seriesProvenance(marketStress, history[0]?.date),
+    };
+  }
+
+  /**
+   * SOFR less the 3-month Treasury bill rate, in bps, on the latest date both are published
+   * @param {object} marketStress - Result of fredService.getMarketStressIndicators()
+   * @returns {object} { value, date, sofr, treasuryBill, provenance }
+   */
+  buildSofrTreasurySpread(marketStress) {
+    const bills = new Map((marketStress.treasuryBill || []).map(d => [d.date, d.value]));
+    const latest = (marketStress.sofr || []).find(d => typeof d.value === 'number' && typeof bills.get(d.date) === 'number');
+
+    return {
+      value: latest ? Math.round((latest.value - bills.get(latest.date)) * 10000) / 100 : null,
+      date: latest?.date ?? null,
+      sofr: latest?.value ?? null,
+      treasuryBill: latest ? bills.get(latest.date) : null,
+      provenance: this.seriesProvenance(marketStress, latest?.date),
+    };
+  }
+
+  /**
+   * Provenance of one market stress series, dated by its latest observation
+   * @param {object} marketStress - Result of fredService.getMarketStressIndicators()
+   * @param {string} asOf - Date of the value (YYYY-MM-DD)
+   * @returns {object} Resolved provenance
+   */
+  seriesProvenance(marketStress, asOf) {
+    return resolveProvenance(marketStress.provenance && { ...marketStress.provenance, asOf: asOf || null });
+  }
+
+  /**
+   * Get the dollar-equity correlation with its rolling history
+   * @param {object} options - { window } daily returns per correlation
+   * @returns {Promise<object>} { value, date, window, history, threshold, config }
+   */
+  async getDollarEquityCorrelation(options = {}) {
+    const marketStress = await fredService.getMarketStressIndicators();
+    const correlation = this.buildDollarEquityCorrelation(marketStress, options.window);
+    const config = thresholds.secondaryIndicators.dollarEquityCorrelation;
+
+    return {
+      ...correlation,
+      threshold: evaluateSecondaryThreshold(correlation.value, config),
+      config,
+    };
+  }
+
+  /**
+   * Get the history series of one indicator, as charted by the dashboard
+   * @param {string} indicator - Indicator key (see /api/indicators?type=history)
+   * @param {object} options - { window } daily returns per correlation (dollarEquityCorrelation only)
+   * @returns {Promise<object>} { data, provenance }
+   */
+  async getIndicatorHistory(indicator, options = {}) {
+    const invalid = (message, code) => Object.assign(new Error(message), { code });
+
+    switch (indicator) {
+      case 'japaneseHedgingSpread': {
+        const spreadData = await basisSwapService.getJapaneseHedgingSpread();
+        return { data: spreadData.historicalSpreads, provenance: resolveProvenance(spreadData.provenance) };
+      }
+      case 'goldTreasuryRatio': {
+        const goldData = await goldService.getGoldTreasuryRatio();
+        return { data: goldData.historicalRatios, provenance: resolveProvenance(goldData.provenance) };
+      }
+      case 'interestExpenseRatio': {
+        const mtsData = await treasuryService.getMonthlyStatementData();
+        return { data: mtsData, provenance: resolveProvenance(mtsData.provenance, { dataType: 'fiscalData' }) };
+      }
+      case 'dollarEquityCorrelation': {
+        const window = options.window ? parseInt(options.window, 10) : undefined;
+        if (window !== undefined && !(window >= 5 && window <= 250)) {
+          throw invalid('window must be between 5 and 250', 'INVALID_WINDOW');
+        }
+        const correlation = await this.getDollarEquityCorrelation({ window });
+        return { data: correlation.history, provenance: correlation.provenance };
+      }
+      case 'cdsSpread': {
+        const cds = await treasuryService.getSovereignCDS();
+        return { data: cds.historicalData, provenance: resolveProvenance(cds.provenance) };
+      }
+      case 'fedBalanceSheet': {
+        const data = await fredService.getFedBalanceSheet();
+        return { data, provenance: this.fredProvenance(data, 'economicData') };
+      }
+      default: {
+        const fetchers = {
+          vix: () => fredService.getVIX(),
+          hySpread: () => fredService.getHighYieldSpread(),
+          dollarIndex: () => fredService.getDollarIndex(),
+          goldPrice: () => fredService.getGoldPrice(),
+          us10y: () => fredService.get10YearTreasuryYield(),
+        };
+        if (!fetchers[indicator]) {
+          throw invalid(`Unknown indicator: ${indicator}`, 'INVALID_INDICATOR');
+        }
+        const data = await fetchers[indicator]();
+        return { data, provenance: this.fredProvenance(data) };
+      }
+    }
+  }
+
+  /**
+   * Provenance for a FRED observation array (newest first)
+   * An empty array means the fetch failed and the service returned no data.
+   * @param {Array<object>} observations - FRED observations
+   * @param {string} dataType - Cache data type for staleness
+   * @returns {object} Resolved provenance
+   */
+  fredProvenance(observations, dataType = 'marketData') {
+    if (!observations?.length) {
+      return resolveProvenance(null, { provider: 'fred', dataType, note: 'No observations returned' });
+    }
+    return resolveProvenance(createProvenance({ provider: 'fred', asOf: observations[0].date, dataType }));
+  }
+
+  /**
+   * Build core and secondary indicator values with threshold evaluations
+   * @param {object} inputs - Result of fetchInputs()
+   * @returns {object} { indicators, secondary }
+   */
+  buildIndicators(inputs) {
+    const { hedgingSpread, eurBasis, auctionMetrics, goldRatio, interestRatio, marketStress, sovereignCds } = inputs;
+
+    const indicators = {
+      japaneseHedgingSpread: {
+        value: hedgingSpread.currentSpread,
+        date: hedgingSpread.currentDate,
+        sixMonthChange: hedgingSpread.sixMonthChange,
+        components: {
+          us10y: hedgingSpread.us10y,
+          jgb10y: hedgingSpread.jgb10y,
+          fxHedgeCost: hedgingSpread.fxHedgeCost,
+        },
+        threshold: evaluateThreshold(hedgingSpread.currentSpread, thresholds.japaneseHedgingSpread),
+        config: thresholds.japaneseHedgingSpread,
+        provenance: resolveProvenance(hedgingSpread.provenance),
+      },
+      crossCurrencyBasis: {
+        value: eurBasis.current,
+        date: eurBasis.currentDate,
+        threshold: evaluateThreshold(eurBasis.current, thresholds.crossCurrencyBasis),
+        config: thresholds.crossCurrencyBasis,
+        note: eurBasis.dataNote,
+        provenance: resolveProvenance(eurBasis.provenance),
+      },
+      auctionTail: {
+        value: auctionMetrics.averageTail,
+        last20YTail: auctionMetrics.last20YTail,
+        last30YTail: auctionMetrics.last30YTail,
+        recentAuctions: auctionMetrics.auctions?.slice(0, 5),
+        threshold: evaluateThreshold(auctionMetrics.averageTail, thresholds.auctionTail),
+        config: thresholds.auctionTail,
+        note: auctionMetrics.dataNote,
+        provenance: resolveProvenance(auctionMetrics.provenance, { dataType: 'auctionData' }),
+      },
+      goldTreasuryRoC: {
+        value: goldRatio.rateOfChange12Month,
+        valuePercent: goldRatio.rateOfChange12MonthPercent,
+        currentRatio: goldRatio.currentRatio,
+        goldPrice: goldRatio.currentGoldPrice,
+        tltPrice: goldRatio.currentTLTPrice,
+        date: goldRatio.currentDate,
+        sixMonthRoC: goldRatio.rateOfChange6Month,
+        threshold: evaluateThreshold(goldRatio.rateOfChange12Month, thresholds.goldTreasuryRoC),
+        config: thresholds.goldTreasuryRoC,
+        provenance: resolveProvenance(goldRatio.provenance),
+      },
+      interestExpenseRatio: {
+        value: interestRatio.ratio,
+        valuePercent: interestRatio.ratioPercent,
+        ttmInterestExpense: interestRatio.ttmInterestExpense,
+        ttmReceipts: interestRatio.ttmReceipts,
+        date: interestRatio.dataAsOf,
+        threshold: evaluateThreshold(interestRatio.ratio, thresholds.interestExpenseRatio),
+        config: thresholds.interestExpenseRatio,
+        provenance: resolveProvenance(interestRatio.provenance, { dataType: 'fiscalData' }),
+      },
+    };
+
+    const vixValue = marketStress.vix?.[0]?.value;
+    const correlation = this.buildDollarEquityCorrelation(marketStress);
+    const sofrSpread = this.buildSofrTreasurySpread(marketStress);
+    const hySpreadValue = marketStress.hySpread?.[0]?.value ? marketStress.hySpread[0].value * 100 : null;
+
+    const secondary = {
+      vix: {
+        value: vixValue,
+        date: marketStress.vix?.[0]?.date,
+        threshold: evaluateSecondaryThreshold(vixValue, thresholds.secondaryIndicators.vix),
+        provenance: this.seriesProvenance(marketStress, marketStress.vix?.[0]?.date),
+      },
+      hySpread: {
+        value: hySpreadValue,
+        date: marketStress.hySpread?.[0]?.date,
+        threshold: evaluateSecondaryThreshold(hySpreadValue, thresholds.secondaryIndicators.hySpread),
+        provenance: this.seriesProvenance(marketStress, marketStress.hySpread?.[0]?.date),
+      },
+      sofr: {
+        value: marketStress.sofr?.[0]?.value,
+        date: marketStress.sofr?.[0]?.date,
+        provenance: this.seriesProvenance(marketStress, marketStress.sofr?.[0]?.date),
+      },
+      sofrTreasurySpread: {
+        ...sofrSpread,
+        threshold: evaluateSecondaryThreshold(sofrSpread.value, thresholds.secondaryIndicators.sofrTreasurySpread),
+      },
+      cdsSpread: {
+        value: sovereignCds.current,
+        date: sovereignCds.currentDate,
+        threshold: evaluateSecondaryThreshold(sovereignCds.current, thresholds.secondaryIndicators.cdsSpread),
+        provenance: resolveProvenance(sovereignCds.provenance),
+      },
+      dollarIndex: {
+        value: marketStress.dollarIndex?.[0]?.value,
+        date: marketStress.dollarIndex?.[0]?.date,
+        provenance: this.seriesProvenance(marketStress, marketStress.dollarIndex?.[0]?.date),
+      },
+      dollarEquityCorrelation: {
+        value: correlation.value,
+        date: correlation.date,
+        window: correlation.window,
+        threshold: evaluateSecondaryThreshold(
+          correlation.value, thresholds.secondaryIndicators.dollarEquityCorrelation
+        ),
+        provenance: correlation.provenance,
+      },
+    };
+
+    return { indicators, secondary };
+  }
+
+  /**
+   * Build the flat input set used by the stage assessment
+   * @param {object} inputs - Result of fetchInputs()
+   * @returns {object}
+   */
+  buildStageInputs(inputs) {
+    const { hedgingSpread, eurBasis, auctionMetrics, goldRatio, interestRatio, marketStress, stageInputs } = inputs;
+
+    return {
+      hedgingSpread: hedgingSpread.currentSpread,
+      basisSwap: eurBasis.current,
+      auctionTail: auctionMetrics.averageTail,
+      goldTreasuryRoC: goldRatio.rateOfChange12Month,
+      interestRatio: interestRatio.ratio,
+      vix: marketStress.vix?.[0]?.value,
+      hySpread: marketStress.hySpread?.[0]?.value ? marketStress.hySpread[0].value * 100 : null,
+      dollarChange: stageInputs.values.dollarChange ?? null,
+      dollarEquityCorrelation: this.buildDollarEquityCorrelation(marketStress).value,
+      fedBalanceSheetChange: stageInputs.values.fedBalanceSheetChange ?? null,
+      inflationBreakeven: stageInputs.values.inflationBreakeven ?? null,
+      goldChange: stageInputs.values.goldChange ?? null,
+      foreignHoldingsChange: stageInputs.values.foreignHoldingsChange ?? null,
+      cpiAnnualized: stageInputs.values.cpiAnnualized ?? null,
+    };
+  }
+
+  /**
+   * Provenance of each stage input, keyed like buildStageInputs()
+   * @param {object} inputs - Result of fetchInputs()
+   * @returns {object}
+   */
+  buildStageInputProvenance(inputs) {
+    const { hedgingSpread, eurBasis, auctionMetrics, goldRatio, interestRatio, marketStress, stageInputs } = inputs;
+
+    const provenance = {
+      hedgingSpread: resolveProvenance(hedgingSpread.provenance),
+      basisSwap: resolveProvenance(eurBasis.provenance),
+      auctionTail: resolveProvenance(auctionMetrics.provenance, { dataType: 'auctionData' }),
+      goldTreasuryRoC: resolveProvenance(goldRatio.provenance),
+      interestRatio: resolveProvenance(interestRatio.provenance, { dataType: 'fiscalData' }),
+      vix: this.seriesProvenance(marketStress, marketStress.vix?.[0]?.date),
+      hySpread: this.seriesProvenance(marketStress, marketStress.hySpread?.[0]?.date),
+      dollarEquityCorrelation: this.buildDollarEquityCorrelation(marketStress).provenance,
+    };
+
+    Object.keys(stageInputConfig.inputs).forEach(key => {
+      provenance[key] = stageInputs.details[key]?.provenance || resolveProvenance(null, { note: 'Input not computable' });
+    });
+
+    return provenance;
+  }
+
+  /**
+   * Get previous days' stage inputs for duration triggers, newest first
+   * Read from recorded snapshots; empty when no trigger has a duration.
+   * @returns {Promise<Array<object>>}
+   */
+  async getStageHistory() {
+    const depth = getMaxDuration(thresholds.stageAssessment) - 1;
+    if (depth <= 0) return [];
+
+    // Required here: snapshotService itself depends on this service
+    const snapshotService = require('./snapshotService');
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const snapshots = await snapshotService.getSnapshots({ end: yesterday, limit: depth });
+
+    return snapshots.map(snapshot => snapshot.indicatorValues).filter(Boolean);
+  }
+
+  /**
+   * Get current core and secondary indicators
+   * @returns {Promise<object>} { indicators, secondary }
+   */
+  async getCurrentIndicators() {
+    const inputs = await this.fetchInputs();
+    return this.buildIndicators(inputs);
+  }
+
+  /**
+   * Get current stage assessment
+   * @returns {Promise<object>} { assessment, indicatorValues, inputDetails, inputProvenance }
+   */
+  async getStageAssessment() {
+    const [inputs, history] = await Promise.all([this.fetchInputs(), this.getStageHistory()]);
+    const indicatorValues = this.buildStageInputs(inputs);
+    return {
+      assessment: assessCurrentStage(indicatorValues, thresholds, { history }),
+      indicatorValues,
+      inputDetails: inputs.stageInputs.details,
+      inputProvenance: this.buildStageInputProvenance(inputs),
+    };
+  }
+
+  /**
+   * Get indicators and stage assessment computed from a single data fetch
+   * @returns {Promise<object>} { indicators, secondary, assessment, indicatorValues }
+   */
+  async getFullAssessment() {
+    const [inputs, history] = await Promise.all([this.fetchInputs(), this.getStageHistory()]);
+    const indicatorValues = this.buildStageInputs(inputs);
+
+    return {
+      ...this.buildIndicators(inputs),
+      assessment: assessCurrentStage(indicatorValues, thresholds, { history }),
+      indicatorValues,
+    };
+  }
+}
+
+module.exports = new IndicatorService();
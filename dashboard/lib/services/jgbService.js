@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const cache = require('../utils/cache');
+const storage = require('../utils/storage');
+const { parseCSV } = require('../utils/csv');
+const { createProvenance } = require('../utils/provenance');
+const httpClient = require('../utils/httpClient');
+const dataSources = require('../../config/dataSources.json');
+
+const CURVE_KEY = 'jgb:curve';
+const MANUAL_KEY = 'basis:manual:jgb_10y';
+// Import records are kept while any stored row comes from them, plus this many recent ones
+const RECENT_IMPORTS_KEPT = 10;
+
+// Japanese era start years (era year 1 = start year)
+const ERAS = {
+  M: 1868, 明治: 1868,
+  T: 1912, 大正: 1912,
+  S: 1926, 昭和: 1926,
+  H: 1989, 平成: 1989,
+  R: 2019, 令和: 2019,
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Build a YYYY-MM-DD date, or null if the parts are not a real calendar date
+ */
+function toISODate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse an MOF date cell
+ * Accepts Gregorian dates (2024/4/1, 2024-04-01) and Japanese era dates
+ * (R6.4.1, H31/4/30, 令和6年4月1日, 令和元年5月7日).
+ * @param {string} text - Date cell
+ * @returns {string|null} YYYY-MM-DD or null if unrecognised
+ */
+function parseMOFDate(text) {
+  const value = (text || '').trim();
+
+  const gregorian = value.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/);
+  if (gregorian) {
+    return toISODate(Number(gregorian[1]), Number(gregorian[2]), Number(gregorian[3]));
+  }
+
+  const era = value.match(/^([MTSHR]|明治|大正|昭和|平成|令和)\s*(\d{1,2}|元)\s*[/.\-年]\s*(\d{1,2})\s*[/.\-月]\s*(\d{1,2})\s*日?$/i);
+  if (era) {
+    const eraYear = era[2] === '元' ? 1 : Number(era[2]);
+    const start = ERAS[era[1].toUpperCase()] || ERAS[era[1]];
+    return toISODate(start + eraYear - 1, Number(era[3]), Number(era[4]));
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a tenor header ('10Y', '10年', '10 Y') to '10Y'
+ */
+function parseTenor(text) {
+  const match = (text || '').trim().match(/^(\d+)\s*(?:Y|年)$/i);
+  return match ? `${match[1]}Y` : null;
+}
+
+/**
+ * Parse a yield cell; '-' and blanks mean no data
+ */
+function parseYield(text) {
+  const value = (text || '').trim();
+  if (value === '' || value === '-') return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Error for input that is not an MOF yield CSV (code INVALID_CSV)
+ */
+function invalidCSV(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CSV';
+  return error;
+}
+
+/**
+ * Decode a downloaded CSV; MOF's Japanese-language files are Shift_JIS
+ */
+function decodeCSV(buffer) {
+  const utf8 = buffer.toString('utf8');
+  if (!utf8.includes('\uFFFD')) return utf8;
+  return new TextDecoder('shift_jis').decode(buffer);
+}
+
+/**
+ * JGB Yield Service
+ * Imports Japan Ministry of Finance JGB constant-maturity yield CSVs (from a
+ * local file or URL), stores the full 1Y-40Y curve and serves yield series
+ * with the provenance of every value. Manually entered 10Y yields override
+ * imported values for the same date.
+ */
+class JGBService {
+  constructor() {
+    this.source = dataSources.mof.jgbCurve;
+  }
+
+  /**
+   * Parse an MOF JGB yield CSV
+   * Title/unit rows above the header are skipped; rows with an unrecognised
+   * date are counted as skipped rather than failing the import.
+   * @param {string} text - CSV text
+   * @returns {object} { tenors, rows: [{ date, yields }], skipped }
+   */
+  parseMOFCSV(text) {
+    const table = parseCSV(text);
+    const headerIndex = table.findIndex(row => /^(date|基準日)$/i.test(row[0]));
+    if (headerIndex === -1) {
+      throw invalidCSV('Not an MOF JGB yield CSV: no Date header row found');
+    }
+
+    const columns = table[headerIndex].map(parseTenor);
+    const tenors = columns.filter(Boolean);
+    if (tenors.length === 0) {
+      throw invalidCSV('Not an MOF JGB yield CSV: no tenor columns found');
+    }
+
+    const rows = [];
+    let skipped = 0;
+    table.slice(headerIndex + 1).forEach(cells => {
+      const date = parseMOFDate(cells[0]);
+      if (!date) {
+        skipped++;
+        return;
+      }
+
+      const yields = {};
+      columns.forEach((tenor, i) => {
+        if (tenor) yields[tenor] = parseYield(cells[i]);
+      });
+      rows.push({ date, yields });
+    });
+
+    return { tenors, rows, skipped };
+  }
+
+  /**
+   * Parse and store an MOF CSV, merging rows by date
+   * Rows already stored for a date are replaced by the newer import.
+   * @param {string} text - CSV text
+   * @param {object} origin - { type: 'file'|'url'|'upload', location }
+   * @returns {Promise<object>} Import record { id, source, origin, importedAt, rows, firstDate, lastDate, skipped }
+   */
+  async importCSV(text, origin = { type: 'upload', location: null }) {
+    const parsed = this.parseMOFCSV(text);
+    if (parsed.rows.length === 0) {
+      throw invalidCSV('MOF JGB yield CSV contains no dated rows');
+    }
+
+    const importedAt = new Date().toISOString();
+    const dates = parsed.rows.map(r => r.date).sort();
+    const record = {
+      id: `mof-${importedAt}`,
+      source: 'mof',
+      origin,
+      importedAt,
+      tenors: parsed.tenors,
+      rows: parsed.rows.length,
+      firstDate: dates[0],
+      lastDate: dates[dates.length - 1],
+      skipped: parsed.skipped,
+    };
+
+    await storage.update(CURVE_KEY, (curve) => {
+      parsed.rows.forEach(row => {
+        curve.rows[row.date] = { yields: row.yields, importId: record.id };
+      });
+
+      const referenced = new Set(Object.values(curve.rows).map(row => row.importId));
+      const imports = [...curve.imports, record];
+      curve.imports = imports.filter((r, i) => referenced.has(r.id) || i >= imports.length - RECENT_IMPORTS_KEPT);
+      return curve;
+    }, { rows: {}, imports: [] });
+
+    this.clearCaches();
+    return record;
+  }
+
+  /**
+   * Import an MOF CSV from a local file
+   * @param {string} filePath - Path to the CSV
+   * @returns {Promise<object>} Import record
+   */
+  async importFromFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const buffer = await fs.promises.readFile(resolved);
+    return this.importCSV(decodeCSV(buffer), { type: 'file', location: resolved });
+  }
+
+  /**
+   * Download and import an MOF CSV
+   * @param {string} url - CSV URL (defaults to the current-month MOF file)
+   * @returns {Promise<object>} Import record
+   */
+  async importFromURL(url = this.source.currentUrl) {
+    const response = await httpClient.get('mof', url, { responseType: 'arraybuffer' });
+    return this.importCSV(decodeCSV(Buffer.from(response.data)), { type: 'url', location: url });
+  }
+
+  /**
+   * Pull the latest MOF data; the full history file is used until a first import exists
+   * @returns {Promise<object>} Import record
+   */
+  async refresh() {
+    const curve = await storage.get(CURVE_KEY);
+    const url = curve?.imports?.length ? this.source.currentUrl : this.source.historicalUrl;
+    return this.importFromURL(url);
+  }
+
+  /**
+   * Provenance for a stored curve row
+   * Imported rows are observed MOF data; the fetch time is the import time.
+   */
+  provenanceFor(date, row, importsById) {
+    const record = importsById[row.importId];
+    return {
+      ...createProvenance({ provider: 'mof', asOf: date, fetchedAt: record?.importedAt }),
+      origin: record?.origin || null,
+      importId: row.importId,
+    };
+  }
+
+  /**
+   * Get the full stored curve for a date (latest on or before it)
+   * @param {string} date - YYYY-MM-DD (defaults to latest)
+   * @returns {Promise<object|null>} { date, yields, provenance }
+   */
+  async getCurve(date) {
+    const curve = await storage.get(CURVE_KEY);
+    if (!curve) return null;
+
+    const target = date || '9999-12-31';
+    const found = Object.keys(curve.rows).filter(d => d <= target).sort().pop();
+    if (!found) return null;
+
+    const importsById = Object.fromEntries(curve.imports.map(r => [r.id, r]));
+    return {
+      date: found,
+      yields: curve.rows[found].yields,
+      provenance: this.provenanceFor(found, curve.rows[found], importsById),
+    };
+  }
+
+  /**
+   * Get a yield series for one tenor, newest first
+   * Manually entered 10Y yields replace imported values on the same date.
+   * @param {string} tenor - Tenor (e.g. '10Y')
+   * @param {object} options - { startDate } YYYY-MM-DD
+   * @returns {Promise<Array<{date: string, value: number, provenance: object}>>}
+   */
+  async getYieldSeries(tenor = '10Y', options = {}) {
+    const startDate = options.startDate || '0000-01-01';
+    const cacheKey = `jgb_series_${tenor}_${startDate}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const [curve, manual] = await Promise.all([
+      storage.get(CURVE_KEY),
+      tenor === '10Y' ? storage.get(MANUAL_KEY, []) : [],
+    ]);
+
+    const byDate = {};
+    if (curve) {
+      const importsById = Object.fromEntries(curve.imports.map(r => [r.id, r]));
+      Object.entries(curve.rows).forEach(([date, row]) => {
+        const value = row.yields[tenor];
+        if (date < startDate || value === null || value === undefined) return;
+        byDate[date] = { date, value, provenance: this.provenanceFor(date, row, importsById) };
+      });
+    }
+
+    manual.forEach(entry => {
+      if (entry.date < startDate || entry.value === null || entry.value === undefined) return;
+      byDate[entry.date] = {
+        date: entry.date,
+        value: entry.value,
+        provenance: createProvenance({
+          source: 'manual',
+          provider: 'manual',
+          asOf: entry.date,
+          fetchedAt: entry.enteredAt || null,
+        }),
+      };
+    });
+
+    const series = Object.values(byDate).sort((a, b) => (a.date < b.date ? 1 : -1));
+    cache.set(cacheKey, series, 'basisSwap');
+    return series;
+  }
+
+  /**
+   * Summary of stored data and recent imports
+   * @returns {Promise<object>}
+   */
+  async getStatus() {
+    const curve = await storage.get(CURVE_KEY);
+    const dates = Object.keys(curve?.rows || {}).sort();
+
+    return {
+      rows: dates.length,
+      firstDate: dates[0] || null,
+      lastDate: dates[dates.length - 1] || null,
+      imports: (curve?.imports || []).slice(-10).reverse(),
+      sources: {
+        historicalUrl: this.source.historicalUrl,
+        currentUrl: this.source.currentUrl,
+      },
+    };
+  }
+
+  /**
+   * Drop cached series and the spreads derived from them
+   */
+  clearCaches() {
+    cache.delByPrefix('jgb_');
+    cache.del('basis_japan_hedging_spread');
+    cache.del('basis_all_metrics');
+  }
+}
+
+module.exports = new JGBService();
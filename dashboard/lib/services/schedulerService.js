@@ -0,0 +1,274 @@
+const cron = require('node-cron');
+const cache = require('../utils/cache');
+const storage = require('../utils/storage');
+const cronExpression = require('../utils/cronExpression');
+const fredService = require('./fredService');
+const treasuryService = require('./treasuryService');
+const ticService = require('./ticService');
+const goldService = require('./goldService');
+const basisSwapService = require('./basisSwapService');
+const jgbService = require('./jgbService');
+const snapshotService = require('./snapshotService');
+const briefingService = require('./briefingService');
+const alertService = require('./alertService');
+const refreshSchedule = require('../../config/refreshSchedule.json');
+
+const STATUS_KEY = 'scheduler:status';
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+/**
+ * Refresh jobs keyed by schedule name in config/refreshSchedule.json.
+ * Each job drops the cache entries it owns and calls the service methods
+ * that repopulate them, so dashboard requests are served from a warm cache.
+ */
+const jobs = {
+  yields: {
+    cachePrefixes: ['fred_all_yields', 'fred_DGS10_', 'fred_DGS30_', 'fred_DGS5_', 'fred_T5YIE_', 'fred_T10YIE_'],
+    run: () => fredService.getAllYields(),
+  },
+  auctionResults: {
+    cachePrefixes: ['treasury_auctions_', 'treasury_long_dated_', 'treasury_tail_metrics'],
+    run: () => Promise.all([
+      treasuryService.getLongDatedAuctions(6),
+      treasuryService.getAuctionTailMetrics(),
+    ]),
+  },
+  ticData: {
+    cachePrefixes: ['tic_'],
+    run: () => ticService.getForeignHoldingsSummary(),
+  },
+  goldPrice: {
+    cachePrefixes: ['gold_treasury_ratio', 'gold_tlt_price', 'gold_all_metrics', 'fred_GOLDPMGBD228NLBM_'],
+    run: () => goldService.getGoldMetrics(),
+  },
+  fedBalanceSheet: {
+    cachePrefixes: ['fred_WALCL_'],
+    run: () => fredService.getFedBalanceSheet(),
+  },
+  jgbYields: {
+    cachePrefixes: [],
+    run: () => jgbService.refresh(),
+  },
+  basisSwap: {
+    cachePrefixes: ['cip_', 'basis_', 'fred_DFF_'],
+    run: () => basisSwapService.getAllBasisMetrics(),
+  },
+  fiscalData: {
+    cachePrefixes: ['treasury_mts_data', 'treasury_interest_ratio', 'treasury_debt_outstanding'],
+    run: () => Promise.all([
+      treasuryService.getInterestExpenseRatio(),
+      treasuryService.getDebtOutstanding(),
+    ]),
+  },
+  marketStress: {
+    cachePrefixes: ['fred_market_stress', 'fred_VIXCLS_', 'fred_BAMLH0A0HYM2_', 'fred_SOFR_', 'fred_DTB3_', 'fred_DTWEXBGS_'],
+    run: () => fredService.getMarketStressIndicators(),
+  },
+  centralBankGold: {
+    cachePrefixes: ['gold_central_bank_purchases'],
+    run: () => goldService.getCentralBankGoldPurchases(),
+  },
+  indicatorSnapshot: {
+    cachePrefixes: [],
+    run: () => snapshotService.recordSnapshot(),
+  },
+  weeklyBriefing: {
+    cachePrefixes: [],
+    run: () => briefingService.generate(),
+  },
+  alertCheck: {
+    cachePrefixes: [],
+    run: () => alertService.checkDashboard(),
+  },
+  alertDelivery: {
+    cachePrefixes: [],
+    run: () => alertService.retryWebhooks(),
+  },
+};
+
+/**
+ * Scheduler Service
+ * Runs the refresh schedules from config/refreshSchedule.json, either
+ * in-process with node-cron (long-running server) or on demand from a
+ * serverless cron invocation (see api/cron.js).
+ */
+class SchedulerService {
+  constructor() {
+    this.timezone = refreshSchedule.timezone || DEFAULT_TIMEZONE;
+    this.tasks = [];
+    this.running = new Set();
+  }
+
+  /**
+   * Get configured schedules that have a job implementation
+   * @returns {Array<object>} Schedules with name
+   */
+  getSchedules() {
+    return Object.entries(refreshSchedule.schedules).map(([name, schedule]) => ({
+      name,
+      ...schedule,
+      implemented: !!jobs[name],
+    }));
+  }
+
+  /**
+   * Start node-cron tasks for every implemented schedule
+   * @returns {string[]} Names of scheduled jobs
+   */
+  start() {
+    if (this.tasks.length > 0) {
+      return this.tasks.map(t => t.name);
+    }
+
+    this.getSchedules()
+      .filter(s => s.implemented)
+      .forEach(schedule => {
+        if (!cron.validate(schedule.cronExpression)) {
+          console.error(`Invalid cron expression for ${schedule.name}: ${schedule.cronExpression}`);
+          return;
+        }
+
+        const task = cron.schedule(
+          schedule.cronExpression,
+          () => this.runJob(schedule.name, { trigger: 'schedule' }).catch(() => {}),
+          { timezone: this.timezone }
+        );
+        this.tasks.push({ name: schedule.name, task });
+      });
+
+    console.log(`Scheduler started: ${this.tasks.map(t => t.name).join(', ')} (${this.timezone})`);
+    return this.tasks.map(t => t.name);
+  }
+
+  /**
+   * Stop all node-cron tasks
+   */
+  stop() {
+    this.tasks.forEach(({ task }) => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * Run a single refresh job and record the outcome
+   * @param {string} name - Schedule name
+   * @param {object} options - { trigger: 'schedule' | 'cron' | 'manual' }
+   * @returns {Promise<object>} Run record
+   */
+  async runJob(name, options = {}) {
+    const job = jobs[name];
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      return { job: name, status: 'skipped', reason: 'already running' };
+    }
+
+    this.running.add(name);
+    const startedAt = new Date();
+    let record;
+
+    try {
+      job.cachePrefixes.forEach(prefix => cache.delByPrefix(prefix));
+      await job.run();
+      record = {
+        job: name,
+        status: 'success',
+        trigger: options.trigger || 'manual',
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+      };
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error.message);
+      record = {
+        job: name,
+        status: 'failure',
+        trigger: options.trigger || 'manual',
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        error: error.message,
+      };
+    } finally {
+      this.running.delete(name);
+    }
+
+    await this.recordRun(record);
+    return record;
+  }
+
+  /**
+   * Run every job whose schedule fires within the current hour
+   * Serverless cron invocations arrive hourly, so minutes are not compared.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<object>>} Run records
+   */
+  async runDueJobs(now = new Date()) {
+    const due = this.getSchedules().filter(s =>
+      s.implemented &&
+      cronExpression.matches(s.cronExpression, now, { timeZone: this.timezone, ignoreMinute: true })
+    );
+
+    // Sequential, in config order, so snapshots see freshly refreshed data
+    const results = [];
+    for (const schedule of due) {
+      results.push(await this.runJob(schedule.name, { trigger: 'cron' }));
+    }
+    return results;
+  }
+
+  /**
+   * Persist a run record into the job status map
+   * @param {object} record - Run record
+   */
+  async recordRun(record) {
+    try {
+      await storage.update(STATUS_KEY, (status) => {
+        const previous = status[record.job] || { runCount: 0, failureCount: 0 };
+        const succeeded = record.status === 'success';
+
+        status[record.job] = {
+          ...previous,
+          runCount: previous.runCount + 1,
+          failureCount: previous.failureCount + (succeeded ? 0 : 1),
+          lastRunAt: record.startedAt,
+          lastStatus: record.status,
+          lastTrigger: record.trigger,
+          lastDurationMs: record.durationMs,
+          lastSuccessAt: succeeded ? record.startedAt : previous.lastSuccessAt || null,
+          lastFailureAt: succeeded ? previous.lastFailureAt || null : record.startedAt,
+          lastError: succeeded ? previous.lastError || null : record.error,
+        };
+        return status;
+      }, {});
+    } catch (error) {
+      console.error('Failed to record job status:', error.message);
+    }
+  }
+
+  /**
+   * Get schedule configuration merged with recorded job status
+   * @returns {Promise<object>}
+   */
+  async getStatus() {
+    const recorded = await storage.get(STATUS_KEY, {});
+
+    const jobStatus = this.getSchedules().map(schedule => ({
+      name: schedule.name,
+      description: schedule.description,
+      cronExpression: schedule.cronExpression,
+      cronDescription: schedule.cronDescription,
+      implemented: schedule.implemented,
+      running: this.running.has(schedule.name),
+      scheduledInProcess: this.tasks.some(t => t.name === schedule.name),
+      ...(recorded[schedule.name] || { runCount: 0, failureCount: 0, lastRunAt: null }),
+    }));
+
+    return {
+      timezone: this.timezone,
+      inProcess: this.tasks.length > 0,
+      jobs: jobStatus,
+    };
+  }
+}
+
+module.exports = new SchedulerService();
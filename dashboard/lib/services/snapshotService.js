@@ -0,0 +1,121 @@
+const storage = require('../utils/storage');
+const indicatorService = require('./indicatorService');
+
+const SNAPSHOT_PREFIX = 'snapshots:';
+
+/**
+ * Indicator Snapshot Service
+ * Records point-in-time copies of the computed core indicators, zones and
+ * stage assessment so the dashboard's own verdict can be reviewed over time.
+ * One snapshot is kept per calendar day; recording again the same day
+ * replaces that day's snapshot.
+ */
+class SnapshotService {
+  /**
+   * Compute the current indicator set and store it as today's snapshot
+   * @param {object} options - { date: 'YYYY-MM-DD' override for the snapshot date }
+   * @returns {Promise<object>} Stored snapshot
+   */
+  async recordSnapshot(options = {}) {
+    const state = await indicatorService.getFullAssessment();
+    const snapshot = this.buildSnapshot(state, options.date);
+
+    await storage.set(`${SNAPSHOT_PREFIX}${snapshot.date}`, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Reduce full indicator state to the fields worth keeping historically
+   * @param {object} state - Result of indicatorService.getFullAssessment()
+   * @param {string} date - Snapshot date (defaults to today, UTC)
+   * @returns {object}
+   */
+  buildSnapshot(state, date) {
+    const { indicators, secondary, assessment, indicatorValues } = state;
+
+    const core = {};
+    Object.entries(indicators).forEach(([key, indicator]) => {
+      core[key] = {
+        value: indicator.value ?? null,
+        zone: indicator.threshold?.zone || 'UNKNOWN',
+        asOf: indicator.date || null,
+      };
+    });
+
+    const secondaryValues = {};
+    Object.entries(secondary).forEach(([key, indicator]) => {
+      secondaryValues[key] = {
+        value: indicator.value ?? null,
+        zone: indicator.threshold?.zone || null,
+        asOf: indicator.date || null,
+      };
+    });
+
+    return {
+      date: date || new Date().toISOString().split('T')[0],
+      recordedAt: new Date().toISOString(),
+      indicators: core,
+      secondary: secondaryValues,
+      stage: {
+        stage: assessment.stage,
+        stageName: assessment.stageName,
+        confidence: assessment.confidence,
+        triggers: assessment.triggers,
+      },
+      indicatorValues,
+    };
+  }
+
+  /**
+   * Get snapshots within a date range (inclusive), newest first
+   * @param {object} options - { start, end (YYYY-MM-DD), limit }
+   * @returns {Promise<Array>}
+   */
+  async getSnapshots(options = {}) {
+    const { start, end, limit } = options;
+
+    const dates = (await storage.keys(SNAPSHOT_PREFIX))
+      .map(key => key.slice(SNAPSHOT_PREFIX.length))
+      .filter(date => (!start || date >= start) && (!end || date <= end))
+      .sort((a, b) => b.localeCompare(a));
+
+    const selected = limit ? dates.slice(0, limit) : dates;
+    const snapshots = await Promise.all(
+      selected.map(date => storage.get(`${SNAPSHOT_PREFIX}${date}`))
+    );
+
+    return snapshots.filter(Boolean);
+  }
+
+  /**
+   * Get the most recent snapshot on or before a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<object|null>}
+   */
+  async getSnapshotAsOf(date) {
+    const [snapshot] = await this.getSnapshots({ end: date, limit: 1 });
+    return snapshot || null;
+  }
+
+  /**
+   * Build a time series for one snapshot field, newest first
+   * @param {string} indicator - Core or secondary indicator key, or 'stage'
+   * @param {object} options - Same as getSnapshots()
+   * @returns {Promise<Array<{date: string, value: number}>>}
+   */
+  async getSeries(indicator, options = {}) {
+    const snapshots = await this.getSnapshots(options);
+
+    return snapshots
+      .map(s => {
+        if (indicator === 'stage') {
+          return { date: s.date, value: s.stage.stage };
+        }
+        const entry = s.indicators[indicator] || s.secondary[indicator];
+        return entry ? { date: s.date, value: entry.value, zone: entry.zone } : null;
+      })
+      .filter(point => point && point.value !== null && point.value !== undefined);
+  }
+}
+
+module.exports = new SnapshotService();
@@ -1,5 +1,8 @@
-const axios = require('axios');
 const cache = require('../utils/cache');
+const storage = require('../utils/storage');
+const auditService = require('./auditService');
+const { createProvenance, markCached } = require('../utils/provenance');
+const httpClient = require('../utils/httpClient');
 
 /**
  * Treasury International Capital (TIC) Service
@@ -19,7 +22,7 @@ class TicService {
     const cacheKey = 'tic_major_holders';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
@@ -30,7 +33,7 @@ class TicService {
       // Attempt to fetch from fiscal data API first
       const url = `${this.baseUrl}/v1/accounting/od/title_iii`;
 
-      const response = await axios.get(url, {
+      const response = await httpClient.get('fiscalData', url, {
         params: {
           'sort': '-record_date',
           'page[size]': 100,
@@ -38,19 +41,53 @@ class TicService {
       });
 
       if (response.data && response.data.data) {
-        const result = this.processTicData(response.data.data);
+        const result = await this.mergeManualTicData(this.processTicData(response.data.data));
         cache.set(cacheKey, result, 'ticData');
         return result;
       }
 
       // Return fallback structure if API doesn't have the data
-      return this.getFallbackTicData();
+      return this.mergeManualTicData(this.getFallbackTicData());
     } catch (error) {
       console.error('Error fetching TIC data:', error.message);
-      return this.getFallbackTicData();
+      return this.mergeManualTicData(this.getFallbackTicData());
     }
   }
 
+  /**
+   * Merge manually entered TIC rows into processed holdings data
+   * Manual rows replace API rows for the same country and date
+   * @param {object} ticData - Processed TIC data ({ byCountry, byDate })
+   * @returns {Promise<object>}
+   */
+  async mergeManualTicData(ticData) {
+    const manualRows = await storage.get('tic:manual', []);
+    if (manualRows.length === 0) {
+      return ticData;
+    }
+
+    manualRows.forEach(({ country, date, holdings }) => {
+      if (!ticData.byCountry[country]) {
+        ticData.byCountry[country] = [];
+      }
+      ticData.byCountry[country] = ticData.byCountry[country].filter(d => d.date !== date);
+      ticData.byCountry[country].push({ date, holdings });
+      ticData.byCountry[country].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+      if (!ticData.byDate[date]) {
+        ticData.byDate[date] = {};
+      }
+      ticData.byDate[date][country] = holdings;
+    });
+
+    ticData.manualEntries = manualRows.length;
+    // Manual rows are the only real data when the API failed
+    if (ticData.provenance?.source === 'fallback') {
+      ticData.provenance = createProvenance({ source: 'manual', provider: 'manual', dataType: 'ticData' });
+    }
+    return ticData;
+  }
+
   /**
    * Process raw TIC data into usable format
    * @param {Array} rawData - Raw API response data
@@ -80,6 +117,7 @@ class TicService {
     return {
       byCountry,
       byDate,
+      provenance: createProvenance({ provider: 'treasury-tic', dataType: 'ticData' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -221,7 +259,7 @@ class TicService {
     const cacheKey = 'tic_total_foreign';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
@@ -257,6 +295,7 @@ class TicService {
           ((current.holdings - sixMonthsAgo.holdings) / sixMonthsAgo.holdings) * 100 : null,
         historicalData,
         percentOfOutstanding: null, // Would need debt outstanding data
+        provenance: { ...allHolders.provenance, asOf: current?.date || null },
         lastUpdated: new Date().toISOString(),
       };
 
@@ -312,6 +351,7 @@ class TicService {
       byDate: {},
       note: 'TIC data requires manual update or alternative data source',
       source: 'https://ticdata.treasury.gov/resource-center/data-chart-center/tic/Documents/mfh.txt',
+      provenance: createProvenance({ source: 'fallback', provider: 'treasury-tic', dataType: 'ticData', note: 'TIC API unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -351,37 +391,69 @@ class TicService {
   /**
    * Manual data entry for TIC data (when API unavailable)
    * @param {object} data - Manual TIC data
+   * @param {object} audit - { actor, reason } recorded in the audit log
    * @returns {object}
    */
-  async setManualTicData(data) {
+  async setManualTicData(data, audit = {}) {
     const { country, date, holdings } = data;
+    await this.setManualTicRows([{ country, date, holdings }], audit);
 
-    if (!country || !date || holdings === undefined) {
+    return {
+      success: true,
+      country,
+      date,
+      holdings,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Store several manual TIC rows as one change
+   * Rows replace stored rows for the same country and date.
+   * @param {Array<object>} rows - { country, date, holdings } rows
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} { success, rowsAdded, totalRows }
+   */
+  async setManualTicRows(rows, audit = {}) {
+    if (rows.some(({ country, date, holdings }) => !country || !date || holdings === undefined)) {
       throw new Error('country, date, and holdings are required');
     }
 
-    // In production, this would store to database
-    // For now, update cache
-    const existingData = await this.getMajorForeignHolders();
-
-    if (!existingData.byCountry[country]) {
-      existingData.byCountry[country] = [];
-    }
+    const addedAt = new Date().toISOString();
+    const entered = new Set(rows.map(r => `${r.country}|${r.date}`));
 
-    existingData.byCountry[country].push({ date, holdings });
-    existingData.byCountry[country].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const stored = await auditService.recordChange({
+      operation: 'tic.manualEntry',
+      key: 'tic:manual',
+      input: rows.length === 1 ? rows[0] : rows,
+      ...audit,
+    }, () => storage.update('tic:manual', (existing) => [
+      ...existing.filter(r => !entered.has(`${r.country}|${r.date}`)),
+      ...rows.map(({ country, date, holdings }) => ({ country, date, holdings, addedAt })),
+    ], []));
 
-    // Update cache
-    cache.set('tic_major_holders', existingData, 'ticData');
+    this.clearManualCaches();
 
     return {
       success: true,
-      country,
-      date,
-      holdings,
-      updatedAt: new Date().toISOString(),
+      rowsAdded: rows.length,
+      totalRows: stored.length,
     };
   }
+
+  /**
+   * Drop derived views so they are rebuilt from the merged data on next request
+   */
+  clearManualCaches() {
+    [
+      'tic_major_holders',
+      'tic_japan_holdings',
+      'tic_china_holdings',
+      'tic_total_foreign',
+      'tic_summary',
+    ].forEach(key => cache.del(key));
+  }
+
 }
 
 module.exports = new TicService();
@@ -1,9 +1,15 @@
-const axios = require('axios');
 const cache = require('../utils/cache');
+const { createProvenance, markCached } = require('../utils/provenance');
+const auditService = require('./auditService');
+const storage = require('../utils/storage');
 const { calculateAuctionTail, calculateAverageAuctionTail } = require('../utils/calculations');
+const httpClient = require('../utils/httpClient');
 
 const FISCAL_DATA_BASE_URL = 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service';
 
+// Manually entered 5Y US sovereign CDS quotes, newest first
+const CDS_STORAGE_KEY = 'treasury:manual:cds_5y';
+
 /**
  * Treasury Data Service
  * Fetches auction results, fiscal data from Treasury APIs
@@ -35,7 +41,7 @@ class TreasuryService {
         ...options.filters,
       };
 
-      const response = await axios.get(url, { params });
+      const response = await httpClient.get('fiscalData', url, { params });
 
       if (response.data && response.data.data) {
         const data = response.data.data.map(auction => ({
@@ -102,38 +108,63 @@ class TreasuryService {
 
   /**
    * Calculate auction tails for recent auctions
-   * Note: When-issued yields typically need to be sourced separately
-   * This implementation uses a simplified approach
+   * Note: When-issued yields typically need to be sourced separately.
+   * Manually entered when-issued yields (by CUSIP) are applied where available.
    * @returns {Promise<object>}
    */
   async getAuctionTailMetrics() {
     const cacheKey = 'treasury_tail_metrics';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
-      const auctions = await this.getLongDatedAuctions(3);
+      const [auctions, whenIssued] = await Promise.all([
+        this.getLongDatedAuctions(3),
+        storage.get('treasury:whenIssued', {}),
+      ]);
 
-      // In production, you would fetch when-issued yields from a market data provider
-      // For now, we'll provide a structure that can be populated manually or via another source
       const auctionsWithTails = auctions.map(auction => {
+        const entry = auction.cusip ? whenIssued[auction.cusip] : null;
+        if (entry && auction.highYield !== null && auction.highYield !== undefined) {
+          return {
+            ...auction,
+            whenIssuedYield: entry.whenIssuedYield,
+            tail: calculateAuctionTail(auction.highYield, entry.whenIssuedYield),
+          };
+        }
         return {
           ...auction,
-          // Placeholder for when-issued yield - would need market data source
           whenIssuedYield: null,
           tail: null,
           note: 'When-issued yield requires market data subscription',
         };
       });
 
+      const withTails = auctionsWithTails.filter(a => a.tail !== null);
+      const auctionsFailed = auctions.some(a => a.source === 'fallback');
+      const findLatestTail = (years) => withTails.find(a => {
+        const term = a.securityTerm?.toLowerCase() || '';
+        return term.includes(`${years}-year`) || term.includes(`${years} year`);
+      })?.tail ?? null;
+
       const result = {
         auctions: auctionsWithTails,
-        averageTail: null,
-        last20YTail: null,
-        last30YTail: null,
-        dataNote: 'When-issued yields needed for tail calculation. Manual entry supported.',
+        averageTail: withTails.length > 0 ? calculateAverageAuctionTail(withTails) : null,
+        last20YTail: findLatestTail('20'),
+        last30YTail: findLatestTail('30'),
+        dataNote: withTails.length > 0 ?
+          `Tails calculated for ${withTails.length} of ${auctionsWithTails.length} auctions with entered when-issued yields.` :
+          'When-issued yields needed for tail calculation. Manual entry supported.',
+        // Tails combine fetched auction results with manually entered when-issued yields
+        provenance: createProvenance({
+          source: auctionsFailed ? 'fallback' : (withTails.length > 0 ? 'manual' : 'live'),
+          provider: 'treasury+manual',
+          asOf: withTails[0]?.auctionDate || null,
+          dataType: 'auctionData',
+          note: auctionsFailed ? 'Auction results unavailable' : undefined,
+        }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -153,7 +184,7 @@ class TreasuryService {
     const cacheKey = 'treasury_mts_data';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
@@ -162,13 +193,13 @@ class TreasuryService {
       const receiptsUrl = `${this.baseUrl}/v2/accounting/mts/mts_table_4`;
 
       const [interestResponse, receiptsResponse] = await Promise.all([
-        axios.get(interestUrl, {
+        httpClient.get('fiscalData', interestUrl, {
           params: {
             'sort': '-record_date',
             'page[size]': 24, // 2 years of monthly data
           },
         }),
-        axios.get(receiptsUrl, {
+        httpClient.get('fiscalData', receiptsUrl, {
           params: {
             'sort': '-record_date',
             'page[size]': 24,
@@ -194,6 +225,11 @@ class TreasuryService {
           value: parseFloat(d.current_fytd_net) || 0,
           monthly: parseFloat(d.current_month_net) || 0,
         })),
+        provenance: createProvenance({
+          provider: 'treasury',
+          asOf: interestData[0]?.record_date || null,
+          dataType: 'fiscalData',
+        }),
         lastUpdated: new Date().toISOString(),
       };
 
@@ -205,6 +241,66 @@ class TreasuryService {
     }
   }
 
+  /**
+   * Fetch Monthly Treasury Statement history for backtesting
+   * Same fields as getMonthlyStatementData, oldest first
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @returns {Promise<object>} { interestExpense, receipts }
+   */
+  async getMonthlyStatementHistory(startDate = '2007-01-01') {
+    const cacheKey = `treasury_mts_history_${startDate}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const params = {
+      'filter': `record_date:gte:${startDate}`,
+      'sort': 'record_date',
+      'page[size]': 10000,
+    };
+
+    const [interestResponse, receiptsResponse] = await Promise.all([
+      httpClient.get('fiscalData', `${this.baseUrl}/v2/accounting/mts/mts_table_5`, { params }),
+      httpClient.get('fiscalData', `${this.baseUrl}/v2/accounting/mts/mts_table_4`, { params }),
+    ]);
+
+    const result = {
+      interestExpense: (interestResponse.data?.data || []).map(d => ({
+        date: d.record_date,
+        monthly: parseFloat(d.current_month_gross) || 0,
+      })),
+      receipts: (receiptsResponse.data?.data || []).map(d => ({
+        date: d.record_date,
+        monthly: parseFloat(d.current_month_net) || 0,
+      })),
+      lastUpdated: new Date().toISOString(),
+    };
+
+    cache.set(cacheKey, result, 86400);
+    return result;
+  }
+
+  /**
+   * Fetch long-dated (20Y/30Y) auction history for backtesting, oldest first
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @returns {Promise<Array>}
+   */
+  async getLongDatedAuctionHistory(startDate = '2007-01-01') {
+    const auctions = await this.fetchAuctionResults({
+      limit: 10000,
+      filters: { filter: `auction_date:gte:${startDate}` },
+    });
+
+    return auctions
+      .filter(auction => {
+        const term = auction.securityTerm?.toLowerCase() || '';
+        return term.includes('20-year') || term.includes('30-year') ||
+               term.includes('20 year') || term.includes('30 year');
+      })
+      .sort((a, b) => new Date(a.auctionDate) - new Date(b.auctionDate));
+  }
+
   /**
    * Calculate interest expense ratio (TTM interest / TTM receipts)
    * @returns {Promise<object>}
@@ -213,27 +309,16 @@ class TreasuryService {
     const cacheKey = 'treasury_interest_ratio';
     const cached = cache.get(cacheKey);
     if (cached) {
-      return cached;
+      return markCached(cached);
     }
 
     try {
       const mtsData = await this.getMonthlyStatementData();
-
-      // Calculate TTM values
-      const recentInterest = mtsData.interestExpense.slice(0, 12);
-      const recentReceipts = mtsData.receipts.slice(0, 12);
-
-      const ttmInterestExpense = recentInterest.reduce((sum, d) => sum + (d.monthly || 0), 0);
-      const ttmReceipts = recentReceipts.reduce((sum, d) => sum + (d.monthly || 0), 0);
-
-      const ratio = ttmReceipts > 0 ? ttmInterestExpense / ttmReceipts : null;
+      const ratio = this.computeInterestExpenseRatio(mtsData.interestExpense, mtsData.receipts);
 
       const result = {
-        ttmInterestExpense,
-        ttmReceipts,
-        ratio,
-        ratioPercent: ratio ? ratio * 100 : null,
-        dataAsOf: recentInterest[0]?.date || null,
+        ...ratio,
+        provenance: { ...mtsData.provenance, asOf: ratio.dataAsOf },
         lastUpdated: new Date().toISOString(),
       };
 
@@ -245,6 +330,31 @@ class TreasuryService {
     }
   }
 
+  /**
+   * Compute TTM interest expense ratio from MTS rows
+   * Shared by the live indicator and the backtest so both use the same arithmetic
+   * @param {Array} interestExpense - Interest rows, newest first
+   * @param {Array} receipts - Receipt rows, newest first
+   * @returns {object} { ttmInterestExpense, ttmReceipts, ratio, ratioPercent, dataAsOf }
+   */
+  computeInterestExpenseRatio(interestExpense, receipts) {
+    const recentInterest = interestExpense.slice(0, 12);
+    const recentReceipts = receipts.slice(0, 12);
+
+    const ttmInterestExpense = recentInterest.reduce((sum, d) => sum + (d.monthly || 0), 0);
+    const ttmReceipts = recentReceipts.reduce((sum, d) => sum + (d.monthly || 0), 0);
+
+    const ratio = ttmReceipts > 0 ? ttmInterestExpense / ttmReceipts : null;
+
+    return {
+      ttmInterestExpense,
+      ttmReceipts,
+      ratio,
+      ratioPercent: ratio ? ratio * 100 : null,
+      dataAsOf: recentInterest[0]?.date || null,
+    };
+  }
+
   /**
    * Get debt outstanding data
    * @returns {Promise<Array>}
@@ -259,7 +369,7 @@ class TreasuryService {
     try {
       const url = `${this.baseUrl}/v2/accounting/od/debt_outstanding`;
 
-      const response = await axios.get(url, {
+      const response = await httpClient.get('fiscalData', url, {
         params: {
           'sort': '-record_date',
           'page[size]': 365,
@@ -318,6 +428,7 @@ class TreasuryService {
         whenIssuedYield: null,
         tail: null,
         note: 'Data unavailable - API error',
+        source: 'fallback',
       },
     ];
   }
@@ -331,6 +442,7 @@ class TreasuryService {
       interestExpense: [],
       receipts: [],
       note: 'Data unavailable - API error',
+      provenance: createProvenance({ source: 'fallback', provider: 'treasury', dataType: 'fiscalData', note: 'MTS API unavailable' }),
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -339,27 +451,136 @@ class TreasuryService {
    * Update auction data with when-issued yields (manual entry support)
    * @param {string} cusip - Auction CUSIP
    * @param {number} whenIssuedYield - When-issued yield to add
+   * @param {object} audit - { actor, reason } recorded in the audit log
    * @returns {object}
    */
-  async updateAuctionWithWhenIssued(cusip, whenIssuedYield) {
-    // This would store to a database in production
-    // For now, we'll just calculate the tail and return it
-    const auctions = await this.getLongDatedAuctions(6);
-    const auction = auctions.find(a => a.cusip === cusip);
+  async updateAuctionWithWhenIssued(cusip, whenIssuedYield, audit = {}) {
+    const { updated, notFound } = await this.setWhenIssuedYields([{ cusip, whenIssuedYield }], audit);
 
-    if (!auction) {
+    if (notFound.length > 0) {
       throw new Error(`Auction with CUSIP ${cusip} not found`);
     }
 
-    const tail = calculateAuctionTail(auction.highYield, whenIssuedYield);
+    return updated[0];
+  }
+
+  /**
+   * Store when-issued yields for several auctions as one change
+   * Auctions are looked up among the last 6 months of 20Y/30Y auctions, then
+   * in the auction history from the earliest auctionDate given (or 2007).
+   * @param {Array<object>} entries - { cusip, whenIssuedYield, auctionDate? } entries
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>} { updated: auctions with tails, notFound: CUSIPs }
+   */
+  async setWhenIssuedYields(entries, audit = {}) {
+    const byCusip = {};
+    (await this.getLongDatedAuctions(6)).forEach(a => {
+      byCusip[a.cusip] = a;
+    });
+
+    if (entries.some(e => !byCusip[e.cusip])) {
+      const since = entries.map(e => e.auctionDate).filter(Boolean).sort()[0] || '2007-01-01';
+      (await this.getLongDatedAuctionHistory(since)).forEach(a => {
+        if (!byCusip[a.cusip]) byCusip[a.cusip] = a;
+      });
+    }
+
+    const found = entries.filter(e => byCusip[e.cusip]);
+    const notFound = entries.filter(e => !byCusip[e.cusip]).map(e => e.cusip);
+
+    const updatedAt = new Date().toISOString();
+    if (found.length > 0) {
+      const input = found.map(({ cusip, whenIssuedYield }) => ({ cusip, whenIssuedYield }));
+      await auditService.recordChange({
+        operation: 'treasury.whenIssued',
+        key: 'treasury:whenIssued',
+        input: input.length === 1 ? input[0] : input,
+        ...audit,
+      }, () => storage.update('treasury:whenIssued', (stored) => ({
+        ...stored,
+        ...Object.fromEntries(found.map(({ cusip, whenIssuedYield }) => [
+          cusip,
+          { whenIssuedYield, auctionDate: byCusip[cusip].auctionDate, updatedAt },
+        ])),
+      }), {}));
+      this.clearWhenIssuedCaches();
+    }
+
+    return {
+      updated: found.map(({ cusip, whenIssuedYield }) => ({
+        ...byCusip[cusip],
+        whenIssuedYield,
+        tail: calculateAuctionTail(byCusip[cusip].highYield, whenIssuedYield),
+        updatedAt,
+      })),
+      notFound,
+    };
+  }
+  /**
+   * Get the 5-year US sovereign CDS spread
+   * No free source publishes it, so the series is entered manually
+   * (POST /api/treasury/cds or npm run batch-import -- --type cds).
+   * @returns {Promise<object>} { current, currentDate, historicalData (newest first), provenance }
+   */
+  async getSovereignCDS() {
+    const data = await storage.get(CDS_STORAGE_KEY, []);
+
+    return {
+      current: data[0]?.value ?? null,
+      currentDate: data[0]?.date ?? null,
+      historicalData: data,
+      provenance: data.length > 0 ?
+        createProvenance({ source: 'manual', provider: 'manual', asOf: data[0].date, fetchedAt: data[0].enteredAt }) :
+        createProvenance({ source: 'fallback', provider: 'manual', note: 'No sovereign CDS quotes entered' }),
+    };
+  }
+
+  /**
+   * Set manual sovereign CDS quotes
+   * Entries are merged by date with previously stored quotes
+   * @param {Array} data - Array of {date, value} objects (value in bps)
+   * @param {object} audit - { actor, reason } recorded in the audit log
+   * @returns {Promise<object>}
+   */
+  async setManualCDSData(data, audit = {}) {
+    if (!Array.isArray(data) || data.length === 0) {
+      throw Object.assign(new Error('data must be a non-empty array of {date, value} objects'), { code: 'INVALID_DATA' });
+    }
+    const invalid = data.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d?.date || '') || !Number.isFinite(d.value) || d.value < 0 || d.value > 5000);
+    if (invalid) {
+      throw Object.assign(new Error('Each quote needs a YYYY-MM-DD date and a value from 0 to 5000 bps'), { code: 'INVALID_DATA' });
+    }
+
+    const existing = await storage.get(CDS_STORAGE_KEY, []);
+    const enteredAt = new Date().toISOString();
+    const byDate = Object.fromEntries(existing.map(d => [d.date, d]));
+    data.forEach(d => {
+      byDate[d.date] = { date: d.date, value: d.value, enteredAt };
+    });
+    const sortedData = Object.values(byDate).sort((a, b) => (a.date < b.date ? 1 : -1));
+
+    await auditService.recordChange({
+      operation: 'treasury.manualCDS',
+      key: CDS_STORAGE_KEY,
+      input: data.length === 1 ? data[0] : data,
+      ...audit,
+    }, () => storage.set(CDS_STORAGE_KEY, sortedData));
 
     return {
-      ...auction,
-      whenIssuedYield,
-      tail,
-      updatedAt: new Date().toISOString(),
+      success: true,
+      entriesAdded: data.length,
+      totalEntries: sortedData.length,
+      mostRecent: sortedData[0],
     };
   }
+
+  /**
+   * Drop tail metrics so they are recomputed with the stored when-issued yields
+   */
+  clearWhenIssuedCaches() {
+    cache.del('treasury_tail_metrics');
+  }
+
 }
 
 module.exports = new TreasuryService();
@@ -0,0 +1,280 @@
+const axios = require('axios');
+const storage = require('../utils/storage');
+const { isRetryable } = require('../utils/httpClient');
+const { SEVERITIES, WEBHOOK_FORMATS, routingZone, formatWebhookPayload, signWebhook } = require('../utils/alertFormats');
+
+const QUEUE_KEY = 'alerts:webhookQueue';
+
+// Delay before each retry of a failed delivery; it is dropped after the last one
+const RETRY_BACKOFF_MINUTES = [1, 5, 15, 60, 240];
+
+const DESTINATION_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_CONFIG' });
+}
+
+/**
+ * Scheme and host of a URL, with the path and query elided
+ */
+function maskUrl(url) {
+  try {
+    return `${new URL(url).origin}/…`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Webhook Service
+ * Delivers alerts to webhook destinations - Slack, Teams, Discord or any
+ * endpoint taking the generic JSON payload (see lib/utils/alertFormats.js).
+ * Each destination takes the severities it is configured for, bodies are
+ * HMAC-signed when it has a secret, and deliveries that fail with a
+ * network error, 429 or 5xx are queued and retried with backoff by the
+ * alertDelivery job.
+ */
+class WebhookService {
+  /**
+   * Enabled and disabled destinations from the alert config
+   * The legacy webhookUrl is destination "default" (generic format, signed
+   * with ALERT_WEBHOOK_SECRET when set).
+   * @param {object} alertConfig - Alert configuration
+   * @returns {Array<object>} [{ id, url, format, zones, secret, enabled }]
+   */
+  getDestinations(alertConfig) {
+    const destinations = [...(alertConfig.webhooks || [])];
+    if (alertConfig.webhookUrl && !destinations.some(d => d.id === 'default')) {
+      destinations.unshift({
+        id: 'default',
+        url: alertConfig.webhookUrl,
+        format: 'generic',
+        zones: null,
+        secret: process.env.ALERT_WEBHOOK_SECRET || null,
+        enabled: true,
+      });
+    }
+    return destinations;
+  }
+
+  /**
+   * Destinations safe to report: secrets are replaced by secretConfigured
+   * Slack, Teams and Discord URLs are credentials themselves, so unless
+   * revealUrls is set only their scheme and host are shown.
+   * @param {object} alertConfig - Alert configuration
+   * @param {object} options - { revealUrls: full URLs (admin callers) }
+   * @returns {Array<object>}
+   */
+  describeDestinations(alertConfig, options = {}) {
+    return this.getDestinations(alertConfig).map(({ secret, url, ...destination }) => ({
+      ...destination,
+      url: options.revealUrls ? url : maskUrl(url),
+      secretConfigured: !!secret,
+    }));
+  }
+
+  /**
+   * Validate webhook destinations, throwing an error with code INVALID_CONFIG
+   * A destination sent without a secret keeps the one already stored under
+   * its id; "secret": null removes it.
+   * @param {Array<object>} webhooks - Destinations
+   * @param {Array<object>} existing - Currently stored destinations
+   * @returns {Array<object>} Destinations with defaults applied (generic format, every severity, enabled)
+   */
+  validateDestinations(webhooks, existing = []) {
+    if (!Array.isArray(webhooks)) {
+      throw invalid('webhooks must be an array');
+    }
+
+    const ids = new Set();
+    return webhooks.map((webhook, i) => {
+      const path = `webhooks[${i}]`;
+      if (!webhook || typeof webhook !== 'object') {
+        throw invalid(`${path} must be an object`);
+      }
+      if (!DESTINATION_ID.test(webhook.id || '')) {
+        throw invalid(`${path}.id must be 1-64 letters, digits, - or _`);
+      }
+      if (ids.has(webhook.id)) {
+        throw invalid(`Duplicate webhook id: ${webhook.id}`);
+      }
+      ids.add(webhook.id);
+
+      let url;
+      try {
+        url = new URL(webhook.url);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw invalid(`${path}.url must be an http(s) URL`);
+      }
+      if (webhook.format !== undefined && !WEBHOOK_FORMATS.includes(webhook.format)) {
+        throw invalid(`${path}.format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+      }
+      const { zones } = webhook;
+      if (zones !== undefined && zones !== null &&
+        (!Array.isArray(zones) || zones.length === 0 || zones.some(z => !SEVERITIES.includes(z)))) {
+        throw invalid(`${path}.zones must be a non-empty list of ${SEVERITIES.join(', ')}`);
+      }
+      if (webhook.secret !== undefined && webhook.secret !== null && (typeof webhook.secret !== 'string' || !webhook.secret)) {
+        throw invalid(`${path}.secret must be a non-empty string`);
+      }
+
+      const secret = webhook.secret === undefined ?
+        existing.find(d => d.id === webhook.id)?.secret || null :
+        webhook.secret;
+
+      return {
+        id: webhook.id,
+        url: webhook.url,
+        format: webhook.format || 'generic',
+        zones: zones || null,
+        secret,
+        enabled: webhook.enabled !== false,
+      };
+    });
+  }
+
+  /**
+   * Post a body to a destination, signed when it has a secret
+   * @param {object} destination - Destination
+   * @param {string} body - Serialized JSON body
+   */
+  async post(destination, body) {
+    await axios.post(destination.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(destination.secret ? signWebhook(destination.secret, body) : {}),
+      },
+      timeout: 5000,
+    });
+  }
+
+  /**
+   * Deliver alerts to every enabled destination that takes their severity
+   * Never throws; failures are reported in the delivery records.
+   * @param {Array<object>} alerts - Alerts to send
+   * @param {object} alertConfig - Alert configuration
+   * @param {object} options - { destination: only this id, test: send to every destination and don't queue retries }
+   * @returns {Promise<object>} { alertId: { destinationId: { status: 'sent'|'queued'|'failed', attempts, error, nextAttemptAt, at } } }
+   */
+  async send(alerts, alertConfig, options = {}) {
+    const at = new Date().toISOString();
+    const delivery = Object.fromEntries(alerts.map(a => [a.id, {}]));
+    const destinations = this.getDestinations(alertConfig).filter(d =>
+      (options.destination ? d.id === options.destination : d.enabled)
+    );
+    const queued = [];
+
+    await Promise.all(destinations.map(async (destination) => {
+      const routed = options.test || !destination.zones ?
+        alerts :
+        alerts.filter(alert => destination.zones.includes(routingZone(alert)));
+      if (routed.length === 0) return;
+
+      const body = JSON.stringify(formatWebhookPayload(destination.format, routed, { test: options.test, timestamp: at }));
+      let record;
+      try {
+        await this.post(destination, body);
+        record = { status: 'sent', attempts: 1, at };
+        console.log(`Sent ${routed.length} alert(s) to webhook ${destination.id}`);
+      } catch (error) {
+        if (!options.test && isRetryable(error)) {
+          const nextAttemptAt = new Date(Date.now() + RETRY_BACKOFF_MINUTES[0] * 60 * 1000).toISOString();
+          queued.push({
+            id: `${destination.id}-${Date.parse(at)}-${routed[0].id}`,
+            destination: destination.id,
+            alertIds: routed.map(a => a.id),
+            body,
+            attempts: 1,
+            nextAttemptAt,
+            createdAt: at,
+          });
+          record = { status: 'queued', attempts: 1, error: error.message, nextAttemptAt, at };
+        } else {
+          record = { status: 'failed', attempts: 1, error: error.message, at };
+        }
+        console.error(`Failed to send webhook notification to ${destination.id}:`, error.message);
+      }
+      routed.forEach(alert => { delivery[alert.id][destination.id] = record; });
+    }));
+
+    if (queued.length > 0) {
+      await storage.update(QUEUE_KEY, queue => [...queue, ...queued], []);
+    }
+    return delivery;
+  }
+
+  /**
+   * Get the retry queue
+   * @returns {Promise<Array<object>>} [{ id, destination, alertIds, attempts, nextAttemptAt, lastError, createdAt }]
+   */
+  async getQueue() {
+    const queue = await storage.get(QUEUE_KEY, []);
+    return queue.map(({ body, ...entry }) => entry);
+  }
+
+  /**
+   * Retry queued deliveries that are due
+   * The body is resent as first built, re-signed with the destination's
+   * current secret. A delivery is dropped as failed once its retries are
+   * used up, on a non-retryable error, or when its destination is gone.
+   * @param {object} alertConfig - Alert configuration
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>} [{ destination, alertIds, record }] for each delivery attempted
+   */
+  async processQueue(alertConfig, now = new Date()) {
+    const queue = await storage.get(QUEUE_KEY, []);
+    const due = queue.filter(entry => new Date(entry.nextAttemptAt) <= now);
+    if (due.length === 0) return [];
+
+    const at = now.toISOString();
+    const destinations = this.getDestinations(alertConfig);
+    const requeued = [];
+
+    const outcomes = await Promise.all(due.map(async (entry) => {
+      const destination = destinations.find(d => d.id === entry.destination && d.enabled);
+      const attempts = entry.attempts + 1;
+      let record;
+
+      if (!destination) {
+        record = { status: 'failed', attempts: entry.attempts, error: `Webhook ${entry.destination} is no longer configured`, at };
+      } else {
+        try {
+          await this.post(destination, entry.body);
+          record = { status: 'sent', attempts, at };
+          console.log(`Delivered ${entry.alertIds.length} queued alert(s) to webhook ${destination.id} on attempt ${attempts}`);
+        } catch (error) {
+          const delay = RETRY_BACKOFF_MINUTES[attempts - 1];
+          if (delay !== undefined && isRetryable(error)) {
+            const nextAttemptAt = new Date(now.getTime() + delay * 60 * 1000).toISOString();
+            requeued.push({ ...entry, attempts, nextAttemptAt, lastError: error.message });
+            record = { status: 'queued', attempts, error: error.message, nextAttemptAt, at };
+          } else {
+            record = { status: 'failed', attempts, error: error.message, at };
+          }
+          console.error(`Retry ${attempts} to webhook ${destination.id} failed:`, error.message);
+        }
+      }
+      return { destination: entry.destination, alertIds: entry.alertIds, record };
+    }));
+
+    const attempted = new Set(due.map(entry => entry.id));
+    await storage.update(QUEUE_KEY, current => [
+      ...current.filter(entry => !attempted.has(entry.id)),
+      ...requeued,
+    ], []);
+
+    return outcomes;
+  }
+
+  /**
+   * Drop every queued delivery
+   */
+  async clearQueue() {
+    await storage.del(QUEUE_KEY);
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const thresholds = require('../../config/thresholds.json');
+const { getZoneColor } = require('./calculations');
+
+/**
+ * Alert Notification Formats
+ *
+ * Payloads for webhook destinations - a generic JSON body and Slack
+ * blocks, Microsoft Teams Adaptive Cards and Discord embeds - each showing
+ * the indicator, zone, value and a link back to the dashboard
+ * (DASHBOARD_URL), plus the severity routing shared by every notifier.
+ */
+
+const SEVERITIES = ['WARNING', 'DANGER', 'CRITICAL'];
+
+const SEVERITY_RANK = { NORMAL: 0, WARNING: 1, DANGER: 2, CRITICAL: 3 };
+
+// Alerts shown per message; the rest are summarized ("and 3 more")
+const MAX_ALERTS_PER_MESSAGE = 10;
+
+const SOURCE = 'Hegemony Monitoring Dashboard';
+
+/**
+ * Severity an alert is routed by
+ * A recovery goes where alerts for the zone it left went; anything without
+ * a severity (test alerts) is treated as WARNING.
+ * @param {object} alert - Alert
+ * @returns {string} WARNING, DANGER or CRITICAL
+ */
+function routingZone(alert) {
+  if (alert.type === 'RECOVERED' && SEVERITIES.includes(alert.previousZone)) return alert.previousZone;
+  return SEVERITIES.includes(alert.zone) ? alert.zone : 'WARNING';
+}
+
+/**
+ * Sort alerts most severe first, then newest first
+ */
+function sortAlerts(alerts) {
+  return [...alerts].sort((a, b) =>
+    (SEVERITY_RANK[routingZone(b)] - SEVERITY_RANK[routingZone(a)]) || (a.timestamp < b.timestamp ? 1 : -1)
+  );
+}
+
+/**
+ * Format an alert's value in its indicator's display units
+ * @param {object} alert - Alert
+ * @returns {string}
+ */
+function formatAlertValue(alert) {
+  const { value } = alert;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+  const config = thresholds[alert.indicator] || thresholds.secondaryIndicators[alert.indicator] || {};
+  if (config.displayMultiplier) return `${(value * config.displayMultiplier).toFixed(2)}%`;
+  return `${Math.round(value * 100) / 100}${config.unit ? ` ${config.unit}` : ''}`;
+}
+
+function zoneLabel(alert) {
+  return alert.previousZone ? `${alert.previousZone} → ${alert.zone}` : alert.zone;
+}
+
+function title(alerts, test) {
+  const prefix = test ? '[TEST] ' : '';
+  return alerts.length === 1 ?
+    `${prefix}${alerts[0].zone}: ${alerts[0].indicatorName || alerts[0].indicator}` :
+    `${prefix}${alerts.length} dashboard alerts`;
+}
+
+function overflow(alerts) {
+  const hidden = alerts.length - MAX_ALERTS_PER_MESSAGE;
+  return hidden > 0 ? `and ${hidden} more` : null;
+}
+
+const FORMATTERS = {
+  generic: (alerts, { timestamp, test }) => ({
+    type: 'hegemony_dashboard_alert',
+    alerts,
+    timestamp,
+    source: SOURCE,
+    ...(test ? { test: true } : {}),
+  }),
+
+  slack: (alerts, { dashboardUrl, test }) => {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: title(alerts, test).slice(0, 150) } },
+      ...alerts.slice(0, MAX_ALERTS_PER_MESSAGE).flatMap(alert => [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${alert.indicatorName || alert.indicator}*\n${alert.message}` },
+          fields: [
+            { type: 'mrkdwn', text: `*Zone*\n${zoneLabel(alert)}` },
+            { type: 'mrkdwn', text: `*Value*\n${formatAlertValue(alert)}` },
+          ],
+        },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${alert.type} · ${alert.timestamp}` }] },
+      ]),
+    ];
+    if (overflow(alerts)) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: overflow(alerts) }] });
+    }
+    if (dashboardUrl) {
+      blocks.push({
+        type: 'actions',
+        elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open dashboard' }, url: dashboardUrl }],
+      });
+    }
+    return { text: title(alerts, test), blocks };
+  },
+
+  teams: (alerts, { dashboardUrl, test }) => ({
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: title(alerts, test), weight: 'Bolder', size: 'Medium', wrap: true },
+          ...alerts.slice(0, MAX_ALERTS_PER_MESSAGE).map(alert => ({
+            type: 'Container',
+            separator: true,
+            items: [
+              {
+                type: 'TextBlock',
+                text: alert.indicatorName || alert.indicator,
+                weight: 'Bolder',
+                color: { CRITICAL: 'Attention', DANGER: 'Attention', WARNING: 'Warning', NORMAL: 'Good' }[alert.zone] || 'Default',
+                wrap: true,
+              },
+              { type: 'TextBlock', text: alert.message, wrap: true },
+              {
+                type: 'FactSet',
+                facts: [
+                  { title: 'Zone', value: zoneLabel(alert) },
+                  { title: 'Value', value: formatAlertValue(alert) },
+                  { title: 'Time', value: alert.timestamp },
+                ],
+              },
+            ],
+          })),
+          ...(overflow(alerts) ? [{ type: 'TextBlock', text: overflow(alerts), isSubtle: true }] : []),
+        ],
+        actions: dashboardUrl ? [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: dashboardUrl }] : [],
+      },
+    }],
+  }),
+
+  discord: (alerts, { dashboardUrl, test }) => ({
+    username: SOURCE,
+    content: overflow(alerts) ? `${title(alerts, test)} (${overflow(alerts)})` : title(alerts, test),
+    embeds: alerts.slice(0, MAX_ALERTS_PER_MESSAGE).map(alert => ({
+      title: (alert.indicatorName || alert.indicator).slice(0, 256),
+      description: alert.message,
+      color: parseInt(getZoneColor(alert.zone || 'unknown').slice(1), 16),
+      fields: [
+        { name: 'Zone', value: zoneLabel(alert), inline: true },
+        { name: 'Value', value: formatAlertValue(alert), inline: true },
+      ],
+      timestamp: alert.timestamp,
+      ...(dashboardUrl ? { url: dashboardUrl } : {}),
+    })),
+  }),
+};
+
+/**
+ * Build the payload for a webhook format
+ * @param {string} format - generic, slack, teams or discord
+ * @param {Array<object>} alerts - Alerts, any order
+ * @param {object} options - { test, timestamp }
+ * @returns {object} JSON body
+ */
+function formatWebhookPayload(format, alerts, options = {}) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown webhook format: ${format}. Valid formats: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  return formatter(sortAlerts(alerts), {
+    dashboardUrl: process.env.DASHBOARD_URL || null,
+    timestamp: options.timestamp || new Date().toISOString(),
+    test: !!options.test,
+  });
+}
+
+/**
+ * Sign a webhook body
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" so receivers can
+ * reject replayed requests by checking the timestamp.
+ * @param {string} secret - Shared secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {object} Headers: X-Hegemony-Timestamp and X-Hegemony-Signature (sha256=<hex>)
+ */
+function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Hegemony-Timestamp': String(timestamp),
+    'X-Hegemony-Signature': `sha256=${signature}`,
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  WEBHOOK_FORMATS: Object.keys(FORMATTERS),
+  routingZone,
+  sortAlerts,
+  formatAlertValue,
+  formatWebhookPayload,
+  signWebhook,
+};
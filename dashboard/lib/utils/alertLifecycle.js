@@ -0,0 +1,151 @@
+/**
+ * Alert Lifecycle
+ *
+ * Each alert in the log moves through
+ *
+ *   open -> acknowledged -> resolved
+ *     \--> snoozed (until a date, then open again) --/
+ *
+ * and can be assigned to someone at any point. An alert without a status
+ * (logged before the lifecycle existed) is open. Every change is appended
+ * to the alert's history with who made it.
+ *
+ * While an alert is acknowledged or snoozed, later alerts from the same
+ * indicator or rule are logged but not notified, unless they are more
+ * severe or report a recovery.
+ */
+
+const { SEVERITIES, routingZone } = require('./alertFormats');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+
+// Statuses each action may be taken from
+const TRANSITIONS = {
+  acknowledge: ['open', 'snoozed'],
+  snooze: ['open', 'acknowledged', 'snoozed'],
+  resolve: ['open', 'acknowledged', 'snoozed'],
+  reopen: ['acknowledged', 'snoozed', 'resolved'],
+  assign: ALERT_STATUSES,
+};
+
+const LIFECYCLE_ACTIONS = Object.keys(TRANSITIONS);
+
+const MAX_NOTE_LENGTH = 1000;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_ACTION' });
+}
+
+/**
+ * Current status of an alert; a snooze that has run out is open again
+ * @param {object} alert - Alert
+ * @param {Date} now - Current time
+ * @returns {string} open, acknowledged, snoozed or resolved
+ */
+function alertStatus(alert, now = new Date()) {
+  const status = alert.status || 'open';
+  if (status === 'snoozed' && !(new Date(alert.snoozedUntil) > now)) return 'open';
+  return status;
+}
+
+/**
+ * What raised an alert: its rule, its indicator's data going stale, or its indicator
+ * @param {object} alert - Alert
+ * @returns {string} "rule:<id>", "stale:<indicator>" or the indicator key
+ */
+function alertSource(alert) {
+  if (alert.rule) return `rule:${alert.rule}`;
+  return alert.type === 'DATA_STALE' ? `stale:${alert.indicator}` : alert.indicator;
+}
+
+/**
+ * Apply a lifecycle action to an alert
+ * @param {object} alert - Alert (not modified)
+ * @param {string} action - acknowledge, snooze, resolve, reopen or assign
+ * @param {object} options - { actor: { id }, note, until: snooze end, assignee: id or null to unassign }
+ * @param {Date} now - Time of the change
+ * @returns {object} Updated alert
+ */
+function applyAction(alert, action, options = {}, now = new Date()) {
+  if (!TRANSITIONS[action]) {
+    throw invalid(`Unknown action: ${action}. Valid actions: ${LIFECYCLE_ACTIONS.join(', ')}`);
+  }
+  const status = alertStatus(alert, now);
+  if (!TRANSITIONS[action].includes(status)) {
+    throw invalid(`Cannot ${action} alert ${alert.id}: it is ${status}`);
+  }
+
+  const { note } = options;
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw invalid(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  const by = options.actor?.id || 'system';
+  const at = now.toISOString();
+  const updated = { ...alert, status };
+  const entry = { action, by, at, ...(note ? { note } : {}) };
+
+  switch (action) {
+    case 'acknowledge':
+      Object.assign(updated, { status: 'acknowledged', acknowledgedBy: by, acknowledgedAt: at, snoozedUntil: null });
+      break;
+    case 'snooze': {
+      const until = new Date(options.until);
+      if (!options.until || Number.isNaN(until.getTime()) || until <= now) {
+        throw invalid('until must be a future date or time');
+      }
+      Object.assign(updated, { status: 'snoozed', snoozedUntil: until.toISOString(), snoozedBy: by });
+      entry.until = updated.snoozedUntil;
+      break;
+    }
+    case 'resolve':
+      Object.assign(updated, { status: 'resolved', resolvedBy: by, resolvedAt: at, snoozedUntil: null });
+      break;
+    case 'reopen':
+      Object.assign(updated, { status: 'open', snoozedUntil: null, resolvedBy: null, resolvedAt: null });
+      break;
+    case 'assign': {
+      const { assignee } = options;
+      if (assignee !== null && (typeof assignee !== 'string' || !assignee.trim())) {
+        throw invalid('assignee must be a name, or null to unassign');
+      }
+      Object.assign(updated, { assignee: assignee ? assignee.trim() : null, assignedBy: by, assignedAt: at });
+      entry.assignee = updated.assignee;
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (note) updated.note = note;
+  updated.history = [...(alert.history || []), entry];
+  return updated;
+}
+
+/**
+ * The logged alert that holds back notification of a new one, if any
+ * @param {object} alert - New alert
+ * @param {Array<object>} alertLog - Logged alerts
+ * @param {Date} now - Current time
+ * @returns {object|null} Acknowledged or snoozed alert from the same source
+ */
+function findSuppressingAlert(alert, alertLog, now = new Date()) {
+  if (alert.type === 'RECOVERED') return null;
+  const source = alertSource(alert);
+  const severity = SEVERITIES.indexOf(routingZone(alert));
+
+  return alertLog.find(logged =>
+    alertSource(logged) === source &&
+    ['acknowledged', 'snoozed'].includes(alertStatus(logged, now)) &&
+    SEVERITIES.indexOf(routingZone(logged)) >= severity
+  ) || null;
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  LIFECYCLE_ACTIONS,
+  alertStatus,
+  alertSource,
+  applyAction,
+  findSuppressingAlert,
+};
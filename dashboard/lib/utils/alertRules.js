@@ -0,0 +1,233 @@
+/**
+ * Alert Rule Engine
+ *
+ * Evaluates user-defined alert rules stored with the alert config. A rule
+ * names a severity and a condition in the same form as the stage triggers
+ * (see stageRules.js):
+ *
+ *   { "input": "auctionTail", "comparison": ">", "threshold": 3 }
+ *   { "input": "vix", "comparison": "between", "range": [25, 40] }
+ *
+ * A condition can compare the input's change instead of its level, over a
+ * number of calendar days ("relative": true for a fractional change):
+ *
+ *   { "input": "japaneseHedgingSpread", "change": { "days": 20 }, "comparison": "<=", "threshold": -40 }
+ *
+ * "duration": N requires the condition on N consecutive observations of its
+ * input (days for daily series, auctions for auctionTails), and conditions
+ * combine under "all" / "any" across inputs:
+ *
+ *   { "any": [{ "input": "vix", ... }, { "all": [{ ... }, { ... }] }] }
+ *
+ * Series are arrays of { date, value }, newest first; the first entry is the
+ * current value. A missing input or an unavailable change never meets a
+ * condition.
+ */
+
+const { COMPARISONS } = require('./stageRules');
+
+const RANGE_COMPARISONS = ['between', 'outside'];
+
+const RULE_ZONES = ['WARNING', 'DANGER', 'CRITICAL'];
+
+const RULE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_RULE' });
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a condition tree
+ * @param {object} condition - Condition
+ * @param {string[]} inputs - Known input names
+ * @param {string} path - Location for error messages
+ */
+function validateCondition(condition, inputs, path) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw invalid(`${path} must be an object`);
+  }
+
+  if (condition.all || condition.any) {
+    const parts = condition.all || condition.any;
+    if (!Array.isArray(parts) || parts.length === 0) {
+      throw invalid(`${path}.${condition.all ? 'all' : 'any'} must be a non-empty array of conditions`);
+    }
+    if (condition.duration !== undefined) {
+      throw invalid(`${path}.duration applies to single conditions, not all/any`);
+    }
+    parts.forEach((part, i) => validateCondition(part, inputs, `${path}.${condition.all ? 'all' : 'any'}[${i}]`));
+    return;
+  }
+
+  if (!inputs.includes(condition.input)) {
+    throw invalid(`${path}.input must be one of ${inputs.join(', ')}`);
+  }
+  if (!COMPARISONS[condition.comparison]) {
+    throw invalid(`${path}.comparison must be one of ${Object.keys(COMPARISONS).join(', ')}`);
+  }
+  if (RANGE_COMPARISONS.includes(condition.comparison)) {
+    const { range } = condition;
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] >= range[1]) {
+      throw invalid(`${path}.range must be [min, max] with min < max`);
+    }
+  } else if (!Number.isFinite(condition.threshold)) {
+    throw invalid(`${path}.threshold must be a number`);
+  }
+  if (condition.change !== undefined && !isPositiveInteger(condition.change?.days)) {
+    throw invalid(`${path}.change.days must be a positive whole number of days`);
+  }
+  if (condition.duration !== undefined && !isPositiveInteger(condition.duration)) {
+    throw invalid(`${path}.duration must be a positive whole number of observations`);
+  }
+}
+
+/**
+ * Validate a list of rules, throwing an error with code INVALID_RULE
+ * @param {Array<object>} rules - Rules ({ id, name, zone, enabled, cooldownMinutes, condition })
+ * @param {string[]} inputs - Known input names
+ * @returns {Array<object>} Rules with defaults applied (zone WARNING, enabled)
+ */
+function validateRules(rules, inputs) {
+  if (!Array.isArray(rules)) {
+    throw invalid('rules must be an array');
+  }
+
+  const ids = new Set();
+  return rules.map((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      throw invalid(`${path} must be an object`);
+    }
+    if (!RULE_ID.test(rule.id || '')) {
+      throw invalid(`${path}.id must be 1-64 letters, digits, - or _`);
+    }
+    if (ids.has(rule.id)) {
+      throw invalid(`Duplicate rule id: ${rule.id}`);
+    }
+    ids.add(rule.id);
+    if (rule.zone !== undefined && !RULE_ZONES.includes(rule.zone)) {
+      throw invalid(`${path}.zone must be one of ${RULE_ZONES.join(', ')}`);
+    }
+    if (rule.cooldownMinutes !== undefined && !(Number.isFinite(rule.cooldownMinutes) && rule.cooldownMinutes >= 0)) {
+      throw invalid(`${path}.cooldownMinutes must be 0 or more`);
+    }
+    validateCondition(rule.condition, inputs, `${path}.condition`);
+
+    return {
+      ...rule,
+      name: rule.name || rule.id,
+      zone: rule.zone || 'WARNING',
+      enabled: rule.enabled !== false,
+    };
+  });
+}
+
+/**
+ * Inputs a condition refers to
+ * @param {object} condition - Condition
+ * @returns {string[]} Input names
+ */
+function getRuleInputs(condition) {
+  if (condition.all || condition.any) {
+    return [...new Set((condition.all || condition.any).flatMap(getRuleInputs))];
+  }
+  return [condition.input];
+}
+
+/**
+ * Change in a series from the observation at index to the latest one on
+ * or before `days` calendar days earlier
+ * @returns {number|null}
+ */
+function changeAt(series, index, days, relative) {
+  const current = series[index];
+  const cutoff = new Date(current.date).getTime() - days * DAY_MS;
+  const past = series.slice(index + 1).find(point => new Date(point.date).getTime() <= cutoff);
+  if (!past) return null;
+  if (relative) {
+    return past.value === 0 ? null : (current.value - past.value) / Math.abs(past.value);
+  }
+  return current.value - past.value;
+}
+
+/**
+ * Evaluate a condition against input series
+ * @param {object} condition - Condition
+ * @param {object} series - { input: [{ date, value }] } newest first
+ * @returns {object} { met, missing, value, consecutive, conditions? }
+ */
+function evaluateRuleCondition(condition, series) {
+  if (condition.all || condition.any) {
+    const parts = (condition.all || condition.any).map(c => evaluateRuleCondition(c, series));
+    const met = condition.all ? parts.every(p => p.met) : parts.some(p => p.met);
+    return { met, missing: parts.some(p => p.missing), value: null, conditions: parts };
+  }
+
+  const points = series[condition.input] || [];
+  const compare = COMPARISONS[condition.comparison];
+  const operand = RANGE_COMPARISONS.includes(condition.comparison) ? condition.range : condition.threshold;
+  const observe = (index) => (condition.change ?
+    changeAt(points, index, condition.change.days, condition.change.relative) :
+    points[index].value);
+
+  if (points.length === 0) {
+    return { input: condition.input, met: false, missing: true, value: null, consecutive: 0 };
+  }
+
+  const value = observe(0);
+  const duration = condition.duration || 1;
+  let consecutive = 0;
+  for (let i = 0; i < points.length && consecutive < duration; i++) {
+    const observed = i === 0 ? value : observe(i);
+    if (observed === null || observed === undefined || !compare(observed, operand)) break;
+    consecutive++;
+  }
+
+  return {
+    input: condition.input,
+    met: consecutive >= duration,
+    missing: value === null,
+    value,
+    consecutive,
+  };
+}
+
+/**
+ * Describe a condition for alert messages, with the observed values
+ * @param {object} condition - Condition
+ * @param {object} result - Result of evaluateRuleCondition()
+ * @returns {string}
+ */
+function describeCondition(condition, result) {
+  if (condition.all || condition.any) {
+    const parts = (condition.all || condition.any).map((c, i) => describeCondition(c, result.conditions[i]));
+    return `(${parts.join(condition.all ? ' and ' : ' or ')})`;
+  }
+
+  const { change } = condition;
+  const subject = change ?
+    `${condition.input} ${change.days}-day ${change.relative ? '% change' : 'change'}` :
+    condition.input;
+  const format = value => (change?.relative ? `${(value * 100).toFixed(1)}%` : String(Math.round(value * 100) / 100));
+  const target = RANGE_COMPARISONS.includes(condition.comparison) ?
+    `${condition.comparison} ${format(condition.range[0])} and ${format(condition.range[1])}` :
+    `${condition.comparison} ${format(condition.threshold)}`;
+  const observed = result.value === null || result.value === undefined ? 'n/a' : format(result.value);
+  const duration = condition.duration > 1 ? ` for ${condition.duration} observations` : '';
+
+  return `${subject} ${target}${duration} (now ${observed})`;
+}
+
+module.exports = {
+  RULE_ZONES,
+  validateRules,
+  getRuleInputs,
+  evaluateRuleCondition,
+  describeCondition,
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+
+/**
+ * API Authentication and Roles
+ *
+ * Read endpoints stay open; mutating endpoints call requireRole() with the
+ * least role allowed to make the change:
+ *
+ * - viewer: read only (the role of an unauthenticated caller)
+ * - editor: manual data entry, policy rates, JGB imports, snapshots, alert checks, job runs
+ * - admin:  everything, including calibration, alert configuration, clearing the alert log and resetting upstream breakers
+ *
+ * Callers authenticate with `Authorization: Bearer <credential>` or
+ * `X-API-Key: <credential>`, where the credential is either
+ * - a static API key from API_KEYS ("name:role:key" entries, comma separated), or
+ * - a signed token issued by `npm run issue-token` (HMAC-SHA256 with AUTH_TOKEN_SECRET).
+ *
+ * With neither API_KEYS nor AUTH_TOKEN_SECRET set, authentication is off and
+ * every caller is treated as admin (local development). In production
+ * (VERCEL or NODE_ENV=production) it fails closed instead: callers are
+ * viewers and mutating endpoints answer 503. Scheduled-job endpoints also
+ * accept CRON_SECRET (see lib/utils/cronAuth.js).
+ */
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Parsed API_KEYS, re-parsed only when the variable changes
+let parsedKeys = { raw: undefined, keys: [] };
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse API_KEYS ("name:role:key,name:role:key")
+ * Entries with an unknown role are ignored with a warning.
+ * @param {string} value - Raw API_KEYS value
+ * @returns {Array<{name: string, role: string, key: string}>}
+ */
+function parseApiKeys(value = process.env.API_KEYS) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+      if (!ROLES.includes(role) || !key) {
+        console.warn(`Ignoring API_KEYS entry for ${name}: expected name:role:key with role ${ROLES.join('|')}`);
+        return null;
+      }
+      return { name, role, key };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Configured API keys
+ */
+function getApiKeys() {
+  if (parsedKeys.raw !== process.env.API_KEYS) {
+    parsedKeys = { raw: process.env.API_KEYS, keys: parseApiKeys(process.env.API_KEYS) };
+  }
+  return parsedKeys.keys;
+}
+
+/**
+ * Whether any credential source is configured
+ * @returns {boolean}
+ */
+function isAuthConfigured() {
+  return !!process.env.AUTH_TOKEN_SECRET || getApiKeys().length > 0;
+}
+
+/**
+ * Whether this is a production deployment, where missing credentials fail closed
+ * @returns {boolean}
+ */
+function isProduction() {
+  return !!process.env.VERCEL || process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Issue a signed token
+ * @param {object} claims - { sub, role, expiresIn } (expiresIn in seconds)
+ * @param {string} secret - Signing secret (defaults to AUTH_TOKEN_SECRET)
+ * @returns {string} Token
+ */
+function issueToken({ sub, role, expiresIn = DEFAULT_TOKEN_TTL_SECONDS }, secret = process.env.AUTH_TOKEN_SECRET) {
+  if (!secret) {
+    throw new Error('AUTH_TOKEN_SECRET is not set');
+  }
+  if (!sub) {
+    throw new Error('sub is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}. Valid roles: ${ROLES.join(', ')}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({ sub, role, iat: now, exp: now + expiresIn }));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token from issueToken()
+ * @param {string} secret - Signing secret (defaults to AUTH_TOKEN_SECRET)
+ * @returns {object|null} Claims { sub, role, iat, exp }, or null if invalid or expired
+ */
+function verifyToken(token, secret = process.env.AUTH_TOKEN_SECRET) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ROLES.includes(claims.role) || !(claims.exp > Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the credential from the request headers
+ */
+function getCredential(req) {
+  const header = req.headers?.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.headers?.['x-api-key'] || null;
+}
+
+/**
+ * Identify the caller
+ * @param {object} req - Incoming request
+ * @returns {object} { id, role, method: 'api-key'|'token'|'none'|'unconfigured'|'anonymous'|'invalid' }
+ */
+function authenticate(req) {
+  if (!isAuthConfigured()) {
+    return isProduction() ?
+      { id: 'anonymous', role: 'viewer', method: 'unconfigured' } :
+      { id: 'local', role: 'admin', method: 'none' };
+  }
+
+  const credential = getCredential(req);
+  if (credential) {
+    const apiKey = getApiKeys().find(k => safeEqual(k.key, credential));
+    if (apiKey) {
+      return { id: apiKey.name, role: apiKey.role, method: 'api-key' };
+    }
+
+    const claims = verifyToken(credential);
+    if (claims) {
+      return { id: claims.sub, role: claims.role, method: 'token', expiresAt: new Date(claims.exp * 1000).toISOString() };
+    }
+
+    return { id: 'anonymous', role: 'viewer', method: 'invalid' };
+  }
+
+  return { id: 'anonymous', role: 'viewer', method: 'anonymous' };
+}
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Caller's role
+ * @param {string} required - Least role allowed
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(required);
+}
+
+/**
+ * Check the caller's role, sending 401/403 when it is insufficient
+ * Sets req.auth to the caller for the handler.
+ * @param {object} req - Incoming request
+ * @param {object} res - Response
+ * @param {string} required - Least role allowed ('editor' or 'admin')
+ * @returns {boolean} True if the handler may proceed
+ */
+function requireRole(req, res, required) {
+  const caller = authenticate(req);
+  req.auth = caller;
+
+  if (caller.method === 'none') {
+    return true;
+  }
+  if (caller.method === 'unconfigured') {
+    console.error('API_KEYS and AUTH_TOKEN_SECRET are not set: refusing a mutating request in production');
+    res.status(503).json({ success: false, error: 'Authentication is not configured on this deployment' });
+    return false;
+  }
+
+  if (hasRole(caller.role, required)) {
+    return true;
+  }
+
+  if (caller.method === 'anonymous') {
+    res.status(401).json({ success: false, error: `Authentication required (${required} role)` });
+  } else if (caller.method === 'invalid') {
+    res.status(401).json({ success: false, error: 'Invalid or expired credential' });
+  } else {
+    res.status(403).json({ success: false, error: `${required} role required (${caller.id} is ${caller.role})` });
+  }
+  return false;
+}
+
+/**
+ * Who made a change and why, for the audit log (lib/services/auditService.js)
+ * @param {object} req - Incoming request, after requireRole()
+ * @param {object} body - Parsed request body; its reason field is recorded
+ * @returns {object} { actor, reason }
+ */
+function getAuditContext(req, body = req.body) {
+  return {
+    actor: req.auth || authenticate(req),
+    reason: typeof body?.reason === 'string' ? body.reason : null,
+  };
+}
+
+module.exports = {
+  ROLES,
+  safeEqual,
+  parseApiKeys,
+  isAuthConfigured,
+  isProduction,
+  issueToken,
+  verifyToken,
+  authenticate,
+  hasRole,
+  requireRole,
+  getAuditContext,
+};
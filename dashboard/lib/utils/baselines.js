@@ -0,0 +1,156 @@
+/**
+ * Stage Input Baselines
+ *
+ * Computes the change-based stage inputs (dollar, Fed balance sheet, gold,
+ * CPI, foreign holdings) from a series and the baseline rules in
+ * config/stageInputs.json. Shared by the live indicator service and the
+ * backtest so both measure change the same way.
+ */
+
+/**
+ * Shift a YYYY-MM-DD date by a number of months
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string}
+ */
+function shiftMonths(dateStr, months) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+function shiftDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve the date a change is measured from
+ * @param {object} baseline - { type: 'lookback'|'anchor'|'crisisStart', months, date }
+ * @param {string} asOfDate - Date of the current observation (YYYY-MM-DD)
+ * @param {string|null} crisisStart - Configured crisis start anchor
+ * @returns {string} Baseline date (YYYY-MM-DD)
+ */
+function resolveBaselineDate(baseline = {}, asOfDate, crisisStart = null) {
+  if (baseline.type === 'anchor' && baseline.date) {
+    return baseline.date;
+  }
+  if (baseline.type === 'crisisStart' && crisisStart) {
+    return crisisStart;
+  }
+  return shiftMonths(asOfDate, -(baseline.months || 12));
+}
+
+/**
+ * First date to fetch observations from to compute an input today
+ * The baseline is measured from the latest observation, which trails today
+ * by publicationLagDays; a further month before the baseline ensures an
+ * observation exists on or before it for monthly series.
+ * @param {object} inputConfig - Entry from stageInputs.json
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @param {string|null} crisisStart - Configured crisis start anchor
+ * @returns {string} Start date (YYYY-MM-DD)
+ */
+function baselineWindowStart(inputConfig, today, crisisStart = null) {
+  const latest = shiftDays(today, -(inputConfig.publicationLagDays || 0));
+  const from = inputConfig.baseline ? resolveBaselineDate(inputConfig.baseline, latest, crisisStart) : latest;
+  return shiftMonths(from, -1);
+}
+
+/**
+ * Latest observation at or before a date
+ * @param {Array<{date: string, value: number}>} series - Observations in any order
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {object|null}
+ */
+function observationOnOrBefore(series, date) {
+  return (series || []).reduce((best, d) => {
+    if (d.date > date || d.value === null || d.value === undefined) return best;
+    return !best || d.date > best.date ? d : best;
+  }, null);
+}
+
+/**
+ * Whole months between two dates
+ */
+function monthsBetween(from, to) {
+  const a = new Date(`${from}T00:00:00Z`);
+  const b = new Date(`${to}T00:00:00Z`);
+  return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+}
+
+/**
+ * Compute a change input from a series and its config
+ * @param {Array<{date: string, value: number}>} series - Observations
+ * @param {object} inputConfig - Entry from stageInputs.json ({ change, multiplier, baseline })
+ * @param {object} options - { asOfDate (defaults to latest observation), crisisStart,
+ *   lookup: (series, date) => observation, for callers with pre-sorted series }
+ * @returns {object|null} { value, current, baseline, baselineDate } or null when not computable
+ */
+function calculateBaselineChange(series, inputConfig, options = {}) {
+  const lookup = options.lookup || observationOnOrBefore;
+  const latest = lookup(series, options.asOfDate || '9999-12-31');
+  if (!latest) return null;
+
+  const baselineDate = resolveBaselineDate(inputConfig.baseline, options.asOfDate || latest.date, options.crisisStart);
+  const base = lookup(series, baselineDate);
+  if (!base || base.date >= latest.date) return null;
+
+  const multiplier = inputConfig.multiplier || 1;
+  let value;
+
+  switch (inputConfig.change) {
+    case 'absolute':
+      value = (latest.value - base.value) * multiplier;
+      break;
+    case 'annualized': {
+      const months = monthsBetween(base.date, latest.date);
+      if (months <= 0 || !base.value) return null;
+      value = Math.pow(latest.value / base.value, 12 / months) - 1;
+      break;
+    }
+    case 'percent':
+    default:
+      if (!base.value) return null;
+      value = (latest.value - base.value) / base.value;
+  }
+
+  return { value, current: latest, baseline: base, baselineDate };
+}
+
+/**
+ * Combine the latest values of several level series (e.g. 5Y and 10Y breakevens)
+ * @param {Array<Array>} seriesList - One observation array per series
+ * @param {object} inputConfig - { aggregate: 'max'|'min'|'mean', multiplier }
+ * @param {object} options - { asOfDate, lookup } as for calculateBaselineChange
+ * @returns {number|null}
+ */
+function aggregateLatest(seriesList, inputConfig, options = {}) {
+  const lookup = options.lookup || observationOnOrBefore;
+  const values = seriesList
+    .map(series => lookup(series, options.asOfDate || '9999-12-31')?.value)
+    .filter(v => v !== null && v !== undefined)
+    .map(v => v * (inputConfig.multiplier || 1));
+
+  if (values.length === 0) return null;
+  if (inputConfig.aggregate === 'min') return Math.min(...values);
+  if (inputConfig.aggregate === 'mean') return values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.max(...values);
+}
+
+module.exports = {
+  shiftMonths,
+  shiftDays,
+  resolveBaselineDate,
+  baselineWindowStart,
+  observationOnOrBefore,
+  calculateBaselineChange,
+  aggregateLatest,
+};
@@ -57,6 +57,17 @@ function del(key) {
   cache.del(key);
 }
 
+/**
+ * Delete all keys starting with a prefix
+ * @param {string} prefix - Key prefix (e.g., 'fred_DGS10_')
+ * @returns {string[]} Deleted keys
+ */
+function delByPrefix(prefix) {
+  const matching = cache.keys().filter(k => k.startsWith(prefix));
+  cache.del(matching);
+  return matching;
+}
+
 /**
  * Clear all cache
  */
@@ -143,6 +154,7 @@ module.exports = {
   get,
   set,
   del,
+  delByPrefix,
   flush,
   getStats,
   keys,
@@ -1,4 +1,5 @@
 const thresholds = require('../../config/thresholds.json');
+const { evaluateStage } = require('./stageRules');
 
 /**
  * Calculate Japanese hedging cost spread
@@ -93,6 +94,74 @@ function calculateInterestExpenseRatio(ttmInterestExpense, ttmReceipts) {
   return ttmInterestExpense / ttmReceipts;
 }
 
+/**
+ * Calculate Pearson correlation between two equal-length samples
+ * @param {Array<number>} xs - First sample
+ * @param {Array<number>} ys - Second sample
+ * @returns {number|null} Correlation (-1 to 1), null if undefined (constant or too short)
+ */
+function calculateCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+
+  const meanX = xs.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Calculate rolling correlation of daily log returns between two series
+ * Only dates present in both series are used. Positive dollar-equity
+ * correlation means the dollar falls alongside equities instead of
+ * acting as a safe haven.
+ *
+ * @param {Array<{date: string, value: number}>} seriesA - First series (any order)
+ * @param {Array<{date: string, value: number}>} seriesB - Second series (any order)
+ * @param {number} window - Number of daily returns per correlation
+ * @returns {Array<{date: string, value: number}>} Correlation series, newest first
+ */
+function calculateRollingCorrelation(seriesA, seriesB, window = 60) {
+  const valuesB = new Map(
+    (seriesB || []).filter(d => d.value > 0).map(d => [d.date, d.value])
+  );
+  const aligned = (seriesA || [])
+    .filter(d => d.value > 0 && valuesB.has(d.date))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const returns = [];
+  for (let i = 1; i < aligned.length; i++) {
+    returns.push({
+      date: aligned[i].date,
+      a: Math.log(aligned[i].value / aligned[i - 1].value),
+      b: Math.log(valuesB.get(aligned[i].date) / valuesB.get(aligned[i - 1].date)),
+    });
+  }
+
+  const result = [];
+  for (let end = window; end <= returns.length; end++) {
+    const slice = returns.slice(end - window, end);
+    const value = calculateCorrelation(slice.map(r => r.a), slice.map(r => r.b));
+    if (value !== null) {
+      result.push({ date: returns[end - 1].date, value });
+    }
+  }
+
+  return result.reverse();
+}
+
 /**
  * Evaluate threshold zone for an indicator
  * @param {number} value - Current indicator value
@@ -134,6 +203,22 @@ function evaluateThreshold(value, thresholdConfig) {
   return { zone: 'NORMAL', color: '#10b981', description: 'Within normal range' };
 }
 
+/**
+ * Evaluate zone for a secondary indicator with single-level thresholds
+ * @param {number} value - Current indicator value
+ * @param {object} config - Secondary indicator config ({ warning, danger, critical })
+ * @returns {object} Zone assessment with zone name and color
+ */
+function evaluateSecondaryThreshold(value, config) {
+  if (value === null || value === undefined) {
+    return { zone: 'UNKNOWN', color: '#6b7280' };
+  }
+  if (value >= config.critical) return { zone: 'CRITICAL', color: '#7c2d12' };
+  if (value >= config.danger) return { zone: 'DANGER', color: '#ef4444' };
+  if (value >= config.warning) return { zone: 'WARNING', color: '#f59e0b' };
+  return { zone: 'NORMAL', color: '#10b981' };
+}
+
 /**
  * Get color for zone
  * @param {string} zone - Zone name
@@ -168,85 +253,32 @@ function getZoneDescription(zone) {
 
 /**
  * Assess current crisis stage based on multiple indicators
- * @param {object} indicators - Current indicator values
- * @returns {object} Stage assessment with stage, confidence, and triggers
+ * Rules come entirely from config.stageAssessment (see lib/utils/stageRules.js).
+ * The highest stage whose met triggers reach minTriggers wins; otherwise the
+ * preCrisis concerns set the risk level.
+ *
+ * @param {object} indicators - Current stage input values
+ * @param {object} config - Thresholds config (defaults to config/thresholds.json)
+ * @param {object} options - { history: previous input values, newest first (for duration triggers) }
+ * @returns {object} Stage assessment with stage, confidence, triggers and per-trigger evaluation
  */
-function assessCurrentStage(indicators) {
-  const {
-    hedgingSpread,
-    basisSwap,
-    auctionTail,
-    goldTreasuryRoC,
-    interestRatio,
-    vix,
-    hySpread,
-    dollarChange,
-    fedBalanceSheetChange,
-    inflationBreakeven,
-    goldChange,
-    foreignHoldingsChange,
-    cpiAnnualized,
-  } = indicators;
-
-  const stageConfig = thresholds.stageAssessment;
-  const triggeredStages = [];
-
-  // Check Stage 1 triggers
-  const stage1Triggers = [];
-  if (vix > 40) stage1Triggers.push('VIX > 40');
-  if (hySpread > 700) stage1Triggers.push('HY Spread > 700bps');
-  if (auctionTail > 4) stage1Triggers.push('Auction tail > 4bps');
-  if (hedgingSpread < -50) stage1Triggers.push('Japanese hedging spread < -50bps');
-  if (dollarChange < 0 && vix > 25) stage1Triggers.push('Dollar weakening during equity stress');
-
-  if (stage1Triggers.length >= 3) {
-    triggeredStages.push({
-      stage: 1,
-      triggers: stage1Triggers,
-      confidence: Math.min(100, 50 + stage1Triggers.length * 10),
-    });
-  }
+function assessCurrentStage(indicators, config = thresholds, options = {}) {
+  const { history = [] } = options;
+  const stageConfig = config.stageAssessment;
 
-  // Check Stage 2 triggers
-  const stage2Triggers = [];
-  if (fedBalanceSheetChange > 2000) stage2Triggers.push('Fed balance sheet expansion > $2T');
-  if (inflationBreakeven > 4) stage2Triggers.push('Inflation breakevens > 4%');
-  if (dollarChange < -15) stage2Triggers.push('Dollar down > 15%');
-  if (goldChange > 30) stage2Triggers.push('Gold up > 30%');
-
-  if (stage2Triggers.length >= 2) {
-    triggeredStages.push({
-      stage: 2,
-      triggers: stage2Triggers,
-      confidence: Math.min(100, 50 + stage2Triggers.length * 15),
-    });
-  }
-
-  // Check Stage 3 triggers
-  const stage3Triggers = [];
-  if (dollarChange < -20) stage3Triggers.push('Sustained dollar weakness > 20%');
-  if (goldChange > 50) stage3Triggers.push('Gold acceleration > 50%');
-  if (foreignHoldingsChange < -10) stage3Triggers.push('Foreign selling acceleration');
-
-  if (stage3Triggers.length >= 2) {
-    triggeredStages.push({
-      stage: 3,
-      triggers: stage3Triggers,
-      confidence: Math.min(100, 50 + stage3Triggers.length * 15),
-    });
-  }
-
-  // Check Stage 4 triggers
-  const stage4Triggers = [];
-  if (cpiAnnualized > 10) stage4Triggers.push('CPI > 10% annualized');
+  const evaluation = {};
+  Object.entries(stageConfig).forEach(([key, stage]) => {
+    evaluation[key] = evaluateStage(stage, indicators, history);
+  });
 
-  if (stage4Triggers.length >= 1) {
-    triggeredStages.push({
-      stage: 4,
-      triggers: stage4Triggers,
-      confidence: Math.min(100, 40 + stage4Triggers.length * 30),
-    });
-  }
+  const triggeredStages = Object.keys(stageConfig)
+    .map(key => ({ key, match: key.match(/^stage(\d+)$/) }))
+    .filter(({ key, match }) => match && evaluation[key].triggered)
+    .map(({ key, match }) => ({
+      stage: parseInt(match[1], 10),
+      triggers: evaluation[key].triggers.filter(t => t.met).map(t => t.label),
+      confidence: evaluation[key].confidence,
+    }));
 
   // Determine highest triggered stage
   if (triggeredStages.length > 0) {
@@ -257,26 +289,22 @@ function assessCurrentStage(indicators) {
       confidence: highestStage.confidence,
       triggers: highestStage.triggers,
       allTriggeredStages: triggeredStages,
+      evaluation,
     };
   }
 
   // Pre-crisis assessment
-  const preCrisisConcerns = [];
-  if (hedgingSpread < 0) preCrisisConcerns.push('Japanese hedging spread negative');
-  if (auctionTail > 2) preCrisisConcerns.push('Auction tails trending higher');
-  if (interestRatio > 0.18) preCrisisConcerns.push(`Interest expense ratio at ${(interestRatio * 100).toFixed(1)}%`);
-  if (basisSwap > -15) preCrisisConcerns.push('Cross-currency basis narrowing');
-  if (goldTreasuryRoC > 0.10) preCrisisConcerns.push('Gold/Treasury ratio accelerating');
-
-  const riskLevel = preCrisisConcerns.length >= 3 ? 'Elevated Risk' :
-                    preCrisisConcerns.length >= 1 ? 'Moderate Risk' : 'Low Risk';
+  const preCrisis = evaluation.preCrisis || { triggers: [], metCount: 0, confidence: 50 };
+  const riskLevels = stageConfig.preCrisis?.riskLevels || [];
+  const riskLevel = riskLevels.find(level => preCrisis.metCount >= level.minTriggers)?.name || 'Low Risk';
 
   return {
     stage: 0,
     stageName: `Pre-Crisis (${riskLevel})`,
-    confidence: 50 + preCrisisConcerns.length * 8,
-    triggers: preCrisisConcerns,
+    confidence: preCrisis.confidence,
+    triggers: preCrisis.triggers.filter(t => t.met).map(t => t.label),
     allTriggeredStages: [],
+    evaluation,
   };
 }
 
@@ -387,7 +415,10 @@ module.exports = {
   calculateGoldTreasuryRatio,
   calculateRatioRateOfChange,
   calculateInterestExpenseRatio,
+  calculateCorrelation,
+  calculateRollingCorrelation,
   evaluateThreshold,
+  evaluateSecondaryThreshold,
   getZoneColor,
   getZoneDescription,
   assessCurrentStage,
@@ -0,0 +1,38 @@
+const { safeEqual, isAuthConfigured, isProduction, requireRole } = require('./auth');
+
+/**
+ * Check whether a request carries the scheduled-job secret
+ *
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>` when the
+ * CRON_SECRET environment variable is set. Without a secret configured,
+ * every request is accepted only while API authentication is off in local
+ * development; once API_KEYS or AUTH_TOKEN_SECRET is set, or in
+ * production, it fails closed.
+ *
+ * @param {object} req - Incoming request
+ * @returns {boolean}
+ */
+function isCronRequestAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return !isAuthConfigured() && !isProduction();
+
+  return safeEqual(req.headers?.authorization || '', `Bearer ${secret}`);
+}
+
+/**
+ * Check that a request may run scheduled jobs, sending 401/403 when not
+ * Accepts the cron secret or, when API authentication is configured, an
+ * editor credential.
+ * @param {object} req - Incoming request
+ * @param {object} res - Response
+ * @returns {boolean} True if the handler may proceed
+ */
+function authorizeCronRequest(req, res) {
+  if (isCronRequestAuthorized(req)) return true;
+  if (isAuthConfigured()) return requireRole(req, res, 'editor');
+
+  res.status(401).json({ success: false, error: 'Unauthorized' });
+  return false;
+}
+
+module.exports = { isCronRequestAuthorized, authorizeCronRequest };
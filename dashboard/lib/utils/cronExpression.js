@@ -0,0 +1,151 @@
+/**
+ * Minimal five-field cron expression matcher
+ * (minute hour day-of-month month day-of-week)
+ *
+ * Supports '*', lists ('1,4,7'), ranges ('1-5'), steps ('*\/4', '0-30/10').
+ * Used where node-cron's own timer isn't available, e.g. deciding which
+ * refresh jobs are due when a serverless cron invocation arrives.
+ */
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} field - Field text
+ * @param {object} range - { min, max }
+ * @returns {Set<number>}
+ */
+function parseField(field, range) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart ? parseInt(stepPart, 10) : 1;
+    let start = range.min;
+    let end = range.max;
+
+    if (rangePart !== '*') {
+      const [a, b] = rangePart.split('-').map(n => parseInt(n, 10));
+      start = a;
+      end = b !== undefined ? b : (stepPart ? range.max : a);
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < range.min || end > range.max || step < 1) {
+      throw new Error(`Invalid cron field: ${field}`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {object} Parsed fields plus wildcard flags for day matching
+ */
+function parse(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELD_RANGES.forEach((range, i) => {
+    parsed[range.name] = parseField(fields[i], range);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+  parsed.dayOfMonthWildcard = fields[2] === '*';
+  parsed.dayOfWeekWildcard = fields[4] === '*';
+  return parsed;
+}
+
+/**
+ * Get calendar parts of a date in a time zone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone (e.g., 'America/New_York')
+ * @returns {object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    minute: 'numeric',
+    hour: 'numeric',
+    day: 'numeric',
+    month: 'numeric',
+    weekday: 'short',
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(p => {
+    parts[p.type] = p.value;
+  });
+
+  const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: weekdays[parts.weekday],
+  };
+}
+
+/**
+ * Check whether a cron expression fires at a given time
+ * @param {string} expression - Five-field cron expression
+ * @param {Date} date - Time to test
+ * @param {object} options - { timeZone, ignoreMinute: match any minute within the hour }
+ * @returns {boolean}
+ */
+function matches(expression, date = new Date(), options = {}) {
+  const { timeZone = 'UTC', ignoreMinute = false } = options;
+  const cron = parse(expression);
+  const t = getZonedParts(date, timeZone);
+
+  if (!ignoreMinute && !cron.minute.has(t.minute)) return false;
+  if (!cron.hour.has(t.hour)) return false;
+  if (!cron.month.has(t.month)) return false;
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  const domMatch = cron.dayOfMonth.has(t.dayOfMonth);
+  const dowMatch = cron.dayOfWeek.has(t.dayOfWeek);
+  if (cron.dayOfMonthWildcard || cron.dayOfWeekWildcard) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Validate a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {boolean}
+ */
+function isValid(expression) {
+  try {
+    parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parse,
+  matches,
+  isValid,
+  getZonedParts,
+};
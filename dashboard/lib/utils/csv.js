@@ -0,0 +1,90 @@
+/**
+ * CSV helpers
+ */
+
+/**
+ * Escape a single CSV cell
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert an array of row objects to CSV
+ * @param {Array<object>} rows - Rows to write
+ * @param {Array<string|{key: string, header: string}>} columns - Columns to include (defaults to keys of first row)
+ * @returns {string} CSV text with header row
+ */
+function toCSV(rows, columns) {
+  const cols = (columns || Object.keys(rows[0] || {})).map(c =>
+    typeof c === 'string' ? { key: c, header: c } : c
+  );
+
+  const lines = [cols.map(c => escapeCell(c.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(cols.map(c => escapeCell(row[c.key])).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with "" escapes and embedded newlines), CRLF line
+ * endings and a leading byte-order mark. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of trimmed cell strings
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(c => c !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n') {
+      endRow();
+    } else if (ch !== '\r') {
+      cell += ch;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  escapeCell,
+  toCSV,
+  parseCSV,
+};
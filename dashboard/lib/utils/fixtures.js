@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Upstream Fixtures
+ *
+ * Raw upstream responses saved to disk so the services can run without a
+ * network. UPSTREAM_MODE selects how lib/utils/httpClient.js uses them:
+ *
+ * - live (default): requests go upstream
+ * - record: requests go upstream and each successful response is saved
+ * - replay: responses are served from fixtures only; a request with no
+ *           fixture fails with error.code 'FIXTURE_NOT_FOUND'
+ *
+ * Fixtures are JSON files under FIXTURES_DIR (default dashboard/fixtures),
+ * one per distinct request: fixtures/<provider>/<name>-<hash>.json. Secret
+ * parameters (API keys) are never written or used to match.
+ *
+ * Many requests carry a date relative to today (e.g. FRED's
+ * observation_start two years back), so in replay a request with no exact
+ * fixture is matched to the fixture of the same request whose dates are
+ * closest, and the fixtures keep answering after the day they were recorded.
+ * The services still read the real clock, so figures measured from today
+ * (baseline windows, data age, days to an auction) drift as the fixtures
+ * get older; backtests over fixed dates are unaffected.
+ */
+
+const MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+// Parameters left out of fixtures and match keys
+const SECRET_PARAMS = ['api_key', 'apikey', 'token'];
+
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}/g;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loaded fixtures per provider directory, for replay
+const loaded = {};
+
+/**
+ * Current mode from UPSTREAM_MODE
+ * @returns {string} 'live' | 'record' | 'replay'
+ */
+function getMode() {
+  const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown UPSTREAM_MODE: ${mode}. Valid modes: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function getFixturesDir() {
+  return path.resolve(process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+/**
+ * The parts of a request that identify it: method, URL and non-secret
+ * params in a stable order
+ * @param {string} provider - Provider name
+ * @param {object} config - axios request config
+ * @returns {object} { provider, method, url, params }
+ */
+function describeRequest(provider, config) {
+  const params = Object.fromEntries(
+    Object.entries(config.params || {})
+      .filter(([key, value]) => !SECRET_PARAMS.includes(key.toLowerCase()) && value !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([key, value]) => [key, String(value)])
+  );
+
+  return {
+    provider,
+    method: (config.method || 'get').toLowerCase(),
+    url: config.url,
+    params,
+  };
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Key that ignores dates, shared by requests differing only in date parameters
+ */
+function looseKey(request) {
+  return hash({ ...request, params: JSON.parse(JSON.stringify(request.params).replace(DATE_PATTERN, 'DATE')) });
+}
+
+function fixturePath(request) {
+  const { pathname } = new URL(request.url);
+  const name = [path.basename(pathname, path.extname(pathname)), request.params.series_id]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(getFixturesDir(), request.provider, `${name}-${hash(request)}.json`);
+}
+
+/**
+ * Save an upstream response as a fixture
+ * @param {string} provider - Provider name
+ * @param {object} config - axios request config
+ * @param {object} response - axios response
+ * @returns {string} Fixture path
+ */
+function save(provider, config, response) {
+  const request = describeRequest(provider, config);
+  const file = fixturePath(request);
+  const binary = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer;
+
+  const fixture = {
+    request,
+    recordedAt: new Date().toISOString(),
+    response: {
+      status: response.status,
+      contentType: response.headers?.['content-type'] || null,
+      encoding: binary ? 'base64' : 'json',
+      data: binary ? Buffer.from(response.data).toString('base64') : response.data,
+    },
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  delete loaded[provider];
+  return file;
+}
+
+/**
+ * Fixtures recorded for a provider
+ * @param {string} provider - Provider name
+ * @returns {Array<object>} Fixtures with their file path
+ */
+function list(provider) {
+  if (!loaded[provider]) {
+    const dir = path.join(getFixturesDir(), provider);
+    loaded[provider] = fs.existsSync(dir) ?
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({ ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file: path.join(dir, file) })) :
+      [];
+  }
+  return loaded[provider];
+}
+
+/**
+ * Total distance in days between the dates of two requests
+ */
+function dateDistance(a, b) {
+  const datesA = JSON.stringify(a.params).match(DATE_PATTERN) || [];
+  const datesB = JSON.stringify(b.params).match(DATE_PATTERN) || [];
+  return datesA.reduce((sum, date, i) => sum + Math.abs(new Date(date) - new Date(datesB[i])) / DAY_MS, 0);
+}
+
+/**
+ * Find the fixture for a request: an exact match, or else the same request
+ * with the closest dates
+ * @param {string} provider - Provider name
+ * @param {object} config - axios request config
+ * @returns {object|null} Fixture
+ */
+function find(provider, config) {
+  const request = describeRequest(provider, config);
+  const fixtures = list(provider);
+  const key = hash(request);
+
+  const exact = fixtures.find(f => hash(f.request) === key);
+  if (exact) return exact;
+
+  const loose = looseKey(request);
+  return fixtures
+    .filter(f => looseKey(f.request) === loose)
+    .sort((a, b) => dateDistance(request, a.request) - dateDistance(request, b.request) || (a.file < b.file ? -1 : 1))[0] || null;
+}
+
+/**
+ * Serve a request from its fixture, shaped like an axios response
+ * @param {string} provider - Provider name
+ * @param {object} config - axios request config
+ * @returns {object} { status, headers, data, config, fixture }
+ */
+function replay(provider, config) {
+  const fixture = find(provider, config);
+  if (!fixture) {
+    const request = describeRequest(provider, config);
+    const error = new Error(`No ${provider} fixture for ${request.url} ${JSON.stringify(request.params)} in ${getFixturesDir()}; record one with UPSTREAM_MODE=record`);
+    error.code = 'FIXTURE_NOT_FOUND';
+    throw error;
+  }
+
+  const { response } = fixture;
+  const data = response.encoding === 'base64' ? Buffer.from(response.data, 'base64') : response.data;
+
+  return {
+    status: response.status,
+    statusText: 'OK',
+    headers: response.contentType ? { 'content-type': response.contentType } : {},
+    data: config.responseType === 'arraybuffer' && !Buffer.isBuffer(data) ? Buffer.from(JSON.stringify(data)) : data,
+    config,
+    fixture: fixture.file,
+  };
+}
+
+/**
+ * Mode, directory and fixture counts, for /api/status
+ * @returns {object}
+ */
+function describe() {
+  const dir = getFixturesDir();
+  const providers = fs.existsSync(dir) ?
+    fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isDirectory()) :
+    [];
+
+  return {
+    mode: getMode(),
+    dir,
+    fixtures: Object.fromEntries(providers.map(provider => [
+      provider,
+      fs.readdirSync(path.join(dir, provider)).filter(file => file.endsWith('.json')).length,
+    ])),
+  };
+}
+
+module.exports = {
+  MODES,
+  getMode,
+  describeRequest,
+  save,
+  find,
+  replay,
+  describe,
+};
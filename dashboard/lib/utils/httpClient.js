@@ -0,0 +1,294 @@
+const axios = require('axios');
+const dataSources = require('../../config/dataSources.json');
+const fixtures = require('./fixtures');
+
+/**
+ * Upstream HTTP Client
+ *
+ * Every request to an upstream data provider goes through request()/get(),
+ * which applies that provider's settings from upstreamClient in
+ * config/dataSources.json:
+ *
+ * - rateLimit:      at most `requests` per `intervalMs`; further requests wait
+ * - retry:          network errors, timeouts, 429 and 5xx responses are retried
+ *                   with exponential backoff and full jitter (honouring Retry-After);
+ *                   other 4xx responses are returned to the caller at once
+ * - circuitBreaker: after `failureThreshold` consecutive failed requests the
+ *                   provider is skipped for `resetTimeoutMs`, then one trial
+ *                   request decides whether it closes again
+ *
+ * While a breaker is open, requests fail immediately with error.code
+ * 'CIRCUIT_OPEN', so services go straight to their fallbacks. State is kept
+ * per process (per instance in serverless deployments).
+ *
+ * With UPSTREAM_MODE=record each successful response is also saved as a
+ * fixture; with UPSTREAM_MODE=replay responses come from fixtures only and
+ * nothing is sent upstream (see lib/utils/fixtures.js).
+ */
+
+const { defaults: DEFAULTS, providers: PROVIDERS } = dataSources.upstreamClient;
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Provider state: { recent: [request timestamps], breaker, counts }
+const states = {};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Settings for a provider, merged over the defaults
+ * @param {string} provider - Provider name from upstreamClient.providers
+ * @returns {object} { timeoutMs, rateLimit, retry, circuitBreaker }
+ */
+function getSettings(provider) {
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown upstream provider: ${provider}. Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    timeoutMs: settings.timeoutMs ?? DEFAULTS.timeoutMs,
+    rateLimit: { ...DEFAULTS.rateLimit, ...settings.rateLimit },
+    retry: { ...DEFAULTS.retry, ...settings.retry },
+    circuitBreaker: { ...DEFAULTS.circuitBreaker, ...settings.circuitBreaker },
+  };
+}
+
+function getState(provider) {
+  if (!states[provider]) {
+    states[provider] = {
+      recent: [],
+      breaker: {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+      },
+      counts: { requests: 0, retries: 0, failures: 0, rejected: 0, throttled: 0 },
+    };
+  }
+  return states[provider];
+}
+
+/**
+ * Error thrown while a provider's breaker is open
+ */
+function circuitOpenError(provider, breaker, resetTimeoutMs) {
+  const retryAt = new Date(new Date(breaker.openedAt).getTime() + resetTimeoutMs).toISOString();
+  const error = new Error(`${provider} circuit open after ${breaker.consecutiveFailures} consecutive failures; next attempt after ${retryAt}`);
+  error.code = 'CIRCUIT_OPEN';
+  error.provider = provider;
+  return error;
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the provider sent one,
+ * otherwise a random delay up to baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {object} retry - Retry settings
+ * @param {Error} error - axios error
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, retry, error) {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, retry.maxDelayMs);
+  }
+  const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Wait for a slot in the provider's rate limit window
+ */
+async function acquireSlot(provider, rateLimit) {
+  const state = getState(provider);
+
+  for (;;) {
+    const now = Date.now();
+    state.recent = state.recent.filter(t => t > now - rateLimit.intervalMs);
+    if (state.recent.length < rateLimit.requests) {
+      state.recent.push(now);
+      return;
+    }
+    state.counts.throttled++;
+    await sleep(state.recent[0] + rateLimit.intervalMs - now);
+  }
+}
+
+/**
+ * Check the breaker before a request; throws CIRCUIT_OPEN when it is open
+ * A breaker past its reset timeout lets one trial request through (half-open).
+ */
+function checkBreaker(provider, circuitBreaker) {
+  const state = getState(provider);
+  const { breaker } = state;
+
+  if (breaker.state === 'closed') return;
+
+  const reopensAt = new Date(breaker.openedAt).getTime() + circuitBreaker.resetTimeoutMs;
+  if (Date.now() >= reopensAt && !breaker.trialInFlight) {
+    breaker.state = 'half-open';
+    breaker.trialInFlight = true;
+    return;
+  }
+
+  state.counts.rejected++;
+  throw circuitOpenError(provider, breaker, circuitBreaker.resetTimeoutMs);
+}
+
+function recordSuccess(provider) {
+  const { breaker } = getState(provider);
+  if (breaker.state !== 'closed') {
+    console.log(`${provider} circuit closed`);
+  }
+  Object.assign(breaker, {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastSuccessAt: new Date().toISOString(),
+  });
+}
+
+function recordFailure(provider, error, circuitBreaker) {
+  const state = getState(provider);
+  const { breaker } = state;
+
+  state.counts.failures++;
+  breaker.consecutiveFailures++;
+  breaker.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+  breaker.lastFailureAt = new Date().toISOString();
+  breaker.trialInFlight = false;
+
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= circuitBreaker.failureThreshold) {
+    if (breaker.state !== 'open') {
+      console.warn(`${provider} circuit opened after ${breaker.consecutiveFailures} consecutive failures (${breaker.lastError})`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = breaker.lastFailureAt;
+  }
+}
+
+/**
+ * Send a request to an upstream provider
+ * @param {string} provider - Provider name (fred, fiscalData, yahoo, mof)
+ * @param {object} config - axios request config ({ url, method, params, headers, responseType, ... })
+ * @returns {Promise<object>} axios response
+ */
+async function request(provider, config) {
+  const { timeoutMs, rateLimit, retry, circuitBreaker } = getSettings(provider);
+  const state = getState(provider);
+  const mode = fixtures.getMode();
+
+  if (mode === 'replay') {
+    return fixtures.replay(provider, config);
+  }
+
+  checkBreaker(provider, circuitBreaker);
+
+  for (let attempt = 1; ; attempt++) {
+    await acquireSlot(provider, rateLimit);
+    state.counts.requests++;
+
+    try {
+      const response = await axios.request({ method: 'get', timeout: timeoutMs, ...config });
+      recordSuccess(provider);
+      if (mode === 'record') {
+        fixtures.save(provider, config, response);
+      }
+      return response;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // Other 4xx responses mean the provider is up but rejected this request
+        if (error.response) recordSuccess(provider);
+        else recordFailure(provider, error, circuitBreaker);
+        throw error;
+      }
+      if (attempt >= retry.attempts) {
+        recordFailure(provider, error, circuitBreaker);
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, retry, error);
+      state.counts.retries++;
+      console.warn(`${provider} request failed (${error.response?.status || error.code || error.message}); retry ${attempt}/${retry.attempts - 1} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * GET from an upstream provider
+ * @param {string} provider - Provider name
+ * @param {string} url - URL
+ * @param {object} config - Further axios config (params, headers, responseType)
+ * @returns {Promise<object>} axios response
+ */
+function get(provider, url, config = {}) {
+  return request(provider, { ...config, method: 'get', url });
+}
+
+/**
+ * Rate limit and breaker state for every provider
+ * @returns {object} { provider: { state, consecutiveFailures, openedAt, nextAttemptAt, lastError, ... } }
+ */
+function getStatus() {
+  const now = Date.now();
+
+  return Object.fromEntries(Object.keys(PROVIDERS).map(provider => {
+    const { rateLimit, circuitBreaker } = getSettings(provider);
+    const { breaker, counts, recent } = getState(provider);
+
+    return [provider, {
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt,
+      nextAttemptAt: breaker.openedAt ?
+        new Date(new Date(breaker.openedAt).getTime() + circuitBreaker.resetTimeoutMs).toISOString() : null,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt,
+      lastSuccessAt: breaker.lastSuccessAt,
+      rateLimit: {
+        ...rateLimit,
+        used: recent.filter(t => t > now - rateLimit.intervalMs).length,
+      },
+      counts: { ...counts },
+    }];
+  }));
+}
+
+/**
+ * Close a provider's breaker (or every breaker) and clear its counters
+ * @param {string} provider - Provider name; all providers if omitted
+ */
+function reset(provider) {
+  (provider ? [provider] : Object.keys(states)).forEach(name => {
+    getSettings(name);
+    delete states[name];
+  });
+}
+
+module.exports = {
+  request,
+  get,
+  getStatus,
+  reset,
+  isRetryable,
+};
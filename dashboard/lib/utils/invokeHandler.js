@@ -0,0 +1,28 @@
+const path = require('path');
+
+const API_DIR = path.join(__dirname, '../../api');
+
+/**
+ * Call an api/ handler in-process, without an HTTP server
+ * Used by scripts and the CLI to get exactly the responses the API serves.
+ * @param {string} name - Handler file name in api/ (e.g. 'indicators')
+ * @param {object} request - { method, query, body, headers }
+ * @returns {Promise<object>} { status, body }
+ */
+async function invokeHandler(name, { method = 'GET', query = {}, body = null, headers = {} } = {}) {
+  const handler = require(path.join(API_DIR, name));
+  const result = { status: 200, body: null, headers: {} };
+
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(data) { result.body = data; return this; },
+    send(data) { result.body = data; return this; },
+    setHeader(header, value) { result.headers[header.toLowerCase()] = value; return this; },
+    end() { return this; },
+  };
+
+  await handler({ method, query, body, headers }, res);
+  return result;
+}
+
+module.exports = { invokeHandler };
@@ -0,0 +1,216 @@
+const zlib = require('zlib');
+
+/**
+ * PDF writer
+ *
+ * Builds simple vector PDFs: text in the standard Helvetica fonts, lines,
+ * polylines and rectangles, over any number of pages. Coordinates are in
+ * points from the top-left corner of the page. Text is limited to the
+ * WinAnsi character set; other characters are replaced.
+ */
+
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89],
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Replacements for common characters outside WinAnsi
+const REPLACEMENTS = { '≤': '<=', '≥': '>=', '−': '-', '→': '->', '↑': '^', '↓': 'v' };
+
+// Characters WinAnsi encodes outside Latin-1
+const WIN_ANSI = { '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80 };
+
+function normalize(text) {
+  return String(text).replace(/[≤≥−→↑↓]/g, c => REPLACEMENTS[c]);
+}
+
+/**
+ * Estimated width of a string in points
+ * Bold text is taken as 5% wider than regular.
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {boolean} bold - Helvetica-Bold
+ * @returns {number}
+ */
+function textWidth(text, size, bold = false) {
+  const units = [...normalize(text)].reduce((sum, c) => {
+    const code = c.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size / 1000) * (bold ? 1.05 : 1);
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsi
+ */
+function pdfString(text) {
+  const bytes = [...normalize(text)].map(c => {
+    if (WIN_ANSI[c]) return WIN_ANSI[c];
+    const code = c.charCodeAt(0);
+    return code < 256 ? code : 0x3f;
+  });
+  const escaped = bytes.map(byte => {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+    if (byte < 32 || byte > 126) return `\\${byte.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(byte);
+  });
+  return `(${escaped.join('')})`;
+}
+
+/**
+ * PDF color operands from '#rrggbb'
+ */
+function rgb(hex = '#000000') {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map(i => (parseInt(value.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Create a PDF document
+ * @param {object} options - { size: 'letter' | 'a4', title }
+ * @returns {object} Document with page, drawing and toBuffer methods
+ */
+function createDocument({ size = 'letter', title = null } = {}) {
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+  const pages = [];
+  let ops = null;
+
+  const y = value => num(height - value);
+
+  const doc = {
+    width,
+    height,
+    textWidth,
+
+    /**
+     * Start a new page; drawing goes to the newest page
+     */
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    /**
+     * Draw text with its baseline at (x, y)
+     * @param {object} options - { size, bold, color, align: 'left' | 'right' | 'center' }
+     */
+    text(x, top, text, { size: fontSize = 10, bold = false, color = '#111827', align = 'left' } = {}) {
+      const w = textWidth(text, fontSize, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(fontSize)} Tf ${rgb(color)} rg ${num(left)} ${y(top)} Td ${pdfString(text)} Tj ET`);
+      return doc;
+    },
+
+    /**
+     * Draw a straight line
+     * @param {object} options - { color, width, dash: [on, off] }
+     */
+    line(x1, y1, x2, y2, options = {}) {
+      return doc.polyline([[x1, y1], [x2, y2]], options);
+    },
+
+    /**
+     * Draw connected line segments through [[x, y], ...]
+     * @param {object} options - { color, width, dash: [on, off] }
+     */
+    polyline(points, { color = '#111827', width: lineWidth = 1, dash = null } = {}) {
+      if (points.length < 2) return doc;
+      const path = points.map(([px, py], i) => `${num(px)} ${y(py)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+      ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w ${dash ? `[${dash.join(' ')}] 0 d ` : ''}1 j ${path} S Q`);
+      return doc;
+    },
+
+    /**
+     * Draw a rectangle from its top-left corner
+     * @param {object} options - { fill, stroke, width }
+     */
+    rect(x, top, w, h, { fill = null, stroke = null, width: lineWidth = 1 } = {}) {
+      const shape = `${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re`;
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      ops.push(`q ${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ''}${shape} ${paint} Q`);
+      return doc;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+      const objects = [];
+      const add = body => objects.push(body) && objects.length;
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Producer (hegemony-monitoring-dashboard)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+
+      const pageIds = pages.map(pageOps => {
+        const stream = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        const content = add(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+          stream,
+          Buffer.from('\nendstream'),
+        ]));
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let length = chunks[0].length;
+
+      objects.forEach((body, i) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n'),
+        ]);
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+      ].join('\n');
+      chunks.push(Buffer.from(`${xref}\n`));
+
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+}
+
+module.exports = {
+  PAGE_SIZES,
+  createDocument,
+  textWidth,
+};
@@ -0,0 +1,140 @@
+/**
+ * Data Provenance
+ *
+ * Every indicator value carries a provenance record saying where it came
+ * from, when it was fetched, what date it describes and whether it is stale:
+ *
+ *   { source, provider, fetchedAt, asOf, dataType, staleness, note }
+ *
+ * Sources, from most to least trustworthy:
+ * - live:     fetched from the upstream API for this response
+ * - cache:    an earlier live fetch served from the in-memory cache
+ * - manual:   entered by an analyst
+ * - proxy:    estimated from other series (e.g. CIP basis proxy)
+ * - fallback: placeholder returned because the source failed; not real data
+ */
+
+const refreshSchedule = require('../../config/refreshSchedule.json');
+
+const SOURCES = ['live', 'cache', 'manual', 'proxy', 'fallback'];
+
+// Sources whose values are estimates or placeholders rather than observed data
+const SYNTHETIC_SOURCES = ['proxy', 'fallback'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a provenance record
+ * @param {object} fields - { source, provider, asOf, fetchedAt, dataType, note }
+ * @returns {object}
+ */
+function createProvenance({ source = 'live', provider = null, asOf = null, fetchedAt, dataType = 'marketData', note } = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown provenance source: ${source}`);
+  }
+
+  return {
+    source,
+    provider,
+    fetchedAt: fetchedAt || new Date().toISOString(),
+    asOf,
+    dataType,
+    ...(note ? { note } : {}),
+  };
+}
+
+/**
+ * Mark a cached service result as served from cache
+ * Only live results change source; manual, proxy and fallback keep theirs.
+ * @param {object} result - Cached result with a provenance field
+ * @returns {object} Shallow copy with provenance.source 'cache'
+ */
+function markCached(result) {
+  if (!result || !result.provenance || result.provenance.source !== 'live') {
+    return result;
+  }
+  return { ...result, provenance: { ...result.provenance, source: 'cache' } };
+}
+
+/**
+ * Assess how stale a value is
+ * The as-of date is checked against staleness.byDataType[dataType].maxAsOfAgeDays
+ * in config/refreshSchedule.json; fetch age is reported for information only,
+ * since cache TTLs already bound it.
+ * @param {object} provenance - Provenance record
+ * @param {Date} now - Reference time
+ * @returns {object} { stale, asOfAgeDays, fetchAgeSeconds, reason }
+ */
+function assessStaleness(provenance, now = new Date()) {
+  const limits = refreshSchedule.staleness.byDataType[provenance.dataType] || {};
+
+  const asOfAgeDays = provenance.asOf ?
+    Math.floor((now - new Date(`${String(provenance.asOf).slice(0, 10)}T00:00:00Z`)) / DAY_MS) : null;
+  const fetchAgeSeconds = provenance.fetchedAt ?
+    Math.max(0, Math.floor((now - new Date(provenance.fetchedAt)) / 1000)) : null;
+
+  const stale = asOfAgeDays !== null && limits.maxAsOfAgeDays !== undefined && asOfAgeDays > limits.maxAsOfAgeDays;
+
+  return {
+    stale,
+    asOfAgeDays,
+    fetchAgeSeconds,
+    reason: stale ? `Data is ${asOfAgeDays} days old (limit ${limits.maxAsOfAgeDays})` : null,
+  };
+}
+
+/**
+ * Combine the provenance of the inputs to a derived value
+ * The result takes the least trustworthy source, the oldest fetch and as-of
+ * date, and keeps the inputs under components.
+ * @param {object} components - Input provenance records keyed by input name
+ * @param {object} overrides - Fields to set on the combined record (provider, dataType, note)
+ * @returns {object}
+ */
+function combineProvenance(components, overrides = {}) {
+  const parts = Object.values(components).filter(Boolean);
+  const rank = p => SOURCES.indexOf(p.source);
+  const oldest = (field) => parts.map(p => p[field]).filter(Boolean).sort()[0] || null;
+
+  const worst = parts.reduce((a, b) => (rank(b) > rank(a) ? b : a), parts[0] || { source: 'fallback' });
+
+  return {
+    ...createProvenance({
+      source: worst.source,
+      provider: overrides.provider || parts.map(p => p.provider).filter(Boolean).join('+') || null,
+      fetchedAt: oldest('fetchedAt'),
+      asOf: oldest('asOf'),
+      dataType: overrides.dataType || worst.dataType,
+      note: overrides.note,
+    }),
+    components,
+  };
+}
+
+/**
+ * Attach staleness to a provenance record for an API response
+ * @param {object|null} provenance - Provenance record
+ * @param {object} defaults - Fields used when the service gave none (e.g. { source: 'fallback' })
+ * @param {Date} now - Reference time
+ * @returns {object} Provenance with staleness, degraded and synthetic flags
+ */
+function resolveProvenance(provenance, defaults = {}, now = new Date()) {
+  const record = provenance || createProvenance({ source: 'fallback', note: 'No provenance reported', ...defaults });
+  const staleness = assessStaleness(record, now);
+
+  return {
+    ...record,
+    staleness,
+    synthetic: SYNTHETIC_SOURCES.includes(record.source),
+    degraded: SYNTHETIC_SOURCES.includes(record.source) || staleness.stale,
+  };
+}
+
+module.exports = {
+  SOURCES,
+  createProvenance,
+  markCached,
+  assessStaleness,
+  combineProvenance,
+  resolveProvenance,
+};
@@ -0,0 +1,172 @@
+/**
+ * Stage Rule Engine
+ *
+ * Evaluates the trigger rules declared under `stageAssessment` in
+ * config/thresholds.json. A trigger is either a single condition:
+ *
+ *   { "input": "vix", "comparison": ">", "threshold": 40 }
+ *   { "input": "vix", "comparison": "between", "range": [25, 40] }
+ *
+ * or a combination of conditions under "all" / "any". Any trigger may add
+ * "duration": N to require the condition on N consecutive observations
+ * (today plus the N-1 most recent entries in the supplied history).
+ *
+ * Inputs are the flat stage input values (see indicatorService.buildStageInputs);
+ * config thresholds are in the same units. A missing input never meets a condition.
+ */
+
+const COMPARISONS = {
+  '>': (value, threshold) => value > threshold,
+  '<': (value, threshold) => value < threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '=': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold,
+  // Ranges are [min, max): min inclusive, max exclusive, matching zone evaluation
+  between: (value, [min, max]) => value >= min && value < max,
+  outside: (value, [min, max]) => value < min || value >= max,
+};
+
+const RANGE_COMPARISONS = ['between', 'outside'];
+
+/**
+ * Evaluate a single or combined condition against input values
+ * @param {object} condition - Condition config
+ * @param {object} values - Stage input values
+ * @returns {object} { met, missing, value, conditions? }
+ */
+function evaluateCondition(condition, values) {
+  if (condition.all || condition.any) {
+    const parts = (condition.all || condition.any).map(c => evaluateCondition(c, values));
+    const met = condition.all ? parts.every(p => p.met) : parts.some(p => p.met);
+    return { met, missing: parts.some(p => p.missing), value: null, conditions: parts };
+  }
+
+  const compare = COMPARISONS[condition.comparison];
+  if (!compare) {
+    throw new Error(`Unknown comparison '${condition.comparison}' for input ${condition.input}`);
+  }
+
+  const value = values?.[condition.input];
+  if (value === null || value === undefined) {
+    return { met: false, missing: true, value: null };
+  }
+
+  const operand = RANGE_COMPARISONS.includes(condition.comparison) ? condition.range : condition.threshold;
+  return { met: compare(value, operand), missing: false, value };
+}
+
+/**
+ * Format a number for a trigger label
+ * @param {any} value - Value to format
+ * @param {string} format - 'percent' (fraction), 'usd' (dollars as $T) or default
+ * @returns {string}
+ */
+function formatValue(value, format) {
+  if (typeof value !== 'number') return String(value);
+  if (format === 'percent') return `${(value * 100).toFixed(1)}%`;
+  if (format === 'usd') return `$${(value / 1e12).toFixed(1)}T`;
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Build a trigger's display label from its description template
+ * Supports {threshold}, {value}, {min}, {max} and {duration} placeholders.
+ */
+function formatLabel(key, trigger, value) {
+  const template = trigger.description || key;
+  const [min, max] = trigger.range || [];
+  const replacements = {
+    threshold: trigger.threshold,
+    value,
+    min,
+    max,
+    duration: trigger.duration,
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const replacement = replacements[name];
+    if (replacement === null || replacement === undefined) return match;
+    return name === 'duration' ? String(replacement) : formatValue(replacement, trigger.format);
+  });
+}
+
+/**
+ * Evaluate a trigger, including its duration requirement
+ * @param {string} key - Trigger key
+ * @param {object} trigger - Trigger config
+ * @param {object} values - Current stage input values
+ * @param {Array<object>} history - Previous input values, newest first
+ * @returns {object} Per-trigger evaluation detail
+ */
+function evaluateTrigger(key, trigger, values, history = []) {
+  const current = evaluateCondition(trigger, values);
+  const duration = trigger.duration || 1;
+
+  let consecutiveDays = current.met ? 1 : 0;
+  if (current.met && duration > 1) {
+    for (let i = 0; i < history.length && consecutiveDays < duration; i++) {
+      if (!evaluateCondition(trigger, history[i]).met) break;
+      consecutiveDays++;
+    }
+  }
+
+  return {
+    key,
+    label: formatLabel(key, trigger, current.value),
+    input: trigger.input || null,
+    value: current.value,
+    comparison: trigger.comparison || (trigger.all ? 'all' : 'any'),
+    threshold: trigger.threshold ?? null,
+    range: trigger.range || null,
+    duration,
+    consecutiveDays,
+    missing: current.missing,
+    met: current.met && consecutiveDays >= duration,
+    ...(current.conditions ? { conditions: current.conditions } : {}),
+  };
+}
+
+/**
+ * Evaluate every trigger of one stage
+ * @param {object} stageConfig - Stage config ({ triggers, minTriggers, confidence })
+ * @param {object} values - Current stage input values
+ * @param {Array<object>} history - Previous input values, newest first
+ * @returns {object} { triggers, metCount, minTriggers, triggered, confidence }
+ */
+function evaluateStage(stageConfig, values, history = []) {
+  const triggers = Object.entries(stageConfig.triggers || {})
+    .map(([key, trigger]) => evaluateTrigger(key, trigger, values, history));
+
+  const metCount = triggers.filter(t => t.met).length;
+  const minTriggers = stageConfig.minTriggers || 0;
+  const { base = 50, perTrigger = 10, max = 100 } = stageConfig.confidence || {};
+
+  return {
+    triggers,
+    metCount,
+    minTriggers,
+    triggered: metCount > 0 && metCount >= minTriggers,
+    confidence: Math.min(max, base + metCount * perTrigger),
+  };
+}
+
+/**
+ * Longest duration requirement in a stageAssessment config
+ * Callers use this to decide how much input history to supply.
+ * @param {object} stageAssessment - stageAssessment config
+ * @returns {number} Observations needed (1 when no trigger has a duration)
+ */
+function getMaxDuration(stageAssessment) {
+  return Object.values(stageAssessment || {}).reduce((max, stage) =>
+    Object.values(stage.triggers || {}).reduce((m, t) => Math.max(m, t.duration || 1), max), 1);
+}
+
+module.exports = {
+  COMPARISONS,
+  evaluateCondition,
+  evaluateTrigger,
+  evaluateStage,
+  getMaxDuration,
+  formatValue,
+};
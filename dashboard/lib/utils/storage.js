@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+
+/**
+ * Persistent Storage
+ *
+ * Key/value persistence for state that must survive serverless cold starts:
+ * manual data entries, calibration overrides, alert log and alert config.
+ * Unlike cache.js (which holds re-fetchable upstream data with a TTL), values
+ * written here are the source of truth and never expire.
+ *
+ * Backend is selected with STORAGE_BACKEND:
+ * - 'file'   - one JSON file per key under STORAGE_DIR (default for local use)
+ * - 'kv'     - hosted Redis-compatible KV over REST (Vercel KV / Upstash),
+ *              configured with KV_REST_API_URL and KV_REST_API_TOKEN
+ * - 'memory' - in-process only, useful for scripts and experiments
+ *
+ * When STORAGE_BACKEND is unset, 'kv' is used if KV credentials are present,
+ * otherwise 'file'.
+ *
+ * Keys are namespaced with ':' (e.g. 'basis:manual:eurusd_5y').
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * In-memory adapter
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.store = new Map();
+  }
+
+  async get(key) {
+    const value = this.store.get(key);
+    return value === undefined ? null : JSON.parse(value);
+  }
+
+  async set(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  async del(key) {
+    this.store.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return [...this.store.keys()].filter(k => k.startsWith(prefix)).sort();
+  }
+
+  describe() {
+    return { backend: this.name, persistent: false, keyCount: this.store.size };
+  }
+}
+
+/**
+ * File adapter - stores each key as a JSON file in a directory
+ */
+class FileAdapter {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = dir;
+    // Serialize writes per key so concurrent updates don't interleave
+    this.pending = new Map();
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      this.ensureDir();
+      const target = this.filePath(key);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+      await fs.promises.rename(tmp, target);
+    });
+
+    this.pending.set(key, write);
+    try {
+      await write;
+    } finally {
+      if (this.pending.get(key) === write) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  async del(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async keys(prefix = '') {
+    if (!fs.existsSync(this.dir)) return [];
+    const files = await fs.promises.readdir(this.dir);
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => decodeURIComponent(f.slice(0, -'.json'.length)))
+      .filter(k => k.startsWith(prefix))
+      .sort();
+  }
+
+  describe() {
+    return { backend: this.name, persistent: true, directory: this.dir };
+  }
+}
+
+/**
+ * Hosted KV adapter (Redis REST protocol used by Vercel KV and Upstash)
+ */
+class KVAdapter {
+  constructor(url, token) {
+    this.name = 'kv';
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+  }
+
+  async command(...args) {
+    const response = await axios.post(this.url, args, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: 10000,
+    });
+    if (response.data?.error) {
+      throw new Error(`KV error: ${response.data.error}`);
+    }
+    return response.data?.result;
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value) {
+    await this.command('SET', key, JSON.stringify(value));
+  }
+
+  async del(key) {
+    await this.command('DEL', key);
+  }
+
+  async keys(prefix = '') {
+    const result = await this.command('KEYS', `${prefix}*`);
+    return (result || []).sort();
+  }
+
+  describe() {
+    return { backend: this.name, persistent: true, url: this.url };
+  }
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} backend - 'file', 'kv' or 'memory'
+ * @param {object} options - Adapter options (dir, url, token)
+ * @returns {object} Adapter instance
+ */
+function createAdapter(backend, options = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'kv':
+      if (!options.url || !options.token) {
+        throw new Error('KV storage requires KV_REST_API_URL and KV_REST_API_TOKEN');
+      }
+      return new KVAdapter(options.url, options.token);
+    case 'file':
+      return new FileAdapter(options.dir || DEFAULT_DATA_DIR);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Resolve adapter from environment
+ * @returns {object} Adapter instance
+ */
+function createAdapterFromEnv() {
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  const backend = process.env.STORAGE_BACKEND || (url && token ? 'kv' : 'file');
+
+  let dir = process.env.STORAGE_DIR;
+  if (!dir && process.env.VERCEL) {
+    // Deployment filesystem is read-only apart from the temp directory
+    dir = path.join(os.tmpdir(), 'hegemony-data');
+    if (backend === 'file') {
+      console.warn('File storage on Vercel is not durable - configure KV_REST_API_URL/KV_REST_API_TOKEN');
+    }
+  }
+
+  return createAdapter(backend, { dir, url, token });
+}
+
+let adapter = null;
+
+/**
+ * Get the active adapter (created lazily from environment)
+ * @returns {object} Adapter instance
+ */
+function getAdapter() {
+  if (!adapter) {
+    adapter = createAdapterFromEnv();
+  }
+  return adapter;
+}
+
+/**
+ * Replace the active adapter
+ * @param {object} newAdapter - Adapter implementing get/set/del/keys/describe
+ */
+function setAdapter(newAdapter) {
+  adapter = newAdapter;
+}
+
+/**
+ * Get a stored value
+ * @param {string} key - Storage key
+ * @param {any} defaultValue - Returned when key is not present
+ * @returns {Promise<any>}
+ */
+async function get(key, defaultValue = null) {
+  const value = await getAdapter().get(key);
+  return value === null ? defaultValue : value;
+}
+
+/**
+ * Store a value
+ * @param {string} key - Storage key
+ * @param {any} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+async function set(key, value) {
+  await getAdapter().set(key, value);
+}
+
+/**
+ * Delete a stored value
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function del(key) {
+  await getAdapter().del(key);
+}
+
+/**
+ * List stored keys
+ * @param {string} prefix - Only return keys starting with this prefix
+ * @returns {Promise<string[]>}
+ */
+async function keys(prefix = '') {
+  return getAdapter().keys(prefix);
+}
+
+/**
+ * Read-modify-write helper
+ * @param {string} key - Storage key
+ * @param {Function} updateFn - Receives current value (or defaultValue), returns new value
+ * @param {any} defaultValue - Value passed to updateFn when key is not present
+ * @returns {Promise<any>} The stored value
+ */
+async function update(key, updateFn, defaultValue = null) {
+  const current = await get(key, defaultValue);
+  const next = await updateFn(current);
+  await set(key, next);
+  return next;
+}
+
+/**
+ * Describe active backend for status reporting
+ * @returns {object}
+ */
+function describe() {
+  return getAdapter().describe();
+}
+
+module.exports = {
+  get,
+  set,
+  del,
+  keys,
+  update,
+  describe,
+  getAdapter,
+  setAdapter,
+  createAdapter,
+  MemoryAdapter,
+  FileAdapter,
+  KVAdapter,
+};
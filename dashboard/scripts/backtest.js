@@ -3,176 +3,131 @@
 /**
  * Backtest Script
  *
- * Tests threshold calibration against historical crisis periods:
- * - 2008 Financial Crisis
- * - March 2020 COVID Crisis
- * - April 2025 Tariff Announcement
+ * Replays the stage assessment on every business day over a date range using
+ * historical FRED, Treasury auction, MTS and gold/TLT series, then scores it
+ * against the crisis catalogue in config/crisisPeriods.json:
+ * - lead time (days of warning before each crisis start)
+ * - false-positive episodes outside crisis windows
+ * - per-indicator hit rates and false-alarm rates
  *
- * Usage: npm run backtest
+ * Writes a JSON report and a daily CSV timeline to reports/.
+ *
+ * Usage: npm run backtest [-- --start YYYY-MM-DD --end YYYY-MM-DD
+ *                              --lead-window 180 --signal-stage 1 --out reports]
  */
 
-const fredService = require('../api/services/fredService');
-const { evaluateThreshold, assessCurrentStage } = require('../api/utils/calculations');
-const thresholds = require('../config/thresholds.json');
-
-// Historical crisis periods to test
-const crisisPeriods = [
-  {
-    name: '2008 Financial Crisis',
-    startDate: '2008-09-01',
-    peakDate: '2008-10-15',
-    endDate: '2009-03-31',
-    expectedMinStage: 1,
-    description: 'Lehman collapse, credit freeze, global equity selloff',
-  },
-  {
-    name: 'March 2020 COVID Crisis',
-    startDate: '2020-03-01',
-    peakDate: '2020-03-23',
-    endDate: '2020-04-30',
-    expectedMinStage: 1,
-    description: 'COVID market crash, Fed intervention, Treasury volatility',
-  },
-  {
-    name: 'April 2025 Tariff Announcement',
-    startDate: '2025-04-01',
-    peakDate: '2025-04-09',
-    endDate: '2025-04-30',
-    expectedMinStage: 0,
-    description: 'Tariff announcement market disruption',
-  },
-];
-
-async function fetchHistoricalData(startDate) {
-  console.log(`Fetching historical data from ${startDate}...`);
-
-  try {
-    const [vix, hySpread, dollarIndex, goldPrice] = await Promise.all([
-      fredService.getHistoricalData('VIXCLS', startDate),
-      fredService.getHistoricalData('BAMLH0A0HYM2', startDate),
-      fredService.getHistoricalData('DTWEXBGS', startDate),
-      fredService.getHistoricalData('GOLDPMGBD228NLBM', startDate),
-    ]);
-
-    return { vix, hySpread, dollarIndex, goldPrice };
-  } catch (error) {
-    console.error('Error fetching historical data:', error.message);
-    return null;
-  }
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    startDate: flag('start') || '2007-01-01',
+    endDate: flag('end'),
+    leadWindowDays: flag('lead-window') ? parseInt(flag('lead-window'), 10) : undefined,
+    signalStage: flag('signal-stage') ? parseInt(flag('signal-stage'), 10) : undefined,
+    outDir: path.resolve(flag('out') || path.join(__dirname, '../reports')),
+  };
 }
 
-function findValueAtDate(data, targetDate) {
-  if (!data || data.length === 0) return null;
+function formatLead(days) {
+  if (days === null || days === undefined) return 'no signal';
+  return days >= 0 ? `${days} days before start` : `${-days} days after start`;
+}
 
-  const target = new Date(targetDate);
-  const sorted = [...data].sort((a, b) => new Date(a.date) - new Date(b.date));
+function formatRate(rate) {
+  return rate === null || rate === undefined ? 'N/A' : `${(rate * 100).toFixed(1)}%`;
+}
 
-  // Find closest date at or before target
-  for (let i = sorted.length - 1; i >= 0; i--) {
-    if (new Date(sorted[i].date) <= target) {
-      return sorted[i].value;
-    }
+/**
+ * Write JSON report and CSV timeline
+ * @returns {object} { json, csv } file paths
+ */
+function writeReport(report, outDir, backtestService) {
+  const { toCSV } = require('../lib/utils/csv');
+
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
   }
 
-  return null;
+  const stamp = report.generatedAt.replace(/[:.]/g, '-');
+  const jsonPath = path.join(outDir, `backtest-${stamp}.json`);
+  const csvPath = path.join(outDir, `backtest-${stamp}.csv`);
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(csvPath, toCSV(backtestService.flattenTimeline(report.timeline)));
+
+  return { json: jsonPath, csv: csvPath };
 }
 
-async function runBacktest() {
+async function runBacktest(options = parseArgs(process.argv)) {
+  const backtestService = require('../lib/services/backtestService');
+
   console.log('='.repeat(60));
   console.log('HEGEMONY DASHBOARD THRESHOLD BACKTEST');
   console.log('='.repeat(60));
   console.log();
+  console.log(`Replaying ${options.startDate} to ${options.endDate || 'today'}...`);
 
-  // Fetch all historical data
-  const historicalData = await fetchHistoricalData('2007-01-01');
+  const report = await backtestService.run(options);
+  const { summary } = report;
 
-  if (!historicalData) {
-    console.log('Failed to fetch historical data. Exiting.');
-    process.exit(1);
+  Object.entries(report.dataErrors).forEach(([source, message]) => {
+    console.log(`  Warning: ${source} history unavailable (${message})`);
+  });
+  if (report.unavailableInputs.length > 0) {
+    console.log(`  Inputs without history: ${report.unavailableInputs.join(', ')}`);
   }
+  console.log(`  ${summary.tradingDays} business days replayed\n`);
 
-  console.log('Historical data loaded.\n');
-
-  // Run backtests for each crisis period
-  for (const period of crisisPeriods) {
-    console.log('-'.repeat(60));
-    console.log(`CRISIS: ${period.name}`);
-    console.log(`Period: ${period.startDate} to ${period.endDate}`);
-    console.log(`Peak: ${period.peakDate}`);
-    console.log(`Description: ${period.description}`);
+  report.crises.forEach(crisis => {
     console.log('-'.repeat(60));
-
-    // Get values at peak date
-    const peakVix = findValueAtDate(historicalData.vix, period.peakDate);
-    const peakHySpread = findValueAtDate(historicalData.hySpread, period.peakDate);
-    const peakDollar = findValueAtDate(historicalData.dollarIndex, period.peakDate);
-    const peakGold = findValueAtDate(historicalData.goldPrice, period.peakDate);
-
-    console.log('\nValues at peak:');
-    console.log(`  VIX: ${peakVix?.toFixed(2) ?? 'N/A'}`);
-    console.log(`  HY Spread: ${peakHySpread ? (peakHySpread * 100).toFixed(0) + ' bps' : 'N/A'}`);
-    console.log(`  Dollar Index: ${peakDollar?.toFixed(2) ?? 'N/A'}`);
-    console.log(`  Gold Price: $${peakGold?.toFixed(2) ?? 'N/A'}`);
-
-    // Evaluate secondary thresholds
-    console.log('\nThreshold evaluations:');
-    if (peakVix) {
-      const vixZone = peakVix >= 60 ? 'CRITICAL' :
-                      peakVix >= 40 ? 'DANGER' :
-                      peakVix >= 25 ? 'WARNING' : 'NORMAL';
-      console.log(`  VIX: ${vixZone} (threshold check: ${peakVix >= 40 ? 'TRIGGERED' : 'not triggered'})`);
-    }
-    if (peakHySpread) {
-      const hyBps = peakHySpread * 100;
-      const hyZone = hyBps >= 800 ? 'CRITICAL' :
-                     hyBps >= 600 ? 'DANGER' :
-                     hyBps >= 400 ? 'WARNING' : 'NORMAL';
-      console.log(`  HY Spread: ${hyZone} (threshold check: ${hyBps >= 700 ? 'TRIGGERED' : 'not triggered'})`);
+    console.log(`CRISIS: ${crisis.name} (${crisis.startDate} to ${crisis.endDate})`);
+    if (!crisis.inRange) {
+      console.log('  Outside backtest range - skipped');
+      return;
     }
+    console.log(`  Lead time: ${formatLead(crisis.leadTimeDays)}`);
+    console.log(`  Max stage during crisis: ${crisis.maxStage} (expected >= ${crisis.expectedMinStage})`);
+    console.log(`  Result: ${crisis.passed ? 'PASS' : 'FAIL'}`);
+  });
+
+  console.log('-'.repeat(60));
+  console.log(`FALSE POSITIVES: ${summary.falsePositiveEpisodes} episodes, ${summary.falsePositiveDays} days (${formatRate(summary.falsePositiveRate)} of quiet days)`);
+  report.falsePositives.forEach(episode => {
+    console.log(`  ${episode.startDate} to ${episode.endDate} (${episode.days} days, stage ${episode.maxStage})`);
+  });
+
+  console.log('-'.repeat(60));
+  console.log('INDICATOR HIT RATES (WARNING zone or worse):');
+  Object.values(report.indicators).forEach(indicator => {
+    console.log(`  ${indicator.name}: hit ${indicator.crisesFlagged}/${indicator.crisesWithData} crises, ` +
+      `false alarms ${formatRate(indicator.falseAlarmRate)}, coverage ${formatRate(indicator.coverage)}`);
+  });
+
+  const paths = writeReport(report, options.outDir, backtestService);
 
-    // Simulate stage assessment with available data
-    const indicatorValues = {
-      vix: peakVix,
-      hySpread: peakHySpread ? peakHySpread * 100 : null, // Convert to bps
-      hedgingSpread: null, // Would need JGB data
-      auctionTail: null, // Would need auction data
-      goldTreasuryRoC: null, // Would need ratio calculation
-      interestRatio: null, // Would need fiscal data
-    };
-
-    // Check stage 1 triggers
-    let stage1Triggers = 0;
-    if (peakVix > 40) stage1Triggers++;
-    if (peakHySpread && peakHySpread * 100 > 700) stage1Triggers++;
-
-    console.log(`\nStage 1 triggers active: ${stage1Triggers}/5 (need 3 for Stage 1)`);
-    console.log(`Expected minimum stage: ${period.expectedMinStage}`);
-
-    const assessment = stage1Triggers >= 3 ? 'Stage 1 - Crisis' :
-                       stage1Triggers >= 1 ? 'Pre-Crisis (Elevated)' : 'Pre-Crisis (Normal)';
-    console.log(`Assessment: ${assessment}`);
-
-    const passed = stage1Triggers >= period.expectedMinStage || period.expectedMinStage === 0;
-    console.log(`Backtest result: ${passed ? 'PASS' : 'FAIL'}`);
-
-    console.log();
-  }
-
+  console.log();
   console.log('='.repeat(60));
-  console.log('BACKTEST COMPLETE');
+  console.log(`BACKTEST COMPLETE: ${summary.crisesPassed}/${summary.crisesEvaluated} crises passed`);
   console.log('='.repeat(60));
-  console.log();
-  console.log('Notes:');
-  console.log('- This backtest uses limited data (VIX, HY spread)');
-  console.log('- Full backtest would require JGB yields, auction data, fiscal data');
-  console.log('- Thresholds may need calibration based on historical analysis');
-  console.log();
+  console.log(`Report: ${paths.json}`);
+  console.log(`Timeline: ${paths.csv}`);
+
+  return report;
 }
 
 // Run if called directly
 if (require.main === module) {
-  require('dotenv').config({ path: '../.env' });
-  runBacktest().catch(console.error);
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  runBacktest().catch((error) => {
+    console.error('Backtest failed:', error.message);
+    process.exit(1);
+  });
 }
 
-module.exports = { runBacktest, crisisPeriods };
+module.exports = { runBacktest, writeReport, parseArgs };
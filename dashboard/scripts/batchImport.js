@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Import Manual Data
+ *
+ * Loads a CSV or JSON file of manual data in one go, through the same
+ * service setters as the API (so every load is in the audit log):
+ *
+ *   Type          CSV columns / JSON fields
+ *   jgb           date, value (10Y yield, %)
+ *   basis         pair (EURUSD|JPYUSD), term (default 5Y), date, value (bps)
+ *   gold          period (YYYY-Qn), totalTonnes, topPurchasers ("China:62;Poland:50" in CSV)
+ *   tic           country, date, holdings (millions USD)
+ *   when-issued   cusip, whenIssuedYield (%), auctionDate (optional, speeds up lookup of old auctions)
+ *   cds           date, value (5Y US sovereign CDS, bps)
+ *
+ * Every row is validated first; rejected rows are reported with the reason
+ * and the valid rows are loaded (nothing with --strict). --dry-run validates
+ * and reports without writing. Exits 1 if any row was rejected.
+ *
+ * Usage: npm run batch-import -- --type basis --file quotes.csv
+ *                                 [--dry-run --strict --reason "Bloomberg backfill"]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const BASIS_PAIRS = ['EURUSD', 'JPYUSD'];
+
+/**
+ * Parse a number within a range, or return an error message
+ */
+function parseNumber(value, field, min, max) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    return { error: `${field} must be a number` };
+  }
+  if (number < min || number > max) {
+    return { error: `${field} ${number} is outside ${min} to ${max}` };
+  }
+  return { value: number };
+}
+
+/**
+ * Check a YYYY-MM-DD date is a real calendar date and not in the future
+ */
+function checkDate(value, field = 'date') {
+  if (!DATE_FORMAT.test(value || '')) {
+    return `${field} must be YYYY-MM-DD`;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+    return `${field} ${value} is not a valid date`;
+  }
+  if (value > new Date().toISOString().slice(0, 10)) {
+    return `${field} ${value} is in the future`;
+  }
+  return null;
+}
+
+/**
+ * Parse top purchasers from "Country:tonnes;Country:tonnes" or an array
+ */
+function parsePurchasers(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+
+  return String(value).split(';').filter(Boolean).map(part => {
+    const [country, tonnes] = part.split(':').map(s => s.trim());
+    return { country, tonnes: parseFloat(tonnes) };
+  });
+}
+
+/**
+ * Import types: required columns, row validation (returns { row } or
+ * { error }), the key that identifies a row (duplicates in a file are
+ * rejected) and how valid rows are loaded
+ */
+const IMPORT_TYPES = {
+  jgb: {
+    columns: ['date', 'value'],
+    validate(raw) {
+      const dateError = checkDate(raw.date);
+      if (dateError) return { error: dateError };
+      const value = parseNumber(raw.value, 'value', -1, 10);
+      if (value.error) return value;
+      return { row: { date: raw.date, value: value.value } };
+    },
+    key: row => row.date,
+    async load(rows, audit) {
+      const basisSwapService = require('../lib/services/basisSwapService');
+      const result = await basisSwapService.setManualJGBData(rows, audit);
+      return { loaded: rows.length, summary: `${result.totalEntries} manual JGB yields stored, latest ${result.mostRecent?.date}` };
+    },
+  },
+
+  basis: {
+    columns: ['pair', 'date', 'value'],
+    validate(raw) {
+      const pair = String(raw.pair || '').toUpperCase();
+      if (!BASIS_PAIRS.includes(pair)) return { error: `pair must be one of ${BASIS_PAIRS.join(', ')}` };
+      const term = String(raw.term || '5Y').toUpperCase();
+      if (!/^\d+[MY]$/.test(term)) return { error: `term ${term} must look like 5Y or 6M` };
+      const dateError = checkDate(raw.date);
+      if (dateError) return { error: dateError };
+      const value = parseNumber(raw.value, 'value', -300, 100);
+      if (value.error) return value;
+      return { row: { pair: pair.toLowerCase(), term, date: raw.date, value: value.value } };
+    },
+    key: row => `${row.pair}|${row.term}|${row.date}`,
+    async load(rows, audit) {
+      const basisSwapService = require('../lib/services/basisSwapService');
+      const series = {};
+      rows.forEach(({ pair, term, date, value }) => {
+        const id = `${pair}|${term}`;
+        if (!series[id]) series[id] = { pair, term, data: [] };
+        series[id].data.push({ date, value });
+      });
+
+      const results = [];
+      for (const entry of Object.values(series)) {
+        results.push(await basisSwapService.setManualBasisSwapSeries(entry, audit));
+      }
+      return {
+        loaded: rows.length,
+        summary: results.map(r => `${r.pair.toUpperCase()} ${r.term}: current ${r.current} bps (${r.currentDate})`).join('; '),
+      };
+    },
+  },
+
+  gold: {
+    columns: ['period', 'totalTonnes'],
+    validate(raw) {
+      if (!/^\d{4}-Q[1-4]$/.test(raw.period || '')) return { error: 'period must be YYYY-Qn' };
+      const totalTonnes = parseNumber(raw.totalTonnes, 'totalTonnes', -1000, 2000);
+      if (totalTonnes.error) return totalTonnes;
+      const topPurchasers = parsePurchasers(raw.topPurchasers);
+      const invalid = topPurchasers.find(p => !p.country || !Number.isFinite(Number(p.tonnes)));
+      if (invalid) return { error: 'topPurchasers entries need a country and tonnes' };
+      return {
+        row: {
+          period: raw.period,
+          totalTonnes: totalTonnes.value,
+          topPurchasers: topPurchasers.map(p => ({ country: p.country, tonnes: Number(p.tonnes) })),
+        },
+      };
+    },
+    key: row => row.period,
+    async load(rows, audit) {
+      const goldService = require('../lib/services/goldService');
+      const result = await goldService.setManualCentralBankQuarters(rows, audit);
+      return { loaded: rows.length, summary: `rolling 12-month total ${result.data?.rolling12MonthTonnes} tonnes` };
+    },
+  },
+
+  tic: {
+    columns: ['country', 'date', 'holdings'],
+    validate(raw) {
+      const country = String(raw.country || '').trim();
+      if (!country) return { error: 'country is required' };
+      const dateError = checkDate(raw.date);
+      if (dateError) return { error: dateError };
+      const holdings = parseNumber(raw.holdings, 'holdings', 0, 10000000);
+      if (holdings.error) return holdings;
+      return { row: { country, date: raw.date, holdings: holdings.value } };
+    },
+    key: row => `${row.country}|${row.date}`,
+    async load(rows, audit) {
+      const ticService = require('../lib/services/ticService');
+      const result = await ticService.setManualTicRows(rows, audit);
+      return { loaded: rows.length, summary: `${result.totalRows} manual TIC rows stored` };
+    },
+  },
+
+  cds: {
+    columns: ['date', 'value'],
+    validate(raw) {
+      const dateError = checkDate(raw.date);
+      if (dateError) return { error: dateError };
+      const value = parseNumber(raw.value, 'value', 0, 5000);
+      if (value.error) return value;
+      return { row: { date: raw.date, value: value.value } };
+    },
+    key: row => row.date,
+    async load(rows, audit) {
+      const treasuryService = require('../lib/services/treasuryService');
+      const result = await treasuryService.setManualCDSData(rows, audit);
+      return { loaded: rows.length, summary: `${result.totalEntries} sovereign CDS quotes stored, latest ${result.mostRecent?.value} bps (${result.mostRecent?.date})` };
+    },
+  },
+
+  'when-issued': {
+    columns: ['cusip', 'whenIssuedYield'],
+    validate(raw) {
+      const cusip = String(raw.cusip || '').trim().toUpperCase();
+      if (!/^[0-9A-Z]{9}$/.test(cusip)) return { error: 'cusip must be 9 letters or digits' };
+      const whenIssuedYield = parseNumber(raw.whenIssuedYield, 'whenIssuedYield', 0, 20);
+      if (whenIssuedYield.error) return whenIssuedYield;
+      if (raw.auctionDate) {
+        const dateError = checkDate(raw.auctionDate, 'auctionDate');
+        if (dateError) return { error: dateError };
+      }
+      return { row: { cusip, whenIssuedYield: whenIssuedYield.value, auctionDate: raw.auctionDate || undefined } };
+    },
+    key: row => row.cusip,
+    async load(rows, audit) {
+      const treasuryService = require('../lib/services/treasuryService');
+      const { updated, notFound } = await treasuryService.setWhenIssuedYields(rows, audit);
+      return {
+        loaded: updated.length,
+        summary: `${updated.length} auctions updated`,
+        rejected: notFound.map(cusip => ({ cusip, error: `no 20Y/30Y auction with CUSIP ${cusip}` })),
+      };
+    },
+  },
+};
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    type: flag('type'),
+    file: flag('file'),
+    reason: flag('reason'),
+    dryRun: argv.includes('--dry-run'),
+    strict: argv.includes('--strict'),
+  };
+}
+
+/**
+ * Read rows from a CSV (header row) or JSON (array of objects) file
+ * @param {string} file - File path
+ * @returns {Array<object>} Raw rows keyed by column name
+ */
+function readRows(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('JSON file must contain an array of rows');
+    }
+    return data;
+  }
+
+  const { parseCSV } = require('../lib/utils/csv');
+  const [header, ...lines] = parseCSV(text);
+  if (!header) return [];
+  return lines.map(cells => Object.fromEntries(header.map((column, i) => [column, cells[i] ?? ''])));
+}
+
+/**
+ * Validate rows, rejecting invalid ones and duplicates within the file
+ * @param {string} type - Import type
+ * @param {Array<object>} rawRows - Rows from readRows()
+ * @returns {object} { valid: [rows], rejected: [{ row, error }] } (row numbers are 1-based)
+ */
+function validateRows(type, rawRows) {
+  const importType = IMPORT_TYPES[type];
+  const valid = [];
+  const rejected = [];
+  const seen = {};
+
+  rawRows.forEach((raw, i) => {
+    const { row, error } = importType.validate(raw || {});
+    if (error) {
+      rejected.push({ row: i + 1, error });
+      return;
+    }
+
+    const key = importType.key(row);
+    if (seen[key]) {
+      rejected.push({ row: i + 1, error: `duplicate of row ${seen[key]}` });
+      return;
+    }
+    seen[key] = i + 1;
+    valid.push(row);
+  });
+
+  return { valid, rejected };
+}
+
+async function batchImport(options = parseArgs(process.argv)) {
+  if (!IMPORT_TYPES[options.type]) {
+    throw new Error(`--type must be one of ${Object.keys(IMPORT_TYPES).join(', ')}`);
+  }
+  if (!options.file) {
+    throw new Error('--file is required');
+  }
+
+  const rawRows = readRows(path.resolve(options.file));
+  const missing = IMPORT_TYPES[options.type].columns.filter(column => rawRows.length > 0 && !(column in rawRows[0]));
+  if (missing.length > 0) {
+    throw new Error(`${options.file} is missing ${missing.join(', ')} (a ${options.type} import needs ${IMPORT_TYPES[options.type].columns.join(', ')})`);
+  }
+  const { valid, rejected } = validateRows(options.type, rawRows);
+
+  console.log(`${options.file}: ${rawRows.length} rows, ${valid.length} valid, ${rejected.length} rejected`);
+  rejected.forEach(({ row, error }) => console.log(`  Row ${row}: ${error}`));
+
+  let result = { loaded: 0, rejected: [] };
+  if (options.dryRun) {
+    console.log('Dry run: nothing written');
+  } else if (options.strict && rejected.length > 0) {
+    console.log('Strict mode: nothing written because of rejected rows');
+  } else if (valid.length > 0) {
+    const audit = {
+      actor: { id: os.userInfo().username, role: null, method: 'batch-import' },
+      reason: options.reason || `Batch import of ${path.basename(options.file)}`,
+    };
+    result = await IMPORT_TYPES[options.type].load(valid, audit);
+
+    console.log(`Loaded ${result.loaded} ${options.type} rows: ${result.summary}`);
+    (result.rejected || []).forEach(({ cusip, error }) => console.log(`  Rejected ${cusip}: ${error}`));
+  }
+
+  return {
+    total: rawRows.length,
+    valid: valid.length,
+    loaded: result.loaded,
+    rejected: [...rejected, ...(result.rejected || [])],
+  };
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  batchImport()
+    .then(({ rejected }) => process.exit(rejected.length > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('Batch import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { batchImport, parseArgs, readRows, validateRows, IMPORT_TYPES };
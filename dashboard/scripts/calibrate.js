@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Threshold Calibration Script
+ *
+ * Replays the backtest once, then searches the stage trigger levels,
+ * minTriggers and zone boundaries listed in config/thresholdSearchSpace.json
+ * against the crisis catalogue, scoring each combination on lead time versus
+ * false alarms. Writes a proposed thresholds file and a diff against
+ * config/thresholds.json to reports/ - the current config is not modified.
+ *
+ * Usage: npm run calibrate [-- --start YYYY-MM-DD --end YYYY-MM-DD
+ *                               --passes 3 --out reports]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    startDate: flag('start') || '2007-01-01',
+    endDate: flag('end'),
+    maxPasses: flag('passes') ? parseInt(flag('passes'), 10) : undefined,
+    outDir: path.resolve(flag('out') || path.join(__dirname, '../reports')),
+  };
+}
+
+function formatSummary(label, run) {
+  const { summary } = run;
+  const lead = summary.averageLeadTimeDays === null ? 'N/A' : `${summary.averageLeadTimeDays.toFixed(0)} days`;
+  return `  ${label}: score ${run.score.toFixed(3)} | detected ${summary.crisesDetected}/${summary.crisesEvaluated} | ` +
+    `avg lead ${lead} | false positives ${summary.falsePositiveEpisodes} episodes, ${summary.falsePositiveDays} days`;
+}
+
+async function runCalibration(options = parseArgs(process.argv)) {
+  const calibrationService = require('../lib/services/calibrationService');
+
+  console.log('='.repeat(60));
+  console.log('HEGEMONY DASHBOARD THRESHOLD CALIBRATION');
+  console.log('='.repeat(60));
+  console.log();
+  console.log(`Replaying ${options.startDate} to ${options.endDate || 'today'}...`);
+
+  const result = await calibrationService.calibrate(options);
+
+  Object.entries(result.dataErrors).forEach(([source, message]) => {
+    console.log(`  Warning: ${source} history unavailable (${message})`);
+  });
+  console.log(`  ${result.evaluations} stage configurations evaluated\n`);
+
+  console.log(formatSummary('Current ', result.baseline));
+  console.log(formatSummary('Proposed', result.proposed));
+  console.log();
+
+  if (result.changes.length === 0) {
+    console.log('No threshold changes improve the score - current config kept.');
+  } else {
+    console.log('Proposed changes:');
+    result.changes.forEach(change => {
+      console.log(`  ${change.path}: ${change.from} -> ${change.to}`);
+    });
+  }
+
+  if (!fs.existsSync(options.outDir)) {
+    fs.mkdirSync(options.outDir, { recursive: true });
+  }
+
+  const stamp = result.generatedAt.replace(/[:.]/g, '-');
+  const proposedPath = path.join(options.outDir, `thresholds-proposed-${stamp}.json`);
+  const diffPath = path.join(options.outDir, `thresholds-proposed-${stamp}.diff`);
+  const reportPath = path.join(options.outDir, `calibration-${stamp}.json`);
+
+  const { config, diff, ...report } = result;
+  fs.writeFileSync(proposedPath, JSON.stringify(config, null, 2) + '\n');
+  fs.writeFileSync(diffPath, diff);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log();
+  console.log(`Proposed thresholds: ${proposedPath}`);
+  console.log(`Diff: ${diffPath}`);
+  console.log(`Report: ${reportPath}`);
+
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  runCalibration().catch((error) => {
+    console.error('Calibration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runCalibration, parseArgs };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Import JGB Yields
+ *
+ * Loads a Japan Ministry of Finance JGB constant-maturity yield CSV into
+ * storage. The stored curve feeds the JGB 10Y leg of the Japanese hedging
+ * spread. With no flags, downloads the full MOF history file.
+ *
+ * Usage: npm run import-jgb [-- --file path/to/jgbcme_all.csv | --url https://...]
+ */
+
+const path = require('path');
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    file: flag('file'),
+    url: flag('url'),
+  };
+}
+
+async function main(options = parseArgs(process.argv)) {
+  const jgbService = require('../lib/services/jgbService');
+
+  let result;
+  if (options.file) {
+    console.log(`Importing ${options.file}...`);
+    result = await jgbService.importFromFile(options.file);
+  } else {
+    const url = options.url || jgbService.source.historicalUrl;
+    console.log(`Downloading ${url}...`);
+    result = await jgbService.importFromURL(url);
+  }
+
+  console.log(`Imported ${result.rows} rows (${result.firstDate} to ${result.lastDate})`);
+  console.log(`  Tenors: ${result.tenors.join(', ')}`);
+  if (result.skipped > 0) {
+    console.log(`  Skipped ${result.skipped} rows with unrecognised dates`);
+  }
+
+  const curve = await jgbService.getCurve();
+  console.log(`  Latest 10Y: ${curve?.yields['10Y'] ?? 'N/A'}% (${curve?.date})`);
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  main().catch((error) => {
+    console.error('JGB import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseArgs };
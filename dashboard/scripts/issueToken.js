@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Issue API Token
+ *
+ * Signs a token for the mutating API endpoints with AUTH_TOKEN_SECRET
+ * (see lib/utils/auth.js). Send it as `Authorization: Bearer <token>`.
+ *
+ * Usage: npm run issue-token -- --sub alice --role editor [--days 30]
+ */
+
+const path = require('path');
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    sub: flag('sub'),
+    role: flag('role') || 'editor',
+    days: flag('days') ? parseFloat(flag('days')) : 30,
+  };
+}
+
+function main(options = parseArgs(process.argv)) {
+  const { issueToken, verifyToken } = require('../lib/utils/auth');
+
+  if (!(options.days > 0)) {
+    throw new Error('--days must be a positive number');
+  }
+
+  const token = issueToken({
+    sub: options.sub,
+    role: options.role,
+    expiresIn: Math.round(options.days * 24 * 60 * 60),
+  });
+  const claims = verifyToken(token);
+
+  console.log(`Token for ${claims.sub} (${claims.role}), expires ${new Date(claims.exp * 1000).toISOString()}:`);
+  console.log(token);
+  return token;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  try {
+    main();
+  } catch (error) {
+    console.error('Failed to issue token:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { main, parseArgs };
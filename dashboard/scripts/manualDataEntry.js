@@ -8,6 +8,9 @@
  * - Basis swap data
  * - Central bank gold purchases
  * - Auction when-issued yields
+ * - US sovereign CDS spread
+ *
+ * For backfills from a file, use npm run batch-import (scripts/batchImport.js).
  *
  * Usage: npm run manual-entry
  */
@@ -16,6 +19,8 @@ const readline = require('readline');
 const axios = require('axios');
 
 const API_BASE = process.env.API_URL || 'http://localhost:4000/api';
+// Editor credential for the API (see README Authentication); unset when auth is off
+const API_KEY = process.env.API_KEY;
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -29,8 +34,13 @@ function question(prompt) {
 }
 
 async function postData(endpoint, data) {
+  // Recorded with the change in the audit log
+  const reason = await question('Reason for change (optional): ');
+
   try {
-    const response = await axios.post(`${API_BASE}${endpoint}`, data);
+    const response = await axios.post(`${API_BASE}${endpoint}`, { ...data, reason: reason || undefined }, {
+      headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {},
+    });
     return response.data;
   } catch (error) {
     console.error('Error:', error.response?.data?.error || error.message);
@@ -46,11 +56,10 @@ async function enterJGBYield() {
 
   const data = [{ date, value: parseFloat(value) }];
 
-  // Note: This would need a dedicated endpoint for JGB data
-  console.log('\nTo add JGB yield data, you would call:');
-  console.log('POST /api/basis/jgb/manual');
-  console.log('Body:', JSON.stringify(data, null, 2));
-  console.log('\n(Endpoint not yet implemented - data logged for manual processing)');
+  // Single yields are logged; full histories come from the MOF CSV import
+  console.log('\nJGB yields are normally loaded from the Ministry of Finance CSV:');
+  console.log('  npm run import-jgb -- --file jgbcme_all.csv');
+  console.log('Data:', JSON.stringify(data, null, 2));
 
   return data;
 }
@@ -160,6 +169,28 @@ async function enterAuctionWhenIssued() {
   return data;
 }
 
+async function enterSovereignCDS() {
+  console.log('\n--- Enter 5Y US Sovereign CDS ---\n');
+
+  const date = await question('Date (YYYY-MM-DD): ');
+  const value = await question('Spread (bps): ');
+
+  const data = {
+    date,
+    value: parseFloat(value),
+  };
+
+  console.log('\nSubmitting sovereign CDS quote...');
+  const result = await postData('/treasury/cds', data);
+
+  if (result?.success) {
+    console.log('Success! Quote added.');
+    console.log('Quotes stored:', result.totalEntries);
+  }
+
+  return data;
+}
+
 async function viewCurrentData() {
   console.log('\n--- Current Indicator Values ---\n');
 
@@ -196,10 +227,11 @@ async function mainMenu() {
   console.log('  3. Enter Central Bank Gold Purchases');
   console.log('  4. Enter TIC Holdings Data');
   console.log('  5. Enter Auction When-Issued Yield');
-  console.log('  6. View Current Data');
-  console.log('  7. Exit\n');
+  console.log('  6. Enter US Sovereign CDS');
+  console.log('  7. View Current Data');
+  console.log('  8. Exit\n');
 
-  const choice = await question('Enter choice (1-7): ');
+  const choice = await question('Enter choice (1-8): ');
 
   switch (choice) {
     case '1':
@@ -218,9 +250,12 @@ async function mainMenu() {
       await enterAuctionWhenIssued();
       break;
     case '6':
-      await viewCurrentData();
+      await enterSovereignCDS();
       break;
     case '7':
+      await viewCurrentData();
+      break;
+    case '8':
       console.log('\nGoodbye!\n');
       rl.close();
       process.exit(0);
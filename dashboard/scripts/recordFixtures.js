@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Record Upstream Fixtures
+ *
+ * Calls every read endpoint of the API (and optionally the backtest history
+ * loader and the MOF JGB download) with UPSTREAM_MODE=record, saving each
+ * raw upstream response to the fixtures directory. Run the dashboard, API
+ * or backtest with UPSTREAM_MODE=replay afterwards to use them offline.
+ *
+ * Usage: npm run record-fixtures [-- --dir fixtures --backtest --start YYYY-MM-DD --jgb]
+ */
+
+const path = require('path');
+
+// API reads that cover every service call the dashboard makes
+const API_READS = [
+  ['indicators', { type: 'current' }],
+  ['indicators', { type: 'stage' }],
+  ['indicators', { type: 'breakevens' }],
+  ...['japaneseHedgingSpread', 'goldTreasuryRatio', 'interestExpenseRatio', 'vix', 'hySpread', 'dollarIndex',
+    'dollarEquityCorrelation', 'goldPrice', 'us10y', 'fedBalanceSheet', 'cdsSpread']
+    .map(indicator => ['indicators', { type: 'history', indicator }]),
+  ...['auctions', 'upcoming', 'fiscal', 'yields', 'historical-interest'].map(type => ['treasury', { type }]),
+  ...['foreign', 'foreign-japan', 'foreign-china', 'foreign-total', 'gold', 'gold-ratio', 'gold-central-banks', 'historical-foreign']
+    .map(type => ['holdings', { type }]),
+  ['basis', { type: 'all' }],
+];
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    dir: flag('dir') ? path.resolve(flag('dir')) : undefined,
+    backtest: argv.includes('--backtest'),
+    startDate: flag('start') || '2007-01-01',
+    jgb: argv.includes('--jgb'),
+  };
+}
+
+async function recordFixtures(options = parseArgs(process.argv)) {
+  process.env.UPSTREAM_MODE = 'record';
+  if (options.dir) {
+    process.env.FIXTURES_DIR = options.dir;
+  }
+
+  const fixtures = require('../lib/utils/fixtures');
+  const { invokeHandler } = require('../lib/utils/invokeHandler');
+  const failures = [];
+
+  console.log(`Recording upstream responses to ${fixtures.describe().dir}`);
+
+  for (const [name, query] of API_READS) {
+    const label = `/api/${name}?${new URLSearchParams(query)}`;
+    try {
+      const { status, body } = await invokeHandler(name, { query });
+      if (status >= 400) {
+        failures.push(`${label}: ${status} ${body?.error || ''}`);
+      }
+      console.log(`  ${label}: ${status}`);
+    } catch (error) {
+      failures.push(`${label}: ${error.message}`);
+    }
+  }
+
+  if (options.backtest) {
+    console.log(`Recording backtest history from ${options.startDate}...`);
+    const backtestService = require('../lib/services/backtestService');
+    const history = await backtestService.loadHistory(options.startDate);
+    Object.entries(history.errors || {}).forEach(([source, message]) => failures.push(`backtest ${source}: ${message}`));
+  }
+
+  if (options.jgb) {
+    console.log('Recording MOF JGB files...');
+    const httpClient = require('../lib/utils/httpClient');
+    const { jgbCurve } = require('../config/dataSources.json').mof;
+    for (const url of [jgbCurve.historicalUrl, jgbCurve.currentUrl]) {
+      try {
+        await httpClient.get('mof', url, { responseType: 'arraybuffer' });
+      } catch (error) {
+        failures.push(`${url}: ${error.message}`);
+      }
+    }
+  }
+
+  const { fixtures: counts } = fixtures.describe();
+  console.log();
+  console.log('Fixtures:', Object.entries(counts).map(([provider, count]) => `${provider} ${count}`).join(', ') || 'none');
+
+  // Services fall back to placeholder data on upstream errors, so a 200 can still hide a failed fetch
+  const upstream = require('../lib/utils/httpClient').getStatus();
+  Object.entries(upstream)
+    .filter(([, status]) => status.lastError)
+    .forEach(([provider, status]) => failures.push(`${provider}: last error ${status.lastError}`));
+
+  if (failures.length > 0) {
+    console.log();
+    console.log('Not recorded:');
+    failures.forEach(failure => console.log(`  ${failure}`));
+  }
+
+  return { counts, failures };
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  recordFixtures().catch((error) => {
+    console.error('Failed to record fixtures:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { recordFixtures, parseArgs };
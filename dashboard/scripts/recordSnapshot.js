@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Record Indicator Snapshot
+ *
+ * Computes the current core indicators, zones and stage assessment and
+ * stores them as today's snapshot. The scheduler records one daily
+ * (indicatorSnapshot job); this script records one on demand.
+ *
+ * Usage: npm run snapshot [-- --date YYYY-MM-DD]
+ */
+
+const path = require('path');
+
+async function main() {
+  const dateFlag = process.argv.indexOf('--date');
+  const date = dateFlag !== -1 ? process.argv[dateFlag + 1] : undefined;
+
+  const snapshotService = require('../lib/services/snapshotService');
+  const snapshot = await snapshotService.recordSnapshot({ date });
+
+  console.log(`Recorded snapshot for ${snapshot.date}`);
+  console.log(`  Stage: ${snapshot.stage.stageName} (confidence ${snapshot.stage.confidence})`);
+  Object.entries(snapshot.indicators).forEach(([key, indicator]) => {
+    console.log(`  ${key}: ${indicator.value?.toFixed(4) ?? 'N/A'} (${indicator.zone})`);
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  main().catch((error) => {
+    console.error('Failed to record snapshot:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
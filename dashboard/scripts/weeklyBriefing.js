@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Weekly Briefing
+ *
+ * Builds the weekly team briefing - stage assessment, the five core
+ * indicators with week-over-week changes and zones, notable alerts and key
+ * charts - and writes it as a self-contained HTML file and a PDF. The
+ * scheduler generates one every Monday (weeklyBriefing job); this script
+ * generates one on demand.
+ *
+ * The briefing is also stored (served by /api/briefing) unless --no-save.
+ * --date re-renders a stored briefing instead of building a new one.
+ *
+ * Usage: npm run briefing [-- --out reports --format html,pdf --no-save
+ *                              --date YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['html', 'pdf'];
+
+function parseArgs(argv) {
+  const flag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    outDir: path.resolve(flag('out') || path.join(__dirname, '../reports')),
+    formats: (flag('format') || FORMATS.join(',')).split(',').map(f => f.trim().toLowerCase()),
+    date: flag('date'),
+    save: !argv.includes('--no-save'),
+  };
+}
+
+async function main(options = parseArgs(process.argv)) {
+  const unknown = options.formats.filter(f => !FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format: ${unknown.join(', ')}. Valid formats: ${FORMATS.join(', ')}`);
+  }
+
+  const briefingService = require('../lib/services/briefingService');
+
+  let briefing;
+  if (options.date) {
+    briefing = await briefingService.getBriefing(options.date);
+    if (!briefing) {
+      throw new Error(`No stored briefing for ${options.date}`);
+    }
+  } else {
+    briefing = options.save ? await briefingService.generate() : await briefingService.buildBriefing();
+  }
+
+  if (!fs.existsSync(options.outDir)) {
+    fs.mkdirSync(options.outDir, { recursive: true });
+  }
+
+  const files = options.formats.map(format => {
+    const file = path.join(options.outDir, `briefing-${briefing.date}.${format}`);
+    fs.writeFileSync(file, format === 'pdf' ? briefingService.renderPDF(briefing) : briefingService.renderHTML(briefing));
+    return file;
+  });
+
+  console.log(`Weekly briefing for ${briefing.date}${options.save && !options.date ? ' (stored)' : ''}`);
+  console.log(`  Stage: ${briefing.stage.stageName} (confidence ${briefing.stage.confidence})`);
+  briefing.indicators.forEach(i => {
+    console.log(`  ${i.name}: ${i.display} (${i.zone}), week over week ${i.changeDisplay}`);
+  });
+  console.log(`  Alerts this week: ${briefing.alerts.total}`);
+  files.forEach(file => console.log(`  Wrote ${file}`));
+
+  return { briefing, files };
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  main().catch((error) => {
+    console.error('Failed to build briefing:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Self-hosted Server
+ *
+ * Runs the dashboard on a single Node process: mounts every handler in
+ * api/ (the same Vercel-style functions used in serverless deployments),
+ * runs the refresh scheduler in-process and serves the built Vite bundle.
+ *
+ * Usage: npm run server
+ *   PORT            - Listen port (default 4000)
+ *   RUN_SCHEDULER   - Set to 'false' to skip in-process refresh jobs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const API_DIR = path.join(__dirname, 'api');
+const DIST_DIR = path.join(__dirname, 'dist');
+const DEFAULT_PORT = 4000;
+
+/**
+ * Path-style URLs (used by the frontend hooks and the README) mapped to a
+ * handler and the query parameters it expects. Explicit query string
+ * parameters take precedence over these.
+ */
+const PATH_ROUTES = [
+  { path: '/indicators/history/:indicator', handler: 'indicators', query: { type: 'history' } },
+  { path: '/indicators/snapshots/:indicator', handler: 'indicators', query: { type: 'snapshots' } },
+  { path: '/indicators/:type', handler: 'indicators' },
+  { path: '/treasury/auctions/when-issued', handler: 'treasury', query: { type: 'when-issued' } },
+  { path: '/treasury/:type', handler: 'treasury' },
+  { path: '/holdings/gold/central-banks/manual', handler: 'holdings', query: { type: 'gold-central-banks-manual' } },
+  { path: '/holdings/:group/:detail', handler: 'holdings', params: ({ group, detail }) => ({ type: `${group}-${detail}` }) },
+  { path: '/holdings/:type', handler: 'holdings' },
+  { path: '/alerts/:action', handler: 'alerts' },
+  { path: '/basis/jgb-curve', handler: 'basis', query: { type: 'jgb-curve' } },
+  { path: '/basis/:action', handler: 'basis' },
+  { path: '/status/run-job/:job', handler: 'status', query: { action: 'run-job' } },
+  { path: '/status/:action', handler: 'status' },
+  { path: '/cache/:operation', handler: 'status', params: ({ operation }) => ({ action: `cache-${operation}` }) },
+  { path: '/cron/:job', handler: 'cron' },
+  { path: '/audit/revert', handler: 'audit', query: { action: 'revert' } },
+  { path: '/export/history/:indicator', handler: 'export', query: { dataset: 'history' } },
+  { path: '/export/:dataset', handler: 'export' },
+  { path: '/briefing/:action', handler: 'briefing' },
+];
+
+/**
+ * Load every handler module in api/, keyed by file name
+ * @returns {object} { name: handler }
+ */
+function loadHandlers() {
+  return Object.fromEntries(
+    fs.readdirSync(API_DIR)
+      .filter(file => file.endsWith('.js'))
+      .map(file => [path.basename(file, '.js'), require(path.join(API_DIR, file))])
+  );
+}
+
+/**
+ * Adapt a Vercel-style handler to an Express route
+ * @param {Function} handler - async (req, res) handler from api/
+ * @param {object} route - { query, params } from PATH_ROUTES
+ * @returns {Function} Express middleware
+ */
+function adapt(handler, route = {}) {
+  return async (req, res) => {
+    const fromPath = route.params ? route.params(req.params) : req.params;
+    req.query = { ...route.query, ...fromPath, ...req.query };
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  };
+}
+
+/**
+ * Build the Express app
+ * @returns {object} Express app
+ */
+function createApp() {
+  const express = require('express');
+  const cors = require('cors');
+
+  const app = express();
+  const handlers = loadHandlers();
+
+  app.use(cors());
+  // MOF CSV uploads (POST /api/basis?action=import-jgb) can run to a few MB
+  app.use(express.json({ limit: '10mb' }));
+
+  Object.entries(handlers).forEach(([name, handler]) => {
+    app.all(`/api/${name}`, adapt(handler));
+  });
+
+  PATH_ROUTES
+    .filter(route => handlers[route.handler])
+    .forEach(route => {
+      app.all(`/api${route.path}`, adapt(handlers[route.handler], route));
+    });
+
+  app.all('/api/*', (req, res) => {
+    res.status(404).json({ success: false, error: `Not found: ${req.path}` });
+  });
+
+  if (fs.existsSync(path.join(DIST_DIR, 'index.html'))) {
+    app.use(express.static(DIST_DIR));
+    // Client-side routes fall back to the app shell
+    app.get('*', (req, res) => res.sendFile(path.join(DIST_DIR, 'index.html')));
+  } else {
+    console.warn('dist/ not found - run npm run build to serve the dashboard; serving the API only');
+  }
+
+  return app;
+}
+
+/**
+ * Start the server and, unless disabled, the refresh scheduler
+ * @param {object} options - { port, runScheduler }
+ * @returns {object} { server, scheduler }
+ */
+function start(options = {}) {
+  const port = options.port || process.env.PORT || DEFAULT_PORT;
+  const runScheduler = options.runScheduler ?? process.env.RUN_SCHEDULER !== 'false';
+
+  const app = createApp();
+  const server = app.listen(port, () => {
+    console.log(`Dashboard server listening on http://localhost:${port}`);
+  });
+
+  const schedulerService = require('./lib/services/schedulerService');
+  if (runScheduler) {
+    schedulerService.start();
+  }
+
+  const shutdown = () => {
+    schedulerService.stop();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return { server, scheduler: schedulerService };
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '.env') });
+  start();
+}
+
+module.exports = { createApp, start, PATH_ROUTES };
@@ -2,10 +2,30 @@ import React from 'react';
 import { formatDate, getZoneColor } from '../utils/formatting';
 import { sortAlerts } from '../hooks/useAlerts';
 
+/**
+ * Status filters, in tab order; statuses null shows every alert
+ */
+export const ALERT_FILTERS = [
+  { key: 'active', label: 'Active', statuses: ['open', 'acknowledged', 'snoozed'] },
+  { key: 'open', label: 'Open', statuses: ['open'] },
+  { key: 'acknowledged', label: 'Acknowledged', statuses: ['acknowledged'] },
+  { key: 'snoozed', label: 'Snoozed', statuses: ['snoozed'] },
+  { key: 'resolved', label: 'Resolved', statuses: ['resolved'] },
+  { key: 'all', label: 'All', statuses: null },
+];
+
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '1 week', hours: 24 * 7 },
+];
+
 /**
  * Alert log component showing threshold breach alerts
+ * With onAction, each alert can be acknowledged, snoozed, resolved,
+ * reopened and assigned; with onFilterChange, tabs filter by status.
  */
-function AlertLog({ alerts, loading, onClear }) {
+function AlertLog({ alerts, loading, onClear, filter, statusCounts = {}, onFilterChange, onAction }) {
   if (loading) {
     return (
       <div className="alert-log alert-log-loading">
@@ -33,6 +53,23 @@ function AlertLog({ alerts, loading, onClear }) {
         )}
       </div>
 
+      {onFilterChange && (
+        <div className="alert-filters">
+          {ALERT_FILTERS.map(({ key, label, statuses }) => {
+            const count = statuses ? statuses.reduce((sum, s) => sum + (statusCounts[s] || 0), 0) : null;
+            return (
+              <button
+                key={key}
+                className={`alert-filter ${filter === key ? 'alert-filter-active' : ''}`}
+                onClick={() => onFilterChange(key)}
+              >
+                {label}{count !== null && ` (${count})`}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {recentAlerts.length === 0 ? (
         <div className="alert-empty">
           No recent alerts
@@ -40,7 +77,7 @@ function AlertLog({ alerts, loading, onClear }) {
       ) : (
         <div className="alert-list">
           {recentAlerts.map((alert) => (
-            <AlertItem key={alert.id} alert={alert} />
+            <AlertItem key={alert.id} alert={alert} onAction={onAction} />
           ))}
         </div>
       )}
@@ -57,13 +94,13 @@ function AlertLog({ alerts, loading, onClear }) {
 /**
  * Individual alert item
  */
-function AlertItem({ alert }) {
+function AlertItem({ alert, onAction }) {
   const {
     type,
     indicatorName,
     previousZone,
     newZone,
-    currentValue,
+    value,
     timestamp,
     message,
     direction,
@@ -73,11 +110,12 @@ function AlertItem({ alert }) {
   const zoneColor = getZoneColor(zone);
 
   const isWorsening = direction === 'worsening';
-  const isCritical = type === 'CRITICAL_LEVEL';
+  const isCritical = type === 'CRITICAL_LEVEL' || zone === 'CRITICAL';
+  const status = alert.status || 'open';
 
   return (
     <div
-      className={`alert-item ${isCritical ? 'alert-critical' : ''} ${isWorsening ? 'alert-worsening' : 'alert-improving'}`}
+      className={`alert-item alert-status-${status} ${isCritical ? 'alert-critical' : ''} ${isWorsening ? 'alert-worsening' : 'alert-improving'}`}
       style={{ borderLeftColor: zoneColor }}
     >
       <div className="alert-item-header">
@@ -111,9 +149,9 @@ function AlertItem({ alert }) {
           </span>
         )}
 
-        {currentValue !== undefined && (
+        {value !== undefined && (
           <span className="alert-value">
-            Value: {typeof currentValue === 'number' ? currentValue.toFixed(2) : currentValue}
+            Value: {typeof value === 'number' ? value.toFixed(2) : value}
           </span>
         )}
       </div>
@@ -123,6 +161,97 @@ function AlertItem({ alert }) {
           {message}
         </div>
       )}
+
+      <AlertLifecycle alert={alert} status={status} />
+
+      {alert.delivery?.email && (
+        <div className={`alert-delivery alert-delivery-${alert.delivery.email.status}`}>
+          {alert.delivery.email.status === 'sent' ? 'Emailed' : `Email ${alert.delivery.email.status}`}
+        </div>
+      )}
+
+      {Object.entries(alert.delivery?.webhooks || {}).map(([destination, record]) => (
+        <div key={destination} className={`alert-delivery alert-delivery-${record.status}`}>
+          {record.status === 'sent' ? `Sent to ${destination}` : `${destination} ${record.status}`}
+          {record.status === 'queued' && record.nextAttemptAt && (
+            <> (retry {new Date(record.nextAttemptAt).toLocaleTimeString()})</>
+          )}
+        </div>
+      ))}
+
+      {onAction && <AlertActions alert={alert} status={status} onAction={onAction} />}
+    </div>
+  );
+}
+
+/**
+ * Status, assignee and latest note of an alert
+ */
+function AlertLifecycle({ alert, status }) {
+  const details = {
+    acknowledged: alert.acknowledgedBy && `by ${alert.acknowledgedBy}`,
+    snoozed: alert.snoozedUntil && `until ${formatDate(alert.snoozedUntil, 'short')} ${new Date(alert.snoozedUntil).toLocaleTimeString()}`,
+    resolved: alert.resolvedBy && `by ${alert.resolvedBy}`,
+  }[status];
+
+  return (
+    <div className="alert-lifecycle">
+      <span className={`alert-status alert-status-badge-${status}`}>{status}</span>
+      {details && <span className="alert-status-detail">{details}</span>}
+      {alert.assignee && <span className="alert-assignee">Assigned to {alert.assignee}</span>}
+      {alert.suppressedBy && (
+        <span className="alert-suppressed" title={`Held back by ${alert.suppressedBy.id}`}>
+          Not notified ({alert.suppressedBy.status} alert)
+        </span>
+      )}
+      {alert.note && <div className="alert-note">{alert.note}</div>}
+    </div>
+  );
+}
+
+/**
+ * Lifecycle buttons for the actions the alert's status allows
+ */
+function AlertActions({ alert, status, onAction }) {
+  const withNote = (action, label) => () => {
+    const note = window.prompt(`${label} note (optional)`);
+    if (note === null) return;
+    onAction(alert.id, action, note ? { note } : {});
+  };
+
+  const snooze = (event) => {
+    const hours = Number(event.target.value);
+    event.target.value = '';
+    if (!hours) return;
+    onAction(alert.id, 'snooze', { until: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() });
+  };
+
+  const assign = () => {
+    const assignee = window.prompt('Assign to (leave empty to unassign)', alert.assignee || '');
+    if (assignee === null) return;
+    onAction(alert.id, 'assign', { assignee: assignee.trim() || null });
+  };
+
+  return (
+    <div className="alert-actions">
+      {['open', 'snoozed'].includes(status) && (
+        <button className="alert-action" onClick={withNote('acknowledge', 'Acknowledgement')}>Acknowledge</button>
+      )}
+      {status !== 'resolved' && (
+        <select className="alert-action" defaultValue="" onChange={snooze} title="Snooze notifications for this indicator">
+          <option value="" disabled>Snooze…</option>
+          {SNOOZE_OPTIONS.map(({ label, hours }) => (
+            <option key={hours} value={hours}>{label}</option>
+          ))}
+        </select>
+      )}
+      {status !== 'resolved' && (
+        <button className="alert-action" onClick={withNote('resolve', 'Resolution')}>Resolve</button>
+      )}
+      {status !== 'open' && (
+        <button className="alert-action" onClick={() => onAction(alert.id, 'reopen')}>Reopen</button>
+      )}
+      <button className="alert-action" onClick={assign}>Assign</button>
     </div>
   );
 }
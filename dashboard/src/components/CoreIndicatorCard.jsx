@@ -1,6 +1,7 @@
 import React from 'react';
 import IndicatorGauge from './IndicatorGauge';
 import SparklineChart from './SparklineChart';
+import ExportLinks from './ExportLinks';
 import { indicatorConfigs } from '../utils/thresholds';
 import {
   formatIndicatorValue,
@@ -9,8 +10,18 @@ import {
   formatDate,
   getZoneColor,
   formatTrend,
+  getProvenanceBadge,
 } from '../utils/formatting';
 
+// Export dataset behind each card's numbers (see /api/export)
+const CARD_EXPORTS = {
+  japaneseHedgingSpread: { dataset: 'history', params: { indicator: 'japaneseHedgingSpread' } },
+  crossCurrencyBasis: { dataset: 'basis' },
+  auctionTail: { dataset: 'auctions' },
+  goldTreasuryRoC: { dataset: 'history', params: { indicator: 'goldTreasuryRatio' } },
+  interestExpenseRatio: { dataset: 'fiscal' },
+};
+
 /**
  * Card component for displaying a core indicator with gauge and sparkline
  */
@@ -25,9 +36,10 @@ function CoreIndicatorCard({ indicatorKey, data, historicalData }) {
     );
   }
 
-  const { value, threshold, date, sixMonthChange } = data || {};
+  const { value, threshold, date, sixMonthChange, provenance } = data || {};
   const zone = threshold?.zone || 'UNKNOWN';
   const zoneColor = threshold?.color || getZoneColor('UNKNOWN');
+  const provenanceBadge = getProvenanceBadge(provenance);
 
   // Format the display value based on indicator type
   let displayValue = 'N/A';
@@ -45,17 +57,31 @@ function CoreIndicatorCard({ indicatorKey, data, historicalData }) {
 
   // Format trend
   const trendInfo = formatTrend(sixMonthChange, config.inverted);
+  const exportDataset = CARD_EXPORTS[indicatorKey];
 
   return (
-    <div className="indicator-card" style={{ borderTopColor: zoneColor }}>
+    <div
+      className={`indicator-card${provenance?.degraded ? ' indicator-card-degraded' : ''}`}
+      style={{ borderTopColor: zoneColor }}
+    >
       <div className="indicator-card-header">
         <h3 className="indicator-name">{config.shortName}</h3>
-        <span
-          className="indicator-zone-badge"
-          style={{ backgroundColor: zoneColor }}
-        >
-          {zone}
-        </span>
+        <div className="indicator-badges">
+          {provenanceBadge && (
+            <span
+              className={`provenance-badge ${provenanceBadge.className}`}
+              title={provenanceBadge.title}
+            >
+              {provenanceBadge.label}
+            </span>
+          )}
+          <span
+            className="indicator-zone-badge"
+            style={{ backgroundColor: zoneColor }}
+          >
+            {zone}
+          </span>
+        </div>
       </div>
 
       <div className="indicator-value-section">
@@ -93,6 +119,9 @@ function CoreIndicatorCard({ indicatorKey, data, historicalData }) {
         <span className="indicator-date">
           {date ? formatDate(date, 'short') : 'N/A'}
         </span>
+        {exportDataset && (
+          <ExportLinks dataset={exportDataset.dataset} params={exportDataset.params} />
+        )}
         <button
           className="indicator-info-btn"
           title={config.description}
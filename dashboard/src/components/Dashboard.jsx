@@ -1,10 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
 import StageIndicator from './StageIndicator';
 import CoreIndicatorCard from './CoreIndicatorCard';
 import SecondaryIndicators from './SecondaryIndicators';
-import AlertLog from './AlertLog';
+import AlertLog, { ALERT_FILTERS } from './AlertLog';
 import EventCalendar from './EventCalendar';
 import HistoricalChart from './HistoricalChart';
+import ExportLinks from './ExportLinks';
 import {
   useIndicatorData,
   useStageAssessment,
@@ -34,11 +35,21 @@ function Dashboard() {
     loading: stageLoading,
   } = useStageAssessment();
 
+  const [alertFilter, setAlertFilter] = useState('active');
   const {
     alerts,
+    statusCounts: alertStatusCounts,
     loading: alertsLoading,
     clearAlerts,
-  } = useAlerts();
+    updateAlertStatus,
+  } = useAlerts({ status: ALERT_FILTERS.find(f => f.key === alertFilter)?.statuses });
+
+  const handleAlertAction = async (id, action, details) => {
+    const result = await updateAlertStatus(id, action, details);
+    if (!result.success) {
+      window.alert(`Could not ${action} alert: ${result.error}`);
+    }
+  };
 
   const { data: foreignHoldings } = useForeignHoldings();
   const { data: breakevens } = useBreakevens();
@@ -103,7 +114,10 @@ function Dashboard() {
 
         {/* Section 2: Core Five Indicators */}
         <section className="dashboard-section section-core-indicators">
-          <h2>Core Leading Indicators</h2>
+          <div className="section-header">
+            <h2>Core Leading Indicators</h2>
+            <ExportLinks dataset="indicators" />
+          </div>
           <div className="indicators-grid">
             {coreIndicatorKeys.map((key) => (
               <CoreIndicatorCard
@@ -141,6 +155,10 @@ function Dashboard() {
               alerts={alerts}
               loading={alertsLoading}
               onClear={() => clearAlerts()}
+              filter={alertFilter}
+              statusCounts={alertStatusCounts}
+              onFilterChange={setAlertFilter}
+              onAction={handleAlertAction}
             />
             <EventCalendar events={[]} loading={false} />
           </div>
@@ -154,6 +172,7 @@ function Dashboard() {
               <HistoricalChart
                 data={vixHistory}
                 title="VIX History"
+                exportDataset={{ dataset: 'history', params: { indicator: 'vix' } }}
                 color="#f59e0b"
                 yAxisLabel="VIX"
                 thresholdLines={[
@@ -167,6 +186,7 @@ function Dashboard() {
               <HistoricalChart
                 data={goldHistory}
                 title="Gold/Treasury Ratio"
+                exportDataset={{ dataset: 'history', params: { indicator: 'goldTreasuryRatio' } }}
                 color="#eab308"
                 yAxisLabel="Ratio"
                 height={250}
@@ -0,0 +1,33 @@
+import React from 'react';
+
+const API_BASE = '/api';
+
+const FORMATS = ['csv', 'xlsx'];
+
+/**
+ * CSV and XLSX download links for an /api/export dataset
+ */
+function ExportLinks({ dataset, params = {}, className = '' }) {
+  if (!dataset) return null;
+
+  return (
+    <div className={`export-links ${className}`.trim()}>
+      {FORMATS.map((format) => {
+        const query = new URLSearchParams({ dataset, ...params, format });
+        return (
+          <a
+            key={format}
+            className="export-link"
+            href={`${API_BASE}/export?${query}`}
+            download
+            title={`Download as ${format.toUpperCase()}`}
+          >
+            {format.toUpperCase()}
+          </a>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ExportLinks;
@@ -13,6 +13,7 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import 'chartjs-adapter-date-fns';
+import ExportLinks from './ExportLinks';
 
 ChartJS.register(
   CategoryScale,
@@ -28,6 +29,7 @@ ChartJS.register(
 
 /**
  * Historical chart component for long-term trend visualization
+ * exportDataset ({ dataset, params }) adds CSV/XLSX download links.
  */
 function HistoricalChart({
   data,
@@ -37,6 +39,7 @@ function HistoricalChart({
   thresholdLines = [],
   annotations = [],
   height = 300,
+  exportDataset,
 }) {
   if (!data || data.length === 0) {
     return (
@@ -163,6 +166,13 @@ function HistoricalChart({
 
   return (
     <div className="historical-chart" style={{ height }}>
+      {exportDataset && (
+        <ExportLinks
+          dataset={exportDataset.dataset}
+          params={exportDataset.params}
+          className="historical-chart-export"
+        />
+      )}
       <Line data={chartData} options={options} />
     </div>
   );
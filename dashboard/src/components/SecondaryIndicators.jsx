@@ -49,11 +49,35 @@ function SecondaryIndicators({ data, foreignHoldings, loading }) {
             date={data?.sofr?.date}
             suffix="%"
           />
+          <SecondaryIndicatorItem
+            name="SOFR-Treasury Spread"
+            value={data?.sofrTreasurySpread?.value}
+            date={data?.sofrTreasurySpread?.date}
+            threshold={data?.sofrTreasurySpread?.threshold}
+            config={secondaryIndicatorConfigs.sofrTreasurySpread}
+            unit="bps"
+          />
+          <SecondaryIndicatorItem
+            name="US Sovereign CDS (5Y)"
+            value={data?.cdsSpread?.value}
+            date={data?.cdsSpread?.date}
+            threshold={data?.cdsSpread?.threshold}
+            config={secondaryIndicatorConfigs.cdsSpread}
+            unit="bps"
+          />
           <SecondaryIndicatorItem
             name="Dollar Index"
             value={data?.dollarIndex?.value}
             date={data?.dollarIndex?.date}
           />
+          <SecondaryIndicatorItem
+            name={`Dollar-Equity Corr. (${data?.dollarEquityCorrelation?.window || 60}d)`}
+            value={data?.dollarEquityCorrelation?.value}
+            date={data?.dollarEquityCorrelation?.date}
+            threshold={data?.dollarEquityCorrelation?.threshold}
+            config={secondaryIndicatorConfigs.dollarEquityCorrelation}
+            decimals={2}
+          />
         </div>
       </div>
 
@@ -93,13 +117,13 @@ function SecondaryIndicators({ data, foreignHoldings, loading }) {
 /**
  * Individual secondary indicator item
  */
-function SecondaryIndicatorItem({ name, value, date, threshold, config, unit, suffix }) {
+function SecondaryIndicatorItem({ name, value, date, threshold, config, unit, suffix, decimals = 1 }) {
   const zone = threshold?.zone || 'NORMAL';
   const zoneColor = threshold?.color || getZoneColor('NORMAL');
 
   let displayValue = 'N/A';
   if (value !== null && value !== undefined) {
-    displayValue = formatNumber(value, 1);
+    displayValue = formatNumber(value, decimals);
     if (unit) displayValue += ` ${unit}`;
     if (suffix) displayValue += suffix;
   }
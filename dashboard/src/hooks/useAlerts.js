@@ -1,29 +1,39 @@
 import { useState, useEffect, useCallback } from 'react';
+import { getAuthHeaders } from '../utils/auth';
 
 const API_BASE = '/api';
 
+export const ALERT_STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+
 /**
  * Custom hook for managing alerts
- * @param {object} options - Hook options
+ * @param {object} options - Hook options ({ pollInterval, limit, status: status or list of statuses, assignee: name or 'none' })
  * @returns {object} Alert data and functions
  */
 export function useAlerts(options = {}) {
-  const { pollInterval = 60000, limit = 50 } = options;
+  const { pollInterval = 60000, limit = 50, status = null, assignee = null } = options;
+  const statusFilter = Array.isArray(status) ? status.join(',') : status;
 
   const [alerts, setAlerts] = useState([]);
+  const [statusCounts, setStatusCounts] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState(null);
 
   const fetchAlerts = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE}/alerts?limit=${limit}`);
+      const params = new URLSearchParams({ limit });
+      if (statusFilter) params.set('status', statusFilter);
+      if (assignee) params.set('assignee', assignee);
+
+      const response = await fetch(`${API_BASE}/alerts?${params}`);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       const result = await response.json();
       if (result.success) {
         setAlerts(result.alerts);
+        setStatusCounts(result.statusCounts || {});
         setConfig(result.config);
         setError(null);
       } else {
@@ -35,7 +45,7 @@ export function useAlerts(options = {}) {
     } finally {
       setLoading(false);
     }
-  }, [limit]);
+  }, [limit, statusFilter, assignee]);
 
   useEffect(() => {
     fetchAlerts();
@@ -52,7 +62,7 @@ export function useAlerts(options = {}) {
         ? `${API_BASE}/alerts?before=${before}`
         : `${API_BASE}/alerts`;
 
-      const response = await fetch(url, { method: 'DELETE' });
+      const response = await fetch(url, { method: 'DELETE', headers: getAuthHeaders() });
       const result = await response.json();
 
       if (result.success) {
@@ -68,7 +78,7 @@ export function useAlerts(options = {}) {
 
   const testAlert = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE}/alerts/test`, { method: 'POST' });
+      const response = await fetch(`${API_BASE}/alerts?action=test`, { method: 'POST', headers: getAuthHeaders() });
       const result = await response.json();
       return result;
     } catch (err) {
@@ -77,11 +87,43 @@ export function useAlerts(options = {}) {
     }
   }, []);
 
+  /**
+   * Acknowledge, snooze, resolve, reopen or assign alerts
+   * @param {string|string[]} ids - Alert id(s)
+   * @param {string} action - acknowledge | snooze | resolve | reopen | assign
+   * @param {object} details - { note, until (snooze), assignee (assign; null unassigns) }
+   * @returns {Promise<object>} API result ({ success, alerts } or { success: false, error })
+   */
+  const updateAlertStatus = useCallback(async (ids, action, details = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}/alerts?action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ ids: Array.isArray(ids) ? ids : [ids], ...details }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        await fetchAlerts();
+      }
+      return result;
+    } catch (err) {
+      console.error(`Error trying to ${action} alert:`, err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchAlerts]);
+
+  const acknowledgeAlert = useCallback((id, note) => updateAlertStatus(id, 'acknowledge', { note }), [updateAlertStatus]);
+  const snoozeAlert = useCallback((id, until, note) => updateAlertStatus(id, 'snooze', { until, note }), [updateAlertStatus]);
+  const resolveAlert = useCallback((id, note) => updateAlertStatus(id, 'resolve', { note }), [updateAlertStatus]);
+  const reopenAlert = useCallback((id, note) => updateAlertStatus(id, 'reopen', { note }), [updateAlertStatus]);
+  const assignAlert = useCallback((id, assigneeName) => updateAlertStatus(id, 'assign', { assignee: assigneeName || null }), [updateAlertStatus]);
+
   const updateConfig = useCallback(async (newConfig) => {
     try {
-      const response = await fetch(`${API_BASE}/alerts/config`, {
+      const response = await fetch(`${API_BASE}/alerts?action=config`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
         body: JSON.stringify(newConfig),
       });
       const result = await response.json();
@@ -99,6 +141,7 @@ export function useAlerts(options = {}) {
 
   return {
     alerts,
+    statusCounts,
     loading,
     error,
     config,
@@ -106,6 +149,12 @@ export function useAlerts(options = {}) {
     clearAlerts,
     testAlert,
     updateConfig,
+    updateAlertStatus,
+    acknowledgeAlert,
+    snoozeAlert,
+    resolveAlert,
+    reopenAlert,
+    assignAlert,
   };
 }
 
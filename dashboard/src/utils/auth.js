@@ -0,0 +1,15 @@
+/**
+ * Credential for the API's mutating endpoints (API key or signed token),
+ * kept in localStorage under this key. Read endpoints need none.
+ */
+export const CREDENTIAL_STORAGE_KEY = 'hegemonyApiCredential';
+
+/**
+ * Headers authenticating a mutating request
+ * @returns {object} Authorization header, or empty when no credential is stored
+ */
+export function getAuthHeaders() {
+  const credential = typeof localStorage !== 'undefined' ?
+    localStorage.getItem(CREDENTIAL_STORAGE_KEY) : null;
+  return credential ? { Authorization: `Bearer ${credential}` } : {};
+}
@@ -214,3 +214,34 @@ export function truncate(text, maxLength = 50) {
   if (!text || text.length <= maxLength) return text;
   return text.slice(0, maxLength - 3) + '...';
 }
+
+/**
+ * Badge for a value whose provenance is synthetic, manual or stale
+ * @param {object} provenance - Provenance record from the API
+ * @returns {object|null} { label, className, title } or null for live/cached data
+ */
+export function getProvenanceBadge(provenance) {
+  if (!provenance) return null;
+
+  const details = [
+    `Source: ${provenance.source}${provenance.provider ? ` (${provenance.provider})` : ''}`,
+    provenance.asOf ? `As of: ${formatDate(provenance.asOf, 'long')}` : null,
+    provenance.fetchedAt ? `Fetched: ${getRelativeTime(new Date(provenance.fetchedAt))}` : null,
+    provenance.staleness?.reason,
+    provenance.note,
+  ].filter(Boolean).join('\n');
+
+  if (provenance.source === 'fallback') {
+    return { label: 'Synthetic', className: 'provenance-fallback', title: details };
+  }
+  if (provenance.source === 'proxy') {
+    return { label: 'Proxy', className: 'provenance-proxy', title: details };
+  }
+  if (provenance.staleness?.stale) {
+    return { label: 'Stale', className: 'provenance-stale', title: details };
+  }
+  if (provenance.source === 'manual') {
+    return { label: 'Manual', className: 'provenance-manual', title: details };
+  }
+  return null;
+}
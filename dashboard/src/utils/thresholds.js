@@ -156,16 +156,32 @@ export const secondaryIndicatorConfigs = {
   sofrTreasurySpread: {
     name: 'SOFR-Treasury Spread',
     unit: 'bps',
-    description: 'Spread between SOFR and Treasury rates',
+    description: 'SOFR less the 3-month Treasury bill rate',
     warning: 20,
     danger: 40,
     critical: 75,
   },
+  cdsSpread: {
+    name: '5Y US Sovereign CDS',
+    unit: 'bps',
+    description: '5-year US sovereign credit default swap spread, entered manually',
+    warning: 30,
+    danger: 50,
+    critical: 100,
+  },
   dollarIndex: {
     name: 'Dollar Index',
     description: 'Trade Weighted U.S. Dollar Index',
     note: 'Context dependent - watch for unusual moves during stress',
   },
+  dollarEquityCorrelation: {
+    name: 'Dollar-Equity Correlation',
+    description: 'Rolling correlation of daily dollar index and S&P 500 returns',
+    note: 'Positive when the dollar falls with equities instead of acting as a safe haven',
+    warning: 0.2,
+    danger: 0.4,
+    critical: 0.6,
+  },
 };
 
 /**
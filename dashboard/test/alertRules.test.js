@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules, getRuleInputs, evaluateRuleCondition } = require('../lib/utils/alertRules');
+
+/**
+ * Daily series, newest first, ending on 2025-03-31 with the last value given last
+ */
+function daily(...values) {
+  return values.map((value, i) => ({
+    date: new Date(Date.UTC(2025, 2, 31 - (values.length - 1 - i))).toISOString().split('T')[0],
+    value,
+  })).reverse();
+}
+
+test('a level condition compares the latest observation', () => {
+  const series = { vix: daily(20, 35) };
+
+  assert.equal(evaluateRuleCondition({ input: 'vix', comparison: '>', threshold: 30 }, series).met, true);
+  assert.equal(evaluateRuleCondition({ input: 'vix', comparison: '>', threshold: 40 }, series).met, false);
+  assert.equal(evaluateRuleCondition({ input: 'vix', comparison: 'between', range: [30, 40] }, series).met, true);
+  assert.equal(evaluateRuleCondition({ input: 'vix', comparison: 'outside', range: [30, 40] }, series).met, false);
+});
+
+test('duration needs that many consecutive observations meeting the condition', () => {
+  const condition = { input: 'vix', comparison: '>', threshold: 30, duration: 3 };
+
+  const twoDays = evaluateRuleCondition(condition, { vix: daily(35, 20, 32, 36) });
+  assert.deepEqual([twoDays.met, twoDays.consecutive], [false, 2]);
+
+  const threeDays = evaluateRuleCondition(condition, { vix: daily(20, 31, 32, 36) });
+  assert.deepEqual([threeDays.met, threeDays.consecutive], [true, 3]);
+});
+
+test('a change condition compares against the observation the given days earlier', () => {
+  const series = { hySpread: daily(400, 410, 420, 430, 480) };
+
+  const absolute = evaluateRuleCondition({ input: 'hySpread', change: { days: 3 }, comparison: '>=', threshold: 70 }, series);
+  assert.deepEqual([absolute.met, absolute.value], [true, 70]);
+
+  const relative = evaluateRuleCondition({ input: 'hySpread', change: { days: 4, relative: true }, comparison: '>', threshold: 0.25 }, series);
+  assert.equal(relative.met, false);
+  assert.ok(Math.abs(relative.value - 0.2) < 1e-9);
+
+  const tooLong = evaluateRuleCondition({ input: 'hySpread', change: { days: 10 }, comparison: '>', threshold: 0 }, series);
+  assert.deepEqual([tooLong.met, tooLong.missing], [false, true]);
+});
+
+test('all and any combine conditions, and a missing input never meets one', () => {
+  const condition = {
+    any: [
+      { input: 'vix', comparison: '>', threshold: 40 },
+      { all: [{ input: 'vix', comparison: '>', threshold: 25 }, { input: 'hySpread', comparison: '>', threshold: 500 }] },
+    ],
+  };
+
+  assert.deepEqual(getRuleInputs(condition), ['vix', 'hySpread']);
+  assert.equal(evaluateRuleCondition(condition, { vix: daily(30), hySpread: daily(550) }).met, true);
+  assert.equal(evaluateRuleCondition(condition, { vix: daily(30), hySpread: daily(450) }).met, false);
+
+  const missing = evaluateRuleCondition(condition, { vix: daily(30) });
+  assert.deepEqual([missing.met, missing.missing], [false, true]);
+});
+
+test('rules are validated against the available inputs', () => {
+  const rule = { id: 'vix-spike', zone: 'DANGER', condition: { input: 'vix', comparison: '>', threshold: 40 } };
+
+  assert.equal(validateRules([rule], ['vix']).length, 1);
+  assert.throws(() => validateRules([rule], ['hySpread']), error => error.code === 'INVALID_RULE');
+  assert.throws(() => validateRules([{ ...rule, zone: 'NORMAL' }], ['vix']), error => error.code === 'INVALID_RULE');
+  assert.throws(() => validateRules([rule, rule], ['vix']), /Duplicate rule id/);
+});
@@ -0,0 +1,84 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/utils/storage');
+const alertService = require('../lib/services/alertService');
+
+const MINUTE = 60 * 1000;
+const start = new Date('2025-03-03T12:00:00Z');
+const at = minutes => new Date(start.getTime() + minutes * MINUTE);
+
+// VIX zones: WARNING from 25, DANGER from 40, CRITICAL from 60; default cooldown 240 minutes
+async function checkVix(value, minutes) {
+  return alertService.check({ vix: value }, { now: at(minutes), notify: false });
+}
+
+async function reset() {
+  await alertService.resetState();
+  await alertService.clearAlertLog();
+  await storage.del('alerts:config');
+}
+
+test('an indicator entering a zone alerts once and stays quiet while it remains there', async () => {
+  await reset();
+
+  const first = await checkVix(30, 0);
+  assert.deepEqual(first.alerts.map(a => [a.indicator, a.previousZone, a.zone]), [['vix', 'NORMAL', 'WARNING']]);
+
+  const second = await checkVix(32, 60);
+  assert.equal(second.alerts.length, 0);
+  assert.equal((await alertService.getState()).vix.alertedAt, at(0).toISOString());
+});
+
+test('moves within the cooldown are held unless they escalate', async () => {
+  await reset();
+  await checkVix(45, 0);
+
+  const eased = await checkVix(30, 30);
+  assert.equal(eased.alerts.length, 0);
+  assert.deepEqual(eased.held.map(h => [h.indicator, h.zone, h.until]), [['vix', 'WARNING', at(240).toISOString()]]);
+
+  const escalated = await checkVix(65, 60);
+  assert.deepEqual(escalated.alerts.map(a => [a.previousZone, a.zone]), [['DANGER', 'CRITICAL']]);
+});
+
+test('the net change is alerted once the cooldown ends, so flapping gives one alert', async () => {
+  await reset();
+  await checkVix(30, 0);
+
+  await checkVix(20, 10);
+  await checkVix(30, 20);
+  await checkVix(20, 30);
+  const held = await checkVix(30, 239);
+  assert.equal(held.alerts.length, 0);
+
+  const recovered = await checkVix(20, 241);
+  assert.deepEqual(recovered.alerts.map(a => [a.type, a.zone]), [['RECOVERED', 'NORMAL']]);
+  assert.equal((await alertService.getAlertLog()).length, 2);
+});
+
+test('a per-indicator cooldown overrides the default', async () => {
+  await reset();
+  await alertService.updateConfig({ cooldowns: { vix: 15 } });
+
+  await checkVix(30, 0);
+  const recovered = await checkVix(20, 16);
+  assert.deepEqual(recovered.alerts.map(a => a.zone), ['NORMAL']);
+});
+
+test('a check whose alerts are not logged leaves the zone state unchanged', async () => {
+  await reset();
+  const appendAlerts = alertService.appendAlerts;
+  alertService.appendAlerts = async () => { throw new Error('storage unavailable'); };
+
+  try {
+    await assert.rejects(checkVix(30, 0), /storage unavailable/);
+  } finally {
+    alertService.appendAlerts = appendAlerts;
+  }
+
+  assert.deepEqual(await alertService.getState(), {});
+  const retried = await checkVix(30, 5);
+  assert.deepEqual(retried.alerts.map(a => a.zone), ['WARNING']);
+});
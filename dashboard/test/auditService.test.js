@@ -0,0 +1,59 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/utils/storage');
+const auditService = require('../lib/services/auditService');
+
+const KEY = 'treasury:manual:cds_5y';
+const actor = { id: 'ops', role: 'editor', method: 'api-key' };
+
+/**
+ * Store a value through the audit log and return its entry
+ * Each test stores its own values, so entries are found by value rather
+ * than by timestamp order, which ties within a millisecond.
+ */
+async function change(value) {
+  await auditService.recordChange({ operation: 'treasury.manualCDS', key: KEY, input: value, actor }, () => storage.set(KEY, value));
+  const entries = await auditService.getEntries({ key: KEY, limit: Infinity });
+  return entries.find(e => !e.revertOf && JSON.stringify(e.after) === JSON.stringify(value));
+}
+
+test('reverting a change restores the value stored before it', async () => {
+  await storage.del(KEY);
+  const first = await change({ value: 40 });
+  const second = await change({ value: 55 });
+
+  const revert = await auditService.revert(second.id, { actor, reason: 'typo' });
+
+  assert.deepEqual(await storage.get(KEY), { value: 40 });
+  assert.equal(revert.revertOf, second.id);
+  assert.equal((await auditService.getEntry(second.id)).revertedBy, revert.id);
+  assert.equal((await auditService.getEntry(first.id)).revertedBy, null);
+});
+
+test('a change is not reverted twice', async () => {
+  await storage.del(KEY);
+  const entry = await change({ value: 41 });
+  await auditService.revert(entry.id, { actor });
+
+  await assert.rejects(auditService.revert(entry.id, { actor }), error => error.code === 'CONFLICT' && /already reverted/.test(error.message));
+  assert.equal(await storage.get(KEY), null);
+});
+
+test('a change overwritten since is refused unless forced', async () => {
+  await storage.del(KEY);
+  const first = await change({ value: 42 });
+  await change({ value: 56 });
+
+  await assert.rejects(auditService.revert(first.id, { actor }), error => error.code === 'CONFLICT' && /has changed since/.test(error.message));
+  assert.deepEqual(await storage.get(KEY), { value: 56 });
+
+  const forced = await auditService.revert(first.id, { actor, force: true });
+  assert.equal(await storage.get(KEY), null);
+  assert.deepEqual(forced.before, { value: 56 });
+});
+
+test('an unknown entry is NOT_FOUND', async () => {
+  await assert.rejects(auditService.revert('2025-01-01T00:00:00.000Z-000000', { actor }), error => error.code === 'NOT_FOUND');
+});
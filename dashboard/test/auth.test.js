@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { issueToken, verifyToken, requireRole } = require('../lib/utils/auth');
+
+const SECRET = 'test-token-secret';
+
+/**
+ * Run the test body with the given auth variables, restoring them afterwards
+ */
+async function withEnv(vars, fn) {
+  const names = ['API_KEYS', 'AUTH_TOKEN_SECRET', 'VERCEL', 'NODE_ENV'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  names.forEach(name => {
+    if (vars[name] === undefined) delete process.env[name];
+    else process.env[name] = vars[name];
+  });
+  try {
+    await fn();
+  } finally {
+    names.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+function call(required, headers = {}) {
+  const req = { headers };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  return { allowed: requireRole(req, res, required), status: res.statusCode, auth: req.auth };
+}
+
+test('verifyToken accepts tokens signed with the secret until they expire', () => {
+  const token = issueToken({ sub: 'ops', role: 'editor' }, SECRET);
+
+  assert.deepEqual(
+    (({ sub, role }) => ({ sub, role }))(verifyToken(token, SECRET)),
+    { sub: 'ops', role: 'editor' }
+  );
+  assert.equal(verifyToken(token, 'another-secret'), null);
+  assert.equal(verifyToken(issueToken({ sub: 'ops', role: 'editor', expiresIn: -1 }, SECRET), SECRET), null);
+});
+
+test('verifyToken rejects tampered and malformed tokens', () => {
+  const [payload, signature] = issueToken({ sub: 'ops', role: 'editor' }, SECRET).split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const elevated = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+
+  assert.equal(verifyToken(`${elevated}.${signature}`, SECRET), null);
+  assert.equal(verifyToken('not-a-token', SECRET), null);
+  assert.equal(verifyToken(undefined, SECRET), null);
+  assert.equal(verifyToken(`${payload}.${signature}`, undefined), null);
+});
+
+test('requireRole checks the caller role from an API key or token', () => withEnv(
+  { API_KEYS: 'reader:viewer:key-v,ops:editor:key-e', AUTH_TOKEN_SECRET: SECRET },
+  () => {
+    assert.equal(call('editor', { 'x-api-key': 'key-e' }).allowed, true);
+    assert.equal(call('admin', { 'x-api-key': 'key-e' }).status, 403);
+    assert.equal(call('editor', { authorization: 'Bearer key-v' }).status, 403);
+    assert.equal(call('editor').status, 401);
+    assert.equal(call('editor', { authorization: 'Bearer wrong' }).status, 401);
+
+    const admin = call('admin', { authorization: `Bearer ${issueToken({ sub: 'lead', role: 'admin' }, SECRET)}` });
+    assert.deepEqual([admin.allowed, admin.auth.id, admin.auth.method], [true, 'lead', 'token']);
+  }
+));
+
+test('requireRole allows everything locally but refuses changes in production without credentials', async () => {
+  await withEnv({}, () => {
+    const local = call('admin');
+    assert.deepEqual([local.allowed, local.auth.role], [true, 'admin']);
+  });
+
+  await withEnv({ NODE_ENV: 'production' }, () => {
+    const production = call('editor');
+    assert.deepEqual([production.allowed, production.status, production.auth.role], [false, 503, 'viewer']);
+  });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shiftMonths, baselineWindowStart, calculateBaselineChange } = require('../lib/utils/baselines');
+const stageInputConfig = require('../config/stageInputs.json');
+
+/**
+ * Monthly CPI observations as FRED would return them on a given day: dated
+ * the first of the month, released on the 13th of the following month,
+ * newest first and starting at the requested date
+ */
+function monthlyCpiAsOf(today, startDate) {
+  const series = [];
+  let date = '2020-01-01';
+  let value = 260;
+  while (`${shiftMonths(date, 1).slice(0, 8)}13` <= today) {
+    if (date >= startDate) series.unshift({ date, value });
+    date = shiftMonths(date, 1);
+    value *= 1.003;
+  }
+  return series;
+}
+
+test('cpiAnnualized is computable from the fetched window on every day of the year', () => {
+  const config = stageInputConfig.inputs.cpiAnnualized;
+
+  for (let day = 0; day < 366; day++) {
+    const today = new Date(Date.UTC(2025, 0, 1 + day)).toISOString().split('T')[0];
+    const series = monthlyCpiAsOf(today, baselineWindowStart(config, today));
+    const result = calculateBaselineChange(series, config);
+
+    assert.ok(result, `cpiAnnualized is null on ${today}`);
+    assert.ok(Math.abs(result.value - (Math.pow(1.003, 12) - 1)) < 1e-9);
+  }
+});
@@ -0,0 +1,97 @@
+delete process.env.UPSTREAM_MODE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const httpClient = require('../lib/utils/httpClient');
+
+// yahoo opens after 3 consecutive failures and stays open for 15 minutes
+const PROVIDER = 'yahoo';
+const RESET_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * A connection error that is not retried, so each request is one failure
+ */
+function connectionError() {
+  return Object.assign(new Error('protocol error'), { code: 'EPROTO' });
+}
+
+/**
+ * Replace axios.request and the clock for one test
+ * @returns {object} { respond(fn), advance(ms), calls }
+ */
+function upstream(t) {
+  let handler = async () => { throw connectionError(); };
+  const calls = [];
+  t.mock.method(axios, 'request', (config) => {
+    calls.push(config.url);
+    return handler(config);
+  });
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-03T12:00:00Z') });
+  httpClient.reset(PROVIDER);
+
+  return {
+    calls,
+    respond(fn) { handler = fn; },
+    advance(ms) { t.mock.timers.tick(ms); },
+  };
+}
+
+async function failTimes(count) {
+  for (let i = 0; i < count; i++) {
+    await assert.rejects(httpClient.get(PROVIDER, 'https://example.test/chart'), { code: 'EPROTO' });
+  }
+}
+
+test('the breaker opens after the failure threshold and rejects without calling upstream', async (t) => {
+  const server = upstream(t);
+
+  await failTimes(2);
+  assert.equal(httpClient.getStatus()[PROVIDER].state, 'closed');
+  await failTimes(1);
+  assert.equal(httpClient.getStatus()[PROVIDER].state, 'open');
+
+  await assert.rejects(httpClient.get(PROVIDER, 'https://example.test/chart'), { code: 'CIRCUIT_OPEN' });
+  assert.equal(server.calls.length, 3);
+  assert.equal(httpClient.getStatus()[PROVIDER].counts.rejected, 1);
+});
+
+test('after the reset timeout one trial request is let through while half-open', async (t) => {
+  const server = upstream(t);
+  await failTimes(3);
+  server.advance(RESET_TIMEOUT_MS);
+
+  let finishTrial;
+  server.respond(() => new Promise(resolve => { finishTrial = () => resolve({ status: 200, data: {} }); }));
+  const trial = httpClient.get(PROVIDER, 'https://example.test/chart');
+
+  assert.equal(httpClient.getStatus()[PROVIDER].state, 'half-open');
+  await assert.rejects(httpClient.get(PROVIDER, 'https://example.test/chart'), { code: 'CIRCUIT_OPEN' });
+
+  await new Promise(resolve => setImmediate(resolve));
+  finishTrial();
+  await trial;
+  assert.equal(httpClient.getStatus()[PROVIDER].state, 'closed');
+  assert.equal(httpClient.getStatus()[PROVIDER].consecutiveFailures, 0);
+});
+
+test('a failed trial reopens the breaker for another reset timeout', async (t) => {
+  const server = upstream(t);
+  await failTimes(3);
+  server.advance(RESET_TIMEOUT_MS);
+
+  await failTimes(1);
+  const status = httpClient.getStatus()[PROVIDER];
+  assert.equal(status.state, 'open');
+  assert.equal(server.calls.length, 4);
+  await assert.rejects(httpClient.get(PROVIDER, 'https://example.test/chart'), { code: 'CIRCUIT_OPEN' });
+});
+
+test('a 4xx response counts as the provider being up', async (t) => {
+  const server = upstream(t);
+  await failTimes(2);
+
+  server.respond(async () => { throw Object.assign(new Error('Not Found'), { response: { status: 404 } }); });
+  await assert.rejects(httpClient.get(PROVIDER, 'https://example.test/chart'));
+  assert.equal(httpClient.getStatus()[PROVIDER].consecutiveFailures, 0);
+});